@@ -0,0 +1,147 @@
+/**
+ * Capture Spill Module
+ * Writes captured frames to a rolling set of .pcap files so long captures
+ * keep every packet on disk while only recent packets stay in memory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pcapFileHeader, pcapRecordHeader } = require('./pcap-format');
+
+const DEFAULT_CAPTURE_DIRECTORY = path.join(os.homedir(), '.netnavigator', 'captures');
+
+// Bytes queued for a slow disk; past this, frames are dropped from the files until it catches up
+const WRITE_BUFFER_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Timestamp used in spill file names, e.g. 20260119-231502
+ */
+function fileTimestamp(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+        `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+class RollingPcapWriter {
+    /**
+     * @param {object} options - {
+     *   directory: where files are written (default ~/.netnavigator/captures),
+     *   fileSizeMB: start a new file after this many megabytes (default 100),
+     *   maxFiles: keep at most this many files from this capture, deleting the oldest (0 = keep all)
+     * }
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || DEFAULT_CAPTURE_DIRECTORY;
+        this.maxFileBytes = (options.fileSizeMB || 100) * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 0;
+        this.prefix = `capture-${fileTimestamp()}`;
+
+        this.stream = null;
+        this.linkType = null;
+        this.fileBytes = 0;
+        // Files still on disk, oldest first; names come from sequence, which only goes up
+        this.files = [];
+        this.sequence = 0;
+        // File path -> promise settled once its stream has closed
+        this.closed = new Map();
+        this.totalBytes = 0;
+        this.droppedFrames = 0;
+        this.waitingForDrain = false;
+        this.error = null;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    /**
+     * Append a frame, rotating to a new file when the current one is full
+     * or the frame uses a different link type. While the disk is behind, frames are
+     * counted in droppedFrames instead of piling up in memory
+     * @param {object} frame - { linkType, timestampMicros, originalLength, data }
+     */
+    write(frame) {
+        if (this.error) return;
+        if (this.waitingForDrain) {
+            this.droppedFrames++;
+            return;
+        }
+
+        const recordLength = 16 + frame.data.length;
+        if (!this.stream || frame.linkType !== this.linkType ||
+            (this.fileBytes + recordLength > this.maxFileBytes && this.fileBytes > 24)) {
+            this.rotate(frame.linkType);
+        }
+
+        this.stream.write(pcapRecordHeader(frame));
+        if (!this.stream.write(frame.data)) {
+            const stream = this.stream;
+            this.waitingForDrain = true;
+            stream.once('drain', () => {
+                if (this.stream === stream) this.waitingForDrain = false;
+            });
+        }
+        this.fileBytes += recordLength;
+        this.totalBytes += recordLength;
+    }
+
+    /**
+     * Close the current file and start the next one
+     */
+    rotate(linkType) {
+        if (this.stream) {
+            const stream = this.stream;
+            this.closed.set(this.files[this.files.length - 1], new Promise(resolve => stream.once('close', resolve)));
+            stream.end();
+        }
+
+        const filePath = path.join(this.directory, `${this.prefix}-${String(++this.sequence).padStart(3, '0')}.pcap`);
+        this.stream = fs.createWriteStream(filePath, { highWaterMark: WRITE_BUFFER_BYTES });
+        this.waitingForDrain = false;
+        this.stream.on('error', (error) => {
+            // Disk full or directory removed: stop spilling but keep capturing in memory
+            this.error = error;
+            console.error('Capture spill error:', error.message);
+        });
+        this.stream.write(pcapFileHeader(linkType));
+
+        this.linkType = linkType;
+        this.fileBytes = 24;
+        this.totalBytes += 24;
+        this.files.push(filePath);
+
+        if (this.maxFiles && this.files.length > this.maxFiles) {
+            const expired = this.files.splice(0, this.files.length - this.maxFiles);
+            // A file is deleted once its stream has closed, or the late open would create it again
+            expired.forEach((file) => {
+                const closed = this.closed.get(file) || Promise.resolve();
+                this.closed.delete(file);
+                closed.then(() => fs.promises.unlink(file)).catch(() => {});
+            });
+        }
+    }
+
+    /**
+     * Flush and close the current file
+     * @returns {Promise<void>}
+     */
+    close() {
+        const stream = this.stream;
+        this.stream = null;
+        if (!stream) return Promise.resolve();
+        return new Promise((resolve) => stream.end(resolve));
+    }
+
+    getStatus() {
+        return {
+            directory: this.directory,
+            files: [...this.files],
+            currentFile: this.files[this.files.length - 1] || null,
+            totalBytes: this.totalBytes,
+            droppedFrames: this.droppedFrames,
+            error: this.error ? this.error.message : null
+        };
+    }
+}
+
+module.exports = RollingPcapWriter;
+module.exports.DEFAULT_CAPTURE_DIRECTORY = DEFAULT_CAPTURE_DIRECTORY;
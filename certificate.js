@@ -0,0 +1,152 @@
+/**
+ * Certificate Module
+ * Self-signed X.509 certificates for local test servers: an ECDSA P-256 key and
+ * a v3 certificate for localhost (or given names and addresses), encoded in DER
+ * by hand so no OpenSSL binary is needed
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { parseIPv4, parseIPv6 } = require('./ip-range');
+
+const OIDS = {
+    ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    subjectAltName: '2.5.29.17',
+    basicConstraints: '2.5.29.19',
+    extKeyUsage: '2.5.29.37',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+// ============================================================
+// DER Encoding
+// ============================================================
+
+function tlv(tag, content) {
+    const { length } = content;
+    let header;
+    if (length < 0x80) {
+        header = Buffer.from([tag, length]);
+    } else {
+        const bytes = [];
+        for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+        header = Buffer.from([tag, 0x80 | bytes.length, ...bytes]);
+    }
+    return Buffer.concat([header, content]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const octetString = content => tlv(0x04, content);
+const utf8String = text => tlv(0x0c, Buffer.from(text, 'utf8'));
+const bitString = content => tlv(0x03, Buffer.concat([Buffer.from([0]), content]));
+
+function integer(bytes) {
+    // Positive integers must not start with a set high bit
+    const content = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+    return tlv(0x02, content);
+}
+
+function oid(dotted) {
+    const [first, second, ...rest] = dotted.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    for (const value of rest) {
+        const encoded = [value & 0x7f];
+        for (let remaining = value >> 7; remaining > 0; remaining >>= 7) encoded.unshift(0x80 | (remaining & 0x7f));
+        bytes.push(...encoded);
+    }
+    return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * UTCTime before 2050, GeneralizedTime after (RFC 5280)
+ */
+function time(date) {
+    const text = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return date.getUTCFullYear() < 2050
+        ? tlv(0x17, Buffer.from(`${text.slice(2)}Z`, 'latin1'))
+        : tlv(0x18, Buffer.from(`${text}Z`, 'latin1'));
+}
+
+function name(commonName) {
+    return sequence(
+        set(sequence(oid(OIDS.organizationName), utf8String('NetNavigator'))),
+        set(sequence(oid(OIDS.commonName), utf8String(commonName)))
+    );
+}
+
+function extension(id, value) {
+    return sequence(oid(id), octetString(value));
+}
+
+/**
+ * subjectAltName entries: dNSName [2] for names, iPAddress [7] for addresses
+ */
+function altNames(names) {
+    return sequence(...names.map((entry) => {
+        if (net.isIPv4(entry)) {
+            const value = Buffer.alloc(4);
+            value.writeUInt32BE(parseIPv4(entry) >>> 0);
+            return tlv(0x87, value);
+        }
+        if (net.isIPv6(entry)) {
+            return tlv(0x87, Buffer.from(parseIPv6(entry).toString(16).padStart(32, '0'), 'hex'));
+        }
+        return tlv(0x82, Buffer.from(entry, 'latin1'));
+    }));
+}
+
+function toPem(label, der) {
+    const lines = der.toString('base64').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Generate a key and a self-signed server certificate
+ * @param {object} options - { commonName (default localhost), altNames (default localhost, 127.0.0.1, ::1), days (default 365) }
+ * @returns {object} { cert, key (both PEM), fingerprint (SHA-256), validTo }
+ */
+function generateCertificate(options = {}) {
+    const commonName = options.commonName || 'localhost';
+    const names = options.altNames || ['localhost', '127.0.0.1', '::1'];
+    const days = options.days || 365;
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const algorithm = sequence(oid(OIDS.ecdsaWithSHA256));
+
+    // Positive and without a leading zero byte
+    const serial = crypto.randomBytes(16);
+    serial[0] = (serial[0] & 0x7f) | 0x40;
+    const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+    const notAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const tbsCertificate = sequence(
+        tlv(0xa0, integer(Buffer.from([2]))),
+        integer(serial),
+        algorithm,
+        name(commonName),
+        sequence(time(notBefore), time(notAfter)),
+        name(commonName),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        tlv(0xa3, sequence(
+            extension(OIDS.subjectAltName, altNames(names)),
+            extension(OIDS.basicConstraints, sequence()),
+            extension(OIDS.extKeyUsage, sequence(oid(OIDS.serverAuth)))
+        ))
+    );
+
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const cert = toPem('CERTIFICATE', sequence(tbsCertificate, algorithm, bitString(signature)));
+
+    return {
+        cert,
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        fingerprint: new crypto.X509Certificate(cert).fingerprint256,
+        validTo: notAfter.toISOString()
+    };
+}
+
+module.exports = {
+    generateCertificate
+};
@@ -0,0 +1,542 @@
+/**
+ * Display Filter Module
+ * Parses Wireshark-style display filter expressions such as
+ *   tcp.port == 443 && ip.src in 10.0.0.0/8 && len > 1000
+ * and compiles them into packet predicates
+ */
+
+const net = require('net');
+
+class FilterSyntaxError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at position ${position + 1})`);
+        this.name = 'FilterSyntaxError';
+        this.position = position;
+    }
+}
+
+// ============================================================
+// Field Definitions
+// ============================================================
+
+const hasFlag = (flag) => (packet) => packet.protocol === 'TCP' ? (packet.tcpFlags || []).includes(flag) : undefined;
+const ifProtocol = (protocol, getter) => (packet) => packet.protocol === protocol ? getter(packet) : undefined;
+const ifVersion = (version, getter) => (packet) => packet.ipVersion === version ? getter(packet) : undefined;
+const both = (a, b) => [a, b].filter(value => value !== undefined && value !== null);
+
+/**
+ * Filterable fields: type determines how literals are parsed and compared;
+ * get returns a value, an array of values (matches if any value matches) or undefined
+ */
+const FIELDS = {
+    // Protocols
+    'eth': { type: 'protocol', get: packet => Boolean(packet.sourceMAC || packet.destMAC) },
+    'arp': { type: 'protocol', get: packet => packet.protocol === 'ARP' },
+    'ip': { type: 'protocol', get: packet => packet.ipVersion === 4 },
+    'ipv6': { type: 'protocol', get: packet => packet.ipVersion === 6 },
+    'tcp': { type: 'protocol', get: packet => packet.protocol === 'TCP' },
+    'udp': { type: 'protocol', get: packet => packet.protocol === 'UDP' },
+    'icmp': { type: 'protocol', get: packet => packet.protocol === 'ICMP' },
+    'icmpv6': { type: 'protocol', get: packet => packet.protocol === 'ICMPv6' },
+
+    // Frame
+    'frame.len': { type: 'number', get: packet => packet.length },
+    'len': { type: 'number', get: packet => packet.length },
+    'frame.protocols': { type: 'string', get: packet => packet.protocol },
+    'vlan.id': { type: 'number', get: packet => packet.vlan },
+
+    // Ethernet
+    'eth.src': { type: 'mac', get: packet => packet.sourceMAC },
+    'eth.dst': { type: 'mac', get: packet => packet.destMAC },
+    'eth.addr': { type: 'mac', get: packet => both(packet.sourceMAC, packet.destMAC) },
+
+    // IPv4 / IPv6
+    'ip.src': { type: 'ip', get: ifVersion(4, packet => packet.sourceIP) },
+    'ip.dst': { type: 'ip', get: ifVersion(4, packet => packet.destIP) },
+    'ip.addr': { type: 'ip', get: ifVersion(4, packet => both(packet.sourceIP, packet.destIP)) },
+    'ip.ttl': { type: 'number', get: ifVersion(4, packet => packet.ttl) },
+    'ipv6.src': { type: 'ip', get: ifVersion(6, packet => packet.sourceIP) },
+    'ipv6.dst': { type: 'ip', get: ifVersion(6, packet => packet.destIP) },
+    'ipv6.addr': { type: 'ip', get: ifVersion(6, packet => both(packet.sourceIP, packet.destIP)) },
+    'ipv6.hlim': { type: 'number', get: ifVersion(6, packet => packet.ttl) },
+    'host': { type: 'ip', get: packet => both(packet.sourceIP, packet.destIP) },
+
+    // TCP
+    'tcp.port': { type: 'number', get: ifProtocol('TCP', packet => both(packet.sourcePort, packet.destPort)) },
+    'tcp.srcport': { type: 'number', get: ifProtocol('TCP', packet => packet.sourcePort) },
+    'tcp.dstport': { type: 'number', get: ifProtocol('TCP', packet => packet.destPort) },
+    'tcp.seq': { type: 'number', get: ifProtocol('TCP', packet => packet.seq) },
+    'tcp.ack': { type: 'number', get: ifProtocol('TCP', packet => packet.ack) },
+    'tcp.window_size': { type: 'number', get: ifProtocol('TCP', packet => packet.window) },
+    'tcp.len': { type: 'number', get: ifProtocol('TCP', packet => packet.payloadLength) },
+    'tcp.flags.syn': { type: 'boolean', get: hasFlag('SYN') },
+    'tcp.flags.ack': { type: 'boolean', get: hasFlag('ACK') },
+    'tcp.flags.fin': { type: 'boolean', get: hasFlag('FIN') },
+    'tcp.flags.reset': { type: 'boolean', get: hasFlag('RST') },
+    'tcp.flags.push': { type: 'boolean', get: hasFlag('PSH') },
+    'tcp.flags.urg': { type: 'boolean', get: hasFlag('URG') },
+    'tcp.stream': { type: 'number', get: packet => packet.tcpStream },
+    'tcp.analysis.retransmission': { type: 'boolean', get: packet => packet.tcpAnalysis?.includes('retransmission') || undefined },
+    'tcp.analysis.out_of_order': { type: 'boolean', get: packet => packet.tcpAnalysis?.includes('out-of-order') || undefined },
+
+    // UDP
+    'udp.port': { type: 'number', get: ifProtocol('UDP', packet => both(packet.sourcePort, packet.destPort)) },
+    'udp.srcport': { type: 'number', get: ifProtocol('UDP', packet => packet.sourcePort) },
+    'udp.dstport': { type: 'number', get: ifProtocol('UDP', packet => packet.destPort) },
+    'udp.length': { type: 'number', get: ifProtocol('UDP', packet => packet.payloadLength) },
+
+    // Either transport
+    'port': { type: 'number', get: packet => both(packet.sourcePort, packet.destPort) },
+
+    // ICMP
+    'icmp.type': { type: 'number', get: ifProtocol('ICMP', packet => packet.icmpType) },
+    'icmp.code': { type: 'number', get: ifProtocol('ICMP', packet => packet.icmpCode) },
+    'icmpv6.type': { type: 'number', get: ifProtocol('ICMPv6', packet => packet.icmpType) },
+    'icmpv6.code': { type: 'number', get: ifProtocol('ICMPv6', packet => packet.icmpCode) },
+
+    // ARP
+    'arp.src.proto_ipv4': { type: 'ip', get: ifProtocol('ARP', packet => packet.sourceIP) },
+    'arp.dst.proto_ipv4': { type: 'ip', get: ifProtocol('ARP', packet => packet.destIP) }
+};
+
+/**
+ * Register an additional filterable field
+ * @param {string} name - Field name, e.g. 'dns.qry.name'
+ * @param {object} definition - { type: 'number'|'string'|'ip'|'mac'|'boolean'|'protocol', get(packet) }
+ */
+function registerField(name, definition) {
+    FIELDS[name] = definition;
+}
+
+// ============================================================
+// Tokenizer
+// ============================================================
+
+const KEYWORD_OPERATORS = {
+    and: '&&', or: '||', not: '!',
+    eq: '==', ne: '!=', gt: '>', lt: '<', ge: '>=', le: '<=',
+    in: 'in', contains: 'contains', matches: 'matches'
+};
+const SYMBOL_OPERATORS = ['==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '~'];
+const WORD_CHARS = /[A-Za-z0-9_.:\/\-]/;
+
+function tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+        const char = expression[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if ('(){},'.includes(char)) {
+            tokens.push({ type: char, value: char, position: i });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            let value = '';
+            let j = i + 1;
+            while (j < expression.length && expression[j] !== '"') {
+                if (expression[j] === '\\' && j + 1 < expression.length) j++;
+                value += expression[j];
+                j++;
+            }
+            if (j >= expression.length) {
+                throw new FilterSyntaxError('Unterminated string', i);
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        const symbol = SYMBOL_OPERATORS.find(op => expression.startsWith(op, i));
+        if (symbol) {
+            tokens.push({ type: 'op', value: symbol === '~' ? 'matches' : symbol, position: i });
+            i += symbol.length;
+            continue;
+        }
+
+        if (WORD_CHARS.test(char)) {
+            let j = i;
+            while (j < expression.length && WORD_CHARS.test(expression[j])) j++;
+            const word = expression.slice(i, j);
+            const keyword = KEYWORD_OPERATORS[word.toLowerCase()];
+            tokens.push(keyword
+                ? { type: 'op', value: keyword, position: i }
+                : { type: 'word', value: word, position: i });
+            i = j;
+            continue;
+        }
+
+        throw new FilterSyntaxError(`Unexpected character "${char}"`, i);
+    }
+
+    tokens.push({ type: 'end', value: 'end of filter', position: expression.length });
+    return tokens;
+}
+
+// ============================================================
+// Literal Parsing
+// ============================================================
+
+/**
+ * Convert an IP address to a BigInt for range comparisons
+ */
+function ipToBigInt(address) {
+    const family = net.isIP(address);
+    if (family === 4) {
+        return address.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+    }
+    if (family !== 6) return null;
+
+    let text = address.split('%')[0];
+    // Embedded IPv4 suffix, e.g. ::ffff:10.0.0.1
+    const v4Match = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Match) {
+        const v4 = ipToBigInt(v4Match[1]);
+        text = text.slice(0, -v4Match[1].length) + ((v4 >> 16n) & 0xffffn).toString(16) + ':' + (v4 & 0xffffn).toString(16);
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const zeros = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+    const groups = [...headGroups, ...new Array(zeros).fill('0'), ...tailGroups];
+
+    return groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+function parseNumber(text) {
+    if (/^0x[0-9a-f]+$/i.test(text)) return parseInt(text, 16);
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    return null;
+}
+
+/**
+ * Parse a literal for the given field type into a matcher description
+ */
+function parseLiteral(token, type) {
+    const text = token.value;
+
+    switch (type) {
+        case 'number': {
+            const range = text.match(/^(\w+)(?:-|\.\.)(\w+)$/);
+            if (range && token.type === 'word') {
+                const low = parseNumber(range[1]);
+                const high = parseNumber(range[2]);
+                if (low === null || high === null || low > high) {
+                    throw new FilterSyntaxError(`Invalid range "${text}"`, token.position);
+                }
+                return { kind: 'range', low, high };
+            }
+            const value = parseNumber(text);
+            if (value === null) {
+                throw new FilterSyntaxError(`"${text}" is not a number`, token.position);
+            }
+            return { kind: 'value', value };
+        }
+
+        case 'ip': {
+            const [address, prefixText] = text.split('/');
+            const family = net.isIP(address);
+            if (!family) {
+                throw new FilterSyntaxError(`"${text}" is not a valid IP address or CIDR block`, token.position);
+            }
+            const bits = family === 4 ? 32 : 128;
+            const prefix = prefixText === undefined ? bits : Number(prefixText);
+            if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits || (prefixText !== undefined && !/^\d+$/.test(prefixText))) {
+                throw new FilterSyntaxError(`Invalid prefix length in "${text}"`, token.position);
+            }
+            const hostBits = BigInt(bits - prefix);
+            const network = (ipToBigInt(address) >> hostBits) << hostBits;
+            return { kind: 'cidr', family, network, hostBits, exact: prefix === bits };
+        }
+
+        case 'mac': {
+            const normalized = text.toLowerCase().replace(/-/g, ':');
+            if (!/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/.test(normalized)) {
+                throw new FilterSyntaxError(`"${text}" is not a valid MAC address`, token.position);
+            }
+            return { kind: 'value', value: normalized };
+        }
+
+        case 'boolean': {
+            const lowered = text.toLowerCase();
+            if (lowered === '1' || lowered === 'true') return { kind: 'value', value: true };
+            if (lowered === '0' || lowered === 'false') return { kind: 'value', value: false };
+            throw new FilterSyntaxError(`"${text}" is not a boolean (use 1/0 or true/false)`, token.position);
+        }
+
+        default:
+            return { kind: 'value', value: text };
+    }
+}
+
+/**
+ * Compare a packet value against a parsed literal
+ */
+function compareValue(op, actual, literal, type) {
+    if (actual === undefined || actual === null) return false;
+
+    if (literal.kind === 'range') {
+        return actual >= literal.low && actual <= literal.high;
+    }
+
+    if (literal.kind === 'cidr') {
+        const family = net.isIP(String(actual));
+        if (family !== literal.family) return false;
+        const value = ipToBigInt(String(actual));
+        if (op === '==' || op === 'in') return (value >> literal.hostBits) << literal.hostBits === literal.network;
+        const target = literal.network;
+        if (op === '>') return value > target;
+        if (op === '<') return value < target;
+        if (op === '>=') return value >= target;
+        if (op === '<=') return value <= target;
+        return false;
+    }
+
+    const expected = literal.value;
+    const left = type === 'mac' ? String(actual).toLowerCase() : actual;
+
+    switch (op) {
+        case '==':
+        case 'in': return left === expected;
+        case '>': return left > expected;
+        case '<': return left < expected;
+        case '>=': return left >= expected;
+        case '<=': return left <= expected;
+        default: return false;
+    }
+}
+
+// ============================================================
+// Parser
+// ============================================================
+
+class Parser {
+    constructor(expression) {
+        this.tokens = tokenize(expression);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    expect(type, description) {
+        const token = this.peek();
+        if (token.type !== type) {
+            throw new FilterSyntaxError(`Expected ${description} but found ${describeToken(token)}`, token.position);
+        }
+        return this.next();
+    }
+
+    parse() {
+        const node = this.parseOr();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw new FilterSyntaxError(`Unexpected "${token.value}"; expected "&&", "||" or end of filter`, token.position);
+        }
+        return node;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isOp('||')) {
+            this.next();
+            const right = this.parseAnd();
+            const a = left;
+            left = packet => a(packet) || right(packet);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isOp('&&')) {
+            this.next();
+            const right = this.parseNot();
+            const a = left;
+            left = packet => a(packet) && right(packet);
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.isOp('!')) {
+            this.next();
+            const operand = this.parseNot();
+            return packet => !operand(packet);
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === '(') {
+            this.next();
+            const inner = this.parseOr();
+            this.expect(')', '")"');
+            return inner;
+        }
+
+        if (token.type !== 'word') {
+            throw new FilterSyntaxError(`Expected a field or protocol name but found ${describeToken(token)}`, token.position);
+        }
+
+        this.next();
+        const field = FIELDS[token.value.toLowerCase()];
+        if (!field) {
+            throw new FilterSyntaxError(`Unknown field "${token.value}"`, token.position);
+        }
+
+        const opToken = this.peek();
+        if (opToken.type !== 'op' || ['&&', '||', '!'].includes(opToken.value)) {
+            // Bare field: true when the protocol/field is present
+            return packet => {
+                const value = field.get(packet);
+                return Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== false;
+            };
+        }
+
+        this.next();
+        return this.parseComparison(token, field, opToken);
+    }
+
+    parseComparison(fieldToken, field, opToken) {
+        const op = opToken.value;
+
+        if (field.type === 'protocol') {
+            throw new FilterSyntaxError(`"${fieldToken.value}" is a protocol and cannot be compared; use it on its own`, opToken.position);
+        }
+
+        if (op === 'contains' || op === 'matches') {
+            if (field.type !== 'string') {
+                throw new FilterSyntaxError(`"${op}" can only be used with text fields`, opToken.position);
+            }
+            const valueToken = this.expectValue(opToken);
+            let test;
+            if (op === 'contains') {
+                test = value => String(value).includes(valueToken.value);
+            } else {
+                let regex;
+                try {
+                    regex = new RegExp(valueToken.value, 'i');
+                } catch (error) {
+                    throw new FilterSyntaxError(`Invalid regular expression: ${error.message}`, valueToken.position);
+                }
+                test = value => regex.test(String(value));
+            }
+            return packet => toArray(field.get(packet)).some(test);
+        }
+
+        let literals;
+        if (op === 'in') {
+            literals = this.parseSet(opToken, field.type);
+        } else {
+            literals = [parseLiteral(this.expectValue(opToken), field.type)];
+            if (literals[0].kind === 'range' && op !== '==' && op !== '!=') {
+                throw new FilterSyntaxError(`Ranges can only be used with "==", "!=" or "in"`, opToken.position);
+            }
+        }
+
+        if (op === '!=') {
+            // Wireshark semantics: true only when no value of the field equals the literal
+            return packet => {
+                const values = toArray(field.get(packet));
+                return values.length > 0 && !values.some(value => literals.some(literal => compareValue('==', value, literal, field.type)));
+            };
+        }
+
+        return packet => toArray(field.get(packet))
+            .some(value => literals.some(literal => compareValue(op, value, literal, field.type)));
+    }
+
+    parseSet(opToken, type) {
+        if (this.peek().type !== '{') {
+            return [parseLiteral(this.expectValue(opToken), type)];
+        }
+
+        this.next();
+        const literals = [];
+        while (this.peek().type !== '}') {
+            if (this.peek().type === ',') {
+                this.next();
+                continue;
+            }
+            literals.push(parseLiteral(this.expectValue(opToken), type));
+        }
+        this.next();
+
+        if (literals.length === 0) {
+            throw new FilterSyntaxError('Empty set after "in"', opToken.position);
+        }
+        return literals;
+    }
+
+    expectValue(opToken) {
+        const token = this.peek();
+        if (token.type !== 'word' && token.type !== 'string') {
+            throw new FilterSyntaxError(`Expected a value after "${opToken.value}" but found ${describeToken(token)}`, token.position);
+        }
+        return this.next();
+    }
+}
+
+function describeToken(token) {
+    return token.type === 'end' ? 'end of filter' : `"${token.value}"`;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compile a display filter expression into a predicate
+ * @param {string} expression - Filter expression; empty matches everything
+ * @returns {function(object): boolean}
+ * @throws {FilterSyntaxError}
+ */
+function compileFilter(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        return () => true;
+    }
+    return new Parser(expression).parse();
+}
+
+/**
+ * Validate a display filter expression without applying it
+ */
+function validateFilter(expression) {
+    try {
+        compileFilter(expression);
+        return { valid: true };
+    } catch (error) {
+        if (!(error instanceof FilterSyntaxError)) throw error;
+        return { valid: false, error: error.message, position: error.position };
+    }
+}
+
+module.exports = {
+    FilterSyntaxError,
+    FIELDS,
+    compileFilter,
+    validateFilter,
+    registerField
+};
@@ -0,0 +1,617 @@
+/**
+ * DNS Client Module
+ * Wire-format lookups against chosen servers (custom server list, timeout,
+ * recursion, every record type with TTLs and per-type failure reasons) over
+ * UDP, TCP, DNS-over-HTTPS (RFC 8484) or DNS-over-TLS (RFC 7858), and
+ * iterative resolution from the root servers down to the authoritative server
+ * (dig +trace)
+ */
+
+const dns = require('dns');
+const net = require('net');
+const dgram = require('dgram');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const { encodeQuery, decodeMessage, formatRecordData } = require('./dns-wire');
+const { parseHostPort, parseIPv4, parseIPv6 } = require('./ip-range');
+
+// IANA root hints (IPv4)
+const ROOT_SERVERS = [
+    { name: 'a.root-servers.net', address: '198.41.0.4' },
+    { name: 'b.root-servers.net', address: '170.247.170.2' },
+    { name: 'c.root-servers.net', address: '192.33.4.12' },
+    { name: 'd.root-servers.net', address: '199.7.91.13' },
+    { name: 'e.root-servers.net', address: '192.203.230.10' },
+    { name: 'f.root-servers.net', address: '192.5.5.241' },
+    { name: 'g.root-servers.net', address: '192.112.36.4' },
+    { name: 'h.root-servers.net', address: '198.97.190.53' },
+    { name: 'i.root-servers.net', address: '192.36.148.17' },
+    { name: 'j.root-servers.net', address: '192.58.128.30' },
+    { name: 'k.root-servers.net', address: '193.0.14.129' },
+    { name: 'l.root-servers.net', address: '199.7.83.42' },
+    { name: 'm.root-servers.net', address: '202.12.27.33' }
+];
+
+// Types queried by "Query All Types"; ANY is separate since most servers answer it minimally (RFC 8482)
+const ALL_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'TXT', 'SOA', 'SRV', 'CAA', 'PTR', 'NAPTR', 'TLSA', 'DS', 'DNSKEY', 'RRSIG'];
+
+// Asked for with the DO bit so servers include DNSSEC records
+const DNSSEC_TYPES = ['DS', 'DNSKEY', 'RRSIG'];
+
+const FAILURE_REASONS = {
+    NXDOMAIN: 'The domain name does not exist',
+    SERVFAIL: 'The server failed to answer (upstream or DNSSEC validation failure)',
+    REFUSED: 'The server refused the query',
+    NOTIMP: 'The server does not implement this query',
+    FORMERR: 'The server could not parse the query',
+    TIMEOUT: 'No answer before the timeout'
+};
+
+// Servers tried per delegation level before the trace gives up
+const SERVERS_PER_ZONE = 3;
+const MAX_TRACE_STEPS = 16;
+
+const TRANSPORTS = ['udp', 'tcp', 'doh', 'dot'];
+
+/**
+ * Parse a DNS server list for a transport
+ *   udp / tcp: IP addresses with an optional port ("1.1.1.1, [2606:4700::1111]:53, 10.0.0.53:5353")
+ *   doh: URLs ("https://cloudflare-dns.com/dns-query"); a bare host name gets https:// and the usual /dns-query path
+ *   dot: host names or addresses with an optional port (853 by default), names are checked against the certificate
+ * @returns {Array<object>} { transport, address, port } or, for DoH, { transport, url }
+ */
+function parseServers(servers, transport = 'udp') {
+    if (!TRANSPORTS.includes(transport)) throw new Error(`Unknown DNS transport "${transport}"`);
+    const list = Array.isArray(servers) ? servers : String(servers || '').split(/[\s,;]+/);
+
+    return list.filter(Boolean).map((entry) => {
+        const text = String(entry).trim();
+
+        if (transport === 'doh') {
+            const bare = !/^[a-z]+:\/\//i.test(text);
+            let url;
+            try {
+                url = new URL(bare ? `https://${text}` : text);
+            } catch (error) {
+                throw new Error(`DoH server "${entry}" is not a valid URL`);
+            }
+            if (bare && url.pathname === '/') url.pathname = '/dns-query';
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                throw new Error(`DoH server "${entry}" must be an https:// URL`);
+            }
+            return { transport, url: url.toString() };
+        }
+
+        const { host, port } = parseHostPort(text);
+        if (transport === 'dot') {
+            return { transport, address: host, port: port || 853 };
+        }
+        if (!net.isIP(host)) {
+            throw new Error(`DNS server "${entry}" must be an IP address`);
+        }
+        return { transport, address: host, port: port || 53 };
+    });
+}
+
+/**
+ * Server as text: the form dns.Resolver#setServers() expects for UDP, a URL for DoH,
+ * tcp:// or tls:// prefixed otherwise
+ */
+function formatServer({ transport = 'udp', address, port, url }) {
+    if (transport === 'doh') return url;
+    const defaultPort = transport === 'dot' ? 853 : 53;
+    const host = net.isIPv6(address) ? `[${address}]` : address;
+    const text = port === defaultPort ? address : `${host}:${port}`;
+    if (transport === 'tcp') return `tcp://${port === defaultPort ? host : text}`;
+    if (transport === 'dot') return `tls://${port === defaultPort ? host : text}`;
+    return text;
+}
+
+/**
+ * Resolver for one query, with its own servers and timeout
+ * @param {object} options - { servers: parsed server list (system servers when empty), timeout: ms per attempt }
+ */
+function createResolver({ servers = [], timeout = 5000 } = {}) {
+    const resolver = new dns.promises.Resolver({ timeout, tries: 1 });
+    if (servers.length > 0) resolver.setServers(servers.map(formatServer));
+    return resolver;
+}
+
+function timeoutError(message) {
+    const error = new Error(message);
+    error.code = 'ETIMEOUT';
+    return error;
+}
+
+function queryUdp(server, query, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(net.isIPv6(server.address) ? 'udp6' : 'udp4');
+        const id = query.readUInt16BE(0);
+        const timer = setTimeout(() => finish(timeoutError(`Query to ${formatServer(server)} timed out after ${timeout} ms`)), timeout);
+
+        function finish(error, response) {
+            clearTimeout(timer);
+            socket.close();
+            if (error) reject(error);
+            else resolve(response);
+        }
+
+        socket.on('message', (message) => {
+            // Stray datagrams (late answers to earlier queries) are ignored
+            if (message.length >= 2 && message.readUInt16BE(0) === id) finish(null, message);
+        });
+        socket.on('error', error => finish(error));
+        socket.send(query, server.port, server.address);
+    });
+}
+
+/**
+ * Query over a stream: TCP, or TLS for DNS-over-TLS. Messages carry a two-byte length prefix
+ */
+function queryStream(server, query, timeout, { secure = false, insecure = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({
+                host: server.address,
+                port: server.port,
+                servername: net.isIP(server.address) ? undefined : server.address,
+                rejectUnauthorized: !insecure
+            })
+            : net.createConnection({ host: server.address, port: server.port });
+        let buffer = Buffer.alloc(0);
+        let settled = false;
+
+        function finish(error, response) {
+            if (settled) return;
+            settled = true;
+            socket.destroy();
+            if (error) reject(error);
+            else resolve(response);
+        }
+
+        const timer = setTimeout(() => finish(timeoutError(`${secure ? 'TLS' : 'TCP'} query to ${formatServer(server)} timed out after ${timeout} ms`)), timeout);
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                clearTimeout(timer);
+                finish(null, buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+            }
+        });
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            finish(error);
+        });
+        socket.on('close', () => {
+            clearTimeout(timer);
+            finish(new Error(`${formatServer(server)} closed the connection without answering`));
+        });
+
+        // Written before the connection (or TLS handshake) completes; the socket queues it
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(query.length);
+        socket.write(Buffer.concat([length, query]));
+    });
+}
+
+/**
+ * DNS-over-HTTPS query: the message is POSTed as application/dns-message (RFC 8484 section 4.1)
+ */
+function queryHttps(server, query, timeout, { insecure = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(server.url);
+        const client = url.protocol === 'http:' ? http : https;
+        const request = client.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/dns-message',
+                'Accept': 'application/dns-message',
+                'Content-Length': query.length
+            },
+            rejectUnauthorized: !insecure
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                clearTimeout(timer);
+                const contentType = response.headers['content-type'] || '';
+                if (response.statusCode !== 200) {
+                    reject(new Error(`${server.url} answered HTTP ${response.statusCode}`));
+                } else if (!contentType.startsWith('application/dns-message')) {
+                    reject(new Error(`${server.url} answered ${contentType || 'without a content type'} instead of application/dns-message`));
+                } else {
+                    resolve(Buffer.concat(chunks));
+                }
+            });
+        });
+
+        const timer = setTimeout(() => request.destroy(timeoutError(`DoH query to ${server.url} timed out after ${timeout} ms`)), timeout);
+        request.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(query);
+    });
+}
+
+/**
+ * Send one query straight to a server over the server's transport. Plain DNS goes over UDP with a
+ * TCP retry when the answer is truncated. Queries carry EDNS(0) unless the server rejects it
+ * @param {object} server - Entry from parseServers()
+ * @param {object} options - { timeout: ms (default 5000), recursionDesired (default true), dnssecOk, insecure: skip certificate checks }
+ * @returns {Promise<object>} Decoded message plus { server, rtt, transport }
+ */
+async function queryServer(server, name, type, options = {}) {
+    const { timeout = 5000, recursionDesired = true, dnssecOk = false, edns = true, insecure = false } = options;
+    let transport = server.transport || 'udp';
+    // DoH queries use ID 0 so HTTP caches can share answers (RFC 8484 section 4.1)
+    const query = encodeQuery(name, type, { recursionDesired, edns, dnssecOk, id: transport === 'doh' ? 0 : undefined });
+    const started = process.hrtime.bigint();
+
+    let response;
+    if (transport === 'doh') {
+        response = await queryHttps(server, query, timeout, { insecure });
+    } else if (transport === 'dot') {
+        response = await queryStream(server, query, timeout, { secure: true, insecure });
+    } else if (transport === 'tcp') {
+        response = await queryStream(server, query, timeout);
+    } else {
+        response = await queryUdp(server, query, timeout);
+        if (decodeMessage(response).flags.truncated) {
+            transport = 'tcp';
+            response = await queryStream(server, query, timeout);
+        }
+    }
+
+    const message = decodeMessage(response);
+    if (edns && message.rcode === 'FORMERR') {
+        // Pre-EDNS servers answer FORMERR to an OPT record
+        return queryServer(server, name, type, { ...options, edns: false, dnssecOk: false });
+    }
+
+    return {
+        ...message,
+        server: formatServer(server),
+        transport,
+        rtt: Number(process.hrtime.bigint() - started) / 1e6
+    };
+}
+
+function sameName(a, b) {
+    return a.replace(/\.$/, '').toLowerCase() === b.replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Whether a zone lies strictly below another ("example.com" is below "com" and ".")
+ */
+function isBelow(child, parent) {
+    const childName = child.replace(/\.$/, '').toLowerCase();
+    const parentName = parent.replace(/\.$/, '').toLowerCase();
+    return childName !== parentName && (parentName === '' || childName.endsWith(`.${parentName}`));
+}
+
+function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Resolve a name iteratively, starting at the root servers and following referrals
+ * until a server answers authoritatively (or with an error)
+ * @param {object} options - { timeout: ms per query (default 5000), roots: starting servers (default ROOT_SERVERS) }
+ * @returns {Promise<object>} { steps, answers, rcode, complete }. Each step is
+ *   { zone, server, address, rtt, transport, rcode, authoritative, answers, referral, error }
+ */
+async function traceQuery(name, type, options = {}) {
+    const { timeout = 5000, roots = ROOT_SERVERS } = options;
+    const resolver = createResolver({ timeout });
+    const steps = [];
+    let zone = '.';
+    let servers = shuffle(roots);
+
+    while (steps.length < MAX_TRACE_STEPS) {
+        let response = null;
+        const errors = [];
+
+        for (const candidate of servers.slice(0, SERVERS_PER_ZONE)) {
+            try {
+                // Servers without glue are looked up on the way
+                const address = candidate.address || (await resolver.resolve4(candidate.name))[0];
+                response = await queryServer({ address, port: 53 }, name, type, { timeout, recursionDesired: false });
+                response.serverName = candidate.name;
+                response.address = address;
+                break;
+            } catch (error) {
+                errors.push(`${candidate.name}: ${error.message}`);
+            }
+        }
+
+        if (!response) {
+            steps.push({ zone, server: null, address: null, error: errors.join('; ') || 'No name servers for this zone' });
+            return { steps, answers: [], rcode: null, complete: false };
+        }
+
+        const nameservers = response.authorities.filter(record => record.type === 'NS');
+        const step = {
+            zone,
+            server: response.serverName,
+            address: response.address,
+            rtt: Math.round(response.rtt * 10) / 10,
+            transport: response.transport,
+            rcode: response.rcode,
+            authoritative: response.flags.authoritative,
+            answers: response.answers.map(record => ({ name: record.name, type: record.type, ttl: record.ttl, value: formatRecordData(record) })),
+            referral: null,
+            error: null
+        };
+        steps.push(step);
+
+        const isReferral = response.rcode === 'NOERROR' && response.answers.length === 0 && !response.flags.authoritative && nameservers.length > 0;
+        if (!isReferral) {
+            return { steps, answers: response.answers, rcode: response.rcode, complete: true };
+        }
+
+        const nextZone = nameservers[0].name;
+        // A referral has to move down the tree, otherwise the server is lame or looping
+        if (!isBelow(nextZone, zone)) {
+            step.error = `Referral to ${nextZone} does not lead below ${zone}`;
+            return { steps, answers: [], rcode: response.rcode, complete: false };
+        }
+
+        const glue = response.additionals.filter(record => record.type === 'A');
+        step.referral = {
+            zone: nextZone,
+            nameservers: nameservers.map(record => ({
+                name: record.data,
+                ttl: record.ttl,
+                addresses: glue.filter(address => sameName(address.name, record.data)).map(address => address.data)
+            }))
+        };
+
+        zone = nextZone;
+        const glued = step.referral.nameservers.filter(server => server.addresses.length > 0);
+        servers = glued.length > 0
+            ? shuffle(glued).map(server => ({ name: server.name, address: server.addresses[0] }))
+            : shuffle(step.referral.nameservers).map(server => ({ name: server.name, address: null }));
+    }
+
+    return { steps, answers: [], rcode: null, complete: false };
+}
+
+/**
+ * in-addr.arpa / ip6.arpa name of an address
+ */
+function reverseName(address) {
+    const ipv4 = parseIPv4(address);
+    if (ipv4 !== null) return `${address.split('.').reverse().join('.')}.in-addr.arpa`;
+    const ipv6 = parseIPv6(address);
+    if (ipv6 === null) return null;
+    return `${ipv6.toString(16).padStart(32, '0').split('').reverse().join('.')}.ip6.arpa`;
+}
+
+function presentRecord(record) {
+    return { name: record.name, type: record.type, ttl: record.ttl, value: formatRecordData(record), data: record.data };
+}
+
+/**
+ * Query one record type, trying each server in turn until one answers
+ * @returns {Promise<object>} { type, status, reason, server, rtt, transport, authoritative, records }.
+ *   status is the response code, NODATA for an empty NOERROR answer, TIMEOUT or ERROR
+ */
+async function queryType(servers, host, type, { timeout, recursive, insecure }) {
+    let lastError = null;
+
+    for (const server of servers) {
+        try {
+            const response = await queryServer(server, host, type, {
+                timeout,
+                recursionDesired: recursive,
+                dnssecOk: DNSSEC_TYPES.includes(type),
+                insecure
+            });
+            const records = response.answers.map(presentRecord);
+            const matching = type === 'ANY' ? records : records.filter(record => record.type === type);
+            const status = response.rcode !== 'NOERROR' ? String(response.rcode) : matching.length > 0 ? 'NOERROR' : 'NODATA';
+
+            let reason = FAILURE_REASONS[status] || null;
+            if (status === 'NODATA') {
+                reason = records.length > 0 ? `No ${type} records (answer only holds ${[...new Set(records.map(record => record.type))].join(', ')})` : `The name exists but has no ${type} records`;
+            }
+            if (!recursive && status === 'NODATA' && response.authorities.some(record => record.type === 'NS') && !response.flags.authoritative) {
+                reason = `Referral to ${response.authorities[0].name}: ${response.server} is not authoritative and recursion was not requested`;
+            }
+
+            return {
+                type,
+                status,
+                reason,
+                server: response.server,
+                rtt: Math.round(response.rtt * 10) / 10,
+                transport: response.transport,
+                authoritative: response.flags.authoritative,
+                records
+            };
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    const status = lastError && lastError.code === 'ETIMEOUT' ? 'TIMEOUT' : 'ERROR';
+    return {
+        type,
+        status,
+        reason: lastError ? lastError.message : FAILURE_REASONS.TIMEOUT,
+        server: null,
+        rtt: null,
+        transport: null,
+        authoritative: false,
+        records: []
+    };
+}
+
+/**
+ * Look up records the way the DNS Lookup tab asks for them. DNS failures do not throw:
+ * every queried type reports its own status and reason
+ * @param {object} options - {
+ *   host, recordType: type name, 'ANY' or 'ALL', servers: server list (system servers when empty, plain DNS only),
+ *   transport: 'udp' (default, TCP when truncated), 'tcp', 'doh' or 'dot', insecure: skip DoH/DoT certificate checks,
+ *   timeout: seconds (default 5), recursive: ask for recursion (default true), trace: also resolve from the roots
+ * }
+ * @returns {Promise<object>} {
+ *   host, name (queried name, the reverse name for PTR lookups of an address), recordType, transport, servers, recursive,
+ *   records: [{ name, type, ttl, value, data }], types: per-type status, error: set when no type returned records, trace
+ * }
+ */
+async function lookup(options = {}) {
+    const { host, recordType = 'A', transport = 'udp', insecure = false, recursive = true, trace = false } = options;
+    if (!host) throw new Error('No host given');
+    const timeout = Math.min(Math.max(Number(options.timeout) || 5, 1), 30) * 1000;
+    const types = recordType === 'ALL' ? ALL_TYPES : [String(recordType).toUpperCase()];
+    const name = types.length === 1 && types[0] === 'PTR' && reverseName(host) ? reverseName(host) : host;
+
+    let servers = parseServers(options.servers, transport);
+    if (servers.length === 0) {
+        if (transport === 'doh' || transport === 'dot') throw new Error(`DNS over ${transport === 'doh' ? 'HTTPS' : 'TLS'} needs a server`);
+        servers = parseServers(dns.getServers(), transport);
+    }
+    if (servers.length === 0) throw new Error('No DNS server is configured');
+
+    const [results, traced] = await Promise.all([
+        Promise.all(types.map(type => queryType(servers, name, type, { timeout, recursive, insecure }))),
+        trace ? traceQuery(name, types[0], { timeout }) : null
+    ]);
+
+    // CNAMEs come back with every type in ALL mode; list each record once
+    const seen = new Set();
+    const records = [];
+    results.forEach(result => result.records.forEach((record) => {
+        const key = `${record.name.toLowerCase()}|${record.type}|${record.value}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        records.push(record);
+    }));
+
+    const answered = results.filter(result => result.status === 'NOERROR');
+    const firstFailure = results.find(result => result.status !== 'NOERROR');
+    return {
+        host,
+        name,
+        recordType,
+        transport,
+        servers: servers.map(formatServer),
+        recursive,
+        records,
+        types: results.map(({ records: typeRecords, ...result }) => ({ ...result, count: typeRecords.length })),
+        error: answered.length === 0 && firstFailure ? `${firstFailure.status}: ${firstFailure.reason}` : null,
+        trace: traced
+    };
+}
+
+/**
+ * Parse a resolver list for comparisons, one resolver per line: "[label =] server".
+ * The transport follows from the server: https:// (DoH), tls:// (DoT), tcp://, udp:// or a bare
+ * address (UDP). "system" stands for the system resolvers
+ * @returns {Array<object>} { label, transport, servers }
+ */
+function parseResolverList(resolvers) {
+    const lines = Array.isArray(resolvers) ? resolvers : String(resolvers || '').split(/\r?\n/);
+
+    return lines.map(line => String(line).replace(/#.*$/, '').trim()).filter(Boolean).map((line) => {
+        const match = line.match(/^([^=]+?)\s*=\s*(.+)$/);
+        const label = match ? match[1].trim() : line;
+        const spec = match ? match[2].trim() : line;
+
+        if (/^system$/i.test(spec)) {
+            return { label, transport: 'udp', servers: parseServers(dns.getServers()) };
+        }
+
+        const scheme = spec.match(/^([a-z]+):\/\//i);
+        const prefix = scheme ? scheme[1].toLowerCase() : 'udp';
+        const transport = { http: 'doh', https: 'doh', tls: 'dot', tcp: 'tcp', udp: 'udp' }[prefix];
+        if (!transport) throw new Error(`Resolver "${line}" has an unknown scheme ${prefix}://`);
+
+        const server = transport === 'doh' ? spec : spec.slice(scheme ? scheme[0].length : 0);
+        return { label, transport, servers: parseServers([server], transport) };
+    });
+}
+
+/**
+ * Ask several resolvers the same question in parallel and group their answers, e.g. to follow
+ * a record change as it propagates. TTLs are reported but do not count as disagreement
+ * @param {object} options - { host, recordType (default A), resolvers: resolver list (see parseResolverList), timeout: seconds, recursive, insecure }
+ * @returns {Promise<object>} {
+ *   host, name, recordType, consistent,
+ *   rows: [{ label, transport, server, status, reason, rtt, answer: sorted values, ttl: lowest TTL, records, group, agrees }],
+ *   groups: [{ status, answer, resolvers: labels }], most common first
+ * }
+ */
+async function compareResolvers(options = {}) {
+    const { host, recordType = 'A', recursive = true, insecure = false } = options;
+    if (!host) throw new Error('No host given');
+    const type = String(recordType).toUpperCase();
+    if (type === 'ALL') throw new Error('Resolvers are compared one record type at a time');
+    const timeout = Math.min(Math.max(Number(options.timeout) || 5, 1), 30) * 1000;
+    const name = type === 'PTR' && reverseName(host) ? reverseName(host) : host;
+
+    const resolvers = parseResolverList(options.resolvers);
+    if (resolvers.length === 0) throw new Error('No resolvers to compare');
+
+    const rows = await Promise.all(resolvers.map(async (resolver) => {
+        const result = await queryType(resolver.servers, name, type, { timeout, recursive, insecure });
+        const matching = type === 'ANY' ? result.records : result.records.filter(record => record.type === type);
+        return {
+            label: resolver.label,
+            transport: resolver.transport,
+            server: result.server || resolver.servers.map(formatServer).join(', '),
+            status: result.status,
+            reason: result.reason,
+            rtt: result.rtt,
+            answer: [...new Set(matching.map(record => record.value))].sort(),
+            ttl: matching.length > 0 ? Math.min(...matching.map(record => record.ttl)) : null,
+            records: result.records
+        };
+    }));
+
+    // Resolvers agree when they return the same status and the same set of values
+    const groups = new Map();
+    rows.forEach((row) => {
+        const key = `${row.status}\n${row.answer.join('\n')}`;
+        if (!groups.has(key)) groups.set(key, { status: row.status, answer: row.answer, resolvers: [] });
+        groups.get(key).resolvers.push(row.label);
+        row.group = key;
+    });
+    const ranked = [...groups.entries()].sort((a, b) => b[1].resolvers.length - a[1].resolvers.length);
+    const consensus = ranked[0][0];
+    rows.forEach((row) => {
+        row.agrees = row.group === consensus;
+        row.group = ranked.findIndex(([key]) => key === row.group);
+    });
+
+    return {
+        host,
+        name,
+        recordType: type,
+        consistent: ranked.length === 1,
+        rows,
+        groups: ranked.map(([, group]) => group)
+    };
+}
+
+module.exports = {
+    ROOT_SERVERS,
+    ALL_TYPES,
+    TRANSPORTS,
+    parseServers,
+    formatServer,
+    createResolver,
+    queryServer,
+    traceQuery,
+    reverseName,
+    lookup,
+    parseResolverList,
+    compareResolvers
+};
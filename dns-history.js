@@ -0,0 +1,219 @@
+/**
+ * DNS History Module
+ * Persists DNS lookups with their full results under ~/.netnavigator/dns-history.json,
+ * searches them, and diffs two answers to the same query (records added or removed,
+ * TTL and status changes)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HISTORY_FILE = path.join(os.homedir(), '.netnavigator', 'dns-history.json');
+
+// Oldest entries are dropped past this count to keep the file small
+const MAX_ENTRIES = 1000;
+
+let entries = null;
+let writeQueue = Promise.resolve();
+
+async function load() {
+    if (entries) return entries;
+    try {
+        const data = JSON.parse(await fs.promises.readFile(HISTORY_FILE, 'utf8'));
+        entries = Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+        // Missing or unreadable history starts empty; a corrupt file is kept aside rather than overwritten
+        if (error.code !== 'ENOENT') {
+            await fs.promises.rename(HISTORY_FILE, `${HISTORY_FILE}.corrupt`).catch(() => {});
+        }
+        entries = [];
+    }
+    return entries;
+}
+
+/**
+ * Write the history to disk; writes are serialized and go through a temporary file
+ */
+function save() {
+    const snapshot = JSON.stringify({ version: 1, entries }, null, 1);
+    writeQueue = writeQueue.then(async () => {
+        await fs.promises.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+        const temporary = `${HISTORY_FILE}.tmp`;
+        await fs.promises.writeFile(temporary, snapshot);
+        await fs.promises.rename(temporary, HISTORY_FILE);
+    }).catch(error => console.error('Failed to save DNS history:', error));
+    return writeQueue;
+}
+
+/**
+ * Key identifying the same question asked of the same servers
+ */
+function queryKey(query) {
+    return [
+        String(query.host).toLowerCase(),
+        query.recordType,
+        query.transport || 'udp',
+        (query.servers || []).join(','),
+        query.recursive === false ? 'norec' : 'rec'
+    ].join('|');
+}
+
+function recordKey(record) {
+    return `${record.name.toLowerCase()}|${record.type}|${record.value}`;
+}
+
+// Seconds a TTL may differ from the expected value, for the rounding of both TTLs and timestamps
+const TTL_SLACK = 2;
+
+/**
+ * Compare two lookup results. A caching resolver counts TTLs down, so a TTL counts as changed when
+ * it differs from the old one minus the seconds in between; once that countdown has run out (or for
+ * authoritative answers, which do not count down) it is compared with the old TTL itself
+ * @param {number} elapsed - Seconds between the two lookups
+ * @returns {object} { added, removed, ttlChanged: [{ name, type, value, from, to }], statusChanged: [{ type, from, to }], changed }
+ */
+function diffResults(previous, current, elapsed = 0) {
+    const before = new Map((previous.records || []).map(record => [recordKey(record), record]));
+    const after = new Map((current.records || []).map(record => [recordKey(record), record]));
+
+    const added = [...after.values()].filter(record => !before.has(recordKey(record)));
+    const removed = [...before.values()].filter(record => !after.has(recordKey(record)));
+    const authoritative = new Set((current.types || []).filter(type => type.authoritative).map(type => type.type));
+    // A single-type lookup also covers the CNAMEs leading to its records
+    const allAuthoritative = (current.types || []).length === 1 && authoritative.size === 1;
+    const ttlChanged = [...after.values()]
+        .filter((record) => {
+            const old = before.get(recordKey(record));
+            if (!old || old.ttl === record.ttl) return false;
+            const countsDown = !allAuthoritative && !authoritative.has(record.type) && elapsed < old.ttl;
+            const expected = countsDown ? old.ttl - elapsed : old.ttl;
+            return Math.abs(record.ttl - expected) > TTL_SLACK;
+        })
+        .map(record => ({ name: record.name, type: record.type, value: record.value, from: before.get(recordKey(record)).ttl, to: record.ttl }));
+
+    const previousStatus = new Map((previous.types || []).map(type => [type.type, type.status]));
+    const statusChanged = (current.types || [])
+        .filter(type => previousStatus.has(type.type) && previousStatus.get(type.type) !== type.status)
+        .map(type => ({ type: type.type, from: previousStatus.get(type.type), to: type.status }));
+
+    return {
+        added,
+        removed,
+        ttlChanged,
+        statusChanged,
+        changed: added.length + removed.length + ttlChanged.length + statusChanged.length > 0
+    };
+}
+
+/**
+ * Store a lookup. The result is diffed against the last stored answer to the same query,
+ * or against a given entry (when an entry is re-run)
+ * @param {object} query - Lookup options as given to dns-client's lookup()
+ * @param {object} result - Its result
+ * @param {string} previousId - Entry to compare with
+ * @returns {Promise<object>} The new entry { id, timestamp, query, result, previousId, previousTimestamp, diff }
+ */
+async function recordLookup(query, result, previousId = null) {
+    const history = await load();
+    const key = queryKey(query);
+    const previous = previousId
+        ? history.find(entry => entry.id === previousId)
+        : history.find(entry => entry.key === key);
+
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        timestamp: new Date().toISOString(),
+        key,
+        query: {
+            host: query.host,
+            recordType: query.recordType,
+            transport: query.transport || 'udp',
+            servers: query.servers || [],
+            timeout: query.timeout,
+            recursive: query.recursive !== false,
+            trace: Boolean(query.trace),
+            insecure: Boolean(query.insecure)
+        },
+        result,
+        previousId: previous ? previous.id : null,
+        previousTimestamp: previous ? previous.timestamp : null,
+        diff: previous ? diffResults(previous.result, result, (Date.now() - Date.parse(previous.timestamp)) / 1000) : null
+    };
+
+    history.unshift(entry);
+    if (history.length > MAX_ENTRIES) history.length = MAX_ENTRIES;
+    await save();
+    return entry;
+}
+
+/**
+ * Summary of an entry for lists (without the full result)
+ */
+function summarize(entry) {
+    const { result } = entry;
+    return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        query: entry.query,
+        servers: result.servers,
+        status: result.error ? result.error.split(':')[0] : 'NOERROR',
+        recordCount: (result.records || []).length,
+        changed: entry.diff ? entry.diff.changed : null
+    };
+}
+
+/**
+ * Search the history, newest first. Every word has to appear in the host, queried name,
+ * record type, transport, servers, status or one of the answer values
+ * @param {object} options - { search, limit (default 50) }
+ */
+async function searchHistory({ search = '', limit = 50 } = {}) {
+    const history = await load();
+    const words = String(search).toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = words.length === 0 ? history : history.filter((entry) => {
+        const haystack = [
+            entry.query.host,
+            entry.result.name,
+            entry.query.recordType,
+            entry.query.transport,
+            ...(entry.result.servers || []),
+            entry.result.error || 'NOERROR',
+            ...(entry.result.records || []).map(record => `${record.type} ${record.value}`)
+        ].join(' ').toLowerCase();
+        return words.every(word => haystack.includes(word));
+    });
+
+    return { total: history.length, matches: matches.length, entries: matches.slice(0, limit).map(summarize) };
+}
+
+async function getEntry(id) {
+    const history = await load();
+    return history.find(entry => entry.id === id) || null;
+}
+
+async function deleteEntry(id) {
+    const history = await load();
+    const index = history.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+    history.splice(index, 1);
+    await save();
+    return true;
+}
+
+async function clearHistory() {
+    await load();
+    entries = [];
+    await save();
+}
+
+module.exports = {
+    HISTORY_FILE,
+    recordLookup,
+    searchHistory,
+    getEntry,
+    deleteEntry,
+    clearHistory,
+    diffResults
+};
@@ -0,0 +1,400 @@
+/**
+ * DNS Server Module
+ * Small authoritative DNS server for Server Maker: answers from zone records over
+ * UDP and TCP, and forwards names outside its zone to upstream resolvers when any
+ * are configured
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const { decodeMessage, encodeMessage, parseRecordData } = require('./dns-wire');
+const { parseResolverList, queryServer } = require('./dns-client');
+
+const DEFAULT_OPTIONS = {
+    host: '127.0.0.1',
+    port: 5353,
+    origin: 'example.test',
+    zone: '',
+    ttl: 300,
+    forwarders: '',
+    insecureForwarders: false,
+    timeout: 3000
+};
+
+// Record data fields that hold domain names, qualified against the origin like in zone files
+const NAME_FIELDS = {
+    NS: [null],
+    CNAME: [null],
+    PTR: [null],
+    MX: ['exchange'],
+    SRV: ['target'],
+    SOA: ['mname', 'rname'],
+    NAPTR: ['replacement']
+};
+
+// CNAMEs followed inside the zone before giving up
+const MAX_CNAME_CHAIN = 8;
+
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/\.$/, '');
+}
+
+function isBelow(name, zone) {
+    return name === zone || name.endsWith(`.${zone}`);
+}
+
+/**
+ * Parse zone text: one record per line as "name [ttl] [IN] TYPE data", with "@" for the
+ * origin, relative names completed with the origin, a blank name repeating the previous
+ * one, "$TTL" setting the default TTL and ";" starting a comment
+ * @param {string} text - Zone records
+ * @param {object} options - { origin, ttl: default TTL (default 300) }
+ * @returns {Array<object>} Records as { name, type, class, ttl, data }
+ */
+function parseZone(text, options = {}) {
+    const origin = normalizeName(options.origin || '');
+    if (!origin) throw new Error('Zone origin is required');
+    let defaultTtl = Number(options.ttl) || DEFAULT_OPTIONS.ttl;
+    let previousName = origin;
+
+    const qualify = (name) => {
+        if (name === '@') return origin;
+        if (name.endsWith('.')) return normalizeName(name);
+        return `${name.toLowerCase()}.${origin}`;
+    };
+
+    const records = [];
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/;(?=(?:[^"]*"[^"]*")*[^"]*$).*$/, '');
+        if (!line.trim()) return;
+        const fail = (message) => { throw new Error(`Line ${index + 1}: ${message}`); };
+
+        const directive = line.trim().match(/^\$TTL\s+(\d+)$/i);
+        if (directive) {
+            defaultTtl = Number(directive[1]);
+            return;
+        }
+        if (line.trim().startsWith('$')) fail(`unsupported directive ${line.trim().split(/\s+/)[0]}`);
+
+        const match = line.match(/^(\S*)\s+(?:(\d+)\s+)?(?:IN\s+)?([A-Za-z][A-Za-z0-9]*)(?:\s+(.*))?$/i);
+        if (!match) fail('expected "name [ttl] TYPE data"');
+
+        const name = match[1] ? qualify(match[1]) : previousName;
+        const ttl = match[2] !== undefined ? Number(match[2]) : defaultTtl;
+        const type = match[3].toUpperCase();
+        if (type === 'OPT' || type === 'ANY') fail(`${type} is not a zone record type`);
+        const dataText = match[4] || '';
+
+        let data;
+        try {
+            data = parseRecordData(type, dataText);
+        } catch (error) {
+            fail(error.message);
+        }
+
+        for (const field of NAME_FIELDS[type] || []) {
+            if (field === null) data = qualify(data);
+            else data[field] = qualify(data[field]);
+        }
+
+        previousName = name;
+        records.push({ name, type, class: 'IN', ttl, data });
+    });
+
+    if (!records.some(record => record.type === 'SOA' && record.name === origin)) {
+        // Negative answers need an SOA; make one up when the zone has none
+        records.unshift({
+            name: origin,
+            type: 'SOA',
+            class: 'IN',
+            ttl: defaultTtl,
+            data: {
+                mname: `ns.${origin}`,
+                rname: `hostmaster.${origin}`,
+                serial: 1,
+                refresh: 3600,
+                retry: 600,
+                expire: 86400,
+                minimum: defaultTtl
+            }
+        });
+    }
+
+    return records;
+}
+
+class DnsServer extends EventEmitter {
+    /**
+     * @param {object} options - {
+     *   host (default 127.0.0.1), port (default 5353, UDP and TCP),
+     *   origin: zone name, zone: zone text (see parseZone), ttl: default TTL,
+     *   forwarders: resolver list (see dns-client parseResolverList) asked about names outside the zone,
+     *   insecureForwarders: skip certificate checks of tls:// and https:// forwarders (default false),
+     *   timeout: ms to wait for a forwarder (default 3000)
+     * }
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.udp = null;
+        this.tcp = null;
+        this.sockets = new Set();
+        this.configure(this.options);
+    }
+
+    /**
+     * Replace the zone and forwarders; queries already in flight finish with the old ones
+     */
+    configure({ origin, zone, ttl, forwarders, insecureForwarders }) {
+        this.origin = normalizeName(origin);
+        this.records = parseZone(zone, { origin, ttl });
+        this.forwarders = parseResolverList(forwarders).flatMap(resolver => resolver.servers);
+        this.insecureForwarders = Boolean(insecureForwarders);
+    }
+
+    /**
+     * Listen on UDP and TCP
+     * @returns {Promise<object>} { host, port }
+     */
+    async start() {
+        const { host, port } = this.options;
+        const type = net.isIPv6(host) ? 'udp6' : 'udp4';
+
+        this.udp = dgram.createSocket(type);
+        this.udp.on('message', (message, rinfo) => {
+            this.handle(message, rinfo, 'udp').then((response) => {
+                if (response && this.udp) this.udp.send(response, rinfo.port, rinfo.address);
+            }).catch(error => this.emit('error', error));
+        });
+
+        this.tcp = net.createServer(socket => this.handleConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.udp.once('error', reject);
+            this.udp.bind(port, host, () => {
+                this.udp.removeListener('error', reject);
+                this.udp.on('error', error => this.emit('error', error));
+                resolve();
+            });
+        });
+        await new Promise((resolve, reject) => {
+            this.tcp.once('error', reject);
+            this.tcp.listen(port, host, () => {
+                this.tcp.removeListener('error', reject);
+                this.tcp.on('error', error => this.emit('error', error));
+                resolve();
+            });
+        });
+
+        return { host, port };
+    }
+
+    stop() {
+        if (this.udp) this.udp.close();
+        if (this.tcp) this.tcp.close();
+        this.sockets.forEach(socket => socket.destroy());
+        this.udp = null;
+        this.tcp = null;
+    }
+
+    /**
+     * Length-prefixed messages over one TCP connection (RFC 7766)
+     */
+    handleConnection(socket) {
+        let buffered = Buffer.alloc(0);
+        const client = { address: socket.remoteAddress, port: socket.remotePort };
+        this.sockets.add(socket);
+        socket.setTimeout(10000, () => socket.destroy());
+        socket.on('close', () => this.sockets.delete(socket));
+        socket.on('error', () => {});
+
+        socket.on('data', (chunk) => {
+            buffered = Buffer.concat([buffered, chunk]);
+            while (buffered.length >= 2 && buffered.length >= 2 + buffered.readUInt16BE(0)) {
+                const message = buffered.subarray(2, 2 + buffered.readUInt16BE(0));
+                buffered = buffered.subarray(2 + message.length);
+                this.handle(message, client, 'tcp').then((response) => {
+                    if (!response || socket.destroyed) return;
+                    const length = Buffer.alloc(2);
+                    length.writeUInt16BE(response.length);
+                    socket.write(Buffer.concat([length, response]));
+                }).catch(error => this.emit('error', error));
+            }
+        });
+    }
+
+    /**
+     * Answer one query message; emits 'query' with what was asked and answered
+     * @returns {Promise<Buffer|null>} Response bytes, null when the message cannot be answered at all
+     */
+    async handle(buffer, client, protocol) {
+        const started = Date.now();
+        let query;
+        try {
+            query = decodeMessage(buffer);
+        } catch (error) {
+            if (buffer.length < 12) return null;
+            return encodeMessage({ id: buffer.readUInt16BE(0), response: true, rcode: 'FORMERR' });
+        }
+        if (query.response) return null;
+
+        const opt = query.additionals.find(record => record.type === 'OPT');
+        let response;
+        try {
+            response = await this.resolve(query);
+        } catch (error) {
+            this.emit('error', error);
+            response = { rcode: 'SERVFAIL', answers: [], authorities: [], additionals: [] };
+        }
+
+        const message = {
+            id: query.id,
+            response: true,
+            opcode: query.opcode,
+            questions: query.questions,
+            ...response,
+            flags: { recursionDesired: query.flags.recursionDesired, ...response.flags },
+            additionals: [...(response.additionals || []), ...(opt ? [{ name: '.', type: 'OPT', udpPayloadSize: 1232 }] : [])]
+        };
+
+        let encoded;
+        try {
+            encoded = encodeMessage(message);
+            const limit = opt ? Math.max(opt.udpPayloadSize, 512) : 512;
+            if (protocol === 'udp' && encoded.length > limit) {
+                // Too big for a datagram: the client retries over TCP
+                encoded = encodeMessage({ ...message, flags: { ...message.flags, truncated: true }, answers: [], authorities: [], additionals: [] });
+            }
+        } catch (error) {
+            // Something in the answer cannot be written back: SERVFAIL, or FORMERR without the
+            // question section when the question itself is what cannot be encoded
+            this.emit('error', new Error(`Cannot encode the answer to query ${query.id}: ${error.message}`));
+            const failure = { id: query.id, response: true, opcode: query.opcode, flags: message.flags };
+            try {
+                message.rcode = 'SERVFAIL';
+                encoded = encodeMessage({ ...failure, rcode: 'SERVFAIL', questions: query.questions });
+            } catch (questionError) {
+                message.rcode = 'FORMERR';
+                encoded = encodeMessage({ ...failure, rcode: 'FORMERR' });
+            }
+            message.answers = [];
+        }
+
+        const question = query.questions[0];
+        this.emit('query', {
+            timestamp: new Date().toISOString(),
+            protocol,
+            client: client.address,
+            name: question ? question.name : null,
+            type: question ? question.type : null,
+            rcode: message.rcode || 'NOERROR',
+            answers: (message.answers || []).length,
+            forwarded: Boolean(response.forwarded),
+            duration: Date.now() - started
+        });
+
+        return encoded;
+    }
+
+    /**
+     * Build the answer sections for a decoded query
+     * @returns {Promise<object>} { rcode, flags, answers, authorities, additionals, forwarded }
+     */
+    async resolve(query) {
+        if (query.opcode !== 'QUERY') return { rcode: 'NOTIMP' };
+        if (query.questions.length !== 1) return { rcode: 'FORMERR' };
+
+        const question = query.questions[0];
+        const name = normalizeName(question.name);
+
+        if (!isBelow(name, this.origin)) {
+            if (this.forwarders.length === 0 || !query.flags.recursionDesired) return { rcode: 'REFUSED' };
+            return this.forward(query, question);
+        }
+
+        const flags = { authoritative: true, recursionAvailable: this.forwarders.length > 0 };
+        const soa = this.records.find(record => record.type === 'SOA' && record.name === this.origin);
+        const answers = [];
+        let current = name;
+
+        for (let step = 0; step <= MAX_CNAME_CHAIN; step++) {
+            const owned = this.recordsAt(current);
+            if (owned === null) {
+                // The name does not exist; after a CNAME that is still a NOERROR answer for the alias
+                return answers.length
+                    ? { flags, answers }
+                    : { rcode: 'NXDOMAIN', flags, answers, authorities: [soa] };
+            }
+
+            const matching = question.type === 'ANY' ? owned : owned.filter(record => record.type === question.type);
+            if (matching.length > 0) {
+                return { flags, answers: [...answers, ...matching] };
+            }
+
+            const alias = owned.find(record => record.type === 'CNAME');
+            if (!alias) break;
+            answers.push(alias);
+            current = alias.data;
+            if (!isBelow(current, this.origin)) break;
+        }
+
+        // NODATA (or a CNAME leading out of the zone): the SOA tells how long to cache it
+        return answers.length ? { flags, answers } : { flags, answers, authorities: [soa] };
+    }
+
+    /**
+     * Records owned by a name, with wildcards answering for names that do not exist
+     * @returns {Array<object>|null} null when the name does not exist
+     */
+    recordsAt(name) {
+        const owned = this.records.filter(record => record.name === name);
+        if (owned.length > 0) return owned;
+
+        // Empty non-terminals (names with only children) exist without records
+        if (this.records.some(record => record.name.endsWith(`.${name}`))) return [];
+
+        const labels = name.split('.');
+        for (let i = 1; i < labels.length; i++) {
+            const parent = labels.slice(i).join('.');
+            if (!isBelow(parent, this.origin)) break;
+            const wildcard = this.records.filter(record => record.name === `*.${parent}`);
+            if (wildcard.length > 0) return wildcard.map(record => ({ ...record, name }));
+        }
+        return null;
+    }
+
+    /**
+     * Ask the forwarders in turn until one answers
+     */
+    async forward(query, question) {
+        const dnssecOk = query.additionals.some(record => record.type === 'OPT' && record.dnssecOk);
+        let lastError = null;
+
+        for (const server of this.forwarders) {
+            try {
+                const result = await queryServer(server, question.name, question.type, {
+                    timeout: this.options.timeout,
+                    dnssecOk,
+                    insecure: this.insecureForwarders
+                });
+                return {
+                    rcode: result.rcode,
+                    flags: { recursionAvailable: true, authenticData: result.flags.authenticData },
+                    answers: result.answers,
+                    authorities: result.authorities,
+                    additionals: result.additionals.filter(record => record.type !== 'OPT'),
+                    forwarded: true
+                };
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        this.emit('error', new Error(`No forwarder answered ${question.name} ${question.type}: ${lastError.message}`));
+        return { rcode: 'SERVFAIL', flags: { recursionAvailable: true }, forwarded: true };
+    }
+}
+
+module.exports = DnsServer;
+module.exports.parseZone = parseZone;
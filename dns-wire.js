@@ -0,0 +1,660 @@
+/**
+ * DNS Wire Format Module
+ * Decodes and encodes DNS messages (RFC 1035) as they appear on the wire
+ */
+
+const { formatIPv4, formatIPv6 } = require('./packet-decoder');
+const { parseIPv4, parseIPv6 } = require('./ip-range');
+
+const RECORD_TYPES = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    PTR: 12,
+    HINFO: 13,
+    MX: 15,
+    TXT: 16,
+    AAAA: 28,
+    SRV: 33,
+    NAPTR: 35,
+    OPT: 41,
+    DS: 43,
+    RRSIG: 46,
+    NSEC: 47,
+    DNSKEY: 48,
+    TLSA: 52,
+    SVCB: 64,
+    HTTPS: 65,
+    ANY: 255,
+    CAA: 257
+};
+
+const RECORD_TYPE_NAMES = Object.fromEntries(Object.entries(RECORD_TYPES).map(([name, value]) => [value, name]));
+
+const RCODE_NAMES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'];
+
+const OPCODE_NAMES = ['QUERY', 'IQUERY', 'STATUS', null, 'NOTIFY', 'UPDATE'];
+
+function typeName(type) {
+    return RECORD_TYPE_NAMES[type] || `TYPE${type}`;
+}
+
+/**
+ * Read a possibly compressed domain name
+ * @returns {{ name: string, offset: number }} Name and offset just past it in the original position
+ */
+function readName(buffer, offset) {
+    const labels = [];
+    let cursor = offset;
+    let end = null;
+    let jumps = 0;
+
+    while (true) {
+        if (cursor >= buffer.length) throw new Error('Name runs past end of message');
+        const length = buffer[cursor];
+
+        if (length === 0) {
+            cursor++;
+            break;
+        }
+
+        if ((length & 0xc0) === 0xc0) {
+            if (cursor + 1 >= buffer.length) throw new Error('Truncated compression pointer');
+            if (++jumps > 32) throw new Error('Compression pointer loop');
+            if (end === null) end = cursor + 2;
+            cursor = ((length & 0x3f) << 8) | buffer[cursor + 1];
+            continue;
+        }
+
+        if (length & 0xc0) throw new Error('Invalid label type');
+        if (cursor + 1 + length > buffer.length) throw new Error('Label runs past end of message');
+
+        labels.push(buffer.toString('latin1', cursor + 1, cursor + 1 + length));
+        cursor += 1 + length;
+    }
+
+    return { name: labels.length ? labels.join('.') : '.', offset: end === null ? cursor : end };
+}
+
+/**
+ * Read consecutive <character-string>s (length-prefixed) from record data
+ */
+function readCharacterStrings(rdata, offset, count) {
+    const strings = [];
+    let cursor = offset;
+    for (let i = 0; i < count && cursor < rdata.length; i++) {
+        const size = rdata[cursor];
+        strings.push(rdata.toString('utf8', cursor + 1, cursor + 1 + size));
+        cursor += 1 + size;
+    }
+    return { strings, offset: cursor };
+}
+
+/**
+ * Key tag of a DNSKEY's record data (RFC 4034 appendix B), to match it with DS and RRSIG records
+ */
+function keyTag(rdata) {
+    let sum = 0;
+    for (let i = 0; i < rdata.length; i++) {
+        sum += i & 1 ? rdata[i] : rdata[i] << 8;
+    }
+    sum += (sum >> 16) & 0xffff;
+    return sum & 0xffff;
+}
+
+/**
+ * Decode record data for the common record types; others are returned as hex
+ */
+function decodeRecordData(type, buffer, offset, length) {
+    const rdata = buffer.subarray(offset, offset + length);
+
+    switch (type) {
+        case RECORD_TYPES.A:
+            if (length !== 4) break;
+            return formatIPv4(buffer, offset);
+
+        case RECORD_TYPES.AAAA:
+            if (length !== 16) break;
+            return formatIPv6(buffer, offset);
+
+        case RECORD_TYPES.NS:
+        case RECORD_TYPES.CNAME:
+        case RECORD_TYPES.PTR:
+            return readName(buffer, offset).name;
+
+        case RECORD_TYPES.MX:
+            return {
+                preference: buffer.readUInt16BE(offset),
+                exchange: readName(buffer, offset + 2).name
+            };
+
+        case RECORD_TYPES.TXT: {
+            const strings = [];
+            for (let i = 0; i < rdata.length;) {
+                const size = rdata[i];
+                strings.push(rdata.toString('utf8', i + 1, i + 1 + size));
+                i += 1 + size;
+            }
+            return strings;
+        }
+
+        case RECORD_TYPES.SOA: {
+            const mname = readName(buffer, offset);
+            const rname = readName(buffer, mname.offset);
+            const cursor = rname.offset;
+            return {
+                mname: mname.name,
+                rname: rname.name,
+                serial: buffer.readUInt32BE(cursor),
+                refresh: buffer.readUInt32BE(cursor + 4),
+                retry: buffer.readUInt32BE(cursor + 8),
+                expire: buffer.readUInt32BE(cursor + 12),
+                minimum: buffer.readUInt32BE(cursor + 16)
+            };
+        }
+
+        case RECORD_TYPES.SRV:
+            return {
+                priority: buffer.readUInt16BE(offset),
+                weight: buffer.readUInt16BE(offset + 2),
+                port: buffer.readUInt16BE(offset + 4),
+                target: readName(buffer, offset + 6).name
+            };
+
+        case RECORD_TYPES.CAA: {
+            const tagLength = rdata[1];
+            return {
+                critical: rdata[0] & 0x80 ? 1 : 0,
+                tag: rdata.toString('latin1', 2, 2 + tagLength),
+                value: rdata.toString('utf8', 2 + tagLength)
+            };
+        }
+
+        case RECORD_TYPES.HINFO: {
+            const [cpu, os] = readCharacterStrings(rdata, 0, 2).strings;
+            return { cpu, os };
+        }
+
+        case RECORD_TYPES.NAPTR: {
+            const { strings, offset: cursor } = readCharacterStrings(rdata, 4, 3);
+            return {
+                order: rdata.readUInt16BE(0),
+                preference: rdata.readUInt16BE(2),
+                flags: strings[0],
+                services: strings[1],
+                regexp: strings[2],
+                replacement: readName(buffer, offset + cursor).name
+            };
+        }
+
+        case RECORD_TYPES.TLSA:
+            return {
+                usage: rdata[0],
+                selector: rdata[1],
+                matchingType: rdata[2],
+                certificate: rdata.toString('hex', 3)
+            };
+
+        case RECORD_TYPES.DS:
+            return {
+                keyTag: rdata.readUInt16BE(0),
+                algorithm: rdata[2],
+                digestType: rdata[3],
+                digest: rdata.toString('hex', 4)
+            };
+
+        case RECORD_TYPES.DNSKEY:
+            return {
+                flags: rdata.readUInt16BE(0),
+                protocol: rdata[2],
+                algorithm: rdata[3],
+                publicKey: rdata.toString('base64', 4),
+                keyTag: keyTag(rdata)
+            };
+
+        case RECORD_TYPES.RRSIG: {
+            // The signer's name is never compressed (RFC 4034 section 3.1.7)
+            const signer = readName(rdata, 18);
+            return {
+                typeCovered: typeName(rdata.readUInt16BE(0)),
+                algorithm: rdata[2],
+                labels: rdata[3],
+                originalTtl: rdata.readUInt32BE(4),
+                expiration: rdata.readUInt32BE(8),
+                inception: rdata.readUInt32BE(12),
+                keyTag: rdata.readUInt16BE(16),
+                signerName: signer.name,
+                signature: rdata.toString('base64', signer.offset)
+            };
+        }
+    }
+
+    return rdata.toString('hex');
+}
+
+/**
+ * Read a resource record
+ */
+function readRecord(buffer, offset) {
+    const { name, offset: cursor } = readName(buffer, offset);
+    if (cursor + 10 > buffer.length) throw new Error('Truncated resource record');
+
+    const type = buffer.readUInt16BE(cursor);
+    const rrClass = buffer.readUInt16BE(cursor + 2);
+    const ttl = buffer.readUInt32BE(cursor + 4);
+    const length = buffer.readUInt16BE(cursor + 8);
+    const dataOffset = cursor + 10;
+    if (dataOffset + length > buffer.length) throw new Error('Record data runs past end of message');
+
+    const record = { name, type: typeName(type), typeCode: type, ttl, dataLength: length };
+
+    if (type === RECORD_TYPES.OPT) {
+        // EDNS(0): class carries the UDP payload size, TTL the extended flags
+        record.udpPayloadSize = rrClass;
+        record.dnssecOk = Boolean(ttl & 0x8000);
+    } else {
+        record.class = rrClass === 1 ? 'IN' : rrClass;
+        record.data = decodeRecordData(type, buffer, dataOffset, length);
+    }
+
+    return { record, offset: dataOffset + length };
+}
+
+/**
+ * Decode a DNS message
+ * @param {Buffer} buffer - Message bytes (without the TCP length prefix)
+ * @returns {object} { id, flags, opcode, rcode, questions, answers, authorities, additionals }
+ */
+function decodeMessage(buffer) {
+    if (buffer.length < 12) throw new Error('DNS message shorter than its header');
+
+    const flags = buffer.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(offset => buffer.readUInt16BE(offset));
+    const rcode = flags & 0x0f;
+    const opcode = (flags >> 11) & 0x0f;
+
+    const message = {
+        id: buffer.readUInt16BE(0),
+        response: Boolean(flags & 0x8000),
+        opcode: OPCODE_NAMES[opcode] || opcode,
+        flags: {
+            authoritative: Boolean(flags & 0x0400),
+            truncated: Boolean(flags & 0x0200),
+            recursionDesired: Boolean(flags & 0x0100),
+            recursionAvailable: Boolean(flags & 0x0080),
+            authenticData: Boolean(flags & 0x0020),
+            checkingDisabled: Boolean(flags & 0x0010)
+        },
+        rcode: RCODE_NAMES[rcode] || rcode,
+        questions: [],
+        answers: [],
+        authorities: [],
+        additionals: []
+    };
+
+    let offset = 12;
+    for (let i = 0; i < counts[0]; i++) {
+        const { name, offset: cursor } = readName(buffer, offset);
+        if (cursor + 4 > buffer.length) throw new Error('Truncated question');
+        const type = buffer.readUInt16BE(cursor);
+        message.questions.push({ name, type: typeName(type), typeCode: type, class: buffer.readUInt16BE(cursor + 2) === 1 ? 'IN' : buffer.readUInt16BE(cursor + 2) });
+        offset = cursor + 4;
+    }
+
+    const sections = [message.answers, message.authorities, message.additionals];
+    sections.forEach((section, index) => {
+        for (let i = 0; i < counts[index + 1]; i++) {
+            const { record, offset: next } = readRecord(buffer, offset);
+            section.push(record);
+            offset = next;
+        }
+    });
+
+    return message;
+}
+
+/**
+ * Encode a domain name as uncompressed labels. Labels readName() decoded (one character per
+ * byte) are written back byte for byte; labels with wider characters are written as UTF-8
+ */
+function writeName(name) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = [];
+
+    for (const label of labels) {
+        const bytes = Buffer.from(label, /^[\x00-\xff]*$/.test(label) ? 'latin1' : 'utf8');
+        if (bytes.length > 63) throw new Error(`Label "${label}" is longer than 63 bytes`);
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+    parts.push(Buffer.from([0]));
+    return Buffer.concat(parts);
+}
+
+/**
+ * Numeric type of a record type name; "TYPEnnn" (as typeName() gives for unknown types, TYPE0
+ * included) maps back to nnn
+ */
+function typeCode(type) {
+    const code = typeof type === 'number' ? type : RECORD_TYPES[String(type).toUpperCase()] ?? Number((String(type).match(/^TYPE(\d+)$/i) || [])[1]);
+    if (!Number.isInteger(code) || code < 0 || code > 0xffff) throw new Error(`Unknown record type ${type}`);
+    return code;
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+}
+
+/**
+ * Encode <character-string>s, splitting text longer than 255 bytes
+ */
+function writeCharacterStrings(strings) {
+    const parts = [];
+    for (const text of strings) {
+        const bytes = Buffer.from(String(text), 'utf8');
+        for (let i = 0; i === 0 || i < bytes.length; i += 255) {
+            const chunk = bytes.subarray(i, i + 255);
+            parts.push(Buffer.from([chunk.length]), chunk);
+        }
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode record data given in the shape decodeRecordData() returns
+ */
+function encodeRecordData(type, data) {
+    switch (type) {
+        case RECORD_TYPES.A: {
+            const value = parseIPv4(data);
+            if (value === null) throw new Error(`Invalid IPv4 address "${data}"`);
+            return uint32(value);
+        }
+
+        case RECORD_TYPES.AAAA: {
+            const value = parseIPv6(data);
+            if (value === null) throw new Error(`Invalid IPv6 address "${data}"`);
+            return Buffer.from(value.toString(16).padStart(32, '0'), 'hex');
+        }
+
+        case RECORD_TYPES.NS:
+        case RECORD_TYPES.CNAME:
+        case RECORD_TYPES.PTR:
+            return writeName(data);
+
+        case RECORD_TYPES.MX:
+            return Buffer.concat([uint16(data.preference), writeName(data.exchange)]);
+
+        case RECORD_TYPES.TXT:
+            return writeCharacterStrings(Array.isArray(data) ? data : [data]);
+
+        case RECORD_TYPES.SOA:
+            return Buffer.concat([
+                writeName(data.mname),
+                writeName(data.rname),
+                ...[data.serial, data.refresh, data.retry, data.expire, data.minimum].map(uint32)
+            ]);
+
+        case RECORD_TYPES.SRV:
+            return Buffer.concat([uint16(data.priority), uint16(data.weight), uint16(data.port), writeName(data.target)]);
+
+        case RECORD_TYPES.CAA: {
+            const tag = Buffer.from(data.tag, 'latin1');
+            return Buffer.concat([Buffer.from([data.critical ? 0x80 : 0, tag.length]), tag, Buffer.from(data.value, 'utf8')]);
+        }
+
+        case RECORD_TYPES.HINFO:
+            return writeCharacterStrings([data.cpu, data.os]);
+
+        case RECORD_TYPES.NAPTR:
+            return Buffer.concat([
+                uint16(data.order),
+                uint16(data.preference),
+                writeCharacterStrings([data.flags, data.services, data.regexp]),
+                writeName(data.replacement)
+            ]);
+
+        case RECORD_TYPES.TLSA:
+            return Buffer.concat([Buffer.from([data.usage, data.selector, data.matchingType]), Buffer.from(data.certificate, 'hex')]);
+
+        case RECORD_TYPES.DS:
+            return Buffer.concat([uint16(data.keyTag), Buffer.from([data.algorithm, data.digestType]), Buffer.from(data.digest, 'hex')]);
+
+        case RECORD_TYPES.DNSKEY:
+            return Buffer.concat([uint16(data.flags), Buffer.from([data.protocol, data.algorithm]), Buffer.from(data.publicKey, 'base64')]);
+
+        case RECORD_TYPES.RRSIG:
+            return Buffer.concat([
+                uint16(typeCode(data.typeCovered)),
+                Buffer.from([data.algorithm, data.labels]),
+                uint32(data.originalTtl),
+                uint32(data.expiration),
+                uint32(data.inception),
+                uint16(data.keyTag),
+                writeName(data.signerName),
+                Buffer.from(data.signature, 'base64')
+            ]);
+    }
+
+    // Types without a decoder round-trip as hex
+    if (Buffer.isBuffer(data)) return data;
+    if (typeof data === 'string' && /^(?:[0-9a-f]{2})*$/i.test(data)) return Buffer.from(data, 'hex');
+    throw new Error(`Cannot encode ${typeName(type)} record data`);
+}
+
+/**
+ * Encode a resource record ({ name, type, class, ttl, data } as decodeMessage() returns it)
+ */
+function writeRecord(record) {
+    const code = typeCode(record.type);
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(code, 0);
+
+    if (code === RECORD_TYPES.OPT) {
+        // EDNS(0): class carries the UDP payload size, TTL the extended RCODE/version/flags
+        fixed.writeUInt16BE(record.udpPayloadSize || 1232, 2);
+        fixed.writeUInt32BE(record.dnssecOk ? 0x8000 : 0, 4);
+        return Buffer.concat([Buffer.from([0]), fixed]);
+    }
+
+    const rdata = encodeRecordData(code, record.data);
+    fixed.writeUInt16BE(record.class === undefined || record.class === 'IN' ? 1 : record.class, 2);
+    fixed.writeUInt32BE(record.ttl >>> 0, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([writeName(record.name), fixed, rdata]);
+}
+
+/**
+ * Encode a DNS message; the inverse of decodeMessage(). Names are written uncompressed
+ * @param {object} message - { id, response, opcode, flags, rcode, questions, answers, authorities, additionals },
+ *   any of which may be left out (an empty query with id 0)
+ * @returns {Buffer}
+ */
+function encodeMessage(message) {
+    const flags = message.flags || {};
+    const opcode = typeof message.opcode === 'number' ? message.opcode : Math.max(OPCODE_NAMES.indexOf(message.opcode || 'QUERY'), 0);
+    const rcode = typeof message.rcode === 'number' ? message.rcode : Math.max(RCODE_NAMES.indexOf(message.rcode || 'NOERROR'), 0);
+    const questions = message.questions || [];
+    const sections = [message.answers || [], message.authorities || [], message.additionals || []];
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(message.id || 0, 0);
+    header.writeUInt16BE(
+        (message.response ? 0x8000 : 0) |
+        ((opcode & 0x0f) << 11) |
+        (flags.authoritative ? 0x0400 : 0) |
+        (flags.truncated ? 0x0200 : 0) |
+        (flags.recursionDesired ? 0x0100 : 0) |
+        (flags.recursionAvailable ? 0x0080 : 0) |
+        (flags.authenticData ? 0x0020 : 0) |
+        (flags.checkingDisabled ? 0x0010 : 0) |
+        (rcode & 0x0f),
+        2
+    );
+    [questions, ...sections].forEach((section, index) => header.writeUInt16BE(section.length, 4 + index * 2));
+
+    const parts = [header];
+    for (const question of questions) {
+        const rrClass = question.class === undefined || question.class === 'IN' ? 1 : question.class;
+        parts.push(writeName(question.name), uint16(typeCode(question.type)), uint16(rrClass));
+    }
+    sections.forEach(section => section.forEach(record => parts.push(writeRecord(record))));
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Build a single-question query message
+ * @param {string} name - Domain name ("" or "." for the root)
+ * @param {string|number} type - Record type name or code
+ * @param {object} options - {
+ *   id (random by default), recursionDesired (default true), unicastResponse (mDNS QU bit),
+ *   edns: add an EDNS(0) OPT record (RFC 6891), dnssecOk: set its DO bit, udpPayloadSize (default 1232)
+ * }
+ */
+function encodeQuery(name, type, options = {}) {
+    const edns = options.edns || options.dnssecOk;
+    return encodeMessage({
+        id: options.id ?? Math.floor(Math.random() * 0x10000),
+        flags: { recursionDesired: options.recursionDesired !== false },
+        questions: [{ name, type, class: options.unicastResponse ? 0x8001 : 1 }],
+        additionals: edns ? [{ name: '.', type: 'OPT', udpPayloadSize: options.udpPayloadSize, dnssecOk: options.dnssecOk }] : []
+    });
+}
+
+/**
+ * RRSIG timestamp in presentation form (YYYYMMDDHHmmSS, UTC)
+ */
+function formatTimestamp(seconds) {
+    return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Split presentation text into fields; double-quoted strings stay one field and
+ * an unquoted ";" starts a comment
+ */
+function splitFields(text) {
+    const fields = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (match[2] && match[2].startsWith(';')) break;
+        fields.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+    }
+    return fields;
+}
+
+/**
+ * Parse record data from presentation text into the shape decodeRecordData() returns;
+ * the inverse of formatRecordData()
+ * @param {string} type - Record type name
+ * @param {string} text - e.g. "10 mail.example.com" for MX
+ */
+function parseRecordData(type, text) {
+    const fields = splitFields(String(text));
+    const number = (index, name) => {
+        const value = Number(fields[index]);
+        if (fields[index] === undefined || !Number.isInteger(value) || value < 0) {
+            throw new Error(`${type} record needs a number for its ${name}`);
+        }
+        return value;
+    };
+    const word = (index, name) => {
+        if (fields[index] === undefined) throw new Error(`${type} record is missing its ${name}`);
+        return fields[index];
+    };
+
+    switch (String(type).toUpperCase()) {
+        case 'A':
+            if (parseIPv4(word(0, 'address')) === null) throw new Error(`Invalid IPv4 address "${fields[0]}"`);
+            return fields[0];
+        case 'AAAA':
+            if (parseIPv6(word(0, 'address')) === null) throw new Error(`Invalid IPv6 address "${fields[0]}"`);
+            return fields[0];
+        case 'NS':
+        case 'CNAME':
+        case 'PTR':
+            return word(0, 'target');
+        case 'MX':
+            return { preference: number(0, 'preference'), exchange: word(1, 'exchange') };
+        case 'TXT':
+            if (fields.length === 0) throw new Error('TXT record is empty');
+            return fields;
+        case 'SOA':
+            return {
+                mname: word(0, 'primary name server'),
+                rname: word(1, 'mailbox'),
+                serial: number(2, 'serial'),
+                refresh: number(3, 'refresh'),
+                retry: number(4, 'retry'),
+                expire: number(5, 'expire'),
+                minimum: number(6, 'minimum TTL')
+            };
+        case 'SRV':
+            return { priority: number(0, 'priority'), weight: number(1, 'weight'), port: number(2, 'port'), target: word(3, 'target') };
+        case 'CAA':
+            return { critical: number(0, 'flags'), tag: word(1, 'tag'), value: word(2, 'value') };
+        case 'HINFO':
+            return { cpu: word(0, 'CPU'), os: word(1, 'OS') };
+        case 'NAPTR':
+            return {
+                order: number(0, 'order'),
+                preference: number(1, 'preference'),
+                flags: word(2, 'flags'),
+                services: word(3, 'services'),
+                regexp: word(4, 'regexp'),
+                replacement: word(5, 'replacement')
+            };
+        case 'TLSA':
+            return { usage: number(0, 'usage'), selector: number(1, 'selector'), matchingType: number(2, 'matching type'), certificate: fields.slice(3).join('') };
+        case 'DS':
+            return { keyTag: number(0, 'key tag'), algorithm: number(1, 'algorithm'), digestType: number(2, 'digest type'), digest: fields.slice(3).join('') };
+        case 'DNSKEY':
+            return { flags: number(0, 'flags'), protocol: number(1, 'protocol'), algorithm: number(2, 'algorithm'), publicKey: fields.slice(3).join('') };
+        default:
+            if (!RECORD_TYPES[String(type).toUpperCase()]) throw new Error(`Unknown record type ${type}`);
+            throw new Error(`${type} records cannot be written as text`);
+    }
+}
+
+/**
+ * Format record data as presentation text
+ */
+function formatRecordData(record) {
+    const { data } = record;
+    if (data === undefined) return '';
+    if (typeof data === 'string') return data;
+    if (Array.isArray(data)) return data.map(text => `"${text}"`).join(' ');
+
+    switch (record.type) {
+        case 'MX': return `${data.preference} ${data.exchange}`;
+        case 'SRV': return `${data.priority} ${data.weight} ${data.port} ${data.target}`;
+        case 'SOA': return `${data.mname} ${data.rname} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minimum}`;
+        case 'CAA': return `${data.critical} ${data.tag} "${data.value}"`;
+        case 'HINFO': return `"${data.cpu}" "${data.os}"`;
+        case 'NAPTR': return `${data.order} ${data.preference} "${data.flags}" "${data.services}" "${data.regexp}" ${data.replacement}`;
+        case 'TLSA': return `${data.usage} ${data.selector} ${data.matchingType} ${data.certificate}`;
+        case 'DS': return `${data.keyTag} ${data.algorithm} ${data.digestType} ${data.digest}`;
+        case 'DNSKEY': return `${data.flags} ${data.protocol} ${data.algorithm} ${data.publicKey} ; key tag ${data.keyTag}`;
+        case 'RRSIG': return `${data.typeCovered} ${data.algorithm} ${data.labels} ${data.originalTtl} ${formatTimestamp(data.expiration)} ${formatTimestamp(data.inception)} ${data.keyTag} ${data.signerName} ${data.signature}`;
+        default: return JSON.stringify(data);
+    }
+}
+
+module.exports = {
+    RECORD_TYPES,
+    decodeMessage,
+    encodeMessage,
+    encodeQuery,
+    formatRecordData,
+    parseRecordData,
+    readName
+};
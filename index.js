@@ -4,11 +4,30 @@ const path = require('path');
 const fs = require('fs');
 const dns = require('dns');
 const net = require('net');
-const { fsPromises } = require('fs');
+const dgram = require('dgram');
+const tls = require('tls');
+const { promises: fsPromises } = require('fs');
 const semver = require('semver');
+const PacketAnalyzer = require('./packet-analyzer');
+const PacketCapture = require('./packet-capture');
+const { compileFilter, validateFilter } = require('./display-filter');
+const { ping, getPingCapabilities } = require('./ping');
+const { getNeighborTable, discoverIPv6Hosts } = require('./neighbors');
+const Traceroute = require('./traceroute');
+const PathMonitor = require('./mtr');
+const PortScanner = require('./port-scanner');
+const { lookup: dnsLookup, compareResolvers, parseResolverList } = require('./dns-client');
+const dnsHistory = require('./dns-history');
+const { parseZone } = require('./dns-server');
+const { normalizeHttpConfig } = require('./mock-http');
+const { normalizeSocketConfig } = require('./tcp-server');
+const { normalizeProxyConfig } = require('./proxy-server');
+const { generateCertificate } = require('./certificate');
+const RequestLog = require('./request-log');
+const WorkspaceManager = require('./workspace-manager');
+const { portRange } = PortScanner;
 
 const registeredCommands = new Set();
-const activeServers = new Map();
 
 
 ipcMain.on('minimize-window', () => {
@@ -642,29 +661,40 @@ ipcMain.handle('netNav.checkConnectivity', async () => {
 });
 
 // Check if a port is listening
-ipcMain.handle('check-port-listener', async (event, port) => {
+ipcMain.handle('check-port-listener', async (event, port, protocol = 'tcp') => {
+    const label = protocol === 'udp' ? 'UDP' : 'TCP';
+
     return new Promise((resolve) => {
-        const server = net.createServer();
+        // Binding the port ourselves fails with EADDRINUSE when something already listens on it
+        const server = protocol === 'udp' ? dgram.createSocket('udp4') : net.createServer();
+        const release = () => {
+            try {
+                server.close();
+            } catch (error) {
+                // Never bound
+            }
+        };
 
         server.once('error', (err) => {
-            if (err.code === 'EADDRINUSE') {
-                resolve({ listening: true, port, protocol: 'TCP' });
-            } else {
-                resolve({ listening: false, port, protocol: 'TCP' });
-            }
+            release();
+            resolve({ listening: err.code === 'EADDRINUSE', port, protocol: label });
         });
 
         server.once('listening', () => {
-            server.close();
-            resolve({ listening: false, port, protocol: 'TCP' });
+            release();
+            resolve({ listening: false, port, protocol: label });
         });
 
-        server.listen(port, '127.0.0.1');
+        if (protocol === 'udp') {
+            server.bind(port, '127.0.0.1');
+        } else {
+            server.listen(port, '127.0.0.1');
+        }
 
         // Timeout after 1 second
         setTimeout(() => {
-            server.close();
-            resolve({ listening: false, port, protocol: 'TCP' });
+            release();
+            resolve({ listening: false, port, protocol: label });
         }, 1000);
     });
 });
@@ -754,178 +784,251 @@ ipcMain.handle('updates-json', async () => {
 });
 
 
-ipcMain.handle('create-server', async (event, data) => {
-    const { spawn } = require('child_process');
+// ============================================================
+// Server Maker
+// Every server runs server-runtime.js in a child process for its workspace
+// (~/.netnavigator/workspaces/<name>), configured by the workspace's config.json;
+// the workspace manager starts, stops and restarts them
+// ============================================================
 
+const WORKSPACES_PATH = path.join(os.homedir(), '.netnavigator', 'workspaces');
+const SERVER_TYPES = ['http', 'https', 'socket', 'ws', 'dns', 'proxy'];
+const WEBSOCKET_MODES = ['echo', 'broadcast'];
+
+// Requests each server received, by server name; kept across restarts until cleared
+const requestLogs = new Map();
+
+function getRequestLog(name) {
+    if (!requestLogs.has(name)) requestLogs.set(name, new RequestLog());
+    return requestLogs.get(name);
+}
+
+/**
+ * Certificate of an HTTPS server: a new self-signed one written to the workspace, or the
+ * user's own files, checked to load as a pair
+ */
+async function prepareTls(tlsOptions, serverPath) {
+    if (!tlsOptions || tlsOptions.mode !== 'files') {
+        const { cert, key, fingerprint, validTo } = generateCertificate();
+        await fsPromises.writeFile(path.join(serverPath, 'cert.pem'), cert);
+        await fsPromises.writeFile(path.join(serverPath, 'key.pem'), key, { mode: 0o600 });
+        return { selfSigned: true, certFile: 'cert.pem', keyFile: 'key.pem', fingerprint, validTo };
+    }
+
+    if (!tlsOptions.certFile || !tlsOptions.keyFile) {
+        throw new Error('Choose both a certificate and a private key file');
+    }
+    try {
+        tls.createSecureContext({
+            cert: await fsPromises.readFile(tlsOptions.certFile),
+            key: await fsPromises.readFile(tlsOptions.keyFile)
+        });
+    } catch (error) {
+        throw new Error(`Certificate not usable: ${error.message}`);
+    }
+    return { selfSigned: false, certFile: tlsOptions.certFile, keyFile: tlsOptions.keyFile };
+}
+
+/**
+ * Check the type-specific part of a server config; throws with a message for the user
+ */
+function validateServerConfig(config) {
+    if (config.http) normalizeHttpConfig(config.http);
+    if (config.socket) normalizeSocketConfig(config.socket);
+    if (config.proxy) normalizeProxyConfig(config.proxy);
+    if (config.ws && !WEBSOCKET_MODES.includes(config.ws.mode)) {
+        throw new Error(`Unknown WebSocket mode "${config.ws.mode}"`);
+    }
+    if (config.type === 'dns') {
+        const { origin, zone, ttl, forwarders } = config.dns || {};
+        parseZone(zone, { origin, ttl });
+        parseResolverList(forwarders);
+    }
+}
+
+const workspaces = new WorkspaceManager(WORKSPACES_PATH);
+
+function sendToWindow(channel, ...args) {
+    const win = BrowserWindow.getAllWindows()[0];
+    if (win) win.webContents.send(channel, ...args);
+}
+
+workspaces.on('output', (name, stream, chunk) => sendToWindow('server-output', name, stream, chunk));
+workspaces.on('status', (name, status) => sendToWindow('server-status', name, status));
+workspaces.on('exited', (name, code, signal) => sendToWindow('server-exited', name, code, signal));
+// Proxies with logTraffic set add the bytes they relay to Packet Analysis's connection statistics
+workspaces.on('traffic', (name, connections) => {
+    connections.forEach(({ client, target, bytes, count }) => {
+        packetAnalyzer.recordConnectionTraffic(`${client} -> ${target} (${name})`, { bytes, count });
+    });
+    sendToWindow('packet-statistics', packetAnalyzer.getStatistics());
+});
+workspaces.on('request', (name, record) => {
+    const entry = getRequestLog(name).add(record);
+    sendToWindow('server-request', name, RequestLog.summarize(entry));
+});
+
+ipcMain.handle('create-server', async (event, data) => {
     // Validate input
     if (!data || !data.name || !data.port) {
         throw new Error('Invalid server configuration: name and port are required');
     }
+    if (!/^[\w.-]+$/.test(data.name) || data.name.startsWith('.')) {
+        throw new Error('Server name may only contain letters, digits, ".", "_" and "-"');
+    }
 
-    const homedir = os.homedir();
-    const workspacePath = path.join(homedir, '.netnavigator', 'workspaces');
+    const port = parseInt(data.port, 10);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('Port must be between 1 and 65535');
+    }
 
-    if (!workspacePath) {
-        throw new Error('Failed to determine workspace path');
+    if (data.type && !SERVER_TYPES.includes(data.type)) {
+        throw new Error(`Unknown server type "${data.type}"`);
     }
 
-    const serverPath = path.join(workspacePath, data.name);
+    const serverPath = path.join(WORKSPACES_PATH, data.name);
     const serverConfig = {
         name: data.name,
-        port: data.port,
+        port,
         type: data.type || 'http',
-        createdAt: new Date().toISOString(),
-        status: 'starting'
+        autostart: Boolean(data.autostart),
+        createdAt: new Date().toISOString()
     };
 
-    // Check if server already exists and is running
-    if (activeServers.has(data.name)) {
-        throw new Error('Server is already running');
+    if (serverConfig.type === 'dns') {
+        const dnsConfig = data.dns || {};
+        serverConfig.dns = {
+            origin: String(dnsConfig.origin || '').trim(),
+            zone: String(dnsConfig.zone || ''),
+            ttl: parseInt(dnsConfig.ttl, 10) || 300,
+            forwarders: String(dnsConfig.forwarders || ''),
+            insecureForwarders: Boolean(dnsConfig.insecureForwarders)
+        };
+    } else if (serverConfig.type === 'socket') {
+        serverConfig.socket = normalizeSocketConfig(data.socket);
+    } else if (serverConfig.type === 'ws') {
+        serverConfig.ws = { mode: (data.ws && data.ws.mode) || 'echo' };
+    } else if (serverConfig.type === 'proxy') {
+        serverConfig.proxy = normalizeProxyConfig(data.proxy);
+    } else {
+        // Routes, latency and error injection; new servers start with the default routes
+        serverConfig.http = normalizeHttpConfig(data.http);
+    }
+
+    if (fs.existsSync(path.join(serverPath, 'config.json'))) {
+        throw new Error(`A server named "${data.name}" already exists`);
     }
 
+    validateServerConfig(serverConfig);
+
     if (!fs.existsSync(serverPath)) {
         await fsPromises.mkdir(serverPath, { recursive: true });
     }
 
-    await fsPromises.writeFile(path.join(serverPath, 'config.json'), JSON.stringify(serverConfig, null, 2));
+    if (serverConfig.type === 'https') {
+        serverConfig.tls = await prepareTls(data.tls, serverPath);
+    }
 
-    const jsServer = `
-const http = require('http');
-const hostname = 'localhost';
-const port = ${data.port};
+    await workspaces.writeConfig(data.name, serverConfig);
 
-const server = http.createServer((req, res) => {
-   if (req.url === '/') {
-       res.statusCode = 200;
-       res.setHeader('Content-Type', 'text/plain');
-       res.end('Hello World');
-   } else if (req.url === '/test') {
-       res.statusCode = 200;
-       res.setHeader('Content-Type', 'text/plain');
-       res.end('Test');
-   } else if (req.url === '/api') {
-       res.statusCode = 200;
-       res.setHeader('Content-Type', 'application/json');
-       res.end(JSON.stringify({ message: 'Hello World' }));
-   } else {
-       res.statusCode = 404;
-       res.setHeader('Content-Type', 'text/plain');
-       res.end('Not Found');
-   }
-});
+    // The server stays saved even if it cannot start, e.g. when the port is taken
+    await workspaces.start(data.name);
 
-server.listen(port, hostname, () => {
-     console.log(\`Server running at http://\${hostname}:\${port}/\`);
+    return {
+        success: true,
+        message: 'Server created and started successfully',
+        serverId: data.name,
+        config: serverConfig
+    };
 });
 
-process.on('SIGTERM', () => {
-     console.log('SIGTERM signal received: closing HTTP server');
-     server.close(() => {
-          console.log('HTTP server closed');
-     });
+// Saved configuration of a server
+ipcMain.handle('get-server-config', async (event, serverName) => {
+    return workspaces.readConfig(serverName);
 });
-`;
-
-    await fsPromises.writeFile(path.join(serverPath, 'server.js'), jsServer);
 
-    // Spawn the server process
-    const serverProcess = spawn('node', ['server.js'], {
-        cwd: serverPath,
-        stdio: ['ignore', 'pipe', 'pipe']
-    });
+// Change a server's settings; a running server picks up the saved config.json by itself
+ipcMain.handle('update-server-config', async (event, serverName, changes) => {
+    const config = await workspaces.readConfig(serverName);
 
-    let stdout = '';
-    let stderr = '';
-
-    // Capture stdout
-    serverProcess.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        stdout += chunk;
-        console.log(`[${data.name}] stdout:`, chunk);
-        // Send to renderer
-        const win = BrowserWindow.getAllWindows()[0];
-        if (win) {
-            win.webContents.send('server-output', data.name, 'stdout', chunk);
-        }
-    });
+    if (changes.autostart !== undefined) {
+        config.autostart = Boolean(changes.autostart);
+    }
 
-    // Capture stderr
-    serverProcess.stderr.on('data', (data) => {
-        const chunk = data.toString();
-        stderr += chunk;
-        console.log(`[${data.name}] stderr:`, chunk);
-        // Send to renderer
-        const win = BrowserWindow.getAllWindows()[0];
-        if (win) {
-            win.webContents.send('server-output', data.name, 'stderr', chunk);
-        }
-    });
+    // The port cannot change while listening, so a running server restarts on the new one
+    const port = changes.port !== undefined ? parseInt(changes.port, 10) : config.port;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new Error('Port must be between 1 and 65535');
+    }
+    const portChanged = port !== config.port;
+    config.port = port;
+
+    if (config.type === 'dns' && changes.dns) {
+        config.dns = {
+            ...config.dns,
+            ...changes.dns,
+            ttl: parseInt(changes.dns.ttl, 10) || config.dns.ttl,
+            insecureForwarders: Boolean(changes.dns.insecureForwarders ?? config.dns.insecureForwarders)
+        };
+    }
+    if ((config.type === 'http' || config.type === 'https') && changes.http) {
+        config.http = normalizeHttpConfig({ ...config.http, ...changes.http });
+    }
+    if (config.type === 'socket' && changes.socket) {
+        config.socket = normalizeSocketConfig({ ...config.socket, ...changes.socket });
+    }
+    if (config.type === 'ws' && changes.ws) {
+        config.ws = { ...config.ws, ...changes.ws };
+    }
+    // Mode and listen address changes need a restart, like the port
+    let proxyListenerChanged = false;
+    if (config.type === 'proxy' && changes.proxy) {
+        const proxy = normalizeProxyConfig({ ...config.proxy, ...changes.proxy });
+        proxyListenerChanged = proxy.mode !== config.proxy.mode || proxy.bind !== config.proxy.bind;
+        config.proxy = proxy;
+    }
 
-    // Handle process exit
-    serverProcess.on('exit', (code, signal) => {
-        console.log(`Server ${data.name} exited with code ${code} and signal ${signal}`);
-        activeServers.delete(data.name);
-        // Send exit notification
-        const win = BrowserWindow.getAllWindows()[0];
-        if (win) {
-            win.webContents.send('server-exited', data.name, code, signal);
-        }
-    });
+    validateServerConfig(config);
+    await workspaces.writeConfig(serverName, config);
+    if ((portChanged || proxyListenerChanged) && workspaces.get(serverName)) {
+        await workspaces.stop(serverName);
+        await workspaces.start(serverName);
+    }
+    return config;
+});
 
-    // Store the process
-    activeServers.set(data.name, {
-        process: serverProcess,
-        config: serverConfig,
-        startTime: new Date(),
-        stdout,
-        stderr
-    });
+// Every saved server, running or not
+ipcMain.handle('list-servers', async () => {
+    return workspaces.list();
+});
 
-    return {
-        success: true,
-        message: 'Server created and started successfully',
-        serverId: data.name,
-        config: serverConfig
-    };
+ipcMain.handle('start-server', async (event, serverName) => {
+    await workspaces.start(serverName);
+    return { success: true, message: 'Server started successfully' };
 });
 
-// Stop server handler
+// Stop server handler (also cancels a pending restart)
 ipcMain.handle('stop-server', async (event, serverName) => {
-    if (!activeServers.has(serverName)) {
-        throw new Error(`Server '${serverName}' is not running`);
-    }
-
-    const serverData = activeServers.get(serverName);
-    const { process: serverProcess } = serverData;
-
-    return new Promise((resolve, reject) => {
-        // Give the process 5 seconds to shut down gracefully
-        const timeout = setTimeout(() => {
-            serverProcess.kill('SIGKILL');
-            resolve({ success: true, message: 'Server forcefully stopped' });
-        }, 5000);
-
-        serverProcess.on('exit', () => {
-            clearTimeout(timeout);
-            activeServers.delete(serverName);
-            resolve({ success: true, message: 'Server stopped successfully' });
-        });
+    return workspaces.stop(serverName);
+});
 
-        // Send SIGTERM for graceful shutdown
-        serverProcess.kill('SIGTERM');
-    });
+// Stop a server and delete its workspace and request log
+ipcMain.handle('delete-server', async (event, serverName) => {
+    await workspaces.remove(serverName);
+    requestLogs.delete(serverName);
+    return { success: true };
 });
 
 // Get server status handler
 ipcMain.handle('get-server-status', async (event, serverName) => {
-    if (!activeServers.has(serverName)) {
+    const serverData = workspaces.get(serverName);
+    if (!serverData) {
         return {
             running: false,
             message: `Server '${serverName}' is not running`
         };
     }
 
-    const serverData = activeServers.get(serverName);
     return {
         running: true,
         name: serverData.config.name,
@@ -934,26 +1037,47 @@ ipcMain.handle('get-server-status', async (event, serverName) => {
         createdAt: serverData.config.createdAt,
         uptime: Date.now() - serverData.startTime.getTime(),
         pid: serverData.process.pid,
-        stdout: serverData.stdout,
-        stderr: serverData.stderr
+        restarts: serverData.restarts
     };
 });
 
 // Get all active servers
 ipcMain.handle('get-active-servers', async (event) => {
-    const servers = [];
-    for (const [name, data] of activeServers.entries()) {
-        servers.push({
-            name,
-            port: data.config.port,
-            type: data.config.type,
-            createdAt: data.config.createdAt,
-            uptime: Date.now() - data.startTime.getTime(),
-            pid: data.process.pid
-        });
-    }
-    return servers;
-})
+    return (await workspaces.list()).filter(server => server.status === 'running');
+});
+
+// Last lines of a server's rotated log files
+ipcMain.handle('get-server-log', async (event, serverName, lines) => {
+    return workspaces.readLog(serverName, lines);
+});
+
+// Request log of a server, newest first
+ipcMain.handle('get-server-requests', async (event, serverName, filter) => {
+    return getRequestLog(serverName).list(filter);
+});
+
+// One logged request with headers and bodies
+ipcMain.handle('get-server-request', async (event, serverName, requestId) => {
+    const entry = getRequestLog(serverName).get(requestId);
+    if (!entry) throw new Error('Request no longer in the log');
+    return entry;
+});
+
+// Send a logged request to the server again; the replay shows up in the log itself
+ipcMain.handle('replay-server-request', async (event, serverName, requestId) => {
+    const entry = getRequestLog(serverName).get(requestId);
+    if (!entry) throw new Error('Request no longer in the log');
+    const server = workspaces.get(serverName);
+    if (!server) throw new Error(`Server '${serverName}' is not running`);
+
+    const { config } = server;
+    return RequestLog.replayRequest(entry, { port: config.port, secure: config.type === 'https' });
+});
+
+ipcMain.handle('clear-server-requests', async (event, serverName) => {
+    getRequestLog(serverName).clear();
+    return { success: true };
+});
 
 
 ipcMain.handle('exec', async (event, command) => {
@@ -966,34 +1090,61 @@ ipcMain.handle('exec', async (event, command) => {
     });
 });
 
+// Options: { host, recordType, servers, transport, insecure, timeout (s), recursive, trace, history }
+// Lookups are kept in the DNS history unless history is false; the entry carries a diff against the last same query
 ipcMain.handle('dns-lookup', async (event, options) => {
-    const dnsPromises = require('dns').promises;
+    const query = typeof options === 'string' ? { host: options } : options;
+    let result;
     try {
-        const host = options.host || options;
-        const recordType = options.recordType || 'A';
+        result = await dnsLookup(query);
+    } catch (error) {
+        throw new Error(`DNS lookup failed: ${error.message}`);
+    }
 
-        if (recordType === 'ALL') {
-            // Resolve all record types
-            const recordTypes = ['A', 'AAAA', 'MX', 'NS', 'TXT', 'CNAME'];
-            const results = {};
+    if (query.history === false) return result;
+    const entry = await dnsHistory.recordLookup(query, result);
+    return { ...result, historyId: entry.id, diff: entry.diff, previousTimestamp: entry.previousTimestamp };
+});
 
-            for (const type of recordTypes) {
-                try {
-                    const result = await dnsPromises.resolve(host, type);
-                    results[type] = result;
-                } catch (e) {
-                    // Ignore errors for individual types
-                }
-            }
+ipcMain.handle('dns-history-list', async (event, options = {}) => {
+    return dnsHistory.searchHistory(options);
+});
 
-            return { records: results, host };
-        } else {
-            const records = await dnsPromises.resolve(host, recordType);
-            return { records: records.map(r => ({ [recordType]: r })), host };
-        }
+ipcMain.handle('dns-history-get', async (event, id) => {
+    return dnsHistory.getEntry(id);
+});
+
+// Runs an entry's query again and diffs the new answer against that entry
+ipcMain.handle('dns-history-rerun', async (event, id) => {
+    const previous = await dnsHistory.getEntry(id);
+    if (!previous) throw new Error('History entry not found');
+
+    let result;
+    try {
+        result = await dnsLookup(previous.query);
     } catch (error) {
         throw new Error(`DNS lookup failed: ${error.message}`);
     }
+    const entry = await dnsHistory.recordLookup(previous.query, result, previous.id);
+    return { ...result, historyId: entry.id, diff: entry.diff, previousTimestamp: entry.previousTimestamp };
+});
+
+ipcMain.handle('dns-history-delete', async (event, id) => {
+    return dnsHistory.deleteEntry(id);
+});
+
+ipcMain.handle('dns-history-clear', async () => {
+    await dnsHistory.clearHistory();
+    return true;
+});
+
+// Options: { host, recordType, resolvers (one "[label =] server" per line), timeout (s), recursive, insecure }
+ipcMain.handle('dns-compare', async (event, options = {}) => {
+    try {
+        return await compareResolvers(options);
+    } catch (error) {
+        throw new Error(`DNS comparison failed: ${error.message}`);
+    }
 });
 
 ipcMain.handle('dns-reverse-lookup', async (event, options) => {
@@ -1020,7 +1171,14 @@ ipcMain.handle('net-connect', async (event, port, host) => {
     });
 });
 
-ipcMain.handle('check-port', async (event, host, port) => {
+ipcMain.handle('check-port', async (event, host, port, protocol = 'tcp') => {
+    if (protocol === 'udp') {
+        // 'open', 'closed' or 'open|filtered' (no reply and no ICMP port unreachable)
+        const { results, stats } = await new PortScanner({ protocol: 'udp', timeout: 2000 }).scan(host, [parseInt(port, 10)]);
+        if (results.length > 0) return 'open';
+        return stats.closed > 0 ? 'closed' : stats.filtered > 0 ? 'filtered' : 'open|filtered';
+    }
+
     return new Promise((resolve) => {
         const socket = net.createConnection(port, host);
         socket.setTimeout(2000);
@@ -1182,156 +1340,387 @@ ipcMain.handle('get-ip-info', async () => {
     return ipInfo;
 });
 
-ipcMain.handle('ping-host', async (event, host) => {
-    return new Promise((resolve) => {
-        const startTime = Date.now();
+// ICMP ping over N probes: { alive, sent, received, lossPercent, min, avg, max, jitter, ttl, rtts }
+ipcMain.handle('ping-host', async (event, host, options = {}) => {
+    return ping(host, options);
+});
 
-        dns.lookup(host, (err) => {
-            if (err) {
-                resolve({ success: false, error: err.message });
-            } else {
-                const latency = Date.now() - startTime;
-                resolve({ success: true, latency, host });
-            }
-        });
-    });
+ipcMain.handle('ping-capabilities', async () => {
+    return getPingCapabilities();
+});
+
+ipcMain.handle('neighbor-table', async (event, options = {}) => {
+    return getNeighborTable(process.platform, { ipv6: Boolean(options.ipv6) });
+});
+
+// IPv6 hosts on the local links, found with all-nodes multicast pings and the neighbor cache
+ipcMain.handle('ipv6-discover', async (event, options = {}) => {
+    return discoverIPv6Hosts({ timeout: Math.min(Math.max(parseInt(options.timeout, 10) || 1000, 100), 5000) });
 });
 
 ipcMain.handle('check-port-range', async (event, host, startPort, endPort) => {
+    const scanner = new PortScanner({ timeout: 1000 });
     const results = [];
-    const maxConcurrent = 5;
 
-    for (let port = startPort; port <= endPort; port++) {
-        const socket = net.createConnection({
-            host,
-            port,
-            timeout: 100
-        });
+    scanner.on('result', (result) => {
+        results.push({ port: result.port, status: result.state === 'filtered' ? 'timeout' : result.state });
+    });
+    await scanner.scan(host, portRange(startPort, endPort));
 
-        const result = await new Promise((resolve) => {
-            socket.on('connect', () => {
-                resolve({ port, status: 'open' });
-                socket.end();
-            });
+    return results.sort((a, b) => a.port - b.port);
+});
 
-            socket.on('timeout', () => {
-                resolve({ port, status: 'timeout' });
-                socket.destroy();
-            });
+// ============================================================
+// Port Scan Handlers
+// ============================================================
 
-            socket.on('error', () => {
-                resolve({ port, status: 'closed' });
-            });
-        });
+const portScans = new Map();
 
-        results.push(result);
+/**
+ * Run a port scan, streaming 'port-scan-progress' events (stats plus newly
+ * found open ports) to the renderer until the scan finishes or is cancelled
+ * @param {string} scanId - Caller-chosen id used for progress events and cancellation
+ * @param {object} options - { hosts, startPort, endPort, protocol ('tcp'|'udp'), timeout, banners, bannerTimeout }
+ */
+ipcMain.handle('port-scan-start', async (event, scanId, options = {}) => {
+    const { hosts, startPort = 1, endPort = 1000, timeout = 1000, banners = false, bannerTimeout, protocol = 'tcp', prefer = 'auto' } = options;
+    const hostList = (Array.isArray(hosts) ? hosts : [hosts]).filter(Boolean);
+
+    if (hostList.length === 0 || hostList.some(host => typeof host !== 'string' || !/^[A-Za-z0-9.:%_-]+$/.test(host))) {
+        throw new Error('Invalid host');
+    }
+    if (protocol !== 'tcp' && protocol !== 'udp') {
+        throw new Error(`Unsupported protocol ${protocol}`);
+    }
+    if (portScans.has(scanId)) {
+        throw new Error(`Port scan ${scanId} is already running`);
     }
 
-    return results;
+    const scanner = new PortScanner({ protocol, timeout, banners, bannerTimeout, prefer });
+    const sender = event.sender;
+    let found = [];
+    let stats = null;
+
+    const flush = () => {
+        if (!stats || sender.isDestroyed()) return;
+        sender.send('port-scan-progress', { scanId, ...stats, results: found });
+        found = [];
+    };
+
+    scanner.on('result', (result) => {
+        if (result.state === 'open') found.push(result);
+    });
+    scanner.on('progress', (progress) => {
+        stats = progress;
+    });
+
+    portScans.set(scanId, scanner);
+    const flushTimer = setInterval(flush, 250);
+
+    try {
+        return await scanner.scan(hostList, portRange(startPort, endPort));
+    } finally {
+        clearInterval(flushTimer);
+        flush();
+        portScans.delete(scanId);
+    }
+});
+
+ipcMain.handle('port-scan-cancel', async (event, scanId) => {
+    const scanner = portScans.get(scanId);
+    if (!scanner) return false;
+    scanner.cancel();
+    return true;
 });
 
 // ============================================================
-// Traceroute Handler
+// Traceroute Handlers
 // ============================================================
 
-ipcMain.handle('traceroute', async (event, options) => {
-    const { host, maxHops = 30, timeout = 5000, resolveNames = true } = options;
-    const hops = [];
-    const { spawn } = require('child_process');
+const traces = new Map();
 
-    return new Promise((resolve, reject) => {
-        try {
-            // Determine platform-specific command
-            const isWindows = process.platform === 'win32';
-            const command = isWindows ? 'tracert' : 'traceroute';
-            const args = isWindows
-                ? ['-h', maxHops.toString(), host]
-                : ['-m', maxHops.toString(), host];
-
-            const child = spawn(command, args, { timeout });
-            let output = '';
-
-            child.stdout.on('data', (data) => {
-                output += data.toString();
-            });
+// Hops are streamed to the renderer as 'traceroute-hop' events while the trace runs
+ipcMain.handle('traceroute', async (event, options = {}) => {
+    const { traceId = null, host, maxHops = 30, timeout = 3000, probes = 3, protocol = 'udp', port = null, resolveNames = true, prefer = 'auto' } = options;
+    if (traceId && traces.has(traceId)) {
+        throw new Error(`Trace ${traceId} is already running`);
+    }
 
-            child.stderr.on('data', (data) => {
-                output += data.toString();
-            });
+    const tracer = new Traceroute({ maxHops, timeout, probes, protocol, port, resolveNames, prefer });
+    const sender = event.sender;
+    tracer.on('hop', (hop) => {
+        if (!sender.isDestroyed()) sender.send('traceroute-hop', { traceId, hop });
+    });
 
-            child.on('close', (code) => {
-                // Parse the output
-                const lines = output.split('\n');
-                const parsedHops = [];
+    if (traceId) traces.set(traceId, tracer);
+    try {
+        const result = await tracer.trace(host);
+        return {
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        };
+    } finally {
+        if (traceId) traces.delete(traceId);
+    }
+});
 
-                for (const line of lines) {
-                    // Skip empty lines and header lines
-                    if (!line.trim() || line.includes('Tracing') || line.includes('traceroute')) {
-                        continue;
-                    }
+ipcMain.handle('traceroute-cancel', async (event, traceId) => {
+    const tracer = traces.get(traceId);
+    if (!tracer) return false;
+    tracer.cancel();
+    return true;
+});
 
-                    // Windows format: "1    10 ms    10 ms    10 ms  192.168.1.1"
-                    // Unix format: "1  gateway (192.168.1.1)  1.234 ms  1.123 ms  1.456 ms"
+// MTR mode: the path is traced continuously and per-hop statistics are streamed as 'mtr-update' events
+const monitors = new Map();
 
-                    const windowsMatch = line.match(/^\s*(\d+)\s+([*\d]+\s+ms|[*])\s+([*\d]+\s+ms|[*])\s+([*\d]+\s+ms|[*])\s+(.+?)$/);
-                    const unixMatch = line.match(/^\s*(\d+)\s+(.+?)\s+([0-9.]+\s+ms|[*])/);
+ipcMain.handle('mtr-start', async (event, options = {}) => {
+    const { monitorId = null, host, maxHops = 30, timeout = 2000, protocol = 'icmp', port = null, interval = 1000, rounds = 0, resolveNames = true, prefer = 'auto' } = options;
+    if (monitorId && monitors.has(monitorId)) {
+        throw new Error(`Monitor ${monitorId} is already running`);
+    }
 
-                    if (windowsMatch) {
-                        const hopNum = parseInt(windowsMatch[1]);
-                        const latency = windowsMatch[4].includes('*') ? null : parseInt(windowsMatch[4]);
-                        const ip = windowsMatch[5].trim();
+    const monitor = new PathMonitor({ maxHops, timeout, protocol, port, interval, rounds, resolveNames, prefer });
+    const sender = event.sender;
+    monitor.on('update', (update) => {
+        if (!sender.isDestroyed()) sender.send('mtr-update', { monitorId, ...update });
+    });
 
-                        parsedHops.push({
-                            hop: hopNum,
-                            ip: ip,
-                            hostname: resolveNames ? ip : 'N/A',
-                            latency: latency,
-                            status: latency ? 'success' : 'timeout'
-                        });
-                    } else if (unixMatch) {
-                        const hopNum = parseInt(unixMatch[1]);
-                        const hostInfo = unixMatch[2].trim();
-                        const latency = unixMatch[3].includes('*') ? null : parseFloat(unixMatch[3]);
-
-                        // Extract IP from parentheses if present
-                        const ipMatch = hostInfo.match(/\(([0-9.]+)\)/);
-                        const ip = ipMatch ? ipMatch[1] : hostInfo;
-                        const hostname = hostInfo.split('(')[0].trim();
-
-                        parsedHops.push({
-                            hop: hopNum,
-                            ip: ip,
-                            hostname: hostname || 'Unknown',
-                            latency: latency,
-                            status: latency ? 'success' : 'timeout'
-                        });
-                    }
-                }
+    if (monitorId) monitors.set(monitorId, monitor);
+    try {
+        const result = await monitor.start(host);
+        return {
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        };
+    } finally {
+        if (monitorId) monitors.delete(monitorId);
+    }
+});
 
-                resolve({
-                    success: true,
-                    host: host,
-                    hops: parsedHops,
-                    timestamp: new Date().toISOString()
-                });
-            });
+ipcMain.handle('mtr-stop', async (event, monitorId) => {
+    const monitor = monitors.get(monitorId);
+    if (!monitor) return false;
+    monitor.stop();
+    return true;
+});
 
-            child.on('error', (error) => {
-                reject({
-                    success: false,
-                    error: error.message,
-                    host: host
-                });
-            });
+// ============================================================
+// Packet Capture Handlers
+// ============================================================
 
-        } catch (error) {
-            reject({
-                success: false,
-                error: error.message,
-                host: host
-            });
-        }
+const packetAnalyzer = new PacketAnalyzer();
+const packetCapture = new PacketCapture();
+const packetCaptureState = {
+    sender: null,
+    queue: [],
+    flushTimer: null,
+    maxPackets: 0,
+    displayFilter: () => true
+};
+
+/**
+ * Strip raw frame bytes before sending a packet to the renderer
+ */
+function toRendererPacket({ rawData, ...packet }) {
+    return packet;
+}
+
+/**
+ * Send queued packets and current statistics to the renderer that started the capture
+ */
+function flushCapturedPackets() {
+    const { sender, queue } = packetCaptureState;
+    if (!sender || sender.isDestroyed()) return;
+
+    // Statistics cover all traffic, so send them even when the display filter hides every packet
+    packetCaptureState.queue = [];
+    sender.send('packet-captured', queue, packetAnalyzer.getStatistics());
+}
+
+packetCapture.on('packet', (packet) => {
+    if (!packetAnalyzer.captureActive) return;
+
+    const entry = packetAnalyzer.addPacket(packet);
+    if (entry && packetCaptureState.displayFilter(entry)) {
+        packetCaptureState.queue.push(toRendererPacket(entry));
+    }
+
+    if (packetCaptureState.maxPackets && packetAnalyzer.statistics.totalPackets >= packetCaptureState.maxPackets) {
+        packetCapture.stop();
+    }
+});
+
+packetCapture.on('error', (error) => {
+    console.error('Packet capture error:', error.message);
+    const { sender } = packetCaptureState;
+    if (sender && !sender.isDestroyed()) {
+        sender.send('packet-capture-error', error.message);
+    }
+});
+
+packetCapture.on('stopped', () => {
+    clearInterval(packetCaptureState.flushTimer);
+    packetCaptureState.flushTimer = null;
+    flushCapturedPackets();
+
+    if (packetAnalyzer.captureActive) {
+        packetAnalyzer.stopCapture();
+    }
+
+    const { sender } = packetCaptureState;
+    if (sender && !sender.isDestroyed()) {
+        sender.send('packet-capture-stopped', packetAnalyzer.getStatistics());
+    }
+});
+
+ipcMain.handle('packet-capture-start', async (event, options = {}) => {
+    if (packetCapture.isRunning) {
+        throw new Error('Capture already in progress');
+    }
+
+    // Interface names are passed as process arguments, so only accept known interfaces
+    if (options.interface && !Object.keys(os.networkInterfaces()).includes(options.interface)) {
+        throw new Error(`Unknown network interface: ${options.interface}`);
+    }
+
+    const result = await packetAnalyzer.startCapture({
+        maxPackets: options.maxPackets,
+        buffer: options.buffer,
+        // Spill files always go under ~/.netnavigator/captures
+        spill: options.spill ? { fileSizeMB: options.spill.fileSizeMB, maxFiles: options.spill.maxFiles } : null
+    });
+
+    packetCaptureState.sender = event.sender;
+    packetCaptureState.queue = [];
+    packetCaptureState.maxPackets = parseInt(options.maxPackets) || 0;
+
+    try {
+        packetCapture.start({
+            interface: options.interface || null,
+            bpfFilter: typeof options.bpfFilter === 'string' ? options.bpfFilter : null,
+            snapLength: options.snapLength
+        });
+    } catch (error) {
+        packetAnalyzer.stopCapture();
+        throw error;
+    }
+
+    // Batch packets to the renderer instead of sending one IPC message per frame
+    packetCaptureState.flushTimer = setInterval(flushCapturedPackets, 200);
+
+    return result;
+});
+
+ipcMain.handle('packet-capture-stop', async () => {
+    if (!packetCapture.stop()) {
+        throw new Error('No active capture');
+    }
+    return { success: true, message: 'Packet capture stopping' };
+});
+
+ipcMain.handle('packet-capture-statistics', async () => {
+    return packetAnalyzer.statistics.startTime ? packetAnalyzer.getStatistics() : null;
+});
+
+ipcMain.handle('packet-capture-export', async (event, format = 'pcap') => {
+    const exporters = {
+        pcap: { name: 'PCAP Capture', extension: 'pcap', build: () => packetAnalyzer.exportPcap() },
+        pcapng: { name: 'PCAPNG Capture', extension: 'pcapng', build: () => packetAnalyzer.exportPcapng() },
+        json: { name: 'JSON', extension: 'json', build: () => JSON.stringify(packetAnalyzer.exportJSON(), null, 2) },
+        csv: { name: 'CSV', extension: 'csv', build: () => packetAnalyzer.exportCSV() }
+    };
+
+    const exporter = exporters[format];
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (packetAnalyzer.packets.length === 0) {
+        throw new Error('No packets to export');
+    }
+
+    // Build before prompting so format errors surface without a dialog
+    const data = exporter.build();
+
+    const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `packets-${Date.now()}.${exporter.extension}`,
+        filters: [{ name: exporter.name, extensions: [exporter.extension] }]
     });
+    if (result.canceled || !result.filePath) {
+        return { canceled: true };
+    }
+
+    await fs.promises.writeFile(result.filePath, data);
+    return { success: true, filePath: result.filePath };
+});
+
+ipcMain.handle('packet-capture-import', async (event) => {
+    if (packetCapture.isRunning) {
+        throw new Error('Stop the capture before importing a file');
+    }
+
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        properties: ['openFile'],
+        filters: [
+            { name: 'Capture Files', extensions: ['pcap', 'pcapng', 'cap', 'dmp'] },
+            { name: 'All Files', extensions: ['*'] }
+        ]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return { canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const imported = packetAnalyzer.importCapture(await fs.promises.readFile(filePath));
+
+    const matching = packetAnalyzer.packets.filter(packetCaptureState.displayFilter);
+    return {
+        ...imported,
+        fileName: path.basename(filePath),
+        matched: matching.length,
+        packets: matching.slice(-100).map(toRendererPacket),
+        statistics: packetAnalyzer.getStatistics()
+    };
+});
+
+ipcMain.handle('packet-details', async (event, number) => {
+    return packetAnalyzer.getPacketDetails(number);
+});
+
+ipcMain.handle('packet-tcp-streams', async () => {
+    return packetAnalyzer.getTcpStreams();
+});
+
+ipcMain.handle('packet-follow-tcp-stream', async (event, index) => {
+    return packetAnalyzer.followTcpStream(index);
+});
+
+ipcMain.handle('packet-validate-filter', async (event, expression) => {
+    return validateFilter(expression);
+});
+
+// Apply a display filter to live and stored packets; returns the latest matching packets
+ipcMain.handle('packet-display-filter', async (event, expression) => {
+    const predicate = compileFilter(expression);
+    packetCaptureState.displayFilter = predicate;
+
+    const matching = packetAnalyzer.packets.filter(predicate);
+    return {
+        success: true,
+        matched: matching.length,
+        total: packetAnalyzer.packets.length,
+        packets: matching.slice(-100).map(toRendererPacket)
+    };
+});
+
+ipcMain.handle('packet-capture-clear', async () => {
+    if (packetCapture.isRunning) {
+        throw new Error('Stop the capture before clearing');
+    }
+    packetAnalyzer.clear();
+    return { success: true };
 });
 
 // ============================================================
@@ -1540,16 +1929,10 @@ ipcMain.handle('show-about-dialog', async () => {
 // Cleanup Handler
 // ============================================================
 
-// Clean up active servers on app quit
+// Clean up active servers and packet capture on app quit
 app.on('before-quit', () => {
-    for (const [name, data] of activeServers.entries()) {
-        try {
-            data.process.kill('SIGTERM');
-        } catch (e) {
-            console.error(`Failed to kill server ${name}:`, e);
-        }
-    }
-    activeServers.clear();
+    packetCapture.stop();
+    workspaces.stopAll();
 });
 
 ipcMain.handle('get-commands', () => Array.from(registeredCommands));
@@ -1663,6 +2046,11 @@ app.on('second-instance', (event, commandLine, workingDirectory) => {
 app.whenReady().then(async () => {
     await createWindow();
 
+    // Saved servers flagged to start with the app
+    workspaces.startAutostart().then((failures) => {
+        failures.forEach(({ name, error }) => console.error(`Server ${name} did not start:`, error));
+    }).catch(error => console.error('Autostart failed:', error));
+
     // Handle initial command line arguments
     const args = process.argv.slice(1);
     const win = BrowserWindow.getAllWindows()[0];
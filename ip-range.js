@@ -0,0 +1,539 @@
+/**
+ * IP Range Module
+ * Parses scan targets (addresses, CIDR blocks, address/mask pairs, ranges
+ * and comma-separated lists with exclusions) into merged ranges that are
+ * enumerated lazily, so a /8 never has to exist as an array of strings.
+ * IPv6 prefixes are too large to enumerate; they are kept for neighbor
+ * discovery and matched against the hosts it finds
+ */
+
+const dns = require('dns');
+
+// Blocks larger than a /8 (16.7M addresses) are refused
+const MIN_PREFIX = 8;
+
+// IPv6 prefixes this small (256 addresses) or smaller are enumerated like IPv4 blocks
+const MIN_ENUMERATED_IPV6_PREFIX = 120;
+
+const IPV6_ALL_ONES = (1n << 128n) - 1n;
+
+/**
+ * Parse a dotted-quad IPv4 address into an unsigned 32-bit integer
+ * @returns {number|null} null when the address is invalid
+ */
+function parseIPv4(address) {
+    if (typeof address !== 'string') return null;
+    const parts = address.trim().split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || (part.length > 1 && part.startsWith('0'))) return null;
+        const octet = parseInt(part, 10);
+        if (octet > 255) return null;
+        value = value * 256 + octet;
+    }
+    return value;
+}
+
+function formatIPv4(value) {
+    return [value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.');
+}
+
+/**
+ * Parse an IPv6 address (any compressed form, embedded IPv4 tail and
+ * "%zone" suffix allowed) into a 128-bit BigInt. The zone is not part of the value
+ * @returns {bigint|null} null when the address is invalid
+ */
+function parseIPv6(address) {
+    if (typeof address !== 'string') return null;
+    let text = address.trim();
+
+    const percent = text.indexOf('%');
+    if (percent !== -1) {
+        if (!/^[\w.-]+$/.test(text.slice(percent + 1))) return null;
+        text = text.slice(0, percent);
+    }
+    if (!text.includes(':') || !/^[0-9a-f:.]+$/i.test(text)) return null;
+
+    // "::ffff:192.0.2.1" carries the last 32 bits as a dotted quad
+    const lastColon = text.lastIndexOf(':');
+    if (text.indexOf('.', lastColon) !== -1) {
+        const ipv4 = parseIPv4(text.slice(lastColon + 1));
+        if (ipv4 === null) return null;
+        text = `${text.slice(0, lastColon + 1)}${(ipv4 >>> 16).toString(16)}:${(ipv4 & 0xffff).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    if (halves.length === 1 ? head.length !== 8 : head.length + tail.length > 7) return null;
+
+    const groups = [...head, ...new Array(8 - head.length - tail.length).fill('0'), ...tail];
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) | BigInt(parseInt(group, 16));
+    }
+    return value;
+}
+
+/**
+ * Format a 128-bit value in the canonical text form of RFC 5952
+ * (lowercase, longest run of zero groups compressed, IPv4-mapped as dotted quad)
+ */
+function formatIPv6(value) {
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(Number((value >> shift) & 0xffffn));
+    }
+
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${formatIPv4(Number(value & 0xffffffffn))}`;
+    }
+
+    // Only runs of two or more zero groups are compressed; the first wins a tie
+    let runStart = -1;
+    let runLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let end = i;
+        while (end < 8 && groups[end] === 0) end++;
+        if (end - i > runLength) {
+            runStart = i;
+            runLength = end - i;
+        }
+        i = Math.max(i, end);
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (runStart === -1) return hex.join(':');
+    return `${hex.slice(0, runStart).join(':')}::${hex.slice(runStart + runLength).join(':')}`;
+}
+
+/**
+ * IP version of an address literal
+ * @returns {number} 4, 6, or 0 when it is not an address
+ */
+function ipVersion(address) {
+    if (parseIPv4(address) !== null) return 4;
+    if (parseIPv6(address) !== null) return 6;
+    return 0;
+}
+
+/**
+ * Canonical form of an IPv4 or IPv6 address ("[2001:DB8:0::1]" -> "2001:db8::1");
+ * an IPv6 zone ("%eth0") is kept
+ * @returns {string|null} null when the address is invalid
+ */
+function normalizeIP(address) {
+    if (typeof address !== 'string') return null;
+    const text = address.trim().replace(/^\[(.*)\]$/, '$1');
+
+    const ipv4 = parseIPv4(text);
+    if (ipv4 !== null) return formatIPv4(ipv4);
+
+    const ipv6 = parseIPv6(text);
+    if (ipv6 === null) return null;
+    const percent = text.indexOf('%');
+    return formatIPv6(ipv6) + (percent === -1 ? '' : text.slice(percent));
+}
+
+/**
+ * Split "host:port", "[IPv6]:port", "[IPv6]" or a bare host / IPv6 address
+ * @returns {object} { host, port } with port null when none was given
+ */
+function parseHostPort(input) {
+    const text = typeof input === 'string' ? input.trim() : '';
+
+    const bracketed = text.match(/^\[([^\]]+)\](?::(\S*))?$/);
+    let host = text;
+    let port = null;
+    if (bracketed) {
+        if (parseIPv6(bracketed[1]) === null) {
+            throw new Error(`Invalid IPv6 address "${bracketed[1]}"`);
+        }
+        host = bracketed[1];
+        port = bracketed[2] ?? null;
+    } else if ((text.match(/:/g) || []).length === 1) {
+        // Two or more colons without brackets can only be a bare IPv6 address
+        [host, port] = text.split(':');
+    }
+
+    if (port !== null && !/^\d{1,5}$/.test(port)) {
+        throw new Error(`Invalid port in "${text}"`);
+    }
+    return { host, port: port === null ? null : parseInt(port, 10) };
+}
+
+/**
+ * Resolve a host name to a single address with an address family preference
+ * @param {string} host - Host name or address literal (returned unchanged)
+ * @param {object} options - { prefer: 'auto' (resolver order), 'ipv6' (AAAA first) or 'ipv4' (A first) }
+ * @returns {Promise<object>} { address, family }
+ */
+async function resolveHost(host, options = {}) {
+    const family = ipVersion(host);
+    if (family) return { address: host, family };
+
+    const addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    const preferred = { ipv6: 6, ipv4: 4 }[options.prefer];
+    // The other family is still used when the preferred one has no records
+    const match = addresses.find(entry => entry.family === preferred) || addresses[0];
+    return { address: match.address, family: match.family };
+}
+
+function prefixToMask(prefix) {
+    return prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+}
+
+/**
+ * Convert a subnet mask to a prefix length. Accepts dotted masks
+ * (255.255.240.0), "/20" and "20"; non-contiguous masks are rejected
+ * @returns {number|null}
+ */
+function maskToPrefix(mask) {
+    if (typeof mask !== 'string') return null;
+    const text = mask.trim().replace(/^\//, '');
+
+    if (/^\d{1,2}$/.test(text)) {
+        const prefix = parseInt(text, 10);
+        return prefix <= 32 ? prefix : null;
+    }
+
+    const value = parseIPv4(text);
+    if (value === null) return null;
+
+    // A valid mask is a run of ones followed only by zeros
+    const inverted = (~value) >>> 0;
+    if ((inverted & (inverted + 1)) !== 0) return null;
+    return 32 - Math.log2(inverted + 1);
+}
+
+function isValidSubnetMask(mask) {
+    return maskToPrefix(mask) !== null;
+}
+
+/**
+ * Address range covered by a network
+ * @param {number} address - Any address inside the network
+ * @param {number} prefix - Prefix length
+ * @param {boolean} hostsOnly - Leave out the network and broadcast addresses (/30 and larger)
+ */
+function networkRange(address, prefix, hostsOnly) {
+    const mask = prefixToMask(prefix);
+    const network = (address & mask) >>> 0;
+    const broadcast = (network | (~mask >>> 0)) >>> 0;
+
+    // /31 point-to-point links (RFC 3021) and /32 hosts have no network or broadcast address
+    if (hostsOnly && prefix <= 30) {
+        return { start: network + 1, end: broadcast - 1 };
+    }
+    return { start: network, end: broadcast };
+}
+
+/**
+ * Parse one target term into a range
+ * @param {string} term - "10.0.0.5", "10.0.0.0/24", "10.0.0.0/255.255.255.0",
+ *                        "10.0.0.10-10.0.0.200" or "10.0.0.10-200"
+ * @param {boolean} hostsOnly - Skip network/broadcast addresses of CIDR blocks
+ */
+function parseTerm(term, hostsOnly) {
+    const slash = term.indexOf('/');
+    if (slash !== -1) {
+        const address = parseIPv4(term.slice(0, slash));
+        const prefix = maskToPrefix(term.slice(slash + 1));
+        if (address === null || prefix === null) {
+            throw new Error(`Invalid network "${term}"`);
+        }
+        if (prefix < MIN_PREFIX) {
+            throw new Error(`Network "${term}" is too large (the largest allowed block is /${MIN_PREFIX})`);
+        }
+        return networkRange(address, prefix, hostsOnly);
+    }
+
+    const dash = term.indexOf('-');
+    if (dash !== -1) {
+        const startText = term.slice(0, dash).trim();
+        let endText = term.slice(dash + 1).trim();
+        const start = parseIPv4(startText);
+
+        // "10.0.0.10-200" ends at 10.0.0.200
+        if (start !== null && /^\d{1,3}$/.test(endText)) {
+            endText = startText.split('.').slice(0, 3).concat(endText).join('.');
+        }
+
+        const end = parseIPv4(endText);
+        if (start === null || end === null) {
+            throw new Error(`Invalid range "${term}"`);
+        }
+        if (start > end) {
+            throw new Error(`Range "${term}" ends before it starts`);
+        }
+        if (end - start + 1 > 2 ** (32 - MIN_PREFIX)) {
+            throw new Error(`Range "${term}" is too large (at most ${2 ** (32 - MIN_PREFIX)} addresses)`);
+        }
+        return { start, end };
+    }
+
+    const address = parseIPv4(term);
+    if (address === null) {
+        throw new Error(`Invalid IP address "${term}"`);
+    }
+    return { start: address, end: address };
+}
+
+function ipv6PrefixMask(prefix) {
+    return IPV6_ALL_ONES ^ ((1n << BigInt(128 - prefix)) - 1n);
+}
+
+/**
+ * Parse one IPv6 target term: an address or a prefix ("2001:db8::/64")
+ * @returns {object} { network, prefix, zone }
+ */
+function parseIPv6Term(term) {
+    if (term.includes('-')) {
+        throw new Error(`Invalid range "${term}": IPv6 targets take a prefix (e.g. 2001:db8::/120) instead of a range`);
+    }
+
+    const slash = term.indexOf('/');
+    const address = slash === -1 ? term : term.slice(0, slash);
+    const prefixText = slash === -1 ? '128' : term.slice(slash + 1);
+    const value = parseIPv6(address);
+    const prefix = /^\d{1,3}$/.test(prefixText) ? parseInt(prefixText, 10) : NaN;
+    if (value === null || !(prefix <= 128)) {
+        throw new Error(slash === -1 ? `Invalid IP address "${term}"` : `Invalid network "${term}"`);
+    }
+
+    const percent = address.indexOf('%');
+    return {
+        network: value & ipv6PrefixMask(prefix),
+        prefix,
+        zone: percent === -1 ? null : address.slice(percent + 1)
+    };
+}
+
+function ipv6InBlock(value, block) {
+    return (value & ipv6PrefixMask(block.prefix)) === block.network;
+}
+
+/**
+ * Sort ranges and merge overlapping or adjacent ones
+ */
+function mergeRanges(ranges) {
+    const sorted = ranges.filter(range => range.start <= range.end).sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Remove the excluded ranges from a merged range list
+ */
+function subtractRanges(ranges, excluded) {
+    let result = ranges;
+
+    for (const cut of excluded) {
+        const next = [];
+        for (const range of result) {
+            if (cut.end < range.start || cut.start > range.end) {
+                next.push(range);
+                continue;
+            }
+            if (cut.start > range.start) next.push({ start: range.start, end: cut.start - 1 });
+            if (cut.end < range.end) next.push({ start: cut.end + 1, end: range.end });
+        }
+        result = next;
+    }
+    return result;
+}
+
+function splitTerms(spec) {
+    if (typeof spec !== 'string') return [];
+    return spec.split(/[,;\s]+/).map(term => term.trim()).filter(Boolean)
+        // Allow spaces around range dashes ("10.0.0.1 - 10.0.0.9" splits into three terms)
+        .reduce((terms, term) => {
+            const last = terms[terms.length - 1];
+            if (last && (last.endsWith('-') || term.startsWith('-'))) {
+                terms[terms.length - 1] = last + term;
+            } else {
+                terms.push(term);
+            }
+            return terms;
+        }, []);
+}
+
+class TargetSet {
+    /**
+     * @param {Array} ranges - Merged, sorted { start, end } ranges of 32-bit addresses
+     * @param {object} ipv6 - {
+     *   addresses: IPv6 addresses to scan directly,
+     *   prefixes: IPv6 { network, prefix } blocks whose hosts are found by discovery,
+     *   excluded: IPv6 { network, prefix } blocks to leave out
+     * }
+     */
+    constructor(ranges, ipv6 = {}) {
+        this.ranges = ranges;
+        this.ipv6Addresses = ipv6.addresses || [];
+        this.ipv6Prefixes = ipv6.prefixes || [];
+        this.ipv6Excluded = ipv6.excluded || [];
+        this.count = ranges.reduce((total, range) => total + range.end - range.start + 1, 0) + this.ipv6Addresses.length;
+    }
+
+    /**
+     * IPv6 prefixes to run neighbor discovery on, as "2001:db8::/64" strings
+     */
+    get discoveryPrefixes() {
+        return this.ipv6Prefixes.map(block => `${formatIPv6(block.network)}/${block.prefix}`);
+    }
+
+    /**
+     * Whether an address is part of the set (including hosts inside IPv6 discovery prefixes)
+     */
+    has(address) {
+        if (typeof address === 'string' && address.includes(':')) {
+            const value = parseIPv6(address);
+            if (value === null || this.ipv6Excluded.some(block => ipv6InBlock(value, block))) return false;
+            return this.ipv6Addresses.some(entry => parseIPv6(entry) === value) ||
+                this.ipv6Prefixes.some(block => ipv6InBlock(value, block));
+        }
+
+        const value = typeof address === 'number' ? address : parseIPv4(address);
+        if (value === null) return false;
+
+        let low = 0;
+        let high = this.ranges.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const range = this.ranges[mid];
+            if (value < range.start) high = mid - 1;
+            else if (value > range.end) low = mid + 1;
+            else return true;
+        }
+        return false;
+    }
+
+    /**
+     * Addresses in ascending order, generated on demand
+     */
+    * [Symbol.iterator]() {
+        for (const range of this.ranges) {
+            for (let value = range.start; value <= range.end; value++) {
+                yield formatIPv4(value);
+            }
+        }
+        yield* this.ipv6Addresses;
+    }
+
+    /**
+     * Take up to `size` addresses from an iterator created by this set
+     */
+    static take(iterator, size) {
+        const batch = [];
+        while (batch.length < size) {
+            const next = iterator.next();
+            if (next.done) break;
+            batch.push(next.value);
+        }
+        return batch;
+    }
+}
+
+/**
+ * Enumerate the IPv6 targets that are small enough to scan address by address;
+ * larger prefixes are returned for discovery
+ */
+function expandIPv6Terms(terms, excluded) {
+    const addresses = new Map();
+    const prefixes = [];
+
+    for (const term of terms) {
+        const block = parseIPv6Term(term);
+        if (block.prefix < MIN_ENUMERATED_IPV6_PREFIX) {
+            prefixes.push(block);
+            continue;
+        }
+
+        const size = 1n << BigInt(128 - block.prefix);
+        // The all-zero address of a subnet is the Subnet-Router anycast address (RFC 4291)
+        const first = block.prefix <= 126 ? 1n : 0n;
+        for (let offset = first; offset < size; offset++) {
+            const value = block.network + offset;
+            if (excluded.some(cut => ipv6InBlock(value, cut))) continue;
+            const text = formatIPv6(value);
+            addresses.set(text, block.zone ? `${text}%${block.zone}` : text);
+        }
+    }
+    return { addresses: [...addresses.values()], prefixes };
+}
+
+/**
+ * Parse a scan target specification
+ * @param {string} spec - Comma/space separated addresses, CIDR blocks (/8-/32),
+ *                        address/mask pairs, ranges, IPv6 addresses and IPv6 prefixes
+ * @param {object} options - {
+ *   exclude: targets to leave out, in the same syntax,
+ *   mask: prefix or dotted mask applied when spec is a single bare address
+ *         (a prefix length only, for an IPv6 address)
+ * }
+ * @returns {TargetSet}
+ */
+function parseTargets(spec, options = {}) {
+    let terms = splitTerms(spec);
+    if (terms.length === 0) {
+        throw new Error('No scan targets given');
+    }
+
+    if (options.mask && terms.length === 1 && parseIPv6(terms[0]) !== null) {
+        // Only a prefix length applies to an IPv6 address; dotted masks are IPv4-only and ignored
+        const prefix = String(options.mask).trim().replace(/^\//, '');
+        if (/^\d+$/.test(prefix)) {
+            if (parseInt(prefix, 10) > 128) {
+                throw new Error(`Invalid IPv6 prefix length "${options.mask}"`);
+            }
+            terms = [`${terms[0]}/${prefix}`];
+        }
+    } else if (options.mask && terms.length === 1 && parseIPv4(terms[0]) !== null) {
+        const prefix = maskToPrefix(String(options.mask));
+        if (prefix === null) {
+            throw new Error(`Invalid subnet mask "${options.mask}"`);
+        }
+        terms = [`${terms[0]}/${prefix}`];
+    }
+
+    const excludeTerms = splitTerms(options.exclude);
+    const isIPv6 = term => term.includes(':');
+
+    const included = mergeRanges(terms.filter(term => !isIPv6(term)).map(term => parseTerm(term, true)));
+    // Excluding a block removes all of it, network and broadcast addresses included
+    const excluded = mergeRanges(excludeTerms.filter(term => !isIPv6(term)).map(term => parseTerm(term, false)));
+
+    const excludedIPv6 = excludeTerms.filter(isIPv6).map(parseIPv6Term);
+    const ipv6 = expandIPv6Terms(terms.filter(isIPv6), excludedIPv6);
+
+    return new TargetSet(subtractRanges(included, excluded), { ...ipv6, excluded: excludedIPv6 });
+}
+
+module.exports = {
+    TargetSet,
+    parseTargets,
+    parseIPv4,
+    formatIPv4,
+    parseIPv6,
+    formatIPv6,
+    ipVersion,
+    normalizeIP,
+    parseHostPort,
+    resolveHost,
+    maskToPrefix,
+    prefixToMask,
+    isValidSubnetMask
+};
@@ -0,0 +1,250 @@
+/**
+ * Mock HTTP Module
+ * Route table for Server Maker's HTTP servers: each route matches a method and a
+ * path pattern and answers with a fixed status, headers and a body given as text,
+ * JSON or a file, optionally after a delay or with a random error
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const METHODS = ['*', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const BODY_TYPES = ['text', 'json', 'file'];
+
+// Routes of a new HTTP server
+const DEFAULT_ROUTES = [
+    { method: 'GET', path: '/', status: 200, headers: {}, body: { type: 'text', content: 'Hello World' } },
+    { method: 'GET', path: '/test', status: 200, headers: {}, body: { type: 'text', content: 'Test' } },
+    { method: 'GET', path: '/api', status: 200, headers: {}, body: { type: 'json', content: '{ "message": "Hello World" }' } }
+];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.htm': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.txt': 'text/plain; charset=utf-8',
+    '.csv': 'text/csv; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf'
+};
+
+/**
+ * Check and complete an HTTP server's settings; throws with a message naming the bad route
+ * @param {object} config - { routes, latency: ms, errorRate: percent, errorStatus }
+ * @returns {object} The same settings with defaults filled in
+ */
+function normalizeHttpConfig(config = {}) {
+    const number = (value, fallback, min, max, what) => {
+        if (value === undefined || value === null || value === '') return fallback;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+            throw new Error(`${what} must be between ${min} and ${max}`);
+        }
+        return parsed;
+    };
+
+    const routes = (Array.isArray(config.routes) ? config.routes : DEFAULT_ROUTES).map((route, index) => {
+        const where = `Route ${index + 1}`;
+        const method = String(route.method || 'GET').toUpperCase();
+        if (!METHODS.includes(method)) throw new Error(`${where}: unknown method ${route.method}`);
+        if (!String(route.path || '').startsWith('/')) throw new Error(`${where}: path must start with "/"`);
+
+        const body = { type: 'text', content: '', ...route.body };
+        if (!BODY_TYPES.includes(body.type)) throw new Error(`${where}: body type must be text, json or file`);
+        if (body.type === 'json') {
+            try {
+                JSON.parse(body.content);
+            } catch (error) {
+                throw new Error(`${where}: body is not valid JSON (${error.message})`);
+            }
+        }
+        if (body.type === 'file' && !body.content) throw new Error(`${where}: no file given`);
+
+        return {
+            method,
+            path: route.path,
+            status: number(route.status, 200, 100, 599, `${where}: status`),
+            headers: { ...route.headers },
+            body,
+            latency: number(route.latency, null, 0, 60000, `${where}: latency`),
+            errorRate: number(route.errorRate, null, 0, 100, `${where}: error rate`)
+        };
+    });
+
+    return {
+        routes,
+        latency: number(config.latency, 0, 0, 60000, 'Latency'),
+        errorRate: number(config.errorRate, 0, 0, 100, 'Error rate'),
+        errorStatus: number(config.errorStatus, 500, 400, 599, 'Error status')
+    };
+}
+
+/**
+ * Turn a path pattern into a regular expression: ":name" matches one segment,
+ * "*" matches anything (including "/")
+ */
+function compilePath(pattern) {
+    const source = pattern.split(/(:\w+|\*)/).map((part) => {
+        if (part === '*') return '.*';
+        if (/^:\w+$/.test(part)) return `(?<${part.slice(1)}>[^/]+)`;
+        return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}/?$`);
+}
+
+/**
+ * First route matching a request; HEAD requests also match GET routes
+ * @returns {object|null} { route, params }
+ */
+function matchRoute(routes, method, pathname) {
+    for (const route of routes) {
+        const methodMatches = route.method === '*' || route.method === method || (method === 'HEAD' && route.method === 'GET');
+        if (!methodMatches) continue;
+        const match = pathname.match(route.pattern || compilePath(route.path));
+        if (match) return { route, params: { ...match.groups } };
+    }
+    return null;
+}
+
+/**
+ * Build a request handler for http.createServer()
+ * @param {object} config - Settings from normalizeHttpConfig()
+ * @param {object} options - {
+ *   baseDir: directory relative file bodies are read from,
+ *   captureLimit: bytes of the request body passed to onResponse (default 64 KiB),
+ *   onResponse(info): called after each answer with the request, the response and the duration
+ * }
+ * @returns {Function} (req, res) handler with a reload(config) method to swap the routes
+ */
+function createRouter(config, options = {}) {
+    let settings;
+    const load = (next) => {
+        const normalized = normalizeHttpConfig(next);
+        normalized.routes.forEach((route) => {
+            route.pattern = compilePath(route.path);
+        });
+        settings = normalized;
+    };
+    load(config);
+
+    const baseDir = path.resolve(options.baseDir || process.cwd());
+
+    const respond = async (req) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const matched = matchRoute(settings.routes, req.method, pathname);
+        if (!matched) {
+            return { status: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: 'Not Found' };
+        }
+
+        const { route } = matched;
+        const latency = route.latency ?? settings.latency;
+        if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+
+        const errorRate = route.errorRate ?? settings.errorRate;
+        if (errorRate > 0 && Math.random() * 100 < errorRate) {
+            return {
+                status: settings.errorStatus,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Injected error', route: `${route.method} ${route.path}` }),
+                injected: true
+            };
+        }
+
+        const headers = {};
+        let body;
+        if (route.body.type === 'file') {
+            // Files are read per request, so edits show up immediately; relative paths start at the workspace
+            const file = path.resolve(baseDir, route.body.content);
+            try {
+                body = await fs.promises.readFile(file);
+            } catch (error) {
+                return { status: 500, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: `Cannot read ${route.body.content}: ${error.code || error.message}` };
+            }
+            headers['Content-Type'] = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+        } else if (route.body.type === 'json') {
+            body = route.body.content;
+            headers['Content-Type'] = 'application/json';
+        } else {
+            body = route.body.content;
+            headers['Content-Type'] = 'text/plain; charset=utf-8';
+        }
+
+        // Route headers win, compared without regard to case
+        for (const [name, value] of Object.entries(route.headers)) {
+            Object.keys(headers).filter(key => key.toLowerCase() === name.toLowerCase()).forEach(key => delete headers[key]);
+            headers[name] = value;
+        }
+
+        return { status: route.status, headers, body, route };
+    };
+
+    const captureLimit = options.captureLimit ?? 64 * 1024;
+
+    // The request body is read (keeping up to captureLimit bytes) before answering
+    const readBody = req => new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            if (size < captureLimit) chunks.push(chunk.subarray(0, captureLimit - size));
+            size += chunk.length;
+        });
+        req.on('end', () => resolve({ body: Buffer.concat(chunks), size }));
+        req.on('error', reject);
+    });
+
+    const handler = (req, res) => {
+        const started = Date.now();
+        let received = { body: Buffer.alloc(0), size: 0 };
+        readBody(req).then((body) => {
+            received = body;
+            return respond(req);
+        }).then((response) => {
+            if (res.destroyed) return;
+            const body = req.method === 'HEAD' ? undefined : response.body;
+            res.writeHead(response.status, response.headers);
+            res.end(body);
+            if (options.onResponse) {
+                const headers = [];
+                for (let i = 0; i < req.rawHeaders.length; i += 2) headers.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+                options.onResponse({
+                    method: req.method,
+                    url: req.url,
+                    httpVersion: req.httpVersion,
+                    headers,
+                    remoteAddress: req.socket.remoteAddress,
+                    body: received.body,
+                    bodySize: received.size,
+                    status: response.status,
+                    responseHeaders: response.headers,
+                    responseBody: body,
+                    duration: Date.now() - started,
+                    route: response.route ? `${response.route.method} ${response.route.path}` : null,
+                    injected: Boolean(response.injected)
+                });
+            }
+        }).catch((error) => {
+            if (res.headersSent || res.destroyed) return;
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(error.message);
+        });
+    };
+    handler.reload = load;
+    return handler;
+}
+
+module.exports = {
+    METHODS,
+    DEFAULT_ROUTES,
+    normalizeHttpConfig,
+    compilePath,
+    matchRoute,
+    createRouter
+};
@@ -0,0 +1,236 @@
+/**
+ * MTR Module
+ * Continuous path monitoring: traces the route round after round with one
+ * probe per hop and keeps running statistics for every hop (sent, loss, last,
+ * average, best, worst, standard deviation and a window of recent RTTs)
+ */
+
+const EventEmitter = require('events');
+const Traceroute = require('./traceroute');
+const { resolveHost } = require('./ip-range');
+
+const { reverseLookup } = Traceroute;
+
+const DEFAULT_OPTIONS = {
+    protocol: 'icmp',
+    maxHops: 30,
+    timeout: 2000,
+    port: null,
+    interval: 1000,
+    rounds: 0,
+    historySize: 30,
+    resolveNames: true,
+    prefer: 'auto'
+};
+
+class HopStats {
+    constructor(hop) {
+        this.hop = hop;
+        this.ip = null;
+        this.hostname = null;
+        this.responders = [];
+        this.sent = 0;
+        this.received = 0;
+        this.last = null;
+        this.best = null;
+        this.worst = null;
+        this.mean = 0;
+        this.m2 = 0;
+        this.history = [];
+        this.mpls = [];
+        this.reached = false;
+        this.unreachable = null;
+    }
+
+    /**
+     * Add one round's probe for this hop
+     * @param {object|null} hop - Hop from the traceroute engine, null when the round ended before this hop
+     */
+    add(hop, historySize) {
+        const rtt = hop && hop.rtts && hop.rtts.length ? hop.rtts[0] : null;
+        this.sent++;
+
+        if (hop && hop.ip) {
+            this.ip = hop.ip;
+            if (!this.responders.includes(hop.ip)) this.responders.push(hop.ip);
+            if (hop.mpls && hop.mpls.length > 0) this.mpls = hop.mpls;
+            this.reached = hop.reached;
+            this.unreachable = hop.unreachable;
+        }
+
+        if (rtt !== null) {
+            // Welford's online mean and variance
+            this.received++;
+            const delta = rtt - this.mean;
+            this.mean += delta / this.received;
+            this.m2 += delta * (rtt - this.mean);
+            this.best = this.best === null ? rtt : Math.min(this.best, rtt);
+            this.worst = this.worst === null ? rtt : Math.max(this.worst, rtt);
+        }
+        this.last = rtt;
+
+        this.history.push(rtt);
+        if (this.history.length > historySize) this.history.shift();
+    }
+
+    /**
+     * Plain object for IPC, in the traceroute hop shape plus the running statistics.
+     * `rtts` holds the recent RTTs (oldest first, null for lost probes)
+     */
+    toJSON() {
+        const round = value => (value === null ? null : Math.round(value * 1000) / 1000);
+        return {
+            hop: this.hop,
+            ip: this.ip,
+            hostname: this.hostname,
+            responders: this.responders,
+            rtts: this.history.map(round),
+            sent: this.sent,
+            received: this.received,
+            loss: this.sent ? round(((this.sent - this.received) / this.sent) * 100) : 0,
+            last: round(this.last),
+            latency: this.received ? round(this.mean) : null,
+            avg: this.received ? round(this.mean) : null,
+            best: round(this.best),
+            worst: round(this.worst),
+            stddev: this.received ? round(Math.sqrt(this.m2 / this.received)) : null,
+            mpls: this.mpls,
+            reached: this.reached,
+            unreachable: this.unreachable,
+            status: this.received ? 'success' : 'timeout'
+        };
+    }
+}
+
+class PathMonitor extends EventEmitter {
+    /**
+     * @param {object} options - {
+     *   protocol: 'icmp' (default), 'udp' or 'tcp', maxHops (default 30),
+     *   timeout: ms to wait for each probe (default 2000), port,
+     *   interval: ms between the starts of two rounds (default 1000),
+     *   rounds: stop after this many rounds (default 0, run until stopped),
+     *   historySize: recent RTTs kept per hop (default 30),
+     *   resolveNames (default true), prefer: 'auto', 'ipv6' or 'ipv4'
+     * }
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.options.interval = Math.min(Math.max(parseInt(this.options.interval, 10) || 1000, 200), 60000);
+        this.stopped = false;
+        this.tracer = null;
+        this.wakeUp = null;
+        this.hops = new Map();
+        this.names = new Map();
+        this.round = 0;
+        this.engine = null;
+        this.fallbackReason = null;
+    }
+
+    /**
+     * Monitor the path to a host until stop() is called or the round limit is reached.
+     * Emits 'update' with { round, hops } whenever a hop's statistics change
+     * @returns {Promise<object>} { host, address, family, protocol, engine, fallbackReason, rounds, hops, duration }
+     */
+    async start(host) {
+        const started = Date.now();
+        const { address, family } = await resolveHost(host, { prefer: this.options.prefer });
+        let destinationHop = this.options.maxHops;
+        let protocol = this.options.protocol;
+
+        while (!this.stopped && (!this.options.rounds || this.round < this.options.rounds)) {
+            const roundStarted = Date.now();
+            this.round++;
+
+            // Each round stops at the destination; hops past it from earlier rounds are dropped
+            this.tracer = new Traceroute({
+                protocol: this.options.protocol,
+                maxHops: destinationHop,
+                timeout: this.options.timeout,
+                port: this.options.port,
+                probes: 1,
+                resolveNames: false
+            });
+            const seen = new Set();
+            this.tracer.on('hop', (hop) => {
+                seen.add(hop.hop);
+                this.record(hop.hop, hop);
+                this.emitUpdate();
+            });
+
+            const result = await this.tracer.trace(address);
+            this.engine = result.engine;
+            this.fallbackReason = result.fallbackReason;
+            protocol = result.protocol;
+            if (result.cancelled) break;
+
+            // Hops the round did not get to (cut short by the destination or an unreachable) count as sent once reached
+            const lastHop = result.hops.length ? result.hops[result.hops.length - 1].hop : 0;
+            if (result.reached || result.hops.some(hop => hop.unreachable)) destinationHop = lastHop;
+            [...this.hops.keys()].filter(hop => hop > destinationHop).forEach(hop => this.hops.delete(hop));
+            for (let hop = 1; hop <= lastHop; hop++) {
+                if (!seen.has(hop)) this.record(hop, null);
+            }
+            this.emitUpdate();
+
+            const wait = this.options.interval - (Date.now() - roundStarted);
+            if (wait > 0 && !this.stopped) {
+                await new Promise((resolve) => {
+                    this.wakeUp = resolve;
+                    setTimeout(resolve, wait);
+                });
+                this.wakeUp = null;
+            }
+        }
+
+        return {
+            host,
+            address,
+            family,
+            protocol,
+            engine: this.engine,
+            fallbackReason: this.fallbackReason,
+            rounds: this.round,
+            hops: this.snapshot(),
+            duration: Date.now() - started
+        };
+    }
+
+    /**
+     * Stop after the current round; the statistics gathered so far are returned by start()
+     */
+    stop() {
+        this.stopped = true;
+        if (this.tracer) this.tracer.cancel();
+        if (this.wakeUp) this.wakeUp();
+    }
+
+    record(number, hop) {
+        if (!this.hops.has(number)) this.hops.set(number, new HopStats(number));
+        const stats = this.hops.get(number);
+        stats.add(hop, this.options.historySize);
+
+        if (stats.ip && this.options.resolveNames) {
+            // Each address is looked up once per session
+            // stats.ip may move to another address (load balancing) before the lookup answers
+            const ip = stats.ip;
+            if (!this.names.has(ip)) {
+                this.names.set(ip, null);
+                reverseLookup(ip, 2000).then((name) => {
+                    this.names.set(ip, name);
+                });
+            }
+            stats.hostname = this.names.get(stats.ip);
+        }
+    }
+
+    snapshot() {
+        return [...this.hops.values()].sort((a, b) => a.hop - b.hop).map(stats => stats.toJSON());
+    }
+
+    emitUpdate() {
+        this.emit('update', { round: this.round, hops: this.snapshot() });
+    }
+}
+
+module.exports = PathMonitor;
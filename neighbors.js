@@ -0,0 +1,285 @@
+/**
+ * Neighbor Table Module
+ * Reads the operating system's ARP / neighbor cache so scanned hosts can be
+ * matched to their MAC address and network card vendor, and discovers IPv6
+ * hosts on the local links with multicast echo requests
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const { normalizeMAC, lookupVendor } = require('./oui-vendors');
+const { normalizeIP } = require('./ip-range');
+const { ping } = require('./ping');
+
+// Linux neighbor states that carry a usable link-layer address
+const USABLE_STATES = ['REACHABLE', 'STALE', 'DELAY', 'PROBE', 'PERMANENT', 'NOARP'];
+
+function run(command, args) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: 5000, windowsHide: true }, (error, stdout) => {
+            if (error && !stdout) reject(error);
+            else resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Parse `ip neigh show` output:
+ * "192.168.1.1 dev eth0 lladdr a4:2b:b0:01:02:03 REACHABLE"
+ */
+function parseIpNeigh(output) {
+    const entries = [];
+
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(/^(\S+)\s+dev\s+(\S+)(?:\s+lladdr\s+(\S+))?.*?\s([A-Z]+)\s*$/);
+        if (!match || !match[3] || !USABLE_STATES.includes(match[4])) continue;
+
+        entries.push({
+            ip: match[1],
+            mac: normalizeMAC(match[3]),
+            interface: match[2],
+            state: match[4].toLowerCase(),
+            // An answered ARP/ND request confirms the host is up right now
+            reachable: match[4] === 'REACHABLE'
+        });
+    }
+    return entries;
+}
+
+/**
+ * Parse /proc/net/arp:
+ * "192.168.1.1  0x1  0x2  a4:2b:b0:01:02:03  *  eth0"
+ */
+function parseProcArp(output) {
+    const entries = [];
+
+    output.split(/\r?\n/).slice(1).forEach(line => {
+        const [ip, , flags, mac, , device] = line.trim().split(/\s+/);
+        // ATF_COM (0x2) is set once the address has been resolved
+        if (!ip || !mac || !(parseInt(flags, 16) & 0x2) || mac === '00:00:00:00:00:00') return;
+
+        entries.push({ ip, mac: normalizeMAC(mac), interface: device || null, state: null, reachable: true });
+    });
+    return entries;
+}
+
+/**
+ * Parse `arp -a` output from macOS/BSD
+ * ("? (192.168.1.1) at a4:2b:b0:1:2:3 on en0 ifscope [ethernet]")
+ * and Windows ("  192.168.1.1      a4-2b-b0-01-02-03     dynamic")
+ */
+function parseArpTable(output) {
+    const entries = [];
+    let windowsInterface = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        // Windows groups entries under "Interface: 192.168.1.10 --- 0xb" (localized label)
+        const header = line.match(/^\S.*?:\s*(\d{1,3}(?:\.\d{1,3}){3})\s+---/);
+        if (header) {
+            windowsInterface = header[1];
+            continue;
+        }
+
+        const bsd = line.match(/\((\d{1,3}(?:\.\d{1,3}){3})\)\s+at\s+([0-9a-f:]+)(?:\s+on\s+(\S+))?/i);
+        const windows = !bsd && line.match(/^\s+(\d{1,3}(?:\.\d{1,3}){3})\s+([0-9a-f]{2}(?:-[0-9a-f]{2}){5})\s+(\S+)/i);
+        const match = bsd || windows;
+        if (!match) continue;
+
+        const mac = normalizeMAC(match[2]);
+        // Skip unresolved, broadcast and IPv4 multicast (01:00:5e) entries
+        if (!mac || mac === 'ff:ff:ff:ff:ff:ff' || mac === '00:00:00:00:00:00' || mac.startsWith('01:00:5e')) continue;
+
+        entries.push({
+            ip: match[1],
+            mac,
+            interface: bsd ? match[3] || null : windowsInterface,
+            state: windows ? match[3].toLowerCase() : null,
+            // Static entries ("static", "statisch", ...) are configured, not learned from the host
+            reachable: !(windows && /^stat/i.test(match[3]))
+        });
+    }
+    return entries;
+}
+
+// macOS `ndp` state letters
+const NDP_STATES = { R: 'reachable', S: 'stale', D: 'delay', P: 'probe', N: 'nostate' };
+
+/**
+ * Parse `ndp -an` output from macOS/BSD:
+ * "fe80::1%en0   a4:2b:b0:1:2:3   en0 23h59m58s S R"
+ */
+function parseNdpTable(output) {
+    const entries = [];
+
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(/^([0-9a-f:.]+)(?:%\S+)?\s+([0-9a-f]{1,2}(?::[0-9a-f]{1,2}){5})\s+(\S+)\s+(\S+)\s+([A-Z])\b/i);
+        if (!match) continue;
+
+        const mac = normalizeMAC(match[2]);
+        // 33:33:xx multicast mappings and the host's own addresses ("permanent") are not neighbors
+        if (!mac || mac.startsWith('33:33') || match[4] === 'permanent') continue;
+
+        entries.push({
+            ip: match[1].toLowerCase(),
+            mac,
+            interface: match[3],
+            state: NDP_STATES[match[5]] || match[5].toLowerCase(),
+            reachable: match[5] === 'R'
+        });
+    }
+    return entries;
+}
+
+/**
+ * Parse `netsh interface ipv6 show neighbors` output from Windows. Entries are
+ * grouped under "Interface 12: Ethernet" (localized label); the interface index
+ * is kept because it is what Windows uses as the zone of link-local addresses
+ */
+function parseNetshNeighbors(output) {
+    const entries = [];
+    let interfaceIndex = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        const header = line.match(/^[^\s:]+\s+(\d+):\s+\S/);
+        if (header) {
+            interfaceIndex = header[1];
+            continue;
+        }
+
+        const match = line.match(/^([0-9a-f:.]+:[0-9a-f:.]*)(?:%\d+)?\s+([0-9a-f]{2}(?:-[0-9a-f]{2}){5})\s+(\S+)/i);
+        if (!match) continue;
+
+        const mac = normalizeMAC(match[2]);
+        if (!mac || mac === '00:00:00:00:00:00' || mac.startsWith('33:33') || /^perm/i.test(match[3])) continue;
+
+        entries.push({
+            ip: match[1].toLowerCase(),
+            mac,
+            interface: interfaceIndex,
+            state: match[3].toLowerCase(),
+            reachable: /^reach/i.test(match[3])
+        });
+    }
+    return entries;
+}
+
+/**
+ * Read the neighbor table
+ * @param {string} platform - Defaults to the current platform
+ * @param {object} options - { ipv6: also read the IPv6 neighbor cache where it is a separate table }
+ * @returns {Promise<Array>} [{ ip, mac, vendor, interface, state, reachable }]
+ */
+async function getNeighborTable(platform = process.platform, options = {}) {
+    let entries;
+
+    if (platform === 'linux') {
+        try {
+            // `ip neigh` reports the entry state, so stale cache entries are not mistaken for live hosts
+            entries = parseIpNeigh(await run('ip', ['neigh', 'show']));
+        } catch (error) {
+            entries = parseProcArp(await fs.promises.readFile('/proc/net/arp', 'utf8'));
+        }
+    } else {
+        entries = parseArpTable(await run('arp', ['-a', ...(platform === 'win32' ? [] : ['-n'])]));
+    }
+
+    // `ip neigh` already lists both families; elsewhere IPv6 has its own table
+    if (options.ipv6 && platform !== 'linux') {
+        try {
+            entries = entries.concat(platform === 'win32'
+                ? parseNetshNeighbors(await run('netsh', ['interface', 'ipv6', 'show', 'neighbors']))
+                : parseNdpTable(await run('ndp', ['-an'])));
+        } catch (error) {
+            // No IPv6 neighbor table available, keep the IPv4 entries
+        }
+    }
+
+    return entries
+        .filter(entry => entry.mac)
+        .map(entry => ({ ...entry, vendor: lookupVendor(entry.mac) }));
+}
+
+function isLinkLocal(address) {
+    return /^fe[89ab][0-9a-f]:/i.test(address);
+}
+
+/**
+ * Find IPv6 hosts on the local links. Every host answers an echo request to the
+ * all-nodes group ff02::1, so one multicast ping per interface replaces probing a
+ * /64 address by address. Pinging from each global address as well makes hosts
+ * answer from their global addresses, and the replies fill the neighbor cache,
+ * which supplies MAC addresses and hosts that drop multicast echo requests
+ * @param {object} options - { timeout: ms to wait per probe (default 1000), platform }
+ * @returns {Promise<Array>} [{ ip, mac, vendor, interface, reachable, source: 'multicast' | 'neighbor' }];
+ *          link-local addresses carry their zone ("fe80::1%eth0")
+ */
+async function discoverIPv6Hosts(options = {}) {
+    const platform = options.platform || process.platform;
+    const timeout = options.timeout || 1000;
+    const ownAddresses = new Set();
+    const zones = new Map();
+    const probes = [];
+
+    for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+        const ipv6 = addresses.filter(entry => (entry.family === 'IPv6' || entry.family === 6) && !entry.internal);
+        ipv6.forEach(entry => ownAddresses.add(normalizeIP(entry.address.split('%')[0])));
+
+        // Windows identifies the link by interface index, other systems by name
+        const linkLocal = ipv6.find(entry => isLinkLocal(entry.address));
+        const zone = platform === 'win32' ? linkLocal && String(linkLocal.scopeid) : name;
+        if (!linkLocal || !zone || !/^[\w.-]+$/.test(zone)) continue;
+        zones.set(zone, name);
+
+        const sources = [null, ...ipv6.filter(entry => !isLinkLocal(entry.address)).map(entry => entry.address)];
+        sources.forEach(source => {
+            probes.push(ping(`ff02::1%${zone}`, { count: 2, timeout, family: 6, source })
+                .then(result => result.responders.map(ip => ({ ip, zone })))
+                .catch(() => []));
+        });
+    }
+
+    const hosts = new Map();
+    const add = (address, zone, details) => {
+        const ip = normalizeIP(address.split('%')[0]);
+        if (!ip || ownAddresses.has(ip) || hosts.has(ip)) return;
+        hosts.set(ip, {
+            ip: isLinkLocal(ip) && zone ? `${ip}%${zone}` : ip,
+            mac: null,
+            vendor: null,
+            interface: zones.get(zone) || zone || null,
+            ...details
+        });
+    };
+
+    (await Promise.all(probes)).flat().forEach(({ ip, zone }) => add(ip, zone, { reachable: true, source: 'multicast' }));
+
+    let neighbors = [];
+    try {
+        neighbors = (await getNeighborTable(platform, { ipv6: true })).filter(entry => entry.ip.includes(':'));
+    } catch (error) {
+        // Neighbor table unavailable, the multicast replies are all there is
+    }
+    neighbors.forEach(entry => {
+        const ip = normalizeIP(entry.ip);
+        const known = hosts.get(ip);
+        if (known) {
+            known.mac = entry.mac;
+            known.vendor = entry.vendor;
+        } else {
+            add(entry.ip, entry.interface, { mac: entry.mac, vendor: entry.vendor, reachable: entry.reachable, source: 'neighbor' });
+        }
+    });
+
+    return [...hosts.values()];
+}
+
+module.exports = {
+    getNeighborTable,
+    discoverIPv6Hosts,
+    parseIpNeigh,
+    parseProcArp,
+    parseArpTable,
+    parseNdpTable,
+    parseNetshNeighbors
+};
@@ -0,0 +1,206 @@
+/**
+ * OUI Vendor Module
+ * Offline lookup of network card vendors from the first three bytes of a MAC address.
+ * The IEEE MA-L registry is bundled (oui-registry.txt, regenerated by update-oui-registry.js),
+ * with short names for common consumer, networking and virtualization vendors on top; a
+ * database (IEEE oui.txt, Wireshark manuf or nmap-mac-prefixes) placed at
+ * ~/.netnavigator/oui.txt is loaded over both when present
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const USER_DATABASE = path.join(os.homedir(), '.netnavigator', 'oui.txt');
+const REGISTRY = path.join(__dirname, 'oui-registry.txt');
+
+// Vendor name -> OUI prefixes (hex, no separators); these names replace the registry's longer ones,
+// so a prefix belongs here only when the registry assigns it to that company (test/oui-vendors.test.js
+// checks this). Locally administered prefixes, which the registry lacks, are the exception
+const BUNDLED_VENDORS = {
+    'Apple': [
+        '000393', '000A27', '000A95', '001124', '0016CB', '0017F2', '0019E3', '001B63', '001CB3', '001D4F',
+        '001E52', '001EC2', '001F5B', '001FF3', '0021E9', '002241', '002312', '002332', '00236C', '0023DF',
+        '002436', '002500', '00254B', '0025BC', '002608', '00264A', '0026B0', '0026BB', '003065', '0050E4',
+        '28CFE9', '3C0754', '40A6D9', '7CD1C3', 'A4B197', 'ACBC32', 'D023DB', 'F0D1A9'
+    ],
+    'Raspberry Pi': ['B827EB', 'DCA632', 'E45F01', '28CDC1', 'D83ADD', '2CCF67'],
+    'Espressif': [
+        '18FE34', '240AC4', '2462AB', '246F28', '30AEA4', '3C6105', '3C71BF', '48E729', '4C11AE', '5CCF7F',
+        '600194', '7CDFA1', '807D3A', '84CCA8', '8CAAB5', '94B97E', 'A020A6', 'A4CF12', 'AC67B2', 'B4E62D',
+        'BCDDC2', 'C44F33', 'CC50E3', 'DC4F22', 'E868E7', 'ECFABC'
+    ],
+    'Cisco Systems': ['00000C', '000142', '000143', '0001C7', '0001C9'],
+    'Cisco-Linksys': ['000C41', '000625', '001310', '0018F8'],
+    'Ubiquiti Networks': [
+        '00156D', '002722', '0418D6', '18E829', '24A43C', '44D9E7', '687251', '74ACB9', '788A20', '802AA8',
+        'B4FBE4', 'DC9FDB', 'E063DA', 'F09FC2', 'FCECDA'
+    ],
+    'TP-Link': [
+        '003192', '14CC20', '1C3BF3', '30B5C2', '5091E3', '50C7BF', '54AF97', '6032B1', '60E327', '647002',
+        '98DAC4', '9C5322', 'A42BB0', 'AC84C6', 'B0487A', 'C46E1F', 'E848B8', 'EC086B', 'F4F26D'
+    ],
+    'Netgear': [
+        '00095B', '000FB5', '00146C', '001B2F', '001E2A', '001F33', '00223F', '0024B2', '0026F2', '10DA43',
+        '204E7F', '28C68E', '2CB05D', '30469A', '9C3DCF', 'A00460', 'A040A0', 'C03F0E', 'E091F5'
+    ],
+    'ASUSTek': [
+        '000C6E', '000EA6', '00112F', '0011D8', '0013D4', '0015F2', '001731', '0018F3', '001A92', '001BFC',
+        '001D60', '001E8C', '001FC6', '002215', '002354', '00248C', '002618', '04D4C4', '107B44', '14DAE9',
+        '2C56DC', '382C4A', '40167E', '50465D', '54A050', '60A44C', '74D02B', 'AC220B', 'BCAEC5', 'D850E6',
+        'F46D04', 'F832E4'
+    ],
+    'AVM (FRITZ!Box)': [
+        '00040E', '001C4A', '001F3F', '246511', '2C3AFD', '3810D5', '444E6D', '5C4979', '7CFF4D', '9CC7A6',
+        'BC0543', 'C02506', 'C80E14', 'DC396F', 'E0286D', 'E8DF70', 'F0B014'
+    ],
+    'MikroTik': ['000C42', '2CC81B', '48A98A', '4C5E0C', '64D154', '6C3B6B', '744D28', 'B869F4', 'CC2DE0', 'D4CA6D', 'DC2C6E', 'E48D8C'],
+    'Aruba Networks': ['000B86', '001A1E', '00246C', '04BD88', '186472', '204C03', '24DEC6', '40E3D6', '6CF37F', '84D47E', '94B40F', '9C1C12', 'ACA31E', 'D8C7C8'],
+    'Juniper Networks': ['000585', '0010DB', '00121E', '0014F6', '0017CB', '0019E2', '001BC0', '001DB5', '002283', '00239C', '0024DC', '002688', '288A1C', '2C6BF5', '3C8AB0', '40B4F0', '5C5EAB', '78FE3D', '80711F', '84B59C', '88E0F3', '9CCC83', 'A8D0E5', 'B0C69A', 'CCE17F', 'F4A739', 'F4B52F'],
+    'Fortinet': ['00090F', '085B0E', '704CA5', '906CAC', 'E81CBA'],
+    'Zyxel': ['001349', '0019CB', '0023F8', '28285D', '404A03'],
+    'Huawei': [
+        '001882', '001E10', '002568', '00259E', '00464B', '00E0FC', '04C06F', '0C37DC', '20F3A3', '286ED4',
+        '48435A', '48DB50', '5C7D5E', '70723C', '781DBA', '80FB06', '9C28EF', 'AC853D', 'C8D15E', 'E0247F', 'F4559C'
+    ],
+    'Xiaomi': ['009EC8', '04CF8C', '0C1DAF', '102AB3', '14F65A', '185936', '286C07', '34CE00', '50EC50', '584498', '64B473', '7802F8', '7C49EB', '8CBEBE', '9C99A0', 'A086C6', 'ACC1EE', 'D4970B', 'F48B32', 'F8A45F'],
+    'Samsung Electronics': ['0000F0', '0007AB', '001247', '0015B9', '001632', '0017C9', '0018AF', '001A8A', '001D25', '001EE1', '002339', '0024E9', '002566', '5C0A5B', '8425DB', '8C71F8', 'A00798', 'BC8CCD', 'CC07AB', 'E4E0C5', 'F025B7'],
+    'LG Electronics': ['001C62', '001E75', '001F6B', '001FE3', '0022A9', '002483', '0025E5', '0026E2', '10F96F', '34FCEF', '58A2B5', '64BC0C', '6CD68A', '88C9D0', 'A816B2', 'CC2D8C'],
+    'Sony': ['00041F', '001315', '0015C1', '0019C5', '001D0D', '001FA7', '00248D', '0CFE45', '280DFC', '709E29', '78C881', 'A8E3EE', 'BC60A7', 'F8461C', 'FC0FE6'],
+    'Nintendo': ['0009BF', '001656', '0017AB', '0019FD', '001AE9', '001B7A', '001BEA', '001CBE', '001DBC', '001E35', '001EA9', '001F32', '001FC5', '0021BD', '002331', '0023CC', '0024F3', '0025A0'],
+    'Microsoft': ['0003FF', '000D3A', '00125A', '0017FA', '001DD8', '002248', '0025AE', '0050F2', '7CED8D', '985FD3'],
+    'Google': ['001A11', '3C5AB4', '546009', 'F4F5D8', 'F4F5E8'],
+    'Google Nest': ['18B430', '641666'],
+    'Amazon Technologies': ['44650D', '6854FD', '747548', 'F0272D', 'FC65DE'],
+    'Sonos': ['000E58', '347E5C', '48A6B8', '5CAAFD', '949F3E', 'B8E937'],
+    'Philips Lighting (Hue)': ['001788', 'ECB5FA'],
+    'Belkin': ['001150', '08863B', '94103E', 'B4750E', 'C05627', 'EC1A59'],
+    'Roku': ['8C4962', 'AC3A7A', 'B0A737', 'B83E59', 'CC6DA0', 'D83134', 'DC3A5E'],
+    'Wyze Labs': ['2CAA8E'],
+    'Tesla': ['4CFCAA'],
+    'OnePlus': ['94652D', 'C0EEFB'],
+    'NVIDIA': ['00044B', '48B02D'],
+    'Intel': ['001B21', '00A0C9', '8086F2'],
+    'Realtek': ['00E04C'],
+    'Broadcom': ['001018'],
+    'Dell': [
+        '000874', '000BDB', '000D56', '000F1F', '001143', '00123F', '001372', '001422', '0015C5', '00188B',
+        '0019B9', '001AA0', '001C23', '001D09', '001E4F', '002170', '00219B', '002219', '0023AE', '0024E8',
+        '002564', '0026B9', '14FEB5', '180373', '1866DA', '246E96', '5CF9DD', '782BCB', '848F69', 'B083FE',
+        'B8AC6F', 'BC305B', 'D4AE52', 'D4BED9', 'F01FAF', 'F8B156', 'F8BC12', 'F8DB88'
+    ],
+    'Hewlett Packard': [
+        '0001E6', '0001E7', '000802', '000883', '000A57', '000D9D', '000E7F', '000F20', '001083', '00110A',
+        '001321', '0014C2', '001560', '001708', '001871', '0019BB', '001B78', '001CC4', '001E0B', '001F29',
+        '00215A', '002264', '00237D', '002481', '0025B3', '002655', '080009', '3C4A92', '9457A5', 'A0D3C1',
+        'D48564', 'EC9A74'
+    ],
+    'Lenovo': ['00061B', '0012FE'],
+    'Synology': ['001132'],
+    'QNAP Systems': ['245EBE'],
+    'Brother Industries': ['008077', '001BA9', '30055C', '3C2AF4'],
+    'Canon': ['000085', '00BBC1', '2C9EFC'],
+    'Seiko Epson': ['000048', '0026AB', '44D244', '64EB8C', 'A4EE57', 'B0E892'],
+    'Hikvision': ['4419B6', '54C415', '849A40', 'A41437', 'BCAD28', 'C056E3', 'C42F90'],
+    'Dahua Technology': ['38AF29', '3CEF8C', '4C11BF', '9002A9', 'A0BD1D', 'BC325F', 'E0508B'],
+    'Axis Communications': ['00408C', 'ACCC8E', 'B8A44F'],
+    'VMware': ['000569', '000C29', '001C14', '005056'],
+    'QEMU/KVM': ['525400'],
+    'Microsoft Hyper-V': ['00155D'],
+    'Parallels': ['001C42'],
+    'Xen': ['00163E']
+};
+
+let vendorTable = null;
+
+/**
+ * Normalize a MAC address to lowercase colon-separated form ("a4:2b:b0:01:02:03").
+ * Accepts ":" or "-" separators, dotted Cisco notation and dropped leading zeros (macOS arp)
+ * @returns {string|null}
+ */
+function normalizeMAC(mac) {
+    if (typeof mac !== 'string') return null;
+    const text = mac.trim().toLowerCase();
+
+    let octets;
+    if (/^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/.test(text)) {
+        octets = text.replace(/\./g, '').match(/../g);
+    } else {
+        octets = text.split(/[:-]/);
+        if (octets.length !== 6 || octets.some(octet => !/^[0-9a-f]{1,2}$/.test(octet))) return null;
+        octets = octets.map(octet => octet.padStart(2, '0'));
+    }
+    return octets.join(':');
+}
+
+/**
+ * Parse lines of IEEE oui.txt ("00-00-0C   (hex)  Cisco Systems, Inc"),
+ * Wireshark manuf ("00:00:0C  Cisco  Cisco Systems, Inc") or
+ * nmap-mac-prefixes ("00000C Cisco Systems") into a prefix -> vendor map.
+ * Entries for ranges smaller than a full OUI (/28, /36) are ignored
+ */
+function parseOuiDatabase(text) {
+    const table = new Map();
+
+    for (const line of text.split(/\r?\n/)) {
+        if (!line || line.startsWith('#')) continue;
+
+        let match = line.match(/^([0-9A-Fa-f]{2})-([0-9A-Fa-f]{2})-([0-9A-Fa-f]{2})\s+\(hex\)\s+(.+)$/);
+        if (!match) match = line.match(/^([0-9A-Fa-f]{2})[:-]([0-9A-Fa-f]{2})[:-]([0-9A-Fa-f]{2})\t+[^\t]*\t+(.+)$/);
+        if (!match) match = line.match(/^([0-9A-Fa-f]{2})[:-]([0-9A-Fa-f]{2})[:-]([0-9A-Fa-f]{2})\s+(\S.*)$/);
+        if (!match) match = line.match(/^([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})([0-9A-Fa-f]{2})\s+(\S.*)$/);
+        if (!match) continue;
+
+        table.set(`${match[1]}${match[2]}${match[3]}`.toUpperCase(), match[4].trim());
+    }
+    return table;
+}
+
+function loadVendorTable() {
+    if (vendorTable) return vendorTable;
+
+    try {
+        vendorTable = parseOuiDatabase(fs.readFileSync(REGISTRY, 'utf8'));
+    } catch (error) {
+        console.error('OUI registry not loaded:', error.message);
+        vendorTable = new Map();
+    }
+    Object.entries(BUNDLED_VENDORS).forEach(([vendor, prefixes]) => {
+        prefixes.forEach(prefix => vendorTable.set(prefix, vendor));
+    });
+
+    try {
+        parseOuiDatabase(fs.readFileSync(USER_DATABASE, 'utf8')).forEach((vendor, prefix) => {
+            vendorTable.set(prefix, vendor);
+        });
+    } catch (error) {
+        // No user database, the bundled tables are used on their own
+    }
+    return vendorTable;
+}
+
+/**
+ * Vendor of a MAC address
+ * @returns {string|null} Vendor name, "Locally administered" for randomized/virtual
+ *                        addresses, or null when unknown
+ */
+function lookupVendor(mac) {
+    const normalized = normalizeMAC(mac);
+    if (!normalized) return null;
+
+    const firstOctet = parseInt(normalized.slice(0, 2), 16);
+    const vendor = loadVendorTable().get(normalized.slice(0, 8).replace(/:/g, '').toUpperCase());
+    if (vendor) return vendor;
+
+    // Bit 1 of the first octet marks addresses not assigned by IEEE (private Wi-Fi addresses, containers)
+    return firstOctet & 0x02 ? 'Locally administered' : null;
+}
+
+module.exports = {
+    lookupVendor,
+    normalizeMAC,
+    parseOuiDatabase,
+    BUNDLED_VENDORS,
+    REGISTRY,
+    USER_DATABASE
+};
@@ -5,44 +5,101 @@
 
 const si = require('systeminformation');
 const os = require('os');
+const { packetFromFrame } = require('./packet-decoder');
+const { readCapture, writePcap, writePcapng } = require('./pcap-format');
+const { compileFilter } = require('./display-filter');
+const TcpStreamTracker = require('./tcp-reassembly');
+const { dissectPacket, buildPacketTree } = require('./packet-dissectors');
+const PacketBuffer = require('./packet-buffer');
+const RollingPcapWriter = require('./capture-spill');
+
+// Default limits for packets kept in memory; statistics always cover every packet
+const DEFAULT_BUFFER_LIMITS = {
+    maxPackets: 10000,
+    maxMemoryMB: 256,
+    maxSeconds: 0
+};
+
+// Approximate memory used by a stored packet besides its raw bytes
+const PACKET_OVERHEAD_BYTES = 512;
+
+// Beyond this many distinct connections, the least active half is dropped
+const MAX_TRACKED_CONNECTIONS = 20000;
 
 class PacketAnalyzer {
     constructor() {
         this.captureActive = false;
-        this.packets = [];
+        this.packets = new PacketBuffer();
+        this.storedBytes = 0;
+        this.limits = { ...DEFAULT_BUFFER_LIMITS };
+        this.spill = null;
+        this.tcpStreams = new TcpStreamTracker();
+        // Entries in statistics.connections, kept so pruning needs no pass over the table
+        this.connectionCount = 0;
         this.statistics = {
             totalPackets: 0,
             totalBytes: 0,
             startTime: null,
             endTime: null,
             protocols: {},
-            connections: {}
+            connections: {},
+            evictedPackets: 0
         };
     }
 
+    /**
+     * Set how many packets are kept in memory
+     * @param {object} limits - { maxPackets, maxMemoryMB, maxSeconds } (0 disables a limit)
+     */
+    setBufferLimits(limits = {}) {
+        for (const key of Object.keys(DEFAULT_BUFFER_LIMITS)) {
+            if (limits[key] === undefined || limits[key] === null || limits[key] === '') continue;
+            const value = Number(limits[key]);
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid buffer limit ${key}: ${limits[key]}`);
+            }
+            this.limits[key] = value;
+        }
+        this.evict();
+        return { ...this.limits };
+    }
+
     /**
      * Start packet capture
+     * @param {object} options - { maxPackets, buffer: { maxPackets, maxMemoryMB, maxSeconds },
+     *   spill: { directory, fileSizeMB, maxFiles } to also write every packet to rolling .pcap files }
      */
     async startCapture(options = {}) {
         if (this.captureActive) {
             throw new Error('Capture already in progress');
         }
 
+        if (options.buffer) {
+            this.setBufferLimits(options.buffer);
+        }
+        this.spill = options.spill ? new RollingPcapWriter(options.spill) : null;
+
         this.captureActive = true;
-        this.packets = [];
+        this.packets.clear();
+        this.storedBytes = 0;
+        this.tcpStreams.clear();
+        this.connectionCount = 0;
         this.statistics = {
             totalPackets: 0,
             totalBytes: 0,
             startTime: Date.now(),
             endTime: null,
             protocols: {},
-            connections: {}
+            connections: {},
+            evictedPackets: 0
         };
 
         return {
             success: true,
             message: 'Packet capture started',
-            maxPackets: options.maxPackets || 100
+            maxPackets: options.maxPackets || 100,
+            limits: { ...this.limits },
+            spill: this.spill ? this.spill.getStatus() : null
         };
     }
 
@@ -56,6 +113,9 @@ class PacketAnalyzer {
 
         this.captureActive = false;
         this.statistics.endTime = Date.now();
+        if (this.spill) {
+            this.spill.close();
+        }
 
         return {
             success: true,
@@ -68,30 +128,126 @@ class PacketAnalyzer {
      * Add a packet to the capture
      */
     addPacket(packet) {
-        if (!this.captureActive) return;
+        if (!this.captureActive) return null;
+        return this.recordPacket(packet);
+    }
 
-        this.packets.push({
+    /**
+     * Store a packet and update statistics
+     * @returns {object} The stored packet, numbered and dissected
+     */
+    recordPacket(packet) {
+        const entry = {
             timestamp: new Date().toISOString(),
-            ...packet
-        });
+            ...packet,
+            number: this.statistics.totalPackets + 1
+        };
+
+        // Identify the application protocol from the payload itself
+        dissectPacket(entry);
+
+        // Reassemble TCP conversations and tag each segment with its stream
+        const tcp = this.tcpStreams.track(entry);
+        if (tcp) {
+            entry.tcpStream = tcp.stream;
+            entry.tcpAnalysis = tcp.analysis;
+        }
+
+        this.packets.push(entry);
+        this.storedBytes += this.packetSize(entry);
+
+        if (this.spill && entry.rawData) {
+            this.spill.write(this.frameFromPacket(entry));
+        }
 
         // Update statistics
         this.statistics.totalPackets++;
         this.statistics.totalBytes += packet.length || 0;
 
         // Track protocols
-        const protocol = packet.protocol || 'OTHER';
+        const protocol = entry.application || entry.protocol || 'OTHER';
         this.statistics.protocols[protocol] = (this.statistics.protocols[protocol] || 0) + 1;
 
         // Track connections
         if (packet.sourceIP && packet.destIP) {
             const connKey = `${packet.sourceIP}:${packet.sourcePort || '*'} -> ${packet.destIP}:${packet.destPort || '*'}`;
-            if (!this.statistics.connections[connKey]) {
-                this.statistics.connections[connKey] = { count: 0, bytes: 0 };
-            }
-            this.statistics.connections[connKey].count++;
-            this.statistics.connections[connKey].bytes += packet.length || 0;
+            this.trackConnection(connKey, 1, packet.length || 0);
         }
+
+        this.evict();
+        return entry;
+    }
+
+    /**
+     * Approximate memory held by a stored packet
+     */
+    packetSize(packet) {
+        return PACKET_OVERHEAD_BYTES + (packet.rawData ? packet.rawData.length : 0);
+    }
+
+    /**
+     * Drop the oldest packets until the buffer is within its limits
+     */
+    evict() {
+        const { maxPackets, maxMemoryMB, maxSeconds } = this.limits;
+        const maxBytes = maxMemoryMB * 1024 * 1024;
+        const newest = this.packets.last();
+        const cutoff = maxSeconds && newest ? this.packetTime(newest) - maxSeconds * 1000 : null;
+
+        while (this.packets.length > 0) {
+            const oldest = this.packets.first();
+            const overCount = maxPackets && this.packets.length > maxPackets;
+            const overMemory = maxMemoryMB && this.storedBytes > maxBytes;
+            const tooOld = cutoff !== null && this.packetTime(oldest) < cutoff;
+            if (!overCount && !overMemory && !tooOld) break;
+
+            this.packets.shift();
+            this.storedBytes -= this.packetSize(oldest);
+            this.statistics.evictedPackets++;
+        }
+    }
+
+    /**
+     * Capture time of a packet in milliseconds
+     */
+    packetTime(packet) {
+        return packet.timestampMicros !== undefined ? packet.timestampMicros / 1000 : Date.parse(packet.timestamp);
+    }
+
+    /**
+     * Add traffic seen outside the capture (e.g. relayed by a Server Maker proxy) to the
+     * connection statistics; count stands in for the packet count
+     * @param {string} connection - Key like the captured ones, "source -> destination"
+     * @param {object} traffic - { bytes, count }
+     */
+    recordConnectionTraffic(connection, { bytes = 0, count = 0 } = {}) {
+        // Statistics start with the first traffic when no capture has run
+        if (!this.statistics.startTime) this.statistics.startTime = Date.now();
+        this.trackConnection(connection, count, bytes);
+    }
+
+    /**
+     * Add packets and bytes to a connection's statistics
+     */
+    trackConnection(key, count, bytes) {
+        let connection = this.statistics.connections[key];
+        if (!connection) {
+            connection = this.statistics.connections[key] = { count: 0, bytes: 0 };
+            this.connectionCount++;
+        }
+        connection.count += count;
+        connection.bytes += bytes;
+        if (this.connectionCount > MAX_TRACKED_CONNECTIONS) this.pruneConnections();
+    }
+
+    /**
+     * Keep the connection table bounded on long captures by dropping the least active connections
+     */
+    pruneConnections() {
+        const entries = Object.entries(this.statistics.connections);
+        entries.sort((a, b) => b[1].count - a[1].count);
+        this.statistics.connections = Object.fromEntries(entries.slice(0, MAX_TRACKED_CONNECTIONS / 2));
+        this.connectionCount = Math.min(entries.length, MAX_TRACKED_CONNECTIONS / 2);
     }
 
     /**
@@ -101,7 +257,39 @@ class PacketAnalyzer {
         if (limit) {
             return this.packets.slice(-limit);
         }
-        return this.packets;
+        return this.packets.toArray();
+    }
+
+    /**
+     * Get a stored packet by its frame number
+     */
+    getPacket(number) {
+        // Packets are stored in frame-number order
+        let low = 0, high = this.packets.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const current = this.packets.get(mid).number;
+            if (current === number) return this.packets.get(mid);
+            if (current < number) low = mid + 1;
+            else high = mid - 1;
+        }
+        return null;
+    }
+
+    /**
+     * Get the packet-detail tree of a stored packet
+     */
+    getPacketDetails(number) {
+        const packet = this.getPacket(number);
+        if (!packet) {
+            throw new Error(`Packet ${number} is no longer available`);
+        }
+
+        return {
+            number,
+            info: packet.info,
+            tree: buildPacketTree(packet)
+        };
     }
 
     /**
@@ -122,7 +310,14 @@ class PacketAnalyzer {
             packetsPerSecond: Math.round(this.statistics.totalPackets / durationSeconds),
             bytesPerSecond: Math.round(this.statistics.totalBytes / durationSeconds),
             protocols: this.statistics.protocols,
-            topConnections: this.getTopConnections(10)
+            topConnections: this.getTopConnections(10),
+            buffer: {
+                storedPackets: this.packets.length,
+                storedBytes: this.storedBytes,
+                evictedPackets: this.statistics.evictedPackets,
+                limits: { ...this.limits }
+            },
+            spill: this.spill ? this.spill.getStatus() : null
         };
     }
 
@@ -139,25 +334,54 @@ class PacketAnalyzer {
             .slice(0, limit);
     }
 
+    /**
+     * Get reassembled TCP streams
+     */
+    getTcpStreams() {
+        return this.tcpStreams.getStreams();
+    }
+
+    /**
+     * Get both directions' payload of a TCP stream ("Follow TCP stream")
+     */
+    followTcpStream(index) {
+        const stream = this.tcpStreams.follow(index);
+        if (!stream) {
+            throw new Error(`TCP stream ${index} not found`);
+        }
+        return stream;
+    }
+
     /**
      * Clear all captured data
      */
     clear() {
-        this.packets = [];
+        this.packets.clear();
+        this.storedBytes = 0;
+        this.spill = null;
+        this.tcpStreams.clear();
+        this.connectionCount = 0;
         this.statistics = {
             totalPackets: 0,
             totalBytes: 0,
             startTime: null,
             endTime: null,
             protocols: {},
-            connections: {}
+            connections: {},
+            evictedPackets: 0
         };
     }
 
     /**
      * Filter packets by criteria
+     * @param {string|object} filter - Display filter expression (e.g. 'tcp.port == 443 && len > 1000')
+     *   or a criteria object { protocol, sourceIP, destIP, minBytes, maxBytes }
      */
     filterPackets(filter) {
+        if (typeof filter === 'string') {
+            return this.packets.filter(compileFilter(filter));
+        }
+
         return this.packets.filter(packet => {
             if (filter.protocol && packet.protocol !== filter.protocol) return false;
             if (filter.sourceIP && packet.sourceIP !== filter.sourceIP) return false;
@@ -177,12 +401,14 @@ class PacketAnalyzer {
                 exportDate: new Date().toISOString(),
                 totalPackets: this.statistics.totalPackets,
                 totalBytes: this.statistics.totalBytes,
+                exportedPackets: this.packets.length,
+                evictedPackets: this.statistics.evictedPackets,
                 duration: this.statistics.endTime 
                     ? this.statistics.endTime - this.statistics.startTime 
                     : 0
             },
             statistics: this.getStatistics(),
-            packets: this.packets
+            packets: this.packets.map(({ rawData, ...packet }) => packet)
         };
     }
 
@@ -198,6 +424,69 @@ class PacketAnalyzer {
 
         return csv;
     }
+
+    /**
+     * Raw frames of all packets that kept their captured bytes
+     */
+    getFrames() {
+        return this.packets
+            .filter(packet => packet.rawData)
+            .map(packet => this.frameFromPacket(packet));
+    }
+
+    /**
+     * Raw frame of a stored packet, as written to capture files
+     */
+    frameFromPacket(packet) {
+        return {
+            linkType: packet.linkType,
+            timestampMicros: packet.timestampMicros ?? Date.parse(packet.timestamp) * 1000,
+            originalLength: packet.length,
+            data: packet.rawData
+        };
+    }
+
+    /**
+     * Export packets as a libpcap (.pcap) file
+     */
+    exportPcap() {
+        return writePcap(this.getFrames());
+    }
+
+    /**
+     * Export packets as a pcapng (.pcapng) file
+     */
+    exportPcapng() {
+        return writePcapng(this.getFrames());
+    }
+
+    /**
+     * Load packets from a .pcap or .pcapng file for offline analysis
+     */
+    importCapture(buffer) {
+        if (this.captureActive) {
+            throw new Error('Stop the capture before importing a file');
+        }
+
+        const { format, frames } = readCapture(buffer);
+        this.clear();
+
+        // Durations and rates come from the file's own timestamps
+        let startTime = Infinity, endTime = -Infinity;
+        frames.forEach(frame => {
+            const packet = this.recordPacket(packetFromFrame(frame));
+            startTime = Math.min(startTime, packet.timestampMicros / 1000);
+            endTime = Math.max(endTime, packet.timestampMicros / 1000);
+        });
+        this.statistics.startTime = frames.length ? startTime : Date.now();
+        this.statistics.endTime = frames.length ? endTime : this.statistics.startTime;
+
+        return {
+            success: true,
+            format,
+            totalPackets: this.statistics.totalPackets
+        };
+    }
 }
 
 module.exports = PacketAnalyzer;
@@ -0,0 +1,94 @@
+/**
+ * Packet Buffer Module
+ * FIFO buffer of captured packets with O(1) append and eviction from the front
+ */
+
+// Evicted slots are compacted away once this many accumulate (and make up half the array)
+const COMPACT_THRESHOLD = 1024;
+
+class PacketBuffer {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.items = [];
+        this.head = 0;
+    }
+
+    get length() {
+        return this.items.length - this.head;
+    }
+
+    push(item) {
+        this.items.push(item);
+    }
+
+    /**
+     * Remove and return the oldest item
+     */
+    shift() {
+        if (this.length === 0) return undefined;
+
+        const item = this.items[this.head];
+        this.items[this.head] = undefined;
+        this.head++;
+
+        if (this.head >= COMPACT_THRESHOLD && this.head * 2 >= this.items.length) {
+            this.items = this.items.slice(this.head);
+            this.head = 0;
+        }
+        return item;
+    }
+
+    /**
+     * Item at a position, 0 being the oldest
+     */
+    get(index) {
+        return index >= 0 && index < this.length ? this.items[this.head + index] : undefined;
+    }
+
+    first() {
+        return this.get(0);
+    }
+
+    last() {
+        return this.get(this.length - 1);
+    }
+
+    /**
+     * Copy of a range of items, with Array.prototype.slice semantics
+     */
+    slice(start = 0, end = this.length) {
+        const length = this.length;
+        const from = start < 0 ? Math.max(length + start, 0) : Math.min(start, length);
+        const to = end < 0 ? Math.max(length + end, 0) : Math.min(end, length);
+        return this.items.slice(this.head + from, this.head + Math.max(from, to));
+    }
+
+    toArray() {
+        return this.slice();
+    }
+
+    filter(predicate) {
+        return this.toArray().filter(predicate);
+    }
+
+    map(mapper) {
+        return this.toArray().map(mapper);
+    }
+
+    forEach(callback) {
+        for (let i = this.head; i < this.items.length; i++) {
+            callback(this.items[i], i - this.head);
+        }
+    }
+
+    * [Symbol.iterator]() {
+        for (let i = this.head; i < this.items.length; i++) {
+            yield this.items[i];
+        }
+    }
+}
+
+module.exports = PacketBuffer;
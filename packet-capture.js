@@ -0,0 +1,127 @@
+/**
+ * Packet Capture Module
+ * Reads live frames from a network interface through libpcap (tcpdump/dumpcap)
+ * and decodes them for the PacketAnalyzer
+ */
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { packetFromFrame } = require('./packet-decoder');
+const { PcapStreamParser } = require('./pcap-format');
+
+/**
+ * Build the capture command for the current platform.
+ * tcpdump is used on Linux/macOS/BSD; Windows uses dumpcap from Wireshark/Npcap.
+ */
+function buildCaptureCommand(options = {}, platform = process.platform) {
+    const snapLength = String(options.snapLength || 65535);
+
+    // Neither can start with "-", which tcpdump and dumpcap would read as another option
+    if (options.interface && String(options.interface).trim().startsWith('-')) {
+        throw new Error(`Invalid interface "${options.interface}"`);
+    }
+    if (options.bpfFilter && String(options.bpfFilter).trim().startsWith('-')) {
+        throw new Error('Capture filter cannot start with "-"');
+    }
+
+    if (platform === 'win32') {
+        const args = ['-q', '-F', 'pcap', '-s', snapLength, '-w', '-'];
+        if (options.interface) args.unshift('-i', options.interface);
+        if (options.bpfFilter) args.push('-f', options.bpfFilter);
+        return { command: options.command || 'dumpcap', args };
+    }
+
+    const args = ['-U', '-n', '-s', snapLength, '-w', '-'];
+    if (options.interface) {
+        args.unshift('-i', options.interface);
+    } else if (platform === 'linux') {
+        args.unshift('-i', 'any');
+    }
+    if (options.bpfFilter) args.push(options.bpfFilter);
+    return { command: options.command || 'tcpdump', args };
+}
+
+class PacketCapture extends EventEmitter {
+    constructor() {
+        super();
+        this.process = null;
+        this.parser = null;
+        this.stderr = '';
+        this.stopRequested = false;
+    }
+
+    get isRunning() {
+        return this.process !== null;
+    }
+
+    /**
+     * Start capturing frames
+     * @param {object} options - { interface, snapLength, bpfFilter, command }
+     */
+    start(options = {}) {
+        if (this.process) {
+            throw new Error('Capture already in progress');
+        }
+
+        const { command, args } = buildCaptureCommand(options);
+        this.stderr = '';
+        this.parser = new PcapStreamParser((frame) => this.handleFrame(frame));
+
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        this.process = child;
+        let failed = false;
+
+        child.stdout.on('data', (chunk) => {
+            try {
+                this.parser.push(chunk);
+            } catch (error) {
+                this.emit('error', error);
+                this.stop();
+            }
+        });
+
+        child.stderr.on('data', (chunk) => {
+            // Keep only the tail; tcpdump prints its banner and final counters here
+            this.stderr = (this.stderr + chunk.toString()).slice(-4096);
+        });
+
+        child.on('error', (error) => {
+            failed = true;
+            const message = error.code === 'ENOENT'
+                ? `${command} was not found. Install ${command === 'dumpcap' ? 'Wireshark (dumpcap)' : 'tcpdump'} to capture packets.`
+                : error.message;
+            this.emit('error', new Error(message));
+        });
+
+        child.on('close', (code, signal) => {
+            const wasRequested = this.stopRequested;
+            this.process = null;
+            this.stopRequested = false;
+
+            if (!wasRequested && !failed && code !== 0) {
+                const detail = this.stderr.trim().split('\n').pop() || `exit code ${code}`;
+                this.emit('error', new Error(`Capture failed: ${detail}`));
+            }
+            this.emit('stopped', { code, signal });
+        });
+
+        return { command, args };
+    }
+
+    /**
+     * Stop capturing frames
+     */
+    stop() {
+        if (!this.process) return false;
+        this.stopRequested = true;
+        this.process.kill(process.platform === 'win32' ? undefined : 'SIGTERM');
+        return true;
+    }
+
+    handleFrame(frame) {
+        this.emit('packet', packetFromFrame(frame));
+    }
+}
+
+module.exports = PacketCapture;
+module.exports.buildCaptureCommand = buildCaptureCommand;
@@ -0,0 +1,358 @@
+/**
+ * Packet Decoder Module
+ * Decodes link, network and transport headers from raw captured frames
+ */
+
+/**
+ * Link-layer header types (see https://www.tcpdump.org/linktypes.html)
+ */
+const LINKTYPE = {
+    NULL: 0,
+    ETHERNET: 1,
+    RAW: 101,
+    LOOP: 108,
+    LINUX_SLL: 113,
+    IPV4: 228,
+    IPV6: 229,
+    LINUX_SLL2: 276
+};
+
+const ETHERTYPE = {
+    IPV4: 0x0800,
+    ARP: 0x0806,
+    VLAN: 0x8100,
+    QINQ: 0x88a8,
+    IPV6: 0x86dd
+};
+
+const IP_PROTOCOL = {
+    ICMP: 1,
+    TCP: 6,
+    UDP: 17,
+    ICMPV6: 58
+};
+
+const IPV6_EXTENSION_HEADERS = new Set([0, 43, 44, 51, 60, 135]);
+
+const TCP_FLAGS = [
+    [0x01, 'FIN'],
+    [0x02, 'SYN'],
+    [0x04, 'RST'],
+    [0x08, 'PSH'],
+    [0x10, 'ACK'],
+    [0x20, 'URG'],
+    [0x40, 'ECE'],
+    [0x80, 'CWR']
+];
+
+/**
+ * Format 6 bytes as a colon-separated MAC address
+ */
+function formatMAC(buffer, offset) {
+    const parts = [];
+    for (let i = 0; i < 6; i++) {
+        parts.push(buffer[offset + i].toString(16).padStart(2, '0'));
+    }
+    return parts.join(':');
+}
+
+/**
+ * Format 4 bytes as a dotted IPv4 address
+ */
+function formatIPv4(buffer, offset) {
+    return `${buffer[offset]}.${buffer[offset + 1]}.${buffer[offset + 2]}.${buffer[offset + 3]}`;
+}
+
+/**
+ * Format 16 bytes as a compressed IPv6 address (RFC 5952)
+ */
+function formatIPv6(buffer, offset) {
+    const groups = [];
+    for (let i = 0; i < 8; i++) {
+        groups.push(buffer.readUInt16BE(offset + i * 2));
+    }
+
+    // Find the longest run of zero groups to compress
+    let bestStart = -1, bestLen = 0;
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== 0) { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === 0) j++;
+        if (j - i > bestLen && j - i > 1) {
+            bestStart = i;
+            bestLen = j - i;
+        }
+        i = j;
+    }
+
+    const hex = groups.map(g => g.toString(16));
+    if (bestStart === -1) return hex.join(':');
+
+    const head = hex.slice(0, bestStart).join(':');
+    const tail = hex.slice(bestStart + bestLen).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Decode the link-layer header and return the network-layer payload
+ */
+function decodeLinkLayer(linkType, data, packet) {
+    switch (linkType) {
+        case LINKTYPE.ETHERNET: {
+            if (data.length < 14) return null;
+            packet.destMAC = formatMAC(data, 0);
+            packet.sourceMAC = formatMAC(data, 6);
+            let etherType = data.readUInt16BE(12);
+            let offset = 14;
+
+            // Skip 802.1Q / 802.1ad VLAN tags
+            while ((etherType === ETHERTYPE.VLAN || etherType === ETHERTYPE.QINQ) && data.length >= offset + 4) {
+                packet.vlan = data.readUInt16BE(offset) & 0x0fff;
+                etherType = data.readUInt16BE(offset + 2);
+                offset += 4;
+            }
+
+            return { etherType, offset };
+        }
+
+        case LINKTYPE.LINUX_SLL: {
+            if (data.length < 16) return null;
+            const addrLen = data.readUInt16BE(4);
+            if (addrLen === 6) packet.sourceMAC = formatMAC(data, 6);
+            return { etherType: data.readUInt16BE(14), offset: 16 };
+        }
+
+        case LINKTYPE.LINUX_SLL2: {
+            if (data.length < 20) return null;
+            const addrLen = data[11];
+            if (addrLen === 6) packet.sourceMAC = formatMAC(data, 12);
+            packet.interfaceIndex = data.readUInt32BE(4);
+            return { etherType: data.readUInt16BE(0), offset: 20 };
+        }
+
+        case LINKTYPE.NULL:
+        case LINKTYPE.LOOP: {
+            if (data.length < 4) return null;
+            // NULL uses host byte order, LOOP is always big-endian
+            let family = data.readUInt32BE(0);
+            if (linkType === LINKTYPE.NULL && (family & 0xffff0000)) {
+                family = data.readUInt32LE(0);
+            }
+            // AF_INET is 2 everywhere; AF_INET6 is 10, 24, 28 or 30 depending on the OS
+            const etherType = family === 2 ? ETHERTYPE.IPV4 : ETHERTYPE.IPV6;
+            return { etherType, offset: 4 };
+        }
+
+        case LINKTYPE.RAW:
+        case LINKTYPE.IPV4:
+        case LINKTYPE.IPV6: {
+            if (data.length < 1) return null;
+            const version = data[0] >> 4;
+            return { etherType: version === 6 ? ETHERTYPE.IPV6 : ETHERTYPE.IPV4, offset: 0 };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Decode an ARP header
+ */
+function decodeARP(data, offset, packet) {
+    if (data.length < offset + 28) return;
+    const operation = data.readUInt16BE(offset + 6);
+    packet.protocol = 'ARP';
+    packet.arpOperation = operation === 1 ? 'request' : operation === 2 ? 'reply' : String(operation);
+    packet.sourceMAC = formatMAC(data, offset + 8);
+    packet.sourceIP = formatIPv4(data, offset + 14);
+    packet.destIP = formatIPv4(data, offset + 24);
+    packet.payloadOffset = offset;
+    packet.payloadLength = data.length - offset;
+    packet.info = operation === 1
+        ? `Who has ${packet.destIP}? Tell ${packet.sourceIP}`
+        : `${packet.sourceIP} is at ${packet.sourceMAC}`;
+}
+
+/**
+ * Decode an IPv4 header and return the transport protocol and offset
+ */
+function decodeIPv4(data, offset, packet) {
+    if (data.length < offset + 20) return null;
+    const ihl = (data[offset] & 0x0f) * 4;
+    if (ihl < 20 || data.length < offset + ihl) return null;
+
+    packet.ipVersion = 4;
+    packet.ttl = data[offset + 8];
+    packet.sourceIP = formatIPv4(data, offset + 12);
+    packet.destIP = formatIPv4(data, offset + 16);
+
+    const fragment = data.readUInt16BE(offset + 6);
+    const fragmentOffset = (fragment & 0x1fff) * 8;
+    const totalLength = data.readUInt16BE(offset + 2);
+
+    packet.protocol = 'IPv4';
+    if (fragmentOffset > 0) {
+        // Only the first fragment carries the transport header
+        packet.fragment = true;
+        return null;
+    }
+
+    return {
+        nextHeader: data[offset + 9],
+        offset: offset + ihl,
+        end: Math.min(data.length, offset + (totalLength || data.length - offset))
+    };
+}
+
+/**
+ * Decode an IPv6 header (skipping extension headers) and return the transport protocol and offset
+ */
+function decodeIPv6(data, offset, packet) {
+    if (data.length < offset + 40) return null;
+
+    packet.ipVersion = 6;
+    packet.ttl = data[offset + 7];
+    packet.sourceIP = formatIPv6(data, offset + 8);
+    packet.destIP = formatIPv6(data, offset + 24);
+    packet.protocol = 'IPv6';
+
+    const payloadLength = data.readUInt16BE(offset + 4);
+    const end = Math.min(data.length, offset + 40 + payloadLength);
+    let nextHeader = data[offset + 6];
+    let cursor = offset + 40;
+
+    while (IPV6_EXTENSION_HEADERS.has(nextHeader)) {
+        if (data.length < cursor + 8) return null;
+        if (nextHeader === 44) {
+            // Fragment header: only the first fragment carries the transport header
+            if ((data.readUInt16BE(cursor + 2) & 0xfff8) !== 0) {
+                packet.fragment = true;
+                return null;
+            }
+            nextHeader = data[cursor];
+            cursor += 8;
+        } else if (nextHeader === 51) {
+            nextHeader = data[cursor];
+            cursor += (data[cursor + 1] + 2) * 4;
+        } else {
+            nextHeader = data[cursor];
+            cursor += (data[cursor + 1] + 1) * 8;
+        }
+    }
+
+    return { nextHeader, offset: cursor, end };
+}
+
+/**
+ * Decode a TCP, UDP or ICMP header
+ */
+function decodeTransport(transport, data, packet) {
+    const { nextHeader, offset, end } = transport;
+
+    switch (nextHeader) {
+        case IP_PROTOCOL.TCP: {
+            if (data.length < offset + 20) break;
+            const dataOffset = (data[offset + 12] >> 4) * 4;
+            const flagBits = data[offset + 13];
+
+            packet.protocol = 'TCP';
+            packet.sourcePort = data.readUInt16BE(offset);
+            packet.destPort = data.readUInt16BE(offset + 2);
+            packet.seq = data.readUInt32BE(offset + 4);
+            packet.ack = data.readUInt32BE(offset + 8);
+            packet.window = data.readUInt16BE(offset + 14);
+            packet.tcpFlags = TCP_FLAGS.filter(([bit]) => flagBits & bit).map(([, name]) => name);
+            packet.payloadOffset = Math.min(offset + dataOffset, end);
+            packet.payloadLength = Math.max(0, end - packet.payloadOffset);
+            packet.info = `${packet.sourcePort} → ${packet.destPort} [${packet.tcpFlags.join(', ')}] Seq=${packet.seq} Len=${packet.payloadLength}`;
+            break;
+        }
+
+        case IP_PROTOCOL.UDP: {
+            if (data.length < offset + 8) break;
+            packet.protocol = 'UDP';
+            packet.sourcePort = data.readUInt16BE(offset);
+            packet.destPort = data.readUInt16BE(offset + 2);
+            packet.payloadOffset = Math.min(offset + 8, end);
+            packet.payloadLength = Math.max(0, end - packet.payloadOffset);
+            packet.info = `${packet.sourcePort} → ${packet.destPort} Len=${packet.payloadLength}`;
+            break;
+        }
+
+        case IP_PROTOCOL.ICMP:
+        case IP_PROTOCOL.ICMPV6: {
+            if (data.length < offset + 4) break;
+            packet.protocol = nextHeader === IP_PROTOCOL.ICMP ? 'ICMP' : 'ICMPv6';
+            packet.icmpType = data[offset];
+            packet.icmpCode = data[offset + 1];
+            packet.info = `Type=${packet.icmpType} Code=${packet.icmpCode}`;
+            break;
+        }
+
+        default:
+            packet.ipProtocol = nextHeader;
+            break;
+    }
+}
+
+/**
+ * Decode a captured frame into a packet summary
+ * @param {number} linkType - Link-layer header type of the capture
+ * @param {Buffer} data - Captured frame bytes
+ * @returns {object} Decoded packet fields
+ */
+function decodeFrame(linkType, data) {
+    const packet = {
+        protocol: 'OTHER',
+        capturedLength: data.length
+    };
+
+    const link = decodeLinkLayer(linkType, data, packet);
+    if (!link) return packet;
+
+    packet.etherType = link.etherType;
+
+    let transport = null;
+    if (link.etherType === ETHERTYPE.IPV4) {
+        transport = decodeIPv4(data, link.offset, packet);
+    } else if (link.etherType === ETHERTYPE.IPV6) {
+        transport = decodeIPv6(data, link.offset, packet);
+    } else if (link.etherType === ETHERTYPE.ARP) {
+        decodeARP(data, link.offset, packet);
+    }
+
+    if (transport) {
+        decodeTransport(transport, data, packet);
+    }
+
+    return packet;
+}
+
+/**
+ * Build an analyzer packet from a captured frame, keeping the raw bytes and timestamp
+ * @param {object} frame - { linkType, timestampMicros, originalLength, data }
+ */
+function packetFromFrame(frame) {
+    const timestampMicros = frame.timestampMicros ?? 0;
+    return {
+        timestamp: new Date(timestampMicros / 1000).toISOString(),
+        timestampMicros,
+        ...decodeFrame(frame.linkType, frame.data),
+        length: frame.originalLength || frame.data.length,
+        linkType: frame.linkType,
+        // Copy so the packet does not pin the larger stream/file buffer in memory
+        rawData: Buffer.from(frame.data)
+    };
+}
+
+module.exports = {
+    LINKTYPE,
+    ETHERTYPE,
+    IP_PROTOCOL,
+    decodeFrame,
+    packetFromFrame,
+    formatMAC,
+    formatIPv4,
+    formatIPv6
+};
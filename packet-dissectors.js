@@ -0,0 +1,599 @@
+/**
+ * Packet Dissectors Module
+ * Registry of application-layer dissectors that identify protocols by
+ * inspecting payload bytes, plus the packet-detail tree shown in the UI
+ */
+
+const { formatMAC, formatIPv4 } = require('./packet-decoder');
+const { decodeMessage, formatRecordData, readName } = require('./dns-wire');
+const { registerField } = require('./display-filter');
+
+const dissectors = [];
+
+/**
+ * Register an application-layer dissector
+ * @param {object} dissector - {
+ *   name: protocol label, e.g. 'DNS',
+ *   key: property the decoded fields are stored under, e.g. 'dns',
+ *   transports: protocols whose payload is inspected, e.g. ['UDP', 'TCP'],
+ *   detect(payload, packet): true if the payload looks like this protocol,
+ *   dissect(payload, packet): { fields, info },
+ *   describe(fields): packet-detail tree nodes
+ * }
+ */
+function registerDissector(dissector) {
+    dissectors.push(dissector);
+}
+
+/**
+ * Payload bytes of a decoded packet
+ */
+function getPayload(packet) {
+    if (!packet.rawData || !packet.payloadLength) return null;
+    return packet.rawData.subarray(packet.payloadOffset, packet.payloadOffset + packet.payloadLength);
+}
+
+/**
+ * Run the registered dissectors over a packet's payload.
+ * Sets packet.application, packet[key] and packet.info when a dissector matches.
+ * @returns {object|null} The matching dissector
+ */
+function dissectPacket(packet) {
+    const payload = getPayload(packet);
+    if (!payload) return null;
+
+    for (const dissector of dissectors) {
+        if (!dissector.transports.includes(packet.protocol)) continue;
+
+        try {
+            if (!dissector.detect(payload, packet)) continue;
+            const { fields, info } = dissector.dissect(payload, packet);
+            packet.application = dissector.name;
+            packet[dissector.key] = fields;
+            if (info) packet.info = info;
+            return dissector;
+        } catch (error) {
+            // Malformed or truncated payload: let the next dissector try
+        }
+    }
+
+    return null;
+}
+
+const node = (label, children) => (children && children.length ? { label, children } : { label });
+
+// ============================================================
+// DNS
+// ============================================================
+
+/**
+ * DNS over TCP prefixes each message with a two-byte length
+ */
+function dnsMessageBytes(payload, packet) {
+    return packet.protocol === 'TCP' ? payload.subarray(2, 2 + payload.readUInt16BE(0)) : payload;
+}
+
+registerDissector({
+    name: 'DNS',
+    key: 'dns',
+    transports: ['UDP', 'TCP'],
+
+    detect(payload, packet) {
+        const message = dnsMessageBytes(payload, packet);
+        if (message.length < 12) return false;
+
+        const flags = message.readUInt16BE(2);
+        const questions = message.readUInt16BE(4);
+        const opcode = (flags >> 11) & 0x0f;
+        // Z bit must be clear; almost every real message carries exactly one question
+        if (flags & 0x0040 || opcode > 5 || questions === 0 || questions > 4) return false;
+
+        const counts = [6, 8, 10].map(offset => message.readUInt16BE(offset));
+        if (!counts.every(count => count < 256)) return false;
+
+        // The first question must be a well-formed name followed by a known class
+        // (mDNS sets the top bit to ask for a unicast response)
+        const { offset } = readName(message, 12);
+        if (offset + 4 > message.length) return false;
+        return [1, 3, 4, 255].includes(message.readUInt16BE(offset + 2) & 0x7fff);
+    },
+
+    dissect(payload, packet) {
+        const message = decodeMessage(dnsMessageBytes(payload, packet));
+        const question = message.questions[0];
+        const query = question ? `${question.type} ${question.name}` : '';
+
+        let info;
+        if (message.response) {
+            const answers = message.answers.map(record => `${record.type} ${formatRecordData(record)}`);
+            info = `Standard query response 0x${message.id.toString(16).padStart(4, '0')} ${message.rcode !== 'NOERROR' ? message.rcode + ' ' : ''}${query}${answers.length ? ' ' + answers.join(' ') : ''}`;
+        } else {
+            info = `Standard query 0x${message.id.toString(16).padStart(4, '0')} ${query}`;
+        }
+
+        return { fields: message, info };
+    },
+
+    describe(dns) {
+        const describeRecord = record => record.type === 'OPT'
+            ? node(`<Root>: type OPT, UDP payload size ${record.udpPayloadSize}${record.dnssecOk ? ', DO' : ''}`)
+            : node(`${record.name}: type ${record.type}, class ${record.class}, TTL ${record.ttl}, ${formatRecordData(record)}`);
+
+        const flags = Object.entries(dns.flags).filter(([, set]) => set).map(([flag]) => flag);
+        const sections = [
+            ['Answers', dns.answers],
+            ['Authoritative nameservers', dns.authorities],
+            ['Additional records', dns.additionals]
+        ];
+
+        return [node('Domain Name System (' + (dns.response ? 'response' : 'query') + ')', [
+            node(`Transaction ID: 0x${dns.id.toString(16).padStart(4, '0')}`),
+            node(`Opcode: ${dns.opcode}`),
+            node(`Flags: ${flags.length ? flags.join(', ') : 'none'}`),
+            ...(dns.response ? [node(`Reply code: ${dns.rcode}`)] : []),
+            node(`Queries (${dns.questions.length})`, dns.questions.map(q => node(`${q.name}: type ${q.type}, class ${q.class}`))),
+            ...sections
+                .filter(([, records]) => records.length > 0)
+                .map(([title, records]) => node(`${title} (${records.length})`, records.map(describeRecord)))
+        ])];
+    }
+});
+
+// ============================================================
+// HTTP/1.x
+// ============================================================
+
+const HTTP_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'CONNECT', 'OPTIONS', 'TRACE', 'PATCH'];
+const HTTP_REQUEST_LINE = /^([A-Z]+) (\S+) HTTP\/(1\.[01])\r?\n/;
+const HTTP_STATUS_LINE = /^HTTP\/(1\.[01]) (\d{3})(?: ([^\r\n]*))?\r?\n/;
+
+registerDissector({
+    name: 'HTTP',
+    key: 'http',
+    transports: ['TCP'],
+
+    detect(payload) {
+        const head = payload.toString('latin1', 0, Math.min(payload.length, 2048));
+        const request = HTTP_REQUEST_LINE.exec(head);
+        return Boolean((request && HTTP_METHODS.includes(request[1])) || HTTP_STATUS_LINE.test(head));
+    },
+
+    dissect(payload) {
+        const text = payload.toString('latin1', 0, Math.min(payload.length, 16384));
+        const headerEnd = text.search(/\r?\n\r?\n/);
+        const lines = (headerEnd === -1 ? text : text.slice(0, headerEnd)).split(/\r?\n/);
+        const firstLine = lines.shift();
+
+        const headers = {};
+        for (const line of lines) {
+            const colon = line.indexOf(':');
+            if (colon <= 0) continue;
+            const name = line.slice(0, colon).trim().toLowerCase();
+            const value = line.slice(colon + 1).trim();
+            headers[name] = headers[name] !== undefined ? `${headers[name]}, ${value}` : value;
+        }
+
+        let fields;
+        const request = HTTP_REQUEST_LINE.exec(firstLine + '\n');
+        if (request) {
+            fields = { type: 'request', method: request[1], uri: request[2], version: `HTTP/${request[3]}`, headers };
+        } else {
+            const status = HTTP_STATUS_LINE.exec(firstLine + '\n');
+            fields = { type: 'response', version: `HTTP/${status[1]}`, statusCode: parseInt(status[2]), reason: status[3] || '', headers };
+        }
+        fields.headersComplete = headerEnd !== -1;
+
+        return { fields, info: firstLine };
+    },
+
+    describe(http) {
+        const firstLine = http.type === 'request'
+            ? `${http.method} ${http.uri} ${http.version}`
+            : `${http.version} ${http.statusCode} ${http.reason}`;
+
+        return [node('Hypertext Transfer Protocol', [
+            node(firstLine, http.type === 'request'
+                ? [node(`Request Method: ${http.method}`), node(`Request URI: ${http.uri}`), node(`Request Version: ${http.version}`)]
+                : [node(`Response Version: ${http.version}`), node(`Status Code: ${http.statusCode}`), node(`Response Phrase: ${http.reason}`)]),
+            ...Object.entries(http.headers).map(([name, value]) => node(`${name}: ${value}`)),
+            ...(http.headersComplete ? [] : [node('[Headers continue in the next segment]')])
+        ])];
+    }
+});
+
+// ============================================================
+// TLS
+// ============================================================
+
+const TLS_CONTENT_TYPES = { 20: 'Change Cipher Spec', 21: 'Alert', 22: 'Handshake', 23: 'Application Data' };
+const TLS_HANDSHAKE_TYPES = { 1: 'Client Hello', 2: 'Server Hello', 4: 'New Session Ticket', 11: 'Certificate', 12: 'Server Key Exchange', 14: 'Server Hello Done', 16: 'Client Key Exchange', 20: 'Finished' };
+const TLS_VERSIONS = { 0x0300: 'SSL 3.0', 0x0301: 'TLS 1.0', 0x0302: 'TLS 1.1', 0x0303: 'TLS 1.2', 0x0304: 'TLS 1.3' };
+
+const tlsVersionName = version => TLS_VERSIONS[version] || `0x${version.toString(16).padStart(4, '0')}`;
+
+// GREASE values (RFC 8701) are random placeholders and are left out
+const isGrease = value => (value & 0x0f0f) === 0x0a0a && (value >> 8) === (value & 0xff);
+
+/**
+ * Parse the extensions of a Client/Server Hello, stopping at the end of the captured bytes
+ */
+function parseTlsExtensions(buffer, offset, end, fields) {
+    while (offset + 4 <= end) {
+        const type = buffer.readUInt16BE(offset);
+        const length = buffer.readUInt16BE(offset + 2);
+        const data = buffer.subarray(offset + 4, Math.min(offset + 4 + length, end));
+        offset += 4 + length;
+
+        if (!isGrease(type)) fields.extensions.push(type);
+
+        if (type === 0 && data.length >= 5) {
+            // server_name: list length, name type (0 = host_name), name length, name
+            const nameLength = data.readUInt16BE(3);
+            fields.serverName = data.toString('latin1', 5, 5 + nameLength);
+        } else if (type === 16 && data.length >= 2) {
+            // application_layer_protocol_negotiation
+            for (let i = 2; i < data.length;) {
+                const size = data[i];
+                fields.alpn.push(data.toString('latin1', i + 1, i + 1 + size));
+                i += 1 + size;
+            }
+        } else if (type === 43) {
+            // supported_versions: a list in Client Hello, the selected version in Server Hello
+            if (fields.handshakeType === 1) {
+                for (let i = 1; i + 1 < data.length && i <= data[0]; i += 2) {
+                    const version = data.readUInt16BE(i);
+                    if (!isGrease(version)) fields.supportedVersions.push(tlsVersionName(version));
+                }
+            } else if (data.length >= 2) {
+                fields.version = tlsVersionName(data.readUInt16BE(0));
+            }
+        }
+    }
+}
+
+registerDissector({
+    name: 'TLS',
+    key: 'tls',
+    transports: ['TCP'],
+
+    detect(payload) {
+        if (payload.length < 5) return false;
+        const recordLength = payload.readUInt16BE(3);
+        return TLS_CONTENT_TYPES[payload[0]] !== undefined &&
+            payload[1] === 3 && payload[2] <= 4 &&
+            recordLength > 0 && recordLength <= 18432;
+    },
+
+    dissect(payload) {
+        const fields = {
+            contentType: TLS_CONTENT_TYPES[payload[0]],
+            recordVersion: tlsVersionName(payload.readUInt16BE(1)),
+            recordLength: payload.readUInt16BE(3)
+        };
+
+        if (payload[0] !== 22 || payload.length < 9) {
+            return { fields, info: fields.contentType };
+        }
+
+        const handshakeType = payload[5];
+        fields.handshakeType = handshakeType;
+        fields.handshake = TLS_HANDSHAKE_TYPES[handshakeType] || `Handshake type ${handshakeType}`;
+
+        if ((handshakeType === 1 || handshakeType === 2) && payload.length >= 44) {
+            const end = Math.min(payload.length, 9 + payload.readUIntBE(6, 3));
+            fields.version = tlsVersionName(payload.readUInt16BE(9));
+            fields.extensions = [];
+            fields.alpn = [];
+            fields.supportedVersions = [];
+
+            // version (2) + random (32), then session id
+            let offset = 43;
+            offset += 1 + payload[offset];
+
+            if (handshakeType === 1) {
+                const cipherLength = payload.readUInt16BE(offset);
+                fields.cipherSuites = cipherLength / 2;
+                offset += 2 + cipherLength;
+                offset += 1 + payload[offset];
+            } else {
+                fields.cipherSuite = `0x${payload.readUInt16BE(offset).toString(16).padStart(4, '0')}`;
+                offset += 3;
+            }
+
+            if (offset + 2 <= end) {
+                parseTlsExtensions(payload, offset + 2, end, fields);
+            }
+        }
+
+        const details = [fields.serverName && `SNI=${fields.serverName}`, fields.alpn?.length && `ALPN=${fields.alpn.join(',')}`].filter(Boolean);
+        return { fields, info: fields.handshake + (details.length ? ` (${details.join(' ')})` : '') };
+    },
+
+    describe(tls) {
+        const handshake = tls.handshake ? [node(`Handshake Protocol: ${tls.handshake}`, [
+            ...(tls.version ? [node(`Version: ${tls.version}`)] : []),
+            ...(tls.cipherSuites !== undefined ? [node(`Cipher Suites: ${tls.cipherSuites} suites`)] : []),
+            ...(tls.cipherSuite ? [node(`Cipher Suite: ${tls.cipherSuite}`)] : []),
+            ...(tls.serverName ? [node(`Server Name Indication: ${tls.serverName}`)] : []),
+            ...(tls.alpn?.length ? [node('ALPN Protocols', tls.alpn.map(protocol => node(protocol)))] : []),
+            ...(tls.supportedVersions?.length ? [node(`Supported Versions: ${tls.supportedVersions.join(', ')}`)] : []),
+            ...(tls.extensions ? [node(`Extensions: ${tls.extensions.length}`)] : [])
+        ])] : [];
+
+        return [node('Transport Layer Security', [
+            node(`Content Type: ${tls.contentType}`),
+            node(`Record Version: ${tls.recordVersion}`),
+            node(`Length: ${tls.recordLength}`),
+            ...handshake
+        ])];
+    }
+});
+
+// ============================================================
+// DHCP
+// ============================================================
+
+const DHCP_MAGIC_COOKIE = 0x63825363;
+const DHCP_MESSAGE_TYPES = { 1: 'Discover', 2: 'Offer', 3: 'Request', 4: 'Decline', 5: 'ACK', 6: 'NAK', 7: 'Release', 8: 'Inform' };
+
+const ipList = data => {
+    const addresses = [];
+    for (let i = 0; i + 3 < data.length; i += 4) addresses.push(formatIPv4(data, i));
+    return addresses.join(', ');
+};
+
+const DHCP_OPTIONS = {
+    1: ['Subnet Mask', ipList],
+    3: ['Router', ipList],
+    6: ['Domain Name Server', ipList],
+    12: ['Host Name', data => data.toString('latin1')],
+    15: ['Domain Name', data => data.toString('latin1')],
+    28: ['Broadcast Address', ipList],
+    50: ['Requested IP Address', ipList],
+    51: ['IP Address Lease Time', data => `${data.readUInt32BE(0)}s`],
+    53: ['DHCP Message Type', data => DHCP_MESSAGE_TYPES[data[0]] || String(data[0])],
+    54: ['DHCP Server Identifier', ipList],
+    55: ['Parameter Request List', data => Array.from(data).join(', ')],
+    58: ['Renewal Time Value', data => `${data.readUInt32BE(0)}s`],
+    59: ['Rebinding Time Value', data => `${data.readUInt32BE(0)}s`],
+    60: ['Vendor Class Identifier', data => data.toString('latin1')],
+    61: ['Client Identifier', data => data.toString('hex')]
+};
+
+registerDissector({
+    name: 'DHCP',
+    key: 'dhcp',
+    transports: ['UDP'],
+
+    detect(payload) {
+        return payload.length >= 240 &&
+            (payload[0] === 1 || payload[0] === 2) &&
+            payload.readUInt32BE(236) === DHCP_MAGIC_COOKIE;
+    },
+
+    dissect(payload) {
+        const fields = {
+            op: payload[0] === 1 ? 'request' : 'reply',
+            transactionId: `0x${payload.readUInt32BE(4).toString(16).padStart(8, '0')}`,
+            clientIP: formatIPv4(payload, 12),
+            yourIP: formatIPv4(payload, 16),
+            serverIP: formatIPv4(payload, 20),
+            relayIP: formatIPv4(payload, 24),
+            clientMAC: payload[1] === 1 && payload[2] === 6 ? formatMAC(payload, 28) : payload.toString('hex', 28, 28 + Math.min(payload[2], 16)),
+            options: []
+        };
+
+        for (let offset = 240; offset < payload.length;) {
+            const code = payload[offset];
+            if (code === 255) break;
+            if (code === 0) {
+                offset++;
+                continue;
+            }
+            const length = payload[offset + 1];
+            const data = payload.subarray(offset + 2, offset + 2 + length);
+            offset += 2 + length;
+
+            const [name, format] = DHCP_OPTIONS[code] || [`Option ${code}`, value => value.toString('hex')];
+            const option = { code, name, value: format(data) };
+            fields.options.push(option);
+
+            if (code === 53) fields.messageType = data[0];
+            if (code === 12) fields.hostname = option.value;
+            if (code === 50) fields.requestedIP = option.value;
+        }
+
+        const type = DHCP_MESSAGE_TYPES[fields.messageType] || 'BOOTP';
+        return { fields, info: `DHCP ${type} - Transaction ID ${fields.transactionId}` };
+    },
+
+    describe(dhcp) {
+        return [node('Dynamic Host Configuration Protocol', [
+            node(`Message type: Boot ${dhcp.op === 'request' ? 'Request' : 'Reply'}`),
+            node(`Transaction ID: ${dhcp.transactionId}`),
+            node(`Client IP address: ${dhcp.clientIP}`),
+            node(`Your (client) IP address: ${dhcp.yourIP}`),
+            node(`Next server IP address: ${dhcp.serverIP}`),
+            node(`Relay agent IP address: ${dhcp.relayIP}`),
+            node(`Client MAC address: ${dhcp.clientMAC}`),
+            ...dhcp.options.map(option => node(`Option (${option.code}) ${option.name}: ${option.value}`))
+        ])];
+    }
+});
+
+// ============================================================
+// ARP
+// ============================================================
+
+registerDissector({
+    name: 'ARP',
+    key: 'arp',
+    transports: ['ARP'],
+
+    detect(payload) {
+        return payload.length >= 8 && payload.length >= 8 + 2 * (payload[4] + payload[5]);
+    },
+
+    dissect(payload) {
+        const hardwareSize = payload[4];
+        const protocolSize = payload[5];
+        const opcode = payload.readUInt16BE(6);
+        const address = (offset, size, isHardware) => {
+            if (isHardware && size === 6) return formatMAC(payload, offset);
+            if (!isHardware && size === 4) return formatIPv4(payload, offset);
+            return payload.toString('hex', offset, offset + size);
+        };
+
+        let offset = 8;
+        const senderMAC = address(offset, hardwareSize, true);
+        const senderIP = address(offset += hardwareSize, protocolSize, false);
+        const targetMAC = address(offset += protocolSize, hardwareSize, true);
+        const targetIP = address(offset += hardwareSize, protocolSize, false);
+
+        const fields = {
+            hardwareType: payload.readUInt16BE(0),
+            protocolType: `0x${payload.readUInt16BE(2).toString(16).padStart(4, '0')}`,
+            hardwareSize,
+            protocolSize,
+            opcode,
+            senderMAC,
+            senderIP,
+            targetMAC,
+            targetIP
+        };
+
+        let info;
+        if (opcode === 1) {
+            info = senderIP === targetIP ? `Gratuitous ARP for ${senderIP}` : `Who has ${targetIP}? Tell ${senderIP}`;
+        } else if (opcode === 2) {
+            info = `${senderIP} is at ${senderMAC}`;
+        }
+
+        return { fields, info };
+    },
+
+    describe(arp) {
+        const operation = arp.opcode === 1 ? 'request' : arp.opcode === 2 ? 'reply' : arp.opcode;
+        return [node(`Address Resolution Protocol (${operation})`, [
+            node(`Hardware type: ${arp.hardwareType === 1 ? 'Ethernet (1)' : arp.hardwareType}`),
+            node(`Protocol type: ${arp.protocolType}`),
+            node(`Hardware size: ${arp.hardwareSize}`),
+            node(`Protocol size: ${arp.protocolSize}`),
+            node(`Opcode: ${operation} (${arp.opcode})`),
+            node(`Sender MAC address: ${arp.senderMAC}`),
+            node(`Sender IP address: ${arp.senderIP}`),
+            node(`Target MAC address: ${arp.targetMAC}`),
+            node(`Target IP address: ${arp.targetIP}`)
+        ])];
+    }
+});
+
+// ============================================================
+// Packet Detail Tree
+// ============================================================
+
+/**
+ * Build the packet-detail tree for a stored packet
+ * @param {object} packet - Packet recorded by the PacketAnalyzer
+ * @returns {Array<{ label: string, children?: Array }>}
+ */
+function buildPacketTree(packet) {
+    const tree = [node(`Frame ${packet.number ?? ''}: ${packet.length} bytes on wire, ${packet.capturedLength ?? packet.length} bytes captured`, [
+        node(`Arrival Time: ${packet.timestamp}`),
+        ...(packet.linkType !== undefined ? [node(`Link type: ${packet.linkType}`)] : []),
+        node(`Protocols: ${[...new Set([packet.protocol, packet.application].filter(Boolean))].join(':')}`)
+    ])];
+
+    if (packet.sourceMAC || packet.destMAC) {
+        tree.push(node('Link Layer', [
+            ...(packet.destMAC ? [node(`Destination: ${packet.destMAC}`)] : []),
+            ...(packet.sourceMAC ? [node(`Source: ${packet.sourceMAC}`)] : []),
+            ...(packet.vlan !== undefined ? [node(`VLAN ID: ${packet.vlan}`)] : []),
+            ...(packet.etherType !== undefined ? [node(`Type: 0x${packet.etherType.toString(16).padStart(4, '0')}`)] : [])
+        ]));
+    }
+
+    if (packet.ipVersion) {
+        tree.push(node(`Internet Protocol Version ${packet.ipVersion}, Src: ${packet.sourceIP}, Dst: ${packet.destIP}`, [
+            node(`${packet.ipVersion === 4 ? 'Time to Live' : 'Hop Limit'}: ${packet.ttl}`),
+            ...(packet.fragment ? [node('Fragment (transport header in first fragment)')] : []),
+            node(`Source Address: ${packet.sourceIP}`),
+            node(`Destination Address: ${packet.destIP}`)
+        ]));
+    }
+
+    if (packet.protocol === 'TCP') {
+        tree.push(node(`Transmission Control Protocol, Src Port: ${packet.sourcePort}, Dst Port: ${packet.destPort}, Len: ${packet.payloadLength}`, [
+            node(`Source Port: ${packet.sourcePort}`),
+            node(`Destination Port: ${packet.destPort}`),
+            ...(packet.tcpStream !== undefined ? [node(`Stream index: ${packet.tcpStream}`)] : []),
+            node(`Sequence Number: ${packet.seq}`),
+            node(`Acknowledgment Number: ${packet.ack}`),
+            node(`Flags: ${(packet.tcpFlags || []).join(', ') || 'none'}`),
+            node(`Window: ${packet.window}`),
+            node(`TCP payload: ${packet.payloadLength} bytes`),
+            ...(packet.tcpAnalysis?.length ? [node('SEQ/ACK analysis', packet.tcpAnalysis.map(flag => node(`This frame is a ${flag} segment`)))] : [])
+        ]));
+    } else if (packet.protocol === 'UDP') {
+        tree.push(node(`User Datagram Protocol, Src Port: ${packet.sourcePort}, Dst Port: ${packet.destPort}`, [
+            node(`Source Port: ${packet.sourcePort}`),
+            node(`Destination Port: ${packet.destPort}`),
+            node(`UDP payload: ${packet.payloadLength} bytes`)
+        ]));
+    } else if (packet.protocol === 'ICMP' || packet.protocol === 'ICMPv6') {
+        tree.push(node(packet.protocol === 'ICMP' ? 'Internet Control Message Protocol' : 'Internet Control Message Protocol v6', [
+            node(`Type: ${packet.icmpType}`),
+            node(`Code: ${packet.icmpCode}`)
+        ]));
+    }
+
+    const dissector = dissectors.find(candidate => candidate.name === packet.application);
+    if (dissector && packet[dissector.key]) {
+        tree.push(...dissector.describe(packet[dissector.key]));
+    }
+
+    return tree;
+}
+
+// ============================================================
+// Display Filter Fields
+// ============================================================
+
+const ifApplication = (name, key, getter) => (packet) => packet.application === name ? getter(packet[key]) : undefined;
+
+registerField('dns', { type: 'protocol', get: packet => packet.application === 'DNS' });
+registerField('dns.qry.name', { type: 'string', get: ifApplication('DNS', 'dns', dns => dns.questions.map(q => q.name)) });
+registerField('dns.qry.type', { type: 'number', get: ifApplication('DNS', 'dns', dns => dns.questions.map(q => q.typeCode)) });
+registerField('dns.flags.response', { type: 'boolean', get: ifApplication('DNS', 'dns', dns => dns.response) });
+registerField('dns.flags.rcode', { type: 'string', get: ifApplication('DNS', 'dns', dns => dns.response ? String(dns.rcode) : undefined) });
+registerField('dns.a', { type: 'ip', get: ifApplication('DNS', 'dns', dns => dns.answers.filter(r => r.type === 'A').map(r => r.data)) });
+registerField('dns.aaaa', { type: 'ip', get: ifApplication('DNS', 'dns', dns => dns.answers.filter(r => r.type === 'AAAA').map(r => r.data)) });
+
+registerField('http', { type: 'protocol', get: packet => packet.application === 'HTTP' });
+registerField('http.request', { type: 'boolean', get: ifApplication('HTTP', 'http', http => http.type === 'request' || undefined) });
+registerField('http.response', { type: 'boolean', get: ifApplication('HTTP', 'http', http => http.type === 'response' || undefined) });
+registerField('http.request.method', { type: 'string', get: ifApplication('HTTP', 'http', http => http.method) });
+registerField('http.request.uri', { type: 'string', get: ifApplication('HTTP', 'http', http => http.uri) });
+registerField('http.response.code', { type: 'number', get: ifApplication('HTTP', 'http', http => http.statusCode) });
+registerField('http.host', { type: 'string', get: ifApplication('HTTP', 'http', http => http.headers.host) });
+registerField('http.user_agent', { type: 'string', get: ifApplication('HTTP', 'http', http => http.headers['user-agent']) });
+
+registerField('tls', { type: 'protocol', get: packet => packet.application === 'TLS' });
+registerField('tls.handshake.type', { type: 'number', get: ifApplication('TLS', 'tls', tls => tls.handshakeType) });
+registerField('tls.handshake.extensions_server_name', { type: 'string', get: ifApplication('TLS', 'tls', tls => tls.serverName) });
+registerField('tls.handshake.extensions_alpn_str', { type: 'string', get: ifApplication('TLS', 'tls', tls => tls.alpn) });
+
+registerField('dhcp', { type: 'protocol', get: packet => packet.application === 'DHCP' });
+registerField('dhcp.option.dhcp', { type: 'number', get: ifApplication('DHCP', 'dhcp', dhcp => dhcp.messageType) });
+registerField('dhcp.option.hostname', { type: 'string', get: ifApplication('DHCP', 'dhcp', dhcp => dhcp.hostname) });
+registerField('dhcp.hw.mac_addr', { type: 'mac', get: ifApplication('DHCP', 'dhcp', dhcp => dhcp.clientMAC) });
+
+registerField('arp.opcode', { type: 'number', get: ifApplication('ARP', 'arp', arp => arp.opcode) });
+registerField('arp.src.hw_mac', { type: 'mac', get: ifApplication('ARP', 'arp', arp => arp.senderMAC) });
+registerField('arp.dst.hw_mac', { type: 'mac', get: ifApplication('ARP', 'arp', arp => arp.targetMAC) });
+
+module.exports = {
+    registerDissector,
+    dissectPacket,
+    buildPacketTree
+};
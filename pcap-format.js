@@ -0,0 +1,355 @@
+/**
+ * PCAP / PCAPNG File Format Module
+ * Reads and writes libpcap (.pcap) and pcapng (.pcapng) capture files
+ */
+
+const PCAP_MAGIC_MICROS = 0xa1b2c3d4;
+const PCAP_MAGIC_NANOS = 0xa1b23c4d;
+const PCAP_GLOBAL_HEADER_LENGTH = 24;
+const PCAP_RECORD_HEADER_LENGTH = 16;
+const DEFAULT_SNAP_LENGTH = 262144;
+
+const PCAPNG_BLOCK = {
+    SECTION_HEADER: 0x0a0d0d0a,
+    INTERFACE_DESCRIPTION: 0x00000001,
+    PACKET: 0x00000002,
+    SIMPLE_PACKET: 0x00000003,
+    ENHANCED_PACKET: 0x00000006
+};
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1a2b3c4d;
+const PCAPNG_OPTION_END = 0;
+const PCAPNG_OPTION_IF_TSRESOL = 9;
+
+/**
+ * Incremental parser for a libpcap stream (as written by `tcpdump -w -`)
+ */
+class PcapStreamParser {
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.buffer = Buffer.alloc(0);
+        this.header = null;
+    }
+
+    /**
+     * Feed a chunk of the stream, emitting every complete record
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        let offset = 0;
+
+        if (!this.header) {
+            if (this.buffer.length < PCAP_GLOBAL_HEADER_LENGTH) return;
+            this.header = parsePcapHeader(this.buffer);
+            offset = PCAP_GLOBAL_HEADER_LENGTH;
+        }
+
+        const { littleEndian, nanos, linkType } = this.header;
+        const readUInt32 = (pos) => littleEndian ? this.buffer.readUInt32LE(pos) : this.buffer.readUInt32BE(pos);
+
+        while (this.buffer.length - offset >= PCAP_RECORD_HEADER_LENGTH) {
+            const seconds = readUInt32(offset);
+            const fraction = readUInt32(offset + 4);
+            const includedLength = readUInt32(offset + 8);
+            const originalLength = readUInt32(offset + 12);
+            const end = offset + PCAP_RECORD_HEADER_LENGTH + includedLength;
+
+            if (this.buffer.length < end) break;
+
+            this.onFrame({
+                linkType,
+                timestampMicros: seconds * 1e6 + (nanos ? Math.floor(fraction / 1000) : fraction),
+                originalLength,
+                data: this.buffer.subarray(offset + PCAP_RECORD_HEADER_LENGTH, end)
+            });
+            offset = end;
+        }
+
+        this.buffer = this.buffer.subarray(offset);
+    }
+}
+
+/**
+ * Parse the 24-byte libpcap global header
+ */
+function parsePcapHeader(buffer) {
+    const magicBE = buffer.readUInt32BE(0);
+    const magicLE = buffer.readUInt32LE(0);
+    let littleEndian;
+
+    if (magicLE === PCAP_MAGIC_MICROS || magicLE === PCAP_MAGIC_NANOS) {
+        littleEndian = true;
+    } else if (magicBE === PCAP_MAGIC_MICROS || magicBE === PCAP_MAGIC_NANOS) {
+        littleEndian = false;
+    } else {
+        throw new Error('Not a libpcap capture');
+    }
+
+    const magic = littleEndian ? magicLE : magicBE;
+    return {
+        littleEndian,
+        nanos: magic === PCAP_MAGIC_NANOS,
+        snapLength: littleEndian ? buffer.readUInt32LE(16) : buffer.readUInt32BE(16),
+        linkType: (littleEndian ? buffer.readUInt32LE(20) : buffer.readUInt32BE(20)) & 0x0fffffff
+    };
+}
+
+/**
+ * Read every frame from a .pcap file buffer
+ */
+function readPcap(buffer) {
+    if (buffer.length < PCAP_GLOBAL_HEADER_LENGTH) {
+        throw new Error('Capture file is truncated');
+    }
+
+    const frames = [];
+    const parser = new PcapStreamParser(frame => frames.push(frame));
+    parser.push(buffer);
+    return frames;
+}
+
+/**
+ * Write frames to a .pcap file buffer (microsecond resolution)
+ * @param {Array} frames - [{ linkType, timestampMicros, originalLength, data }]
+ */
+function writePcap(frames) {
+    const linkTypes = new Set(frames.map(frame => frame.linkType));
+    if (linkTypes.size > 1) {
+        throw new Error('Packets use more than one link type; export as PCAPNG instead');
+    }
+
+    const chunks = [pcapFileHeader(frames.length ? frames[0].linkType : 1)];
+    for (const frame of frames) {
+        chunks.push(pcapRecordHeader(frame), frame.data);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Build the global header of a microsecond-resolution .pcap file
+ */
+function pcapFileHeader(linkType) {
+    const header = Buffer.alloc(PCAP_GLOBAL_HEADER_LENGTH);
+    header.writeUInt32LE(PCAP_MAGIC_MICROS, 0);
+    header.writeUInt16LE(2, 4);
+    header.writeUInt16LE(4, 6);
+    header.writeUInt32LE(DEFAULT_SNAP_LENGTH, 16);
+    header.writeUInt32LE(linkType, 20);
+    return header;
+}
+
+/**
+ * Build the record header that precedes a frame's bytes in a .pcap file
+ */
+function pcapRecordHeader(frame) {
+    const record = Buffer.alloc(PCAP_RECORD_HEADER_LENGTH);
+    record.writeUInt32LE(Math.floor(frame.timestampMicros / 1e6), 0);
+    record.writeUInt32LE(frame.timestampMicros % 1e6, 4);
+    record.writeUInt32LE(frame.data.length, 8);
+    record.writeUInt32LE(Math.max(frame.originalLength || 0, frame.data.length), 12);
+    return record;
+}
+
+/**
+ * Read every frame from a .pcapng file buffer
+ */
+function readPcapng(buffer) {
+    const frames = [];
+    let offset = 0;
+    let littleEndian = true;
+    let interfaces = [];
+
+    const readUInt16 = (pos) => littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos);
+    const readUInt32 = (pos) => littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos);
+
+    while (buffer.length - offset >= 12) {
+        let blockType = readUInt32(offset);
+
+        if (buffer.readUInt32LE(offset) === PCAPNG_BLOCK.SECTION_HEADER) {
+            // A new section may switch byte order, so detect it before reading the length
+            const magic = buffer.readUInt32LE(offset + 8);
+            if (magic === PCAPNG_BYTE_ORDER_MAGIC) {
+                littleEndian = true;
+            } else if (buffer.readUInt32BE(offset + 8) === PCAPNG_BYTE_ORDER_MAGIC) {
+                littleEndian = false;
+            } else {
+                throw new Error('Invalid pcapng section header');
+            }
+            blockType = PCAPNG_BLOCK.SECTION_HEADER;
+            interfaces = [];
+        }
+
+        const blockLength = readUInt32(offset + 4);
+        if (blockLength < 12 || offset + blockLength > buffer.length) {
+            throw new Error('Capture file is truncated or corrupt');
+        }
+        const body = offset + 8;
+
+        switch (blockType) {
+            case PCAPNG_BLOCK.INTERFACE_DESCRIPTION: {
+                const iface = {
+                    linkType: readUInt16(body),
+                    snapLength: readUInt32(body + 4),
+                    ticksPerSecond: 1e6
+                };
+
+                // Walk options looking for if_tsresol
+                let cursor = body + 8;
+                const end = offset + blockLength - 4;
+                while (cursor + 4 <= end) {
+                    const code = readUInt16(cursor);
+                    const length = readUInt16(cursor + 2);
+                    if (code === PCAPNG_OPTION_END) break;
+                    if (code === PCAPNG_OPTION_IF_TSRESOL && length >= 1) {
+                        const resolution = buffer[cursor + 4];
+                        iface.ticksPerSecond = resolution & 0x80
+                            ? Math.pow(2, resolution & 0x7f)
+                            : Math.pow(10, resolution);
+                    }
+                    cursor += 4 + Math.ceil(length / 4) * 4;
+                }
+
+                interfaces.push(iface);
+                break;
+            }
+
+            case PCAPNG_BLOCK.ENHANCED_PACKET:
+            case PCAPNG_BLOCK.PACKET: {
+                const interfaceId = blockType === PCAPNG_BLOCK.PACKET ? readUInt16(body) : readUInt32(body);
+                const iface = interfaces[interfaceId];
+                if (!iface) throw new Error(`Packet references unknown interface ${interfaceId}`);
+
+                const ticks = (BigInt(readUInt32(body + 4)) << 32n) | BigInt(readUInt32(body + 8));
+                const capturedLength = readUInt32(body + 12);
+                const originalLength = readUInt32(body + 16);
+
+                frames.push({
+                    linkType: iface.linkType,
+                    interfaceId,
+                    timestampMicros: Number(ticks * 1000000n / BigInt(iface.ticksPerSecond)),
+                    originalLength,
+                    data: buffer.subarray(body + 20, body + 20 + capturedLength)
+                });
+                break;
+            }
+
+            case PCAPNG_BLOCK.SIMPLE_PACKET: {
+                const iface = interfaces[0];
+                if (!iface) throw new Error('Packet references unknown interface 0');
+
+                const originalLength = readUInt32(body);
+                const capturedLength = Math.min(originalLength, iface.snapLength || originalLength, blockLength - 16);
+                frames.push({
+                    linkType: iface.linkType,
+                    interfaceId: 0,
+                    timestampMicros: null,
+                    originalLength,
+                    data: buffer.subarray(body + 4, body + 4 + capturedLength)
+                });
+                break;
+            }
+
+            default:
+                // Name resolution, statistics and custom blocks are not needed for analysis
+                break;
+        }
+
+        offset += blockLength;
+    }
+
+    return frames;
+}
+
+/**
+ * Build a pcapng block with the given type and body
+ */
+function pcapngBlock(type, body) {
+    const padded = Math.ceil(body.length / 4) * 4;
+    const block = Buffer.alloc(12 + padded);
+    block.writeUInt32LE(type, 0);
+    block.writeUInt32LE(block.length, 4);
+    body.copy(block, 8);
+    block.writeUInt32LE(block.length, block.length - 4);
+    return block;
+}
+
+/**
+ * Write frames to a .pcapng file buffer with one interface per link type
+ * @param {Array} frames - [{ linkType, timestampMicros, originalLength, data }]
+ * @param {object} options - { application } written to the section header
+ */
+function writePcapng(frames, options = {}) {
+    const chunks = [];
+
+    // Section header with shb_userappl option
+    const application = Buffer.from(options.application || 'NetNavigator');
+    const applicationPadded = Math.ceil(application.length / 4) * 4;
+    const shb = Buffer.alloc(16 + 4 + applicationPadded + 4);
+    shb.writeUInt32LE(PCAPNG_BYTE_ORDER_MAGIC, 0);
+    shb.writeUInt16LE(1, 4);
+    shb.writeUInt16LE(0, 6);
+    shb.writeInt32LE(-1, 8);
+    shb.writeInt32LE(-1, 12);
+    shb.writeUInt16LE(4, 16);
+    shb.writeUInt16LE(application.length, 18);
+    application.copy(shb, 20);
+    chunks.push(pcapngBlock(PCAPNG_BLOCK.SECTION_HEADER, shb));
+
+    const interfaceIds = new Map();
+    for (const frame of frames) {
+        if (!interfaceIds.has(frame.linkType)) {
+            const idb = Buffer.alloc(8);
+            idb.writeUInt16LE(frame.linkType, 0);
+            idb.writeUInt32LE(DEFAULT_SNAP_LENGTH, 4);
+            interfaceIds.set(frame.linkType, interfaceIds.size);
+            chunks.push(pcapngBlock(PCAPNG_BLOCK.INTERFACE_DESCRIPTION, idb));
+        }
+
+        const ticks = BigInt(Math.round(frame.timestampMicros || 0));
+        const epb = Buffer.alloc(20 + frame.data.length);
+        epb.writeUInt32LE(interfaceIds.get(frame.linkType), 0);
+        epb.writeUInt32LE(Number(ticks >> 32n), 4);
+        epb.writeUInt32LE(Number(ticks & 0xffffffffn), 8);
+        epb.writeUInt32LE(frame.data.length, 12);
+        epb.writeUInt32LE(Math.max(frame.originalLength || 0, frame.data.length), 16);
+        frame.data.copy(epb, 20);
+        chunks.push(pcapngBlock(PCAPNG_BLOCK.ENHANCED_PACKET, epb));
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Detect the file format from its magic number
+ * @returns {'pcap'|'pcapng'|null}
+ */
+function detectFormat(buffer) {
+    if (buffer.length < 4) return null;
+    if (buffer.readUInt32LE(0) === PCAPNG_BLOCK.SECTION_HEADER) return 'pcapng';
+
+    const magics = [buffer.readUInt32LE(0), buffer.readUInt32BE(0)];
+    if (magics.includes(PCAP_MAGIC_MICROS) || magics.includes(PCAP_MAGIC_NANOS)) return 'pcap';
+    return null;
+}
+
+/**
+ * Read a .pcap or .pcapng file buffer
+ */
+function readCapture(buffer) {
+    const format = detectFormat(buffer);
+    if (format === 'pcap') return { format, frames: readPcap(buffer) };
+    if (format === 'pcapng') return { format, frames: readPcapng(buffer) };
+    throw new Error('Unrecognized capture file format (expected .pcap or .pcapng)');
+}
+
+module.exports = {
+    PcapStreamParser,
+    detectFormat,
+    readCapture,
+    readPcap,
+    writePcap,
+    pcapFileHeader,
+    pcapRecordHeader,
+    readPcapng,
+    writePcapng
+};
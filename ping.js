@@ -0,0 +1,417 @@
+/**
+ * Ping Module
+ * Sends ICMP echo requests and reports RTT, TTL, packet loss and jitter over a
+ * series of probes. Probes go out through an ICMP socket of NetNavigator's own
+ * (the optional raw-socket module: an unprivileged datagram socket on macOS, a
+ * raw socket elsewhere) when one can be opened, and through the platform's ping
+ * otherwise
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const { resolveHost, normalizeIP } = require('./ip-range');
+const { buildEchoRequest, parseIcmpMessage } = require('./traceroute');
+
+// Native addon shared with traceroute; optional, so the system ping covers installs without it
+let raw = null;
+try {
+    raw = require('raw-socket');
+} catch (error) {
+    raw = null;
+}
+
+const DEFAULT_OPTIONS = {
+    count: 4,
+    timeout: 1000,
+    interval: 1000,
+    ttl: null,
+    family: null,
+    source: null,
+    mode: 'auto'
+};
+
+const MODES = ['auto', 'socket', 'system'];
+
+/**
+ * Whether the kernel lets unprivileged processes open ICMP datagram sockets
+ * (SOCK_DGRAM + IPPROTO_ICMP). iputils and macOS ping use them when allowed, so
+ * this tells whether ping works without root, CAP_NET_RAW or a setuid binary
+ */
+function getKernelCapabilities(platform = process.platform) {
+    if (platform === 'darwin') {
+        return { datagramSockets: true, reason: 'macOS allows unprivileged ICMP datagram sockets' };
+    }
+
+    if (platform === 'linux') {
+        try {
+            // "low high" range of group IDs allowed to create ICMP datagram sockets
+            const [low, high] = fs.readFileSync('/proc/sys/net/ipv4/ping_group_range', 'utf8').trim().split(/\s+/).map(Number);
+            const groups = process.getgroups ? [process.getgid(), ...process.getgroups()] : [process.getgid()];
+            const allowed = groups.some(gid => gid >= low && gid <= high);
+            return {
+                datagramSockets: allowed,
+                reason: allowed
+                    ? 'net.ipv4.ping_group_range includes this user'
+                    : `net.ipv4.ping_group_range (${low} ${high}) excludes this user; ping needs CAP_NET_RAW or setuid`
+            };
+        } catch (error) {
+            return { datagramSockets: false, reason: 'net.ipv4.ping_group_range is not available' };
+        }
+    }
+
+    // Windows uses the ICMP helper API, which needs no privileges
+    return { datagramSockets: false, reason: `ICMP datagram sockets are not used on ${platform}` };
+}
+
+/**
+ * Open the ICMP socket the socket engine sends through. raw-socket opens a raw socket, falling
+ * back to an ICMP datagram socket on macOS, where that needs no privileges
+ * @returns {object} { socket, reason }: socket is null with the reason when none can be opened
+ */
+function openIcmpSocket(family) {
+    if (!raw) return { socket: null, reason: 'the raw-socket module is not installed' };
+    try {
+        const socket = raw.createSocket({
+            protocol: family === 6 ? raw.Protocol.ICMPv6 : raw.Protocol.ICMP,
+            addressFamily: family === 6 ? raw.AddressFamily.IPv6 : raw.AddressFamily.IPv4
+        });
+        return { socket, reason: null };
+    } catch (error) {
+        return { socket: null, reason: `no ICMP socket (${error.message}); raw sockets need root or CAP_NET_RAW` };
+    }
+}
+
+/**
+ * What ping can use here: whether the kernel allows unprivileged ICMP datagram sockets, and
+ * whether the socket engine can open its ICMP socket (otherwise the system ping is run)
+ * @returns {object} { datagramSockets, reason, socketEngine: { available, reason } }
+ */
+function getPingCapabilities(platform = process.platform) {
+    const { socket, reason } = openIcmpSocket(4);
+    if (socket) socket.close();
+    return { ...getKernelCapabilities(platform), socketEngine: { available: Boolean(socket), reason } };
+}
+
+/**
+ * Build the ping command for the current platform
+ * @param {string} host - Host name or IP address
+ * @param {object} options - { count, timeout (ms per probe), interval (ms), ttl, family (4|6), source (address to send from) }
+ */
+function buildPingCommand(host, options = {}, platform = process.platform) {
+    const { count, timeout, interval, ttl, source } = { ...DEFAULT_OPTIONS, ...options };
+    const family = options.family || net.isIP(host) || null;
+    const args = [];
+
+    if (platform === 'win32') {
+        args.push('-n', String(count), '-w', String(timeout));
+        if (ttl) args.push('-i', String(ttl));
+        if (source) args.push('-S', source);
+        if (family) args.push(`-${family}`);
+        args.push(host);
+        return { command: 'ping', args };
+    }
+
+    if (platform === 'darwin' || platform.endsWith('bsd')) {
+        // BSD ping takes the per-probe wait in milliseconds; IPv6 has its own binary
+        // and non-root users cannot send faster than once a second
+        const command = family === 6 ? 'ping6' : 'ping';
+        args.push('-n', '-c', String(count));
+        if (family !== 6) args.push('-W', String(timeout));
+        args.push('-i', String(Math.max(interval, 1000) / 1000));
+        if (ttl) args.push(family === 6 ? '-h' : '-m', String(ttl));
+        if (source) args.push('-S', source);
+        args.push(host);
+        return { command, args };
+    }
+
+    // Linux (iputils): -W is the per-probe wait in seconds, -w an overall deadline
+    // so lost replies cannot keep the process alive; intervals below 200 ms need root
+    const intervalSeconds = Math.max(interval, 200) / 1000;
+    const deadline = Math.ceil((count - 1) * intervalSeconds + timeout / 1000);
+    args.push('-n', '-c', String(count), '-i', String(intervalSeconds), '-W', String(Math.max(1, Math.ceil(timeout / 1000))), '-w', String(Math.max(1, deadline)));
+    if (ttl) args.push('-t', String(ttl));
+    if (source) args.push('-I', source);
+    if (family) args.push(`-${family}`);
+    args.push(host);
+    return { command: 'ping', args };
+}
+
+/**
+ * Parse ping output into individual replies and the transmitted/received summary.
+ * Handles iputils/BSD ("64 bytes from 1.1.1.1: icmp_seq=1 ttl=57 time=12.3 ms")
+ * and Windows ("Reply from 1.1.1.1: bytes=32 time=12ms TTL=57", including localized variants)
+ */
+function parsePingOutput(output, platform = process.platform) {
+    const replies = [];
+    let transmitted = null;
+    let received = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        if (platform === 'win32') {
+            // Localized Windows output keeps "time=12ms"/"time<1ms" (or "Zeit=", "temps=") and "TTL="
+            const time = line.match(/[=<]\s*(\d+(?:[.,]\d+)?)\s*ms/i);
+            const from = line.match(/(\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:%.\w]+)\s*:/i);
+            if (time && /bytes?[=:]|TTL=|\d+\s*ms/i.test(line) && from) {
+                const ttl = line.match(/TTL=(\d+)/i);
+                replies.push({
+                    seq: replies.length + 1,
+                    from: from[1],
+                    time: parseFloat(time[1].replace(',', '.')),
+                    ttl: ttl ? parseInt(ttl[1], 10) : null
+                });
+            }
+
+            const summary = line.match(/=\s*(\d+),[^=]*=\s*(\d+),[^=]*=\s*(\d+)/);
+            if (summary) {
+                transmitted = parseInt(summary[1], 10);
+            }
+            continue;
+        }
+
+        const reply = line.match(/bytes from (.+?)[:,]?\s+icmp_seq=(\d+).*?(?:ttl|hlim)=(\d+).*?time[=<]\s*([\d.]+)\s*ms/i);
+        if (reply) {
+            const from = reply[1].match(/\(([^)]+)\)/);
+            replies.push({
+                seq: parseInt(reply[2], 10),
+                from: from ? from[1] : reply[1],
+                ttl: parseInt(reply[3], 10),
+                time: parseFloat(reply[4])
+            });
+            continue;
+        }
+
+        const summary = line.match(/(\d+) packets transmitted, (\d+) (?:packets )?received/);
+        if (summary) {
+            transmitted = parseInt(summary[1], 10);
+            received = parseInt(summary[2], 10);
+        }
+    }
+
+    // Duplicate replies (DUP!) share a sequence number and are not extra successes,
+    // but to a multicast ping each one is a different host answering
+    const unique = new Map();
+    replies.forEach(reply => {
+        if (!unique.has(reply.seq)) unique.set(reply.seq, reply);
+    });
+
+    return {
+        replies: [...unique.values()],
+        responders: [...new Set(replies.map(reply => reply.from))],
+        transmitted,
+        received: received ?? unique.size
+    };
+}
+
+/**
+ * Compute RTT, loss and jitter statistics from replies
+ * @param {Array} replies - Parsed replies with time in ms
+ * @param {number} sent - Number of probes sent
+ */
+function summarizeReplies(replies, sent) {
+    const rtts = replies.map(reply => reply.time);
+    const received = Math.min(replies.length, sent);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    const result = {
+        sent,
+        received,
+        lost: sent - received,
+        lossPercent: sent ? round(((sent - received) / sent) * 100) : 100,
+        min: null,
+        avg: null,
+        max: null,
+        stddev: null,
+        jitter: null,
+        ttl: replies.length ? replies[replies.length - 1].ttl : null,
+        rtts
+    };
+
+    if (rtts.length > 0) {
+        const avg = rtts.reduce((sum, rtt) => sum + rtt, 0) / rtts.length;
+        result.min = round(Math.min(...rtts));
+        result.max = round(Math.max(...rtts));
+        result.avg = round(avg);
+        result.stddev = round(Math.sqrt(rtts.reduce((sum, rtt) => sum + (rtt - avg) ** 2, 0) / rtts.length));
+    }
+
+    if (rtts.length > 1) {
+        // Mean difference between consecutive RTTs (RFC 3550 style inter-arrival jitter)
+        let total = 0;
+        for (let i = 1; i < rtts.length; i++) {
+            total += Math.abs(rtts[i] - rtts[i - 1]);
+        }
+        result.jitter = round(total / (rtts.length - 1));
+    }
+
+    return result;
+}
+
+/**
+ * Ping a host with a series of ICMP echo requests
+ * @param {string} host - Host name or IP address
+ * @param {object} options - {
+ *   count: probes to send (default 4), timeout: ms to wait per probe (default 1000),
+ *   interval: ms between probes (default 1000), ttl, family (4|6), source,
+ *   mode: 'auto' (socket engine when its socket opens, else the system ping) | 'socket' | 'system'
+ * }
+ * @returns {Promise<object>} { host, address, alive, sent, received, lost, lossPercent, min, avg, max, stddev, jitter, ttl, rtts,
+ *   responders, engine: 'socket' | 'system', fallbackReason }
+ */
+async function ping(host, options = {}) {
+    if (typeof host !== 'string' || !/^[A-Za-z0-9.:%_-]+$/.test(host) || host.startsWith('-')) {
+        throw new Error('Invalid host');
+    }
+    if (options.source && !net.isIP(options.source)) {
+        throw new Error('Invalid source address');
+    }
+    if (options.mode && !MODES.includes(options.mode)) {
+        throw new Error(`Unknown ping mode "${options.mode}"`);
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    settings.count = Math.min(Math.max(parseInt(settings.count, 10) || 1, 1), 1000);
+    settings.timeout = Math.min(Math.max(parseInt(settings.timeout, 10) || DEFAULT_OPTIONS.timeout, 100), 60000);
+    settings.interval = Math.max(parseInt(settings.interval, 10) || DEFAULT_OPTIONS.interval, 10);
+
+    let fallbackReason = null;
+    if (settings.mode !== 'system') {
+        // raw-socket cannot bind to a source address, so the system ping handles that
+        const { address, family } = await resolveHost(host, { prefer: { 4: 'ipv4', 6: 'ipv6' }[settings.family] });
+        const { socket, reason } = settings.source ? { socket: null, reason: 'a source address was given' } : openIcmpSocket(family);
+        if (socket) {
+            return { host, ...(await pingWithSocket(socket, address, family, settings)), engine: 'socket', fallbackReason: null };
+        }
+        if (settings.mode === 'socket') throw new Error(`Socket ping is not available: ${reason}`);
+        fallbackReason = reason;
+    }
+    return { ...(await pingWithCommand(host, settings)), engine: 'system', fallbackReason };
+}
+
+/**
+ * Send the probes through an open ICMP socket, one per interval, and close it when done
+ * @returns {Promise<object>} { address, alive, ...summarizeReplies(), responders }
+ */
+function pingWithSocket(socket, address, family, settings) {
+    const id = Math.floor(Math.random() * 0x10000);
+    const pending = new Map();
+    const replies = [];
+
+    socket.on('error', () => {});
+    socket.on('message', (buffer, source) => {
+        const message = parseIcmpMessage(buffer, family);
+        if (!message || message.kind !== 'reply' || message.id !== id || !pending.has(message.seq)) return;
+        const { sentAt, done } = pending.get(message.seq);
+        pending.delete(message.seq);
+        replies.push({
+            seq: message.seq,
+            from: normalizeIP(source) || source,
+            time: Math.round(Number(process.hrtime.bigint() - sentAt) / 1e3) / 1e3,
+            // IPv4 replies arrive with their IP header; ICMPv6 sockets do not see the hop limit
+            ttl: family === 4 && buffer[0] >> 4 === 4 ? buffer[8] : null
+        });
+        done();
+    });
+
+    const sendProbe = seq => new Promise((resolve) => {
+        const probe = { sentAt: process.hrtime.bigint(), done: () => { clearTimeout(timer); resolve(); } };
+        const timer = setTimeout(() => {
+            pending.delete(seq);
+            resolve();
+        }, settings.timeout);
+        pending.set(seq, probe);
+
+        const packet = buildEchoRequest(family, id, seq);
+        const setTtl = () => {
+            if (!settings.ttl) return;
+            if (family === 6) socket.setOption(raw.SocketLevel.IPPROTO_IPV6, raw.SocketOption.IPV6_UNICAST_HOPS, settings.ttl);
+            else socket.setOption(raw.SocketLevel.IPPROTO_IP, raw.SocketOption.IP_TTL, settings.ttl);
+        };
+        socket.send(packet, 0, packet.length, address, setTtl, (error) => {
+            probe.sentAt = process.hrtime.bigint();
+            if (error) probe.done();
+        });
+    });
+
+    return (async () => {
+        const probes = [];
+        try {
+            for (let seq = 1; seq <= settings.count; seq++) {
+                if (seq > 1) await new Promise(resolve => setTimeout(resolve, settings.interval));
+                probes.push(sendProbe(seq));
+            }
+            await Promise.all(probes);
+        } finally {
+            socket.close();
+        }
+
+        replies.sort((a, b) => a.seq - b.seq);
+        return {
+            address,
+            alive: replies.length > 0,
+            ...summarizeReplies(replies, settings.count),
+            responders: [...new Set(replies.map(reply => reply.from))]
+        };
+    })();
+}
+
+/**
+ * Run the platform's ping and parse its output
+ * @returns {Promise<object>} { host, address, alive, ...summarizeReplies(), responders }
+ */
+function pingWithCommand(host, settings) {
+    const { command, args } = buildPingCommand(host, settings);
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { windowsHide: true });
+        let stdout = '';
+        let stderr = '';
+
+        // Safety net in case ping ignores its own deadline
+        const limit = settings.count * Math.max(settings.interval, 1000) + settings.timeout + 5000;
+        const timer = setTimeout(() => child.kill(), limit);
+
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error(`${command} command not found`) : error);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            const parsed = parsePingOutput(stdout);
+
+            // Exit code 2 (iputils) / 68 (BSD) with nothing parsed means the host could not be resolved or pinged at all
+            if (parsed.replies.length === 0 && parsed.transmitted === null && code !== 0 && code !== 1) {
+                const message = (stderr || stdout).trim().split(/\r?\n/).pop();
+                reject(new Error(message || `ping exited with code ${code}`));
+                return;
+            }
+
+            const sent = parsed.transmitted ?? settings.count;
+            const summary = summarizeReplies(parsed.replies, sent);
+            resolve({
+                host,
+                address: parsed.replies.length ? parsed.replies[0].from : null,
+                alive: parsed.replies.length > 0,
+                ...summary,
+                responders: parsed.responders
+            });
+        });
+    });
+}
+
+module.exports = {
+    MODES,
+    ping,
+    buildPingCommand,
+    parsePingOutput,
+    summarizeReplies,
+    getPingCapabilities
+};
@@ -0,0 +1,509 @@
+/**
+ * Port Scanner Module
+ * Concurrent TCP connect and UDP scanner. All scans share one connection pool, time out
+ * ports based on the RTT measured for each host, report progress as events,
+ * can be cancelled, and grab banners to identify services and versions
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const { identifyService, probeForPort, formatBanner } = require('./service-signatures');
+const { udpPayloadForPort, identifyUdpResponse } = require('./udp-probes');
+const { resolveHost } = require('./ip-range');
+
+const DEFAULT_OPTIONS = {
+    protocol: 'tcp',
+    timeout: 1000,
+    minTimeout: 100,
+    retries: 1,
+    banners: false,
+    bannerTimeout: 2000,
+    prefer: 'auto'
+};
+
+// Ports usually spoken over TLS; when they return no banner a TLS handshake is attempted
+const TLS_PORTS = [443, 465, 636, 853, 993, 995, 2376, 5986, 6443, 8443, 8883, 9443];
+
+const MAX_BANNER_BYTES = 4096;
+
+// ============================================================
+// Shared Connection Pool
+// ============================================================
+
+/**
+ * Limits the number of sockets open at once across every running scan
+ */
+class ConnectionPool {
+    constructor(size) {
+        this.size = size;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    acquire() {
+        if (this.active < this.size) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) next();
+        else this.active--;
+    }
+}
+
+const pool = new ConnectionPool(256);
+
+/**
+ * Change the number of simultaneous connections shared by all scans
+ */
+function setPoolSize(size) {
+    pool.size = Math.min(Math.max(parseInt(size, 10) || 1, 1), 1024);
+    while (pool.active < pool.size && pool.waiting.length > 0) {
+        pool.active++;
+        pool.waiting.shift()();
+    }
+}
+
+// ============================================================
+// Adaptive Timeouts
+// ============================================================
+
+/**
+ * Per-host round-trip estimate (RFC 6298 style smoothing). Both SYN/ACK
+ * (open) and RST (closed) replies are RTT samples
+ */
+class RttEstimator {
+    constructor(initialTimeout, minTimeout) {
+        this.maxTimeout = initialTimeout;
+        this.minTimeout = minTimeout;
+        this.srtt = null;
+        this.rttvar = null;
+    }
+
+    sample(rtt) {
+        if (this.srtt === null) {
+            this.srtt = rtt;
+            this.rttvar = rtt / 2;
+        } else {
+            this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - rtt);
+            this.srtt = 0.875 * this.srtt + 0.125 * rtt;
+        }
+    }
+
+    get timeout() {
+        if (this.srtt === null) return this.maxTimeout;
+        const estimate = this.srtt + Math.max(4 * this.rttvar, 50);
+        return Math.round(Math.min(Math.max(estimate, this.minTimeout), this.maxTimeout));
+    }
+}
+
+// ============================================================
+// Probing
+// ============================================================
+
+/**
+ * Attempt a TCP connection
+ * @returns {Promise<object>} { state: 'open'|'closed'|'filtered', rtt, socket (open only) }
+ */
+function connect(address, port, timeout, sockets) {
+    return new Promise((resolve) => {
+        const started = process.hrtime.bigint();
+        const socket = net.createConnection({ host: address, port });
+        const elapsed = () => Number(process.hrtime.bigint() - started) / 1e6;
+        sockets.add(socket);
+
+        const timer = setTimeout(() => finish('filtered', null), timeout);
+
+        function onConnect() {
+            finish('open', elapsed());
+        }
+        function onError(error) {
+            // ECONNREFUSED is an RST from the host; unreachable errors mean it is filtered or down
+            if (error.code === 'ECONNREFUSED') finish('closed', elapsed());
+            else finish('filtered', null);
+        }
+        function finish(state, rtt) {
+            clearTimeout(timer);
+            socket.removeListener('connect', onConnect);
+            socket.removeListener('error', onError);
+            if (state === 'open') {
+                // Late resets on an open socket must not surface as unhandled errors
+                socket.on('error', () => {});
+            } else {
+                socket.destroy();
+                sockets.delete(socket);
+            }
+            resolve({ state, rtt, socket: state === 'open' ? socket : null });
+        }
+
+        socket.once('connect', onConnect);
+        socket.on('error', onError);
+    });
+}
+
+/**
+ * Send a UDP probe and wait for a reply or an ICMP port unreachable.
+ * The socket is connected so the kernel reports ICMP errors for it as ECONNREFUSED
+ * @returns {Promise<object>} { state: 'open'|'closed'|'filtered'|'open|filtered', rtt, response }
+ */
+function probeUdp(address, port, timeout, sockets) {
+    return new Promise((resolve) => {
+        const socket = dgram.createSocket(net.isIPv6(address) ? 'udp6' : 'udp4');
+        let started = null;
+        const elapsed = () => (started === null ? null : Number(process.hrtime.bigint() - started) / 1e6);
+        sockets.add(socket);
+
+        let timer = null;
+        let finished = false;
+        function finish(state, rtt, response = null) {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            sockets.delete(socket);
+            try {
+                socket.close();
+            } catch (error) {
+                // Already closed by cancel()
+            }
+            resolve({ state, rtt, response });
+        }
+
+        socket.once('message', (message) => finish('open', elapsed(), message));
+        socket.on('error', (error) => {
+            if (error.code === 'ECONNREFUSED') finish('closed', elapsed());
+            else if (['EHOSTUNREACH', 'ENETUNREACH', 'EACCES'].includes(error.code)) finish('filtered', null);
+            else finish('open|filtered', null);
+        });
+        // Closed by cancel()
+        socket.once('close', () => finish('open|filtered', null));
+
+        socket.connect(port, address, () => {
+            started = process.hrtime.bigint();
+            timer = setTimeout(() => finish('open|filtered', null), timeout);
+            socket.send(udpPayloadForPort(port));
+        });
+    });
+}
+
+/**
+ * Read from a socket until it goes quiet, the peer closes or enough data arrived
+ * @param {Buffer} payload - Probe to send first (optional)
+ */
+function readBanner(socket, timeout, payload) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        let length = 0;
+        let idle = null;
+
+        const done = () => {
+            clearTimeout(timer);
+            clearTimeout(idle);
+            socket.removeListener('data', onData);
+            socket.removeListener('end', done);
+            socket.removeListener('close', done);
+            resolve(Buffer.concat(chunks));
+        };
+        const onData = (chunk) => {
+            chunks.push(chunk);
+            length += chunk.length;
+            if (length >= MAX_BANNER_BYTES) return done();
+            // Greetings and probe replies arrive in one burst; stop once the peer pauses
+            clearTimeout(idle);
+            idle = setTimeout(done, 300);
+        };
+        const timer = setTimeout(done, timeout);
+
+        socket.on('data', onData);
+        socket.once('end', done);
+        socket.once('close', done);
+        if (payload) socket.write(payload);
+    });
+}
+
+/**
+ * TLS handshake against an open port, returning the certificate and the
+ * response to an HTTP request sent over the encrypted connection
+ */
+function grabTlsBanner(address, port, servername, timeout, sockets) {
+    return new Promise((resolve) => {
+        const socket = tls.connect({
+            host: address,
+            port,
+            servername: net.isIP(servername) ? undefined : servername,
+            rejectUnauthorized: false
+        });
+        sockets.add(socket);
+
+        const timer = setTimeout(() => finish(null), timeout);
+        function finish(result) {
+            clearTimeout(timer);
+            socket.destroy();
+            sockets.delete(socket);
+            resolve(result);
+        }
+
+        socket.on('error', () => finish(null));
+        socket.once('secureConnect', async () => {
+            const certificate = socket.getPeerCertificate();
+            const tlsInfo = {
+                protocol: socket.getProtocol(),
+                subject: certificate && certificate.subject ? certificate.subject.CN || null : null,
+                issuer: certificate && certificate.issuer ? certificate.issuer.CN || certificate.issuer.O || null : null,
+                validTo: certificate ? certificate.valid_to || null : null
+            };
+            const response = await readBanner(socket, Math.max(timeout / 2, 500), Buffer.from(`HEAD / HTTP/1.0\r\nHost: ${servername}\r\n\r\n`));
+            finish({ tls: tlsInfo, banner: response });
+        });
+    });
+}
+
+// ============================================================
+// Port Scanner
+// ============================================================
+
+class PortScanner extends EventEmitter {
+    /**
+     * @param {object} options - {
+     *   protocol: 'tcp' (connect scan, default) or 'udp',
+     *   timeout: initial and maximum connect timeout in ms (default 1000),
+     *   minTimeout: lower bound for adaptive timeouts (default 100),
+     *   retries: extra attempts for TCP ports that timed out under a reduced timeout,
+     *            and for UDP ports that did not answer (default 1),
+     *   banners: grab banners and identify services (default false),
+     *   bannerTimeout: ms to wait for a banner (default 2000),
+     *   prefer: address family used for host names, 'auto' (resolver order), 'ipv6' (AAAA first) or 'ipv4'
+     * }
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.cancelled = false;
+        this.sockets = new Set();
+        this.stats = { total: 0, scanned: 0, open: 0, closed: 0, filtered: 0, openFiltered: 0 };
+    }
+
+    /**
+     * Scan ports on one or more hosts. Emits 'result' for every port and
+     * 'progress' after each one
+     * @param {string|string[]} hosts - Host names or IP addresses
+     * @param {number[]} ports - Ports to scan
+     * @returns {Promise<object>} { results: open ports only, stats, cancelled, hosts: [{ host, address, rtt, error }] }
+     */
+    async scan(hosts, ports) {
+        const hostList = Array.isArray(hosts) ? hosts : [hosts];
+        const started = Date.now();
+        const results = [];
+        const hostSummaries = [];
+        this.stats.total = hostList.length * ports.length;
+
+        // Hosts are scanned one after another so each builds up its own RTT estimate;
+        // parallelism comes from the pool across ports (and across concurrent scans)
+        for (const host of hostList) {
+            if (this.cancelled) break;
+
+            let address;
+            try {
+                address = (await resolveHost(host, { prefer: this.options.prefer })).address;
+            } catch (error) {
+                hostSummaries.push({ host, address: null, rtt: null, error: `Cannot resolve ${host}` });
+                this.stats.scanned += ports.length;
+                this.emitProgress();
+                continue;
+            }
+
+            const estimator = new RttEstimator(this.options.timeout, this.options.minTimeout);
+            const running = new Set();
+
+            for (const port of ports) {
+                await pool.acquire();
+                if (this.cancelled) {
+                    pool.release();
+                    break;
+                }
+
+                const task = this.scanPort(host, address, port, estimator)
+                    .then((result) => {
+                        if (result.state === 'open') results.push(result);
+                        this.stats.scanned++;
+                        this.stats[result.state === 'open|filtered' ? 'openFiltered' : result.state]++;
+                        this.emit('result', result);
+                        this.emitProgress();
+                    })
+                    .finally(() => {
+                        pool.release();
+                        running.delete(task);
+                    });
+                running.add(task);
+            }
+
+            await Promise.all(running);
+            hostSummaries.push({ host, address, rtt: estimator.srtt === null ? null : Math.round(estimator.srtt * 100) / 100, error: null });
+        }
+
+        results.sort((a, b) => hostList.indexOf(a.host) - hostList.indexOf(b.host) || a.port - b.port);
+        return {
+            results,
+            hosts: hostSummaries,
+            stats: { ...this.stats, duration: Date.now() - started },
+            cancelled: this.cancelled
+        };
+    }
+
+    /**
+     * Probe one port, retrying a timeout when the adaptive timeout was below the maximum
+     */
+    async scanPort(host, address, port, estimator) {
+        if (this.options.protocol === 'udp') {
+            return this.scanUdpPort(host, address, port, estimator);
+        }
+
+        let attempt = 0;
+        let outcome;
+
+        while (true) {
+            const timeout = estimator.timeout;
+            outcome = await connect(address, port, timeout, this.sockets);
+            if (outcome.rtt !== null) estimator.sample(outcome.rtt);
+
+            const retry = outcome.state === 'filtered' && timeout < estimator.maxTimeout && attempt < this.options.retries;
+            if (!retry || this.cancelled) break;
+            attempt++;
+        }
+
+        const result = {
+            host,
+            address,
+            port,
+            protocol: 'tcp',
+            state: outcome.state,
+            rtt: outcome.rtt === null ? null : Math.round(outcome.rtt * 100) / 100,
+            service: null,
+            product: null,
+            version: null,
+            banner: null,
+            tls: null
+        };
+
+        if (outcome.state !== 'open') return result;
+
+        if (this.options.banners && !this.cancelled) {
+            Object.assign(result, await this.identify(host, address, port, outcome.socket));
+        } else {
+            outcome.socket.destroy();
+            this.sockets.delete(outcome.socket);
+            Object.assign(result, identifyService(port, null));
+        }
+        return result;
+    }
+
+    /**
+     * Probe one UDP port. Silence is ambiguous (the service may ignore the probe or a
+     * firewall may drop it, and hosts rate-limit ICMP unreachables), so unanswered
+     * ports are retried before being reported as open|filtered
+     */
+    async scanUdpPort(host, address, port, estimator) {
+        let outcome;
+
+        for (let attempt = 0; attempt <= this.options.retries && !this.cancelled; attempt++) {
+            outcome = await probeUdp(address, port, estimator.timeout, this.sockets);
+            if (outcome.rtt !== null) estimator.sample(outcome.rtt);
+            if (outcome.state !== 'open|filtered') break;
+        }
+
+        const result = {
+            host,
+            address,
+            port,
+            protocol: 'udp',
+            state: outcome ? outcome.state : 'open|filtered',
+            rtt: outcome && outcome.rtt !== null ? Math.round(outcome.rtt * 100) / 100 : null,
+            service: null,
+            product: null,
+            version: null,
+            banner: null,
+            tls: null
+        };
+
+        if (result.state === 'open') {
+            const identified = identifyUdpResponse(port, outcome.response);
+            Object.assign(result, {
+                service: identified.service,
+                product: identified.product,
+                version: identified.version,
+                banner: identified.detail || formatBanner(outcome.response)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Grab a banner from an open connection: wait for a greeting, then send the
+     * port's probe, then try TLS for silent or TLS-speaking ports
+     */
+    async identify(host, address, port, socket) {
+        const wait = this.options.bannerTimeout;
+        let banner = await readBanner(socket, Math.min(wait, 1500));
+
+        if (banner.length === 0 && !socket.destroyed) {
+            banner = await readBanner(socket, wait, probeForPort(port).payload);
+        }
+        socket.destroy();
+        this.sockets.delete(socket);
+
+        let identified = identifyService(port, banner);
+        let tlsInfo = null;
+
+        if (!this.cancelled && (identified.service === 'SSL/TLS' || (banner.length === 0 && TLS_PORTS.includes(port)))) {
+            const secure = await grabTlsBanner(address, port, host, wait, this.sockets);
+            if (secure) {
+                tlsInfo = secure.tls;
+                const inner = identifyService(port, secure.banner);
+                identified = inner.method === 'banner'
+                    ? { ...inner, service: inner.service === 'HTTP' ? 'HTTPS' : `${inner.service} (TLS)` }
+                    : { service: 'SSL/TLS', product: null, version: null, method: 'banner' };
+                if (secure.banner.length > 0) banner = secure.banner;
+            }
+        }
+
+        return {
+            service: identified.service,
+            product: identified.product,
+            version: identified.version,
+            banner: formatBanner(banner),
+            tls: tlsInfo
+        };
+    }
+
+    emitProgress() {
+        this.emit('progress', { ...this.stats });
+    }
+
+    /**
+     * Stop the scan; pending ports are skipped and open sockets closed
+     */
+    cancel() {
+        this.cancelled = true;
+        this.sockets.forEach(socket => (socket.destroy ? socket.destroy() : socket.close()));
+        this.sockets.clear();
+    }
+}
+
+/**
+ * Ports from start to end inclusive
+ */
+function portRange(start, end) {
+    const from = Math.max(1, parseInt(start, 10) || 1);
+    const to = Math.min(65535, parseInt(end, 10) || from);
+    if (from > to) throw new Error('Invalid port range. Ports must be 1-65535 and start <= end');
+    return Array.from({ length: to - from + 1 }, (value, index) => from + index);
+}
+
+module.exports = PortScanner;
+module.exports.portRange = portRange;
+module.exports.setPoolSize = setPoolSize;
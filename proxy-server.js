@@ -0,0 +1,325 @@
+/**
+ * Proxy Server Module
+ * Server Maker's proxies: a TCP port forwarder relaying raw connections to a
+ * target host:port, and an HTTP reverse proxy passing requests (and WebSocket
+ * upgrades) on to the target, both counting the bytes of every connection
+ */
+
+const net = require('net');
+const http = require('http');
+
+const MODES = ['tcp', 'http'];
+const BIND_ADDRESSES = { localhost: 'localhost', all: '0.0.0.0' };
+
+// Hop-by-hop headers apply to one connection only and are not forwarded (RFC 9110 section 7.6.1)
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'te', 'trailer', 'upgrade'];
+
+/**
+ * Parse "host:port" ("[::1]:port" for IPv6 addresses)
+ * @returns {object} { host, port }
+ */
+function parseTarget(text) {
+    const value = String(text || '').trim().replace(/^[a-z]+:\/\//i, '').replace(/\/.*$/, '');
+    const match = value.match(/^\[([^\]]+)\]:(\d+)$/) || value.match(/^([^:\s]+):(\d+)$/);
+    if (!match) throw new Error(`Target "${text}" must be host:port`);
+    const port = parseInt(match[2], 10);
+    if (port < 1 || port > 65535) throw new Error('Target port must be between 1 and 65535');
+    return { host: match[1], port };
+}
+
+function formatTarget({ host, port }) {
+    return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+/**
+ * Check and complete a proxy's settings
+ * @param {object} config - {
+ *   mode: tcp or http, target: host:port, bind: localhost or all (interfaces),
+ *   preserveHost: pass the client's Host header on (http mode), logTraffic: add traffic to Packet Analysis
+ * }
+ */
+function normalizeProxyConfig(config = {}) {
+    const mode = config.mode || 'tcp';
+    if (!MODES.includes(mode)) throw new Error(`Unknown proxy mode "${mode}"`);
+    const bind = config.bind || 'localhost';
+    if (!BIND_ADDRESSES[bind]) throw new Error(`Unknown listen address "${bind}"`);
+    return {
+        mode,
+        target: formatTarget(parseTarget(config.target)),
+        bind,
+        preserveHost: Boolean(config.preserveHost),
+        logTraffic: Boolean(config.logTraffic)
+    };
+}
+
+const clientAddress = socket => formatTarget({ host: socket.remoteAddress, port: socket.remotePort });
+
+// ============================================================
+// TCP Port Forwarder
+// ============================================================
+
+/**
+ * Build a 'connection' listener for net.createServer({ allowHalfOpen: true }) relaying every
+ * connection to the target; half-closes are passed on, so request/response exchanges that end
+ * with the client's FIN still get their answer
+ * @param {object} config - Settings from normalizeProxyConfig()
+ * @param {object} options - {
+ *   onOpen({ client, target }), onTraffic({ client, target, bytes, count }) for every relayed chunk,
+ *   onClose({ client, target, sent, received, duration, error }) where sent went to the target
+ * }
+ * @returns {Function} Listener with a reload(config) method; new connections use the new target
+ */
+function createTcpForwarder(config, options = {}) {
+    let settings = normalizeProxyConfig(config);
+
+    const handler = (client) => {
+        const started = Date.now();
+        const target = parseTarget(settings.target);
+        const info = { client: clientAddress(client), target: settings.target };
+        let sent = 0;
+        let received = 0;
+        let error = null;
+        let closed = false;
+
+        const upstream = net.connect({ ...target, allowHalfOpen: true });
+        if (options.onOpen) options.onOpen(info);
+
+        const relay = (from, to, count) => {
+            from.on('data', (chunk) => {
+                count(chunk.length);
+                if (options.onTraffic) options.onTraffic({ ...info, bytes: chunk.length, count: 1 });
+                // Backpressure: pause the faster side until the slower one drains
+                if (!to.write(chunk)) {
+                    from.pause();
+                    to.once('drain', () => from.resume());
+                }
+            });
+            from.on('end', () => to.end());
+        };
+        relay(client, upstream, (bytes) => { sent += bytes; });
+        relay(upstream, client, (bytes) => { received += bytes; });
+
+        const close = (cause) => {
+            if (cause && !error) error = cause.code || cause.message;
+            if (closed) return;
+            closed = true;
+            client.destroy();
+            upstream.destroy();
+            if (options.onClose) options.onClose({ ...info, sent, received, duration: Date.now() - started, error });
+        };
+        client.on('error', close);
+        upstream.on('error', close);
+        client.on('close', () => close());
+        upstream.on('close', () => close());
+    };
+    handler.reload = (next) => {
+        settings = normalizeProxyConfig(next);
+    };
+    return handler;
+}
+
+// ============================================================
+// HTTP Reverse Proxy
+// ============================================================
+
+/**
+ * Headers for the upstream request: hop-by-hop headers dropped, X-Forwarded-* added
+ */
+function forwardHeaders(req, settings, keep = []) {
+    const connectionHeaders = String(req.headers.connection || '').toLowerCase().split(',').map(name => name.trim());
+    const headers = {};
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        const name = req.rawHeaders[i];
+        const lower = name.toLowerCase();
+        if (!keep.includes(lower) && (HOP_BY_HOP_HEADERS.includes(lower) || connectionHeaders.includes(lower))) continue;
+        if (lower === 'host' && !settings.preserveHost) continue;
+        headers[name] = headers[name] !== undefined ? [].concat(headers[name], req.rawHeaders[i + 1]) : req.rawHeaders[i + 1];
+    }
+    if (!settings.preserveHost) headers.Host = settings.target;
+
+    const forwardedFor = req.headers['x-forwarded-for'];
+    headers['X-Forwarded-For'] = forwardedFor ? `${forwardedFor}, ${req.socket.remoteAddress}` : req.socket.remoteAddress;
+    headers['X-Forwarded-Host'] = req.headers.host || '';
+    headers['X-Forwarded-Proto'] = req.socket.encrypted ? 'https' : 'http';
+    return headers;
+}
+
+/**
+ * Build an HTTP reverse proxy for http.createServer()
+ * @param {object} config - Settings from normalizeProxyConfig()
+ * @param {object} options - {
+ *   captureLimit: bytes of each body passed to onResponse (default 64 KiB),
+ *   onResponse(info): called after each exchange, with the same fields as mock-http's router,
+ *   onTraffic({ client, target, bytes, count }), onClose({ client, target, sent, received, duration, error })
+ * }
+ * @returns {Function} (req, res) handler with upgrade(req, socket, head) for the server's 'upgrade'
+ *   event, connection(socket) for its 'connection' event and reload(config)
+ */
+function createReverseProxy(config, options = {}) {
+    let settings = normalizeProxyConfig(config);
+    const captureLimit = options.captureLimit ?? 64 * 1024;
+    // Bytes already reported per client connection
+    const reported = new WeakMap();
+
+    const tap = () => {
+        const chunks = [];
+        let size = 0;
+        return {
+            add(chunk) {
+                if (size < captureLimit) chunks.push(chunk.subarray(0, captureLimit - size));
+                size += chunk.length;
+            },
+            get body() {
+                return Buffer.concat(chunks);
+            },
+            get size() {
+                return size;
+            }
+        };
+    };
+
+    const reportTraffic = (socket, count, target) => {
+        const total = socket.bytesRead + socket.bytesWritten;
+        const bytes = total - (reported.get(socket) || 0);
+        reported.set(socket, total);
+        if (options.onTraffic && bytes > 0) options.onTraffic({ client: clientAddress(socket), target, bytes, count });
+    };
+
+    const handler = (req, res) => {
+        const started = Date.now();
+        const target = settings.target;
+        const { host, port } = parseTarget(target);
+        const requestBody = tap();
+        const responseBody = tap();
+
+        let finished = false;
+        const finish = (status, responseHeaders, error) => {
+            if (finished) return;
+            finished = true;
+            reportTraffic(req.socket, 2, target);
+            if (!options.onResponse) return;
+            const headers = [];
+            for (let i = 0; i < req.rawHeaders.length; i += 2) headers.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+            options.onResponse({
+                method: req.method,
+                url: req.url,
+                httpVersion: req.httpVersion,
+                headers,
+                remoteAddress: req.socket.remoteAddress,
+                body: requestBody.body,
+                bodySize: requestBody.size,
+                status,
+                responseHeaders,
+                responseBody: responseBody.body,
+                responseSize: responseBody.size,
+                duration: Date.now() - started,
+                route: `-> ${target}`,
+                error
+            });
+        };
+
+        const upstream = http.request({ host, port, method: req.method, path: req.url, headers: forwardHeaders(req, settings) }, (response) => {
+            const headers = {};
+            for (let i = 0; i < response.rawHeaders.length; i += 2) {
+                const name = response.rawHeaders[i];
+                if (HOP_BY_HOP_HEADERS.includes(name.toLowerCase())) continue;
+                headers[name] = headers[name] !== undefined ? [].concat(headers[name], response.rawHeaders[i + 1]) : response.rawHeaders[i + 1];
+            }
+            res.writeHead(response.statusCode, response.statusMessage, headers);
+            response.on('data', chunk => responseBody.add(chunk));
+            response.pipe(res);
+            response.on('end', () => finish(response.statusCode, headers, null));
+            response.on('error', () => res.destroy());
+        });
+
+        upstream.on('error', (error) => {
+            const message = `Bad Gateway: ${target} ${error.code || error.message}`;
+            if (!res.headersSent) {
+                res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(message);
+                responseBody.add(Buffer.from(message));
+            } else {
+                res.destroy();
+            }
+            finish(502, { 'Content-Type': 'text/plain; charset=utf-8' }, error.code || error.message);
+        });
+
+        req.on('data', chunk => requestBody.add(chunk));
+        req.pipe(upstream);
+        res.on('close', () => {
+            if (!res.writableFinished) upstream.destroy();
+        });
+    };
+
+    /**
+     * Relay an upgrade (e.g. WebSocket) request, then the raw connection both ways
+     */
+    handler.upgrade = (req, socket, head) => {
+        const target = settings.target;
+        const { host, port } = parseTarget(target);
+        let connected = false;
+        const upstream = net.connect({ host, port }, () => {
+            connected = true;
+            const headers = forwardHeaders(req, settings, ['connection', 'upgrade']);
+            const lines = [`${req.method} ${req.url} HTTP/1.1`];
+            for (const [name, value] of Object.entries(headers)) {
+                [].concat(value).forEach(item => lines.push(`${name}: ${item}`));
+            }
+            upstream.write(`${lines.join('\r\n')}\r\n\r\n`);
+            if (head && head.length > 0) upstream.write(head);
+            upstream.pipe(socket);
+            socket.pipe(upstream);
+        });
+
+        const onData = () => reportTraffic(socket, 1, target);
+        socket.on('data', onData);
+        upstream.on('data', () => setImmediate(onData));
+
+        const close = () => {
+            socket.destroy();
+            upstream.destroy();
+        };
+        upstream.on('error', () => {
+            if (connected || socket.destroyed) return close();
+            socket.end('HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n');
+        });
+        socket.on('error', close);
+        socket.on('close', close);
+        upstream.on('close', () => socket.end());
+    };
+
+    /**
+     * Count a client connection's bytes from accept to close
+     */
+    handler.connection = (socket) => {
+        const started = Date.now();
+        const client = clientAddress(socket);
+        socket.on('close', () => {
+            reportTraffic(socket, 0, settings.target);
+            if (options.onClose) {
+                options.onClose({
+                    client,
+                    target: settings.target,
+                    sent: socket.bytesRead,
+                    received: socket.bytesWritten,
+                    duration: Date.now() - started,
+                    error: null
+                });
+            }
+        });
+    };
+
+    handler.reload = (next) => {
+        settings = normalizeProxyConfig(next);
+    };
+    return handler;
+}
+
+module.exports = {
+    MODES,
+    BIND_ADDRESSES,
+    parseTarget,
+    normalizeProxyConfig,
+    createTcpForwarder,
+    createReverseProxy
+};
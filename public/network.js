@@ -3,9 +3,13 @@ const { promises: fsPromises } = require('fs');
 const fs = require('fs');
 const dns = require('dns');
 const path = require('path');
-const { spawn } = require('child_process');
 const { ipcRenderer } = require('electron');
 const si = require('systeminformation');
+const { parseTargets, isValidSubnetMask, TargetSet, ipVersion, normalizeIP, parseHostPort } = require('../ip-range');
+const { serviceForPort } = require('../service-signatures');
+const { identifyUdpResponse } = require('../udp-probes');
+const { METHODS: HTTP_METHODS, DEFAULT_ROUTES } = require('../mock-http');
+const { isBodyComplete } = require('../request-log');
 
 /**
  * NetNavigator Main Application
@@ -467,22 +471,27 @@ const UI = {
 
 const Validation = {
     /**
-     * Validate IP address format (strict IPv4)
+     * Validate IP address format (IPv4, or IPv6 with an optional %zone)
      */
     isValidIP(ip) {
         if (typeof ip !== 'string') return false;
-        const ipRegex = /^(([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])\.){3}([0-9]|[1-9][0-9]|1[0-9]{2}|2[0-4][0-9]|25[0-5])$/;
-        return ipRegex.test(ip.trim());
+        return ipVersion(ip.trim()) !== 0;
+    },
+
+    /**
+     * Validate IP address format (strict IPv4)
+     */
+    isValidIPv4(ip) {
+        if (typeof ip !== 'string') return false;
+        return ipVersion(ip.trim()) === 4;
     },
 
     /**
      * Validate subnet mask format
      */
     isValidSubnetMask(mask) {
-        if (!this.isValidIP(mask)) return false;
-        // Common subnet masks: 255.x.x.x, 255.255.x.x, etc.
-        const validMasks = ['255.0.0.0', '255.255.0.0', '255.255.255.0', '255.255.255.128', '255.255.255.192', '255.255.255.224', '255.255.255.240', '255.255.255.248', '255.255.255.252', '255.255.255.254', '255.255.255.255'];
-        return validMasks.includes(mask.trim());
+        // Any contiguous mask (255.255.240.0), or a prefix length such as /20
+        return isValidSubnetMask(mask);
     },
 
     /**
@@ -517,10 +526,11 @@ const Validation = {
     },
 
     /**
-     * Validate hostname/domain
+     * Validate hostname/domain or IP address
      */
     isValidHost(host) {
         if (typeof host !== 'string') return false;
+        if (this.isValidIP(host)) return true;
         const hostRegex = /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?$/;
         const trimmed = host.trim();
         return trimmed.length > 0 && trimmed.length <= 255 && hostRegex.test(trimmed);
@@ -1530,39 +1540,42 @@ class NetworkOps {
     /**
      * Scan network for active IPs
      */
-    static async scan(baseIP) {
-        if (!Validation.isValidIP(baseIP)) {
+    static async scan(baseIP, concurrency = 32) {
+        if (!Validation.isValidIPv4(`${baseIP}.1`)) {
             throw new Error('Invalid IP address format');
         }
 
         const activeIPs = [];
-        let completed = 0;
+        let next = 1;
 
-        return new Promise((resolve, reject) => {
-            for (let i = 1; i <= 254; i++) {
-                const ip = `${baseIP}.${i}`;
-                const ping = spawn('ping', ['-n', '1', '-w', '100', ip]);
-
-                ping.on('close', (code) => {
-                    completed++;
-                    if (code === 0) {
-                        activeIPs.push(ip);
-                    }
-                    if (completed === 254) {
-                        resolve(activeIPs);
-                    }
-                });
+        // A fixed number of workers keeps at most `concurrency` ping processes alive
+        const worker = async () => {
+            while (next <= 254) {
+                const ip = `${baseIP}.${next++}`;
+                try {
+                    const result = await NetworkOps.ping(ip, { count: 1, timeout: 1000 });
+                    if (result.alive) activeIPs.push(ip);
+                } catch (e) {
+                    // Unreachable or invalid host, not active
+                }
             }
-        });
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, worker));
+        return activeIPs;
     }
 
     /**
-     * Check if a port is open
+     * Check if a TCP or UDP port is open
      */
-    static async checkPort(host, port) {
+    static async checkPort(host, port, protocol = 'tcp') {
         if (!Validation.isValidHost(host) || !Validation.isValidPort(port)) {
             throw new Error('Invalid host or port');
         }
+        if (protocol === 'udp') {
+            // Probed from the main process: 'open', 'closed' or 'open|filtered'
+            return ipcRenderer.invoke('check-port', host, port, 'udp');
+        }
         return new Promise((resolve) => {
             const net = require('net');
             const socket = net.createConnection(port, host);
@@ -1583,31 +1596,79 @@ class NetworkOps {
     }
 
     /**
-     * Ping a host
+     * Ping a host with ICMP echo requests (runs in the main process)
+     * @param {string} host - Host name or IP address
+     * @param {object} options - { count, timeout, interval, ttl, family, source, mode }
+     * @returns {Promise<object>} { alive, sent, received, lossPercent, min, avg, max, jitter, ttl, rtts, engine }
      */
-    static async ping(host) {
+    static async ping(host, options = {}) {
         if (!Validation.isValidHost(host)) {
             throw new Error('Invalid host');
         }
 
-        return new Promise((resolve, reject) => {
-            const ping = spawn('ping', ['-n', '1', host]);
-            let stdout = '';
+        return ipcRenderer.invoke('ping-host', host, options);
+    }
 
-            ping.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
+    /**
+     * Id for a port scan, used to route progress events and to cancel it
+     */
+    static createScanId() {
+        NetworkOps.scanCounter = (NetworkOps.scanCounter || 0) + 1;
+        return `scan-${Date.now()}-${NetworkOps.scanCounter}`;
+    }
 
-            ping.on('close', (code) => {
-                if (code === 0) {
-                    const match = stdout.match(/time[<>=](\d+)ms/);
-                    const pingTime = match ? parseInt(match[1], 10) : null;
-                    resolve(pingTime);
-                } else {
-                    resolve(null);
-                }
-            });
-        });
+    /**
+     * Scan a port range with the main-process scan engine
+     * @param {string|string[]} hosts - Host names or IP addresses
+     * @param {object} options - { scanId, startPort, endPort, protocol ('tcp'|'udp'), timeout, banners, bannerTimeout }
+     * @param {function} onProgress - Called with { scanned, total, open, closed, filtered, openFiltered, results: newly found open ports }
+     * @returns {Promise<object>} { results: open ports, hosts, stats, cancelled }
+     */
+    static async scanPorts(hosts, options = {}, onProgress = null) {
+        const hostList = Array.isArray(hosts) ? hosts : [hosts];
+        if (hostList.length === 0 || !hostList.every(host => Validation.isValidHost(host))) {
+            throw new Error('Invalid host');
+        }
+        if (!Validation.isValidPortRange(options.startPort, options.endPort)) {
+            throw new Error('Invalid port range. Ports must be 1-65535 and start <= end');
+        }
+
+        const scanId = options.scanId || NetworkOps.createScanId();
+        const listener = (event, progress) => {
+            if (progress.scanId === scanId && onProgress) onProgress(progress);
+        };
+
+        ipcRenderer.on('port-scan-progress', listener);
+        try {
+            return await ipcRenderer.invoke('port-scan-start', scanId, { ...options, hosts: hostList });
+        } finally {
+            ipcRenderer.removeListener('port-scan-progress', listener);
+        }
+    }
+
+    /**
+     * Cancel a running port scan
+     */
+    static async cancelPortScan(scanId) {
+        return ipcRenderer.invoke('port-scan-cancel', scanId);
+    }
+
+    /**
+     * Read the OS neighbor (ARP) table (runs in the main process)
+     * @param {object} options - { ipv6: include the IPv6 neighbor cache }
+     * @returns {Promise<Array>} [{ ip, mac, vendor, interface, state, reachable }]
+     */
+    static async getNeighbors(options = {}) {
+        return ipcRenderer.invoke('neighbor-table', options);
+    }
+
+    /**
+     * Find IPv6 hosts on the local links with multicast pings (runs in the main process)
+     * @param {object} options - { timeout }
+     * @returns {Promise<Array>} [{ ip, mac, vendor, interface, reachable, source }]
+     */
+    static async discoverIPv6(options = {}) {
+        return ipcRenderer.invoke('ipv6-discover', options);
     }
 
     /**
@@ -1687,14 +1748,43 @@ function setupTraceroute() {
     let traceInProgress = false;
     let traceResults = [];
     let traceStartTime = null;
+    let currentTraceId = null;
+    let currentMonitorId = null;
+    // Whether traceResults holds MTR statistics rather than single-trace hops
+    let traceResultsMtr = false;
+
+    // MTR mode: every update carries the statistics of all hops seen so far
+    ipcRenderer.on('mtr-update', (event, { monitorId, round, hops }) => {
+        if (!traceInProgress || monitorId !== currentMonitorId) return;
+        traceResults = hops;
+        updateMtrTable(hops);
+        finializeTracert(hops, traceStartTime);
+        const last = hops[hops.length - 1];
+        updateTracertProgress(hops.length, hops.length || 1, `Round ${round}: ${hops.length} hops${last && last.reached ? `, destination ${last.ip}` : ''}`);
+    });
+
+    // Hops arrive one by one while the trace runs
+    ipcRenderer.on('traceroute-hop', (event, { traceId, hop }) => {
+        if (!traceInProgress || traceId !== currentTraceId) return;
+        traceResults.push(hop);
+        appendTracertHop(hop, document.getElementById('tracert-show-timing').checked);
+        const maxHops = parseInt(document.getElementById('tracert-max-hops').value) || 30;
+        updateTracertProgress(hop.hop, maxHops, `Hop ${hop.hop}: ${hop.ip || '*'}`);
+        finializeTracert(traceResults, traceStartTime);
+    });
 
     // Start trace
     startBtn.addEventListener('click', async () => {
-        const host = document.getElementById('tracert-host').value.trim();
+        const host = document.getElementById('tracert-host').value.trim().replace(/^\[(.*)\]$/, '$1');
         const maxHops = parseInt(document.getElementById('tracert-max-hops').value) || 30;
-        const timeout = parseInt(document.getElementById('tracert-timeout').value) || 5000;
+        const timeout = parseInt(document.getElementById('tracert-timeout').value) || 3000;
+        const protocol = document.getElementById('tracert-protocol')?.value || 'udp';
+        const port = parseInt(document.getElementById('tracert-port')?.value, 10) || null;
         const resolveNames = document.getElementById('tracert-resolve-names').checked;
+        const prefer = document.getElementById('tracert-prefer')?.value || 'auto';
         const showTiming = document.getElementById('tracert-show-timing').checked;
+        const mtrMode = document.getElementById('tracert-mtr')?.checked;
+        const interval = parseInt(document.getElementById('tracert-mtr-interval')?.value, 10) || 1000;
 
         try {
             if (!host) {
@@ -1702,13 +1792,18 @@ function setupTraceroute() {
             }
 
             // Validation
-            if (!/^([0-9]{1,3}\.){3}[0-9]{1,3}$|^[a-zA-Z0-9\-\.]+$/.test(host)) {
+            if (!Validation.isValidHost(host)) {
                 throw new Error('Invalid host format');
             }
+            if (port !== null && !Validation.isValidPort(port)) {
+                throw new Error('Port must be between 1 and 65535');
+            }
 
             traceResults = [];
+            traceResultsMtr = Boolean(mtrMode);
             traceStartTime = Date.now();
             traceInProgress = true;
+            currentTraceId = `trace-${Date.now()}`;
             startBtn.disabled = true;
             stopBtn.disabled = false;
             exportBtn.disabled = true;
@@ -1716,23 +1811,44 @@ function setupTraceroute() {
             // Show progress
             document.getElementById('tracert-progress-section').style.display = 'block';
             document.getElementById('tracert-stats-section').style.display = 'block';
-            document.getElementById('tracert-results').innerHTML = '';
+            const resultsDiv = document.getElementById('tracert-results');
+            resultsDiv.innerHTML = '';
+            resultsDiv.className = 'tracert-results';
+
+            if (mtrMode) {
+                await runMtr({ host, maxHops, timeout, protocol, port, interval, resolveNames, prefer });
+                return;
+            }
 
             UI.showSnackbar(`Starting traceroute to ${host}...`, 3000);
             updateTracertProgress(0, maxHops, 'Initializing traceroute...');
 
             // Call IPC handler
             const results = await ipcRenderer.invoke('traceroute', {
+                traceId: currentTraceId,
                 host,
                 maxHops,
                 timeout,
-                resolveNames
+                protocol,
+                port,
+                resolveNames,
+                prefer
             });
 
             if (traceInProgress) {
+                // The final list carries the reverse-resolved names; redraw it in hop order
                 traceResults = results.hops || [];
                 displayTracertResults(traceResults, showTiming);
                 finializeTracert(traceResults, traceStartTime);
+                updateTracertProgress(maxHops, maxHops, results.reached
+                    ? `Reached ${results.address} in ${traceResults.length} hops`
+                    : `Stopped after ${traceResults.length} hops without reaching ${results.address}`);
+                exportBtn.disabled = traceResults.length === 0;
+                resetTracertUI();
+            }
+
+            if (results.engine === 'system') {
+                UI.showSnackbar(`Used the system traceroute (${results.protocol.toUpperCase()} probes): ${results.fallbackReason}`, 5000);
             }
 
         } catch (error) {
@@ -1747,6 +1863,8 @@ function setupTraceroute() {
     // Stop trace
     stopBtn.addEventListener('click', () => {
         traceInProgress = false;
+        if (currentMonitorId) ipcRenderer.invoke('mtr-stop', currentMonitorId);
+        if (currentTraceId) ipcRenderer.invoke('traceroute-cancel', currentTraceId);
         startBtn.disabled = false;
         stopBtn.disabled = true;
         exportBtn.disabled = traceResults.length === 0;
@@ -1773,8 +1891,17 @@ function setupTraceroute() {
             return;
         }
 
-        const csv = ['Hop,IP,Hostname,Latency (ms),Status'].concat(
-            traceResults.map((h, i) => `${i + 1},"${h.ip}","${h.hostname || 'N/A'}",${h.latency || '--'},${h.status}`)
+        // MTR results keep the tracert columns (their RTTs are the recent samples) and add their statistics after them
+        const probes = Math.max(...traceResults.map(h => (h.rtts || []).length), 1);
+        const rttHeaders = Array.from({ length: probes }, (_, i) => `RTT ${i + 1} (ms)`);
+        const statHeaders = traceResultsMtr ? ['Sent', 'Last (ms)', 'Avg (ms)', 'Best (ms)', 'Worst (ms)', 'StDev (ms)'] : [];
+        const stat = value => (value === null || value === undefined ? '--' : value);
+        const csv = [['Hop', 'IP', 'Hostname', ...rttHeaders, 'Loss (%)', 'MPLS Labels', 'Status', ...statHeaders].join(',')].concat(
+            traceResults.map(h => {
+                const rtts = Array.from({ length: probes }, (_, i) => (h.rtts && h.rtts[i] != null ? h.rtts[i] : '*'));
+                const stats = traceResultsMtr ? [h.sent, h.last, h.avg, h.best, h.worst, h.stddev].map(stat) : [];
+                return [h.hop, `"${h.ip || '*'}"`, `"${h.hostname || 'N/A'}"`, ...rtts, h.loss ?? '--', `"${formatMplsLabels(h.mpls)}"`, hopStatus(h).label, ...stats].join(',');
+            })
         ).join('\n');
 
         const blob = new Blob([csv], { type: 'text/csv' });
@@ -1788,56 +1915,193 @@ function setupTraceroute() {
         UI.showSnackbar('Results exported', 2000);
     });
 
+    /**
+     * Run the path continuously until Stop is clicked, updating the statistics table in place
+     */
+    async function runMtr(options) {
+        currentMonitorId = `mtr-${Date.now()}`;
+        currentTraceId = null;
+        const resultsDiv = document.getElementById('tracert-results');
+        resultsDiv.appendChild(createMtrTable());
+
+        UI.showSnackbar(`Starting MTR to ${options.host}...`, 3000);
+        updateTracertProgress(0, 1, 'Waiting for the first round...');
+
+        try {
+            const results = await ipcRenderer.invoke('mtr-start', { monitorId: currentMonitorId, ...options });
+            traceResults = results.hops || [];
+            updateMtrTable(traceResults);
+            if (traceResults.length > 0) finializeTracert(traceResults, traceStartTime);
+            updateTracertProgress(1, 1, `Stopped after ${results.rounds} rounds to ${results.address}`);
+            exportBtn.disabled = traceResults.length === 0;
+
+            if (results.engine === 'system') {
+                UI.showSnackbar(`Used the system traceroute (${results.protocol.toUpperCase()} probes): ${results.fallbackReason}`, 5000);
+            }
+        } finally {
+            currentMonitorId = null;
+            resetTracertUI();
+        }
+    }
+
+    function createMtrTable() {
+        const table = document.createElement('table');
+        table.className = 'tracert-mtr-table';
+        table.innerHTML = `<thead><tr>
+            <th>#</th><th class="tracert-mtr-host">Host</th><th>Loss %</th><th>Sent</th>
+            <th>Last</th><th>Avg</th><th>Best</th><th>Worst</th><th>StDev</th><th>History</th>
+        </tr></thead><tbody id="tracert-mtr-body"></tbody>`;
+        return table;
+    }
+
+    function updateMtrTable(hops) {
+        const body = document.getElementById('tracert-mtr-body');
+        if (!body) return;
+
+        const ms = value => (value === null || value === undefined ? '--' : value.toFixed(1));
+        const wanted = new Set(hops.map(hop => String(hop.hop)));
+
+        // Rows are keyed by hop number; hops beyond the destination disappear when the path shortens
+        Array.from(body.rows).forEach(row => {
+            if (!wanted.has(row.dataset.hop)) row.remove();
+        });
+
+        hops.forEach(hop => {
+            let row = body.querySelector(`tr[data-hop="${hop.hop}"]`);
+            if (!row) {
+                row = document.createElement('tr');
+                row.dataset.hop = String(hop.hop);
+                for (let i = 0; i < 10; i++) row.appendChild(document.createElement('td'));
+                row.cells[1].className = 'tracert-mtr-host';
+                const next = Array.from(body.rows).find(other => parseInt(other.dataset.hop, 10) > hop.hop);
+                body.insertBefore(row, next || null);
+            }
+
+            const host = hop.ip ? (hop.hostname ? `${hop.hostname} (${hop.ip})` : hop.ip) : '???';
+            const mpls = hop.mpls && hop.mpls.length > 0 ? ` [MPLS ${formatMplsLabels(hop.mpls)}]` : '';
+            row.cells[0].textContent = String(hop.hop);
+            row.cells[1].textContent = host + mpls;
+            row.cells[1].title = hop.responders && hop.responders.length > 1 ? `Answered by ${hop.responders.join(', ')}` : '';
+            row.cells[2].textContent = `${hop.loss.toFixed(1)}%`;
+            row.cells[2].className = hop.loss > 0 ? 'lossy' : '';
+            row.cells[3].textContent = String(hop.sent);
+            row.cells[4].textContent = ms(hop.last);
+            row.cells[5].textContent = ms(hop.avg);
+            row.cells[6].textContent = ms(hop.best);
+            row.cells[7].textContent = ms(hop.worst);
+            row.cells[8].textContent = ms(hop.stddev);
+            row.cells[9].replaceChildren(createSparkline(hop.rtts || [], 30));
+        });
+    }
+
+    /**
+     * Bar sparkline of recent RTTs, scaled to the slowest one; lost probes are full-height red bars
+     */
+    function createSparkline(rtts, slots) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const width = slots * 4;
+        const height = 18;
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'tracert-sparkline');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+
+        const max = Math.max(...rtts.filter(rtt => rtt !== null), 1);
+        const offset = slots - rtts.length;
+        rtts.forEach((rtt, i) => {
+            const bar = document.createElementNS(svgNS, 'rect');
+            const barHeight = rtt === null ? height : Math.max(2, Math.round((rtt / max) * height));
+            bar.setAttribute('x', (offset + i) * 4);
+            bar.setAttribute('y', height - barHeight);
+            bar.setAttribute('width', 3);
+            bar.setAttribute('height', barHeight);
+            if (rtt === null) bar.setAttribute('class', 'lost');
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = rtt === null ? 'lost' : `${rtt} ms`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+        return svg;
+    }
+
     function updateTracertProgress(current, max, text) {
         const progress = Math.min((current / max) * 100, 100);
         document.getElementById('tracert-progress-bar').style.width = progress + '%';
         document.getElementById('tracert-progress-text').textContent = text;
     }
 
-    function displayTracertResults(hops, showTiming) {
+    function formatMplsLabels(labels) {
+        return (labels || []).map(entry => `L=${entry.label} EXP=${entry.exp} TTL=${entry.ttl}${entry.bottom ? ' S' : ''}`).join(' / ');
+    }
+
+    function hopStatus(hop) {
+        if (hop.unreachable) return { className: 'unreachable', label: `Unreachable (${hop.unreachable})` };
+        if (hop.reached) return { className: 'reached', label: 'Destination' };
+        if (hop.status === 'success') return { className: 'success', label: 'Responded' };
+        return { className: 'timeout', label: 'Timeout' };
+    }
+
+    function appendTracertHop(hop, showTiming) {
         const resultsDiv = document.getElementById('tracert-results');
-        resultsDiv.innerHTML = '';
-        resultsDiv.className = 'tracert-results';
 
-        hops.forEach((hop, index) => {
-            const hopDiv = document.createElement('div');
-            hopDiv.className = 'tracert-hop';
+        const hopDiv = document.createElement('div');
+        hopDiv.className = 'tracert-hop';
 
-            const hopNum = document.createElement('div');
-            hopNum.className = 'tracert-hop-number';
-            hopNum.textContent = (index + 1).toString();
+        const hopNum = document.createElement('div');
+        hopNum.className = 'tracert-hop-number';
+        hopNum.textContent = String(hop.hop);
 
-            const hopInfo = document.createElement('div');
-            hopInfo.className = 'tracert-hop-info';
+        const hopInfo = document.createElement('div');
+        hopInfo.className = 'tracert-hop-info';
+
+        const hopIP = document.createElement('div');
+        hopIP.className = 'tracert-hop-ip';
+        hopIP.textContent = hop.ip || '*';
+        if (hop.responders && hop.responders.length > 1) {
+            hopIP.title = `Answered by ${hop.responders.join(', ')}`;
+        }
 
-            const hopIP = document.createElement('div');
-            hopIP.className = 'tracert-hop-ip';
-            hopIP.textContent = hop.ip || '*';
+        const hopHostname = document.createElement('div');
+        hopHostname.className = 'tracert-hop-hostname';
+        hopHostname.textContent = hop.hostname || (hop.ip ? 'Unknown host' : 'No reply');
 
-            const hopHostname = document.createElement('div');
-            hopHostname.className = 'tracert-hop-hostname';
-            hopHostname.textContent = hop.hostname || 'Unknown host';
+        hopInfo.appendChild(hopIP);
+        hopInfo.appendChild(hopHostname);
 
-            hopInfo.appendChild(hopIP);
-            hopInfo.appendChild(hopHostname);
+        if (hop.mpls && hop.mpls.length > 0) {
+            const mpls = document.createElement('div');
+            mpls.className = 'tracert-hop-mpls';
+            mpls.textContent = `MPLS ${formatMplsLabels(hop.mpls)}`;
+            hopInfo.appendChild(mpls);
+        }
 
-            const statusBadge = document.createElement('span');
-            statusBadge.className = `tracert-hop-status ${hop.status === 'success' ? 'success' : 'timeout'}`;
-            statusBadge.textContent = hop.status === 'success' ? 'Responded' : 'Timeout';
+        const status = hopStatus(hop);
+        const statusBadge = document.createElement('span');
+        statusBadge.className = `tracert-hop-status ${status.className}`;
+        statusBadge.textContent = status.label;
 
-            hopDiv.appendChild(hopNum);
-            hopDiv.appendChild(hopInfo);
-            hopDiv.appendChild(statusBadge);
+        hopDiv.appendChild(hopNum);
+        hopDiv.appendChild(hopInfo);
+        hopDiv.appendChild(statusBadge);
 
-            if (showTiming && hop.latency) {
-                const timing = document.createElement('div');
-                timing.className = 'tracert-hop-timing';
-                timing.textContent = `${hop.latency}ms`;
-                hopDiv.appendChild(timing);
-            }
+        if (showTiming) {
+            // Every probe's RTT, "*" for lost ones, and the hop's loss
+            const timing = document.createElement('div');
+            timing.className = 'tracert-hop-timing';
+            const rtts = (hop.rtts || []).map(rtt => (rtt === null ? '*' : `${rtt} ms`)).join('  ');
+            timing.textContent = `${rtts || (hop.latency ? `${hop.latency} ms` : '*')}${hop.loss ? ` (${hop.loss}% loss)` : ''}`;
+            hopDiv.appendChild(timing);
+        }
 
-            resultsDiv.appendChild(hopDiv);
-        });
+        resultsDiv.appendChild(hopDiv);
+    }
+
+    function displayTracertResults(hops, showTiming) {
+        const resultsDiv = document.getElementById('tracert-results');
+        resultsDiv.innerHTML = '';
+        resultsDiv.className = 'tracert-results';
+
+        hops.forEach(hop => appendTracertHop(hop, showTiming));
     }
 
     function finializeTracert(hops, startTime) {
@@ -1854,6 +2118,7 @@ function setupTraceroute() {
     }
 
     function resetTracertUI() {
+        traceInProgress = false;
         startBtn.disabled = false;
         stopBtn.disabled = true;
     }
@@ -1876,6 +2141,7 @@ function setupNetworkScanner() {
     let scanInProgress = false;
     let scannedHosts = [];
     let scanStartTime = null;
+    const activePortScans = new Set();
 
     // Start scan
     scanBtn.addEventListener('click', async () => {
@@ -1888,10 +2154,12 @@ function setupNetworkScanner() {
 
         const baseIP = document.getElementById('scan-ip').value.trim();
         const subnetMask = document.getElementById('scan-subnet').value.trim();
+        const exclude = document.getElementById('scan-exclude')?.value.trim() || '';
         const timeout = parseInt(document.getElementById('scan-timeout').value) || 1000;
         const threadCount = parseInt(document.getElementById('scan-threads').value) || 10;
         const startPort = parseInt(document.getElementById('scan-start-port').value) || 1;
         const endPort = parseInt(document.getElementById('scan-end-port').value) || 1000;
+        const portProtocol = document.getElementById('scan-port-protocol')?.value || 'tcp';
 
         const pingEnabled = document.getElementById('scan-ping').checked;
         const portsEnabled = document.getElementById('scan-ports').checked;
@@ -1904,24 +2172,32 @@ function setupNetworkScanner() {
             // Empty input check
             if (!baseIP) {
                 SecurityManager.logSecurityEvent('INVALID_INPUT', { reason: 'empty_ip' });
-                throw new Error('Please enter a network IP address');
-            }
-
-            // IP validation
-            if (!Validation.isValidIP(baseIP)) {
-                SecurityManager.logSecurityEvent('INVALID_INPUT', { reason: 'invalid_ip_format', ip: baseIP.substring(0, 20) });
-                throw new Error('Invalid IP address format. Use x.x.x.x format');
+                throw new Error('Please enter a network IP address, CIDR block or range');
             }
 
             // Injection prevention
-            if (!SecurityManager.validateAgainstInjection(baseIP)) {
-                throw new Error('Invalid characters detected in IP address');
+            if (!SecurityManager.validateAgainstInjection(baseIP) || !SecurityManager.validateAgainstInjection(exclude)) {
+                throw new Error('Invalid characters detected in scan targets');
             }
 
-            // Subnet mask validation
-            if (!Validation.isValidSubnetMask(subnetMask)) {
+            // Subnet mask validation (only applied to a single address without a prefix;
+            // IPv6 prefix lengths are checked while parsing the targets)
+            if (subnetMask && !baseIP.includes(':') && !Validation.isValidSubnetMask(subnetMask)) {
                 SecurityManager.logSecurityEvent('INVALID_INPUT', { reason: 'invalid_subnet_mask' });
-                throw new Error('Invalid subnet mask. Use standard subnet masks (e.g., 255.255.255.0)');
+                throw new Error('Invalid subnet mask. Use a contiguous mask (e.g., 255.255.240.0) or a prefix such as /20');
+            }
+
+            // Target parsing: addresses, CIDR blocks, ranges and lists
+            let targets;
+            try {
+                targets = parseTargets(baseIP, { mask: subnetMask, exclude });
+            } catch (error) {
+                SecurityManager.logSecurityEvent('INVALID_INPUT', { reason: 'invalid_targets', targets: baseIP.substring(0, 40) });
+                throw error;
+            }
+
+            if (targets.count === 0 && targets.ipv6Prefixes.length === 0) {
+                throw new Error('No addresses left to scan after exclusions');
             }
 
             // Timeout validation
@@ -1946,8 +2222,10 @@ function setupNetworkScanner() {
             SecurityManager.logSecurityEvent('SCAN_INITIATED', {
                 ip: baseIP,
                 subnet: subnetMask,
+                exclude,
+                addresses: targets.count,
                 portRange: `${startPort}-${endPort}`,
-                features: { ping: pingEnabled, ports: portsEnabled, hostname: hostnameEnabled }
+                features: { ping: pingEnabled, ports: portsEnabled, portProtocol, hostname: hostnameEnabled }
             });
 
             // Reset state
@@ -1961,14 +2239,32 @@ function setupNetworkScanner() {
             // Show progress section
             document.getElementById('scan-progress-section').style.display = 'block';
             document.getElementById('scan-stats-section').style.display = 'block';
-            document.getElementById('scan-filter-section').style.display = 'block';
+            document.getElementById('scan-filter-section').style.display = 'grid';
             document.getElementById('scan-results').innerHTML = '';
 
-            // Calculate IP range from subnet
-            const ips = calculateIPRange(baseIP, subnetMask);
-            const totalIPs = ips.length;
+            // IPv6 prefixes cannot be enumerated: hosts on the local links are found with
+            // all-nodes multicast pings and the neighbor cache, then kept if inside a prefix
+            let discovered = [];
+            if (targets.ipv6Prefixes.length > 0) {
+                updateScanProgress(0, 1, `Discovering IPv6 hosts in ${targets.discoveryPrefixes.join(', ')}...`);
+                const listed = new Set(targets.ipv6Addresses.map(ip => normalizeIP(ip.split('%')[0])));
+                discovered = (await NetworkOps.discoverIPv6({ timeout }))
+                    .filter(host => targets.has(host.ip) && !listed.has(normalizeIP(host.ip.split('%')[0])))
+                    .map(host => host.ip);
+            }
+
+            // Addresses are generated batch by batch, so large networks are never held in memory
+            const addresses = (function* () {
+                yield* targets;
+                yield* discovered;
+            })();
+            const totalIPs = targets.count + discovered.length;
+
+            if (totalIPs === 0) {
+                throw new Error('No IPv6 hosts found on the local links inside the given prefixes');
+            }
 
-            UI.showSnackbar(`Starting scan of ${totalIPs} IPs...`, 3000);
+            UI.showSnackbar(`Starting scan of ${totalIPs.toLocaleString()} IPs...`, 3000);
             updateScanProgress(0, totalIPs, 'Initializing scan...');
 
             let scannedCount = 0;
@@ -1976,28 +2272,65 @@ function setupNetworkScanner() {
             let portsFound = 0;
 
             // Scan IPs in batches
-            for (let i = 0; i < ips.length && scanInProgress; i += threadCount) {
-                const batch = ips.slice(i, i + threadCount);
-                const batchPromises = batch.map(async (ip) => {
-                    try {
-                        const hostInfo = {
-                            ip: ip,
-                            status: 'offline',
-                            hostname: null,
-                            mac: null,
-                            ports: []
-                        };
-
-                        if (pingEnabled) {
-                            try {
-                                await NetworkOps.ping(ip);
+            while (scanInProgress) {
+                const batch = TargetSet.take(addresses, threadCount);
+                if (batch.length === 0) break;
+
+                const probes = await Promise.all(batch.map(async (ip) => {
+                    const hostInfo = {
+                        ip: ip,
+                        status: 'offline',
+                        hostname: null,
+                        mac: null,
+                        vendor: null,
+                        ports: []
+                    };
+
+                    if (pingEnabled) {
+                        try {
+                            const result = await NetworkOps.ping(ip, { count: 1, timeout });
+                            if (result.alive) {
                                 hostInfo.status = 'online';
+                                hostInfo.rtt = result.avg;
+                                hostInfo.ttl = result.ttl;
                                 hostsFound++;
-                            } catch (e) {
-                                hostInfo.status = 'offline';
                             }
+                        } catch (e) {
+                            hostInfo.status = 'offline';
                         }
+                    }
+                    return hostInfo;
+                }));
+
+                // The probes above made the OS resolve each address, so the neighbor table now
+                // holds MACs for local hosts, including ones that drop ICMP but answer ARP
+                if (pingEnabled || macEnabled) {
+                    try {
+                        // IPv6 entries are matched without their zone and in canonical form
+                        const ipv6 = batch.some(ip => ip.includes(':'));
+                        const neighbors = new Map((await NetworkOps.getNeighbors({ ipv6 })).map(entry => [normalizeIP(entry.ip), entry]));
+                        probes.forEach(hostInfo => {
+                            const neighbor = neighbors.get(normalizeIP(hostInfo.ip.split('%')[0]));
+                            if (!neighbor) return;
+
+                            if (macEnabled) {
+                                hostInfo.mac = neighbor.mac;
+                                hostInfo.vendor = neighbor.vendor;
+                            }
+                            if (hostInfo.status === 'offline' && neighbor.reachable && pingEnabled) {
+                                hostInfo.status = 'online';
+                                hostInfo.arpOnly = true;
+                                hostsFound++;
+                            }
+                        });
+                    } catch (e) {
+                        // Neighbor table unavailable (no ip/arp command), keep ping results
+                    }
+                }
 
+                const batchPromises = probes.map(async (hostInfo) => {
+                    const ip = hostInfo.ip;
+                    try {
                         if (hostInfo.status === 'online' && hostnameEnabled) {
                             try {
                                 hostInfo.hostname = await resolveHostname(ip);
@@ -2006,20 +2339,20 @@ function setupNetworkScanner() {
                             }
                         }
 
-                        if (hostInfo.status === 'online' && portsEnabled) {
-                            const openPorts = [];
-                            for (let port = startPort; port <= endPort && scanInProgress; port++) {
-                                try {
-                                    const isOpen = await NetworkOps.checkPort(ip, port);
-                                    if (isOpen === 'open') {
-                                        openPorts.push(port);
-                                        portsFound++;
-                                    }
-                                } catch (e) {
-                                    // Port check failed
-                                }
+                        if (hostInfo.status === 'online' && portsEnabled && scanInProgress) {
+                            // Every host's port scan shares the main process connection pool
+                            const scanId = NetworkOps.createScanId();
+                            activePortScans.add(scanId);
+                            try {
+                                const portScan = await NetworkOps.scanPorts(ip, { scanId, startPort, endPort, timeout, protocol: portProtocol });
+                                hostInfo.ports = portScan.results.map(result => result.port);
+                                hostInfo.services = portScan.results.map(result => ({ port: result.port, protocol: result.protocol, service: result.service }));
+                                portsFound += hostInfo.ports.length;
+                            } catch (e) {
+                                // Port scan failed, keep host without ports
+                            } finally {
+                                activePortScans.delete(scanId);
                             }
-                            hostInfo.ports = openPorts;
                         }
 
                         return hostInfo;
@@ -2069,6 +2402,7 @@ function setupNetworkScanner() {
     // Stop scan
     stopBtn.addEventListener('click', () => {
         scanInProgress = false;
+        activePortScans.forEach(scanId => NetworkOps.cancelPortScan(scanId));
         scanBtn.disabled = false;
         stopBtn.disabled = true;
         exportBtn.disabled = scannedHosts.length === 0;
@@ -2176,12 +2510,21 @@ function setupNetworkScanner() {
             headerDiv.appendChild(infoDiv);
 
             const statusSpan = document.createElement('span');
-            statusSpan.textContent = '✓ Online';
+            statusSpan.textContent = host.arpOnly ? '✓ Online (ARP)' : '✓ Online';
+            if (host.arpOnly) statusSpan.title = 'Did not answer ping but responded to ARP / neighbor discovery';
             statusSpan.style.cssText = 'color: #10b981; font-size: 12px; background-color: var(--result-bg); padding: 4px 8px; border-radius: 4px;';
             headerDiv.appendChild(statusSpan);
 
             hostCard.appendChild(headerDiv);
 
+            // MAC address and vendor
+            if (host.mac) {
+                const macDiv = document.createElement('div');
+                macDiv.style.cssText = 'font-size: 12px; color: var(--text-secondary); margin-bottom: 8px; font-family: monospace;';
+                macDiv.textContent = host.mac.toUpperCase() + (host.vendor ? ` (${host.vendor})` : '');
+                hostCard.appendChild(macDiv);
+            }
+
             // Ports section
             if (host.ports && host.ports.length > 0) {
                 const portsDiv = document.createElement('div');
@@ -2189,7 +2532,9 @@ function setupNetworkScanner() {
 
                 const portsLabel = document.createElement('div');
                 portsLabel.style.color = 'var(--text-secondary)';
-                portsLabel.textContent = 'Open Ports: ' + host.ports.map(p => String(p)).join(', ');
+                portsLabel.textContent = 'Open Ports: ' + (host.services
+                    ? host.services.map(p => `${p.port}/${p.protocol} (${p.service})`).join(', ')
+                    : host.ports.map(p => String(p)).join(', '));
                 portsDiv.appendChild(portsLabel);
 
                 hostCard.appendChild(portsDiv);
@@ -2211,7 +2556,9 @@ function setupNetworkScanner() {
         if (ipFilter) {
             filtered = filtered.filter(h =>
                 h.ip.toLowerCase().includes(ipFilter) ||
-                (h.hostname && h.hostname.toLowerCase().includes(ipFilter))
+                (h.hostname && h.hostname.toLowerCase().includes(ipFilter)) ||
+                (h.mac && h.mac.includes(ipFilter)) ||
+                (h.vendor && h.vendor.toLowerCase().includes(ipFilter))
             );
         }
 
@@ -2236,15 +2583,19 @@ function setupNetworkScanner() {
 
     function generateScanCSV(hosts) {
         try {
-            let csv = 'IP,Hostname,Status,Open Ports\n';
+            let csv = 'IP,Hostname,MAC,Vendor,Status,Open Ports\n';
             hosts.forEach(host => {
                 // Escape CSV values to prevent injection
                 const ip = escapeCSVValue(host.ip);
                 const hostname = escapeCSVValue(host.hostname || 'N/A');
-                const status = escapeCSVValue(host.status);
-                const ports = host.ports ? host.ports.map(p => String(p)).join(';') : '';
-
-                csv += `"${ip}","${hostname}","${status}","${ports}"\n`;
+                const mac = escapeCSVValue(host.mac || '');
+                const vendor = escapeCSVValue(host.vendor || '');
+                const status = escapeCSVValue(host.arpOnly ? 'online (arp)' : host.status);
+                const ports = host.services
+                    ? host.services.map(p => `${p.port}/${p.protocol}`).join(';')
+                    : (host.ports || []).map(p => String(p)).join(';');
+
+                csv += `"${ip}","${hostname}","${mac}","${vendor}","${status}","${ports}"\n`;
             });
 
             SecurityManager.logSecurityEvent('CSV_EXPORT', { hostCount: hosts.length });
@@ -2273,21 +2624,10 @@ function setupNetworkScanner() {
         URL.revokeObjectURL(url);
     }
 
-    function calculateIPRange(baseIP, subnetMask) {
-        const ips = [];
-        const parts = baseIP.split('.');
-        const lastOctet = parseInt(parts[3]);
-
-        // Simple implementation - generates range of 256 IPs
-        for (let i = 0; i < 256; i++) {
-            ips.push(`${parts[0]}.${parts[1]}.${parts[2]}.${i}`);
-        }
-        return ips;
-    }
-
     async function resolveHostname(ip) {
         return new Promise((resolve, reject) => {
-            dns.reverse(ip, (err, hostnames) => {
+            // Reverse lookups take the bare address, without an IPv6 zone
+            dns.reverse(ip.split('%')[0], (err, hostnames) => {
                 if (err) reject(err);
                 else resolve(hostnames && hostnames[0] ? hostnames[0] : null);
             });
@@ -2300,10 +2640,17 @@ function setupPortChecker() {
     if (!checkBtn) return;
 
     checkBtn.addEventListener('click', async () => {
-        const host = document.getElementById('host').value.trim();
-        const port = document.getElementById('port-num').value.trim();
+        const input = document.getElementById('host').value.trim();
+        let port = document.getElementById('port-num').value.trim();
 
         try {
+            // "host:port" and "[2001:db8::1]:port" carry the port in the host field
+            const { host, port: inlinePort } = parseHostPort(input);
+            if (inlinePort !== null) {
+                port = String(inlinePort);
+                document.getElementById('port-num').value = port;
+            }
+
             if (!host || !port) {
                 throw new Error('Please enter both host and port');
             }
@@ -2327,6 +2674,190 @@ function setupPortChecker() {
     });
 }
 
+function setupPortScanner() {
+    const startBtn = document.getElementById('port-scan-start-btn');
+    const stopBtn = document.getElementById('port-scan-stop-btn');
+    const exportBtn = document.getElementById('port-scan-export-btn');
+    const resultsDiv = document.getElementById('port-scan-results');
+
+    if (!startBtn) return;
+
+    let currentScanId = null;
+    let openPorts = [];
+    let scanStartTime = null;
+    let elapsedTimer = null;
+
+    document.querySelectorAll('.quick-scan-preset').forEach(button => {
+        button.addEventListener('click', () => {
+            document.getElementById('port-scan-start').value = button.dataset.start;
+            document.getElementById('port-scan-end').value = button.dataset.end;
+        });
+    });
+
+    startBtn.addEventListener('click', async () => {
+        if (!SecurityManager.checkRateLimit('port-scanner')) {
+            UI.showSnackbar('Too many requests. Please wait before scanning again.', 3000);
+            return;
+        }
+
+        const host = document.getElementById('port-scan-host').value.trim().replace(/^\[(.*)\]$/, '$1');
+        const startPort = parseInt(document.getElementById('port-scan-start').value, 10);
+        const endPort = parseInt(document.getElementById('port-scan-end').value, 10);
+        const fastScan = document.getElementById('port-scan-timeout-check').checked;
+        const detectServices = document.getElementById('port-scan-service-detect').checked;
+        const showBanners = document.getElementById('port-scan-banner').checked;
+        const protocol = document.getElementById('port-scan-protocol')?.value || 'tcp';
+        const prefer = document.getElementById('port-scan-prefer')?.value || 'auto';
+
+        if (!host || !Validation.isValidHost(host)) {
+            UI.showSnackbar('Please enter a valid host name or IP address', 3000);
+            return;
+        }
+        if (!Validation.isValidPortRange(startPort, endPort)) {
+            UI.showSnackbar('Invalid port range. Ports must be 1-65535 and start <= end', 3000);
+            return;
+        }
+
+        currentScanId = NetworkOps.createScanId();
+        openPorts = [];
+        scanStartTime = Date.now();
+        startBtn.disabled = true;
+        stopBtn.disabled = false;
+        exportBtn.disabled = true;
+        resultsDiv.innerHTML = '';
+
+        document.getElementById('port-scan-progress-section').style.display = 'block';
+        document.getElementById('port-scan-stats-section').style.display = 'block';
+        // UDP ports that never answer cannot be told apart from filtered ones
+        document.getElementById('port-scan-stat-filtered-label').textContent = protocol === 'udp' ? 'Open|Filtered' : 'Filtered';
+        updateProgress({ scanned: 0, total: endPort - startPort + 1, open: 0, filtered: 0, openFiltered: 0 });
+        elapsedTimer = setInterval(updateElapsed, 500);
+
+        try {
+            const result = await NetworkOps.scanPorts(host, {
+                scanId: currentScanId,
+                startPort,
+                endPort,
+                // Fast scan caps the adaptive timeout at 1s; otherwise slow hosts get up to 3s
+                timeout: fastScan ? 1000 : 3000,
+                protocol,
+                prefer,
+                banners: detectServices || showBanners
+            }, (progress) => {
+                updateProgress(progress);
+                progress.results.forEach(port => renderPort(port, detectServices, showBanners));
+            });
+
+            // The final list is sorted; redraw it in port order
+            openPorts = result.results;
+            resultsDiv.innerHTML = '';
+            openPorts.forEach(port => renderPort(port, detectServices, showBanners, true));
+            updateProgress(result.stats);
+
+            if (openPorts.length === 0) {
+                resultsDiv.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 40px 20px; background-color: var(--result-bg); border-radius: 8px;">No open ports found</div>';
+            }
+
+            const status = result.cancelled ? 'Scan stopped' : 'Scan complete';
+            UI.showSnackbar(`${status}: ${openPorts.length} open port(s) in ${(result.stats.duration / 1000).toFixed(1)}s`, 3000);
+        } catch (error) {
+            UI.showError('port-scan-results', error.message);
+        } finally {
+            clearInterval(elapsedTimer);
+            updateElapsed();
+            currentScanId = null;
+            startBtn.disabled = false;
+            stopBtn.disabled = true;
+            exportBtn.disabled = openPorts.length === 0;
+        }
+    });
+
+    stopBtn.addEventListener('click', () => {
+        if (currentScanId) {
+            NetworkOps.cancelPortScan(currentScanId);
+            stopBtn.disabled = true;
+        }
+    });
+
+    exportBtn.addEventListener('click', () => {
+        if (openPorts.length === 0) {
+            UI.showSnackbar('No results to export', 2000);
+            return;
+        }
+
+        const escape = (value) => String(value ?? '').replace(/"/g, '""').replace(/^[=+\-@]/, '_$&');
+        let csv = 'Host,Address,Port,Protocol,State,Service,Product,Version,RTT (ms),Banner\n';
+        openPorts.forEach(port => {
+            csv += [port.host, port.address, port.port, port.protocol, port.state, port.service, port.product, port.version, port.rtt, port.banner]
+                .map(value => `"${escape(value)}"`).join(',') + '\n';
+        });
+
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `port-scan-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+        UI.showSnackbar('Results exported to CSV', 2000);
+    });
+
+    function updateProgress(progress) {
+        const percent = progress.total ? Math.round((progress.scanned / progress.total) * 100) : 0;
+        document.getElementById('port-scan-progress-bar').style.width = percent + '%';
+        document.getElementById('port-scan-progress-percent').textContent = percent + '%';
+        document.getElementById('port-scan-progress-text').textContent = `${progress.scanned}/${progress.total}`;
+        document.getElementById('port-scan-stat-total').textContent = progress.scanned;
+        document.getElementById('port-scan-stat-open').textContent = progress.open;
+        document.getElementById('port-scan-stat-filtered').textContent = progress.filtered + progress.openFiltered;
+    }
+
+    function updateElapsed() {
+        if (!scanStartTime) return;
+        document.getElementById('port-scan-stat-time').textContent = ((Date.now() - scanStartTime) / 1000).toFixed(1) + 's';
+    }
+
+    function renderPort(port, detectServices, showBanners, final = false) {
+        if (!final) openPorts.push(port);
+
+        const row = document.createElement('div');
+        row.style.cssText = 'display: grid; grid-template-columns: 80px 1fr auto; gap: 12px; padding: 12px; background: var(--card-bg-hover); border-radius: 8px; align-items: center;';
+
+        const portCell = document.createElement('div');
+        portCell.style.cssText = 'font-weight: 600; color: var(--success-color);';
+        portCell.textContent = `${port.port}/${port.protocol}`;
+        row.appendChild(portCell);
+
+        const serviceCell = document.createElement('div');
+        const name = document.createElement('div');
+        const product = detectServices && port.product ? ` — ${port.product}${port.version ? ' ' + port.version : ''}` : '';
+        name.textContent = `${port.service}${product}`;
+        serviceCell.appendChild(name);
+
+        if (detectServices && port.tls) {
+            const tlsLine = document.createElement('div');
+            tlsLine.style.cssText = 'font-size: 12px; color: var(--text-secondary);';
+            tlsLine.textContent = `${port.tls.protocol || 'TLS'}${port.tls.subject ? ', certificate for ' + port.tls.subject : ''}${port.tls.issuer ? ' issued by ' + port.tls.issuer : ''}`;
+            serviceCell.appendChild(tlsLine);
+        }
+
+        if (showBanners && port.banner) {
+            const bannerLine = document.createElement('div');
+            bannerLine.style.cssText = 'font-size: 12px; color: var(--text-secondary); font-family: monospace; word-break: break-all;';
+            bannerLine.textContent = port.banner;
+            serviceCell.appendChild(bannerLine);
+        }
+        row.appendChild(serviceCell);
+
+        const rtt = document.createElement('span');
+        rtt.style.cssText = 'font-size: 12px; color: var(--text-secondary);';
+        rtt.textContent = port.rtt !== null ? `${port.rtt} ms` : '';
+        row.appendChild(rtt);
+
+        resultsDiv.appendChild(row);
+    }
+}
+
 function setupNetworkMonitor() {
     const startBtn = document.getElementById('start-monitor');
     const stopBtn = document.getElementById('stop-monitor');
@@ -2347,14 +2878,18 @@ function setupNetworkMonitor() {
 
         monitorInterval = setInterval(async () => {
             try {
-                const pingTime = await NetworkOps.ping('8.8.8.8');
+                const result = await NetworkOps.ping('8.8.8.8', { count: 3, interval: 200, timeout: 1000 });
                 const time = new Date().toLocaleTimeString();
                 const resultsDiv = document.getElementById('monitor-results');
                 const logDiv = resultsDiv.querySelector('div');
 
                 monitorCount++;
-                const statusColor = pingTime < 50 ? '#22c55e' : pingTime < 100 ? '#f59e0b' : '#ef4444';
-                const logEntry = `<div style="color: ${statusColor};">[${time}] Ping = ${pingTime}ms</div>`;
+                const statusColor = !result.alive || result.lossPercent > 0 || result.avg >= 100
+                    ? '#ef4444'
+                    : result.avg < 50 ? '#22c55e' : '#f59e0b';
+                const logEntry = result.alive
+                    ? `<div style="color: ${statusColor};">[${time}] RTT min/avg/max = ${result.min}/${result.avg}/${result.max}ms • jitter ${result.jitter ?? 0}ms • loss ${result.lossPercent}% • TTL ${result.ttl ?? '-'}</div>`
+                    : `<div style="color: ${statusColor};">[${time}] No reply (${result.sent} probes, 100% loss)</div>`;
 
                 if (logDiv) {
                     logDiv.innerHTML += logEntry;
@@ -2642,10 +3177,8 @@ function setupNetworkInfo() {
 
             // Try to get ping time
             try {
-                const startTime = Date.now();
-                await NetworkOps.ping('8.8.8.8');
-                const pingTime = Date.now() - startTime;
-                document.getElementById('quick-ping').textContent = `${pingTime}ms`;
+                const result = await NetworkOps.ping('8.8.8.8', { count: 1 });
+                document.getElementById('quick-ping').textContent = result.alive ? `${Math.round(result.avg)}ms` : '--ms';
             } catch (e) {
                 document.getElementById('quick-ping').textContent = '--ms';
             }
@@ -3007,8 +3540,27 @@ function formatUptime(seconds) {
 
 // DNS Lookup Manager
 const DNSManager = {
-    queryHistory: [],
-    maxHistoryItems: 10,
+    // Entries shown from the persistent history (~/.netnavigator/dns-history.json)
+    historyPageSize: 50,
+    historySearchTimer: null,
+
+    // Resolver list for comparisons, one "[label =] server" per line
+    defaultCompareResolvers: [
+        'Cloudflare = 1.1.1.1',
+        'Google = 8.8.8.8',
+        'Quad9 = 9.9.9.9',
+        'OpenDNS = 208.67.222.222',
+        'Cloudflare DoH = https://cloudflare-dns.com/dns-query',
+        'System = system'
+    ].join('\n'),
+
+    // Public resolvers offered per transport
+    serverPresets: {
+        udp: [['1.1.1.1, 1.0.0.1', 'Cloudflare'], ['8.8.8.8, 8.8.4.4', 'Google Public DNS'], ['9.9.9.9, 149.112.112.112', 'Quad9'], ['208.67.222.222, 208.67.220.220', 'OpenDNS']],
+        tcp: [['1.1.1.1, 1.0.0.1', 'Cloudflare'], ['8.8.8.8, 8.8.4.4', 'Google Public DNS'], ['9.9.9.9, 149.112.112.112', 'Quad9']],
+        doh: [['https://cloudflare-dns.com/dns-query', 'Cloudflare'], ['https://dns.google/dns-query', 'Google Public DNS'], ['https://dns.quad9.net/dns-query', 'Quad9']],
+        dot: [['1.1.1.1', 'Cloudflare'], ['dns.google', 'Google Public DNS'], ['dns.quad9.net', 'Quad9']]
+    },
 
     /**
      * Initialize DNS Lookup UI
@@ -3017,6 +3569,7 @@ const DNSManager = {
         const lookupBtn = document.getElementById('check-dns-btn');
         const reverseBtn = document.getElementById('dns-reverse-btn');
         const batchBtn = document.getElementById('dns-batch-btn');
+        const compareBtn = document.getElementById('dns-compare-btn');
         const clearBtn = document.getElementById('dns-clear-btn');
         const hostInput = document.getElementById('dns-host');
 
@@ -3032,10 +3585,48 @@ const DNSManager = {
             batchBtn.addEventListener('click', () => this.showBatchDialog());
         }
 
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => this.showCompareDialog());
+        }
+
         if (clearBtn) {
             clearBtn.addEventListener('click', () => this.clearResults());
         }
 
+        const historySearch = document.getElementById('dns-history-search');
+        if (historySearch) {
+            historySearch.addEventListener('input', () => {
+                clearTimeout(this.historySearchTimer);
+                this.historySearchTimer = setTimeout(() => this.loadHistory(), 250);
+            });
+        }
+
+        const historyClearBtn = document.getElementById('dns-history-clear-btn');
+        if (historyClearBtn) {
+            historyClearBtn.addEventListener('click', async () => {
+                if (!confirm('Delete the whole DNS query history?')) return;
+                await ipcRenderer.invoke('dns-history-clear');
+                this.loadHistory();
+                UI.showSnackbar('DNS history cleared', 2000);
+            });
+        }
+
+        const historyDiv = document.getElementById('dns-history');
+        if (historyDiv) {
+            historyDiv.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (button) this.handleHistoryAction(button.dataset.action, button.dataset.id);
+            });
+        }
+
+        this.loadHistory();
+
+        const transportSelect = document.getElementById('dns-transport');
+        if (transportSelect) {
+            transportSelect.addEventListener('change', () => this.updateTransportOptions());
+            this.updateTransportOptions();
+        }
+
         // Allow Enter to perform lookup
         if (hostInput) {
             hostInput.addEventListener('keypress', (e) => {
@@ -3046,6 +3637,38 @@ const DNSManager = {
         }
     },
 
+    /**
+     * Match the server field, presets and certificate option to the selected transport
+     */
+    updateTransportOptions() {
+        const transport = document.getElementById('dns-transport').value;
+        const encrypted = transport === 'doh' || transport === 'dot';
+        const input = document.getElementById('dns-servers');
+        const presets = document.getElementById('dns-server-presets');
+        const label = document.getElementById('dns-servers-label');
+        const insecureOption = document.getElementById('dns-insecure-option');
+
+        if (presets) {
+            presets.innerHTML = this.serverPresets[transport]
+                .map(([value, name]) => `<option value="${value}">${name}</option>`)
+                .join('');
+        }
+        if (input) {
+            input.placeholder = {
+                udp: 'e.g., 1.1.1.1, 8.8.8.8 or [2606:4700:4700::1111]:53',
+                tcp: 'e.g., 1.1.1.1, 8.8.8.8 or [2606:4700:4700::1111]:53',
+                doh: 'e.g., https://cloudflare-dns.com/dns-query',
+                dot: 'e.g., 1.1.1.1, dns.google or 127.0.0.1:8853'
+            }[transport];
+        }
+        if (label) {
+            label.textContent = encrypted ? `${transport === 'doh' ? 'DoH Server URLs' : 'DoT Servers'} (required)` : 'DNS Servers (blank for system resolvers)';
+        }
+        if (insecureOption) {
+            insecureOption.style.display = encrypted ? '' : 'none';
+        }
+    },
+
     /**
      * Perform DNS lookup
      */
@@ -3056,21 +3679,42 @@ const DNSManager = {
         const recursive = document.getElementById('dns-recursive').checked;
         const allRecords = document.getElementById('dns-all-records').checked;
         const trace = document.getElementById('dns-trace').checked;
+        const servers = (document.getElementById('dns-servers')?.value || '').split(/[\s,;]+/).filter(Boolean);
+        const transport = document.getElementById('dns-transport')?.value || 'udp';
+        const insecure = document.getElementById('dns-insecure')?.checked || false;
 
         if (!host) {
             UI.showSnackbar('Please enter a domain name', 3000);
             return;
         }
 
-        try {
-            const progress = UI.showLoadingSnackbar(`Looking up ${host}...`, false);
-
-            // Add to history
-            this.addToHistory(host, recordType);
+        if ((transport === 'doh' || transport === 'dot') && servers.length === 0) {
+            UI.showSnackbar(`Enter a ${transport === 'doh' ? 'DoH server URL' : 'DoT server'} or pick one from the list`, 3000);
+            return;
+        }
 
-            const result = await ipcRenderer.invoke('dns-lookup', {
-                host,
+        // DoH URLs and DoT host names are checked by the main process
+        const badServer = (transport === 'udp' || transport === 'tcp') && servers.find((server) => {
+            try {
+                return !Validation.isValidIP(parseHostPort(server).host);
+            } catch (error) {
+                return true;
+            }
+        });
+        if (badServer) {
+            UI.showSnackbar(`DNS server "${badServer}" must be an IP address`, 3000);
+            return;
+        }
+
+        try {
+            const progress = UI.showLoadingSnackbar(`Looking up ${host}...`, false);
+
+            const result = await ipcRenderer.invoke('dns-lookup', {
+                host,
                 recordType: allRecords ? 'ALL' : recordType,
+                servers,
+                transport,
+                insecure,
                 timeout,
                 recursive,
                 trace
@@ -3079,7 +3723,8 @@ const DNSManager = {
             progress?.snackbar?.classList.add('fadeout');
             setTimeout(() => {
                 this.displayResults(result, host, recordType);
-                UI.showSnackbar('DNS lookup completed', 2000);
+                this.loadHistory();
+                UI.showSnackbar(result.error ? `DNS lookup failed: ${result.error}` : 'DNS lookup completed', result.error ? 4000 : 2000);
             }, 300);
         } catch (error) {
             UI.showSnackbar(`DNS lookup failed: ${error.message}`, 4000);
@@ -3106,8 +3751,9 @@ const DNSManager = {
         try {
             const progress = UI.showLoadingSnackbar(`Reverse lookup for ${host}...`, false);
 
+            // ip6.arpa names are built from the canonical address, without a zone
             const result = await ipcRenderer.invoke('dns-reverse-lookup', {
-                ip: host
+                ip: normalizeIP(host).split('%')[0]
             });
 
             progress?.snackbar?.classList.add('fadeout');
@@ -3144,6 +3790,131 @@ const DNSManager = {
         document.getElementById('batch-domains').focus();
     },
 
+    /**
+     * Show the resolver comparison dialog for the name and type in the query form
+     */
+    showCompareDialog() {
+        const host = document.getElementById('dns-host').value.trim();
+        if (!host) {
+            UI.showSnackbar('Please enter a domain name', 3000);
+            return;
+        }
+
+        const resolvers = localStorage.getItem('dns-compare-resolvers') || this.defaultCompareResolvers;
+        const dialog = document.createElement('div');
+        dialog.className = 'card';
+        dialog.style.cssText = 'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%); z-index: 1000; max-width: 560px; width: 90%;';
+        dialog.innerHTML = `
+            <h2>Compare Resolvers</h2>
+            <p style="color: var(--text-secondary); font-size: 12px; margin-bottom: 12px;">
+                Asks every resolver for <strong>${SecurityManager.escapeHtml(host)}</strong> (${SecurityManager.escapeHtml(document.getElementById('dns-type').value)}) at once.
+                One resolver per line as <code>label = server</code>; use https:// for DoH, tls:// for DoT, tcp:// for TCP and <code>system</code> for the system resolvers.
+            </p>
+            <textarea id="compare-resolvers"
+                style="width: 100%; height: 160px; padding: 8px; background-color: var(--input-bg); color: var(--input-color); border: 1px solid var(--input-border); border-radius: 4px; font-family: monospace; font-size: 12px; box-sizing: border-box;"></textarea>
+            <div style="margin-top: 16px; display: flex; gap: 8px;">
+                <button onclick="DNSManager.performCompare()" class="primary" style="flex: 1;">Compare</button>
+                <button onclick="document.getElementById('compare-resolvers').value = DNSManager.defaultCompareResolvers" class="secondary">Reset List</button>
+                <button onclick="this.closest('.card').remove()" class="secondary" style="flex: 1;">Cancel</button>
+            </div>
+        `;
+        document.body.appendChild(dialog);
+        const textarea = document.getElementById('compare-resolvers');
+        textarea.value = resolvers;
+        textarea.focus();
+    },
+
+    /**
+     * Query one name and type against every listed resolver in parallel
+     */
+    async performCompare() {
+        const textarea = document.getElementById('compare-resolvers');
+        if (!textarea) return;
+
+        const resolvers = textarea.value.trim();
+        if (!resolvers) {
+            UI.showSnackbar('Please enter at least one resolver', 3000);
+            return;
+        }
+
+        const host = document.getElementById('dns-host').value.trim();
+        const recordType = document.getElementById('dns-type').value;
+        const timeout = parseInt(document.getElementById('dns-timeout').value) || 5;
+        const insecure = document.getElementById('dns-insecure')?.checked || false;
+
+        localStorage.setItem('dns-compare-resolvers', resolvers);
+        textarea.closest('.card').remove();
+
+        try {
+            const progress = UI.showLoadingSnackbar(`Asking ${resolvers.split('\n').filter(line => line.trim()).length} resolvers about ${host}...`, false);
+            const result = await ipcRenderer.invoke('dns-compare', { host, recordType, resolvers, timeout, insecure });
+
+            progress?.snackbar?.classList.add('fadeout');
+            setTimeout(() => {
+                this.displayCompareResults(result);
+                UI.showSnackbar(result.consistent ? 'All resolvers agree' : `Resolvers disagree: ${result.groups.length} different answers`, 3000);
+            }, 300);
+        } catch (error) {
+            UI.showSnackbar(`Comparison failed: ${error.message}`, 4000);
+            this.showErrorResults(error.message);
+        }
+    },
+
+    /**
+     * Matrix of answers per resolver; rows outside the most common answer are highlighted
+     */
+    displayCompareResults(result) {
+        const resultsDiv = document.getElementById('dns-results');
+        if (!resultsDiv) return;
+
+        const escape = SecurityManager.escapeHtml;
+        const cell = 'padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;';
+        const groupName = index => String.fromCharCode(65 + (index % 26));
+
+        const rows = result.rows.map(row => `
+            <tr style="${row.agrees ? '' : 'background-color: var(--warning-bg);'}">
+                <td style="${cell} font-weight: 600;">${escape(row.label)}</td>
+                <td style="${cell} font-family: var(--font-mono);">${escape(row.server)}</td>
+                <td style="${cell} text-align: center; font-weight: 600;">${groupName(row.group)}</td>
+                <td style="${cell} color: ${row.status === 'NOERROR' ? '#22c55e' : row.status === 'NODATA' ? 'var(--text-secondary)' : '#ef4444'}; font-weight: 600;" title="${escape(row.reason || '')}">${escape(row.status)}</td>
+                <td style="${cell} font-family: var(--font-mono); word-break: break-all;">${row.answer.map(escape).join('<br>') || `<span style="color: var(--text-secondary);">${escape(row.reason || '')}</span>`}</td>
+                <td style="${cell} text-align: right;">${row.ttl ?? '—'}</td>
+                <td style="${cell} text-align: right;">${row.rtt !== null ? `${row.rtt} ms` : '—'}</td>
+            </tr>
+        `).join('');
+
+        resultsDiv.innerHTML = `
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 16px;">
+                <div style="font-weight: 600; font-size: 14px; margin-bottom: 4px;">Resolver Comparison</div>
+                <div style="color: var(--text-secondary); font-size: 12px;">
+                    <div>Host: <strong>${escape(result.host)}</strong>${result.name !== result.host ? ` (${escape(result.name)})` : ''}</div>
+                    <div>Type: <strong>${escape(result.recordType)}</strong></div>
+                    <div>Result: ${result.consistent
+                        ? `<strong style="color: #22c55e;">All ${result.rows.length} resolvers agree</strong>`
+                        : `<strong style="color: #ef4444;">${result.groups.length} different answers</strong> (${result.groups.map((group, index) => `${groupName(index)}: ${group.resolvers.length}`).join(', ')})`}</div>
+                </div>
+            </div>
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                        <thead style="background-color: var(--result-bg);">
+                            <tr>
+                                <th style="padding: 6px 8px; text-align: left;">Resolver</th>
+                                <th style="padding: 6px 8px; text-align: left;">Server</th>
+                                <th style="padding: 6px 8px; text-align: center;" title="Resolvers with the same letter returned the same answer">Set</th>
+                                <th style="padding: 6px 8px; text-align: left;">Status</th>
+                                <th style="padding: 6px 8px; text-align: left;">Answer</th>
+                                <th style="padding: 6px 8px; text-align: right;">TTL</th>
+                                <th style="padding: 6px 8px; text-align: right;">Latency</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
     /**
      * Perform batch DNS lookup
      */
@@ -3179,7 +3950,9 @@ const DNSManager = {
                         timeout: 5,
                         recursive: true
                     });
-                    results.push({ domain: domains[i], result, success: true });
+                    results.push(result.error
+                        ? { domain: domains[i], error: result.error, success: false }
+                        : { domain: domains[i], result, success: true });
                 } catch (error) {
                     results.push({ domain: domains[i], error: error.message, success: false });
                 }
@@ -3209,36 +3982,180 @@ const DNSManager = {
                     <div>
                         <div style="font-weight: 600; font-size: 14px; margin-bottom: 4px;">Query Information</div>
                         <div style="color: var(--text-secondary); font-size: 12px;">
-                            <div>Host: <strong>${host}</strong></div>
-                            <div>Type: <strong>${recordType}</strong></div>
-                            <div>Status: <strong style="color: #22c55e;">Success</strong></div>
+                            <div>Host: <strong>${SecurityManager.escapeHtml(host)}</strong>${result.name && result.name !== host ? ` (${SecurityManager.escapeHtml(result.name)})` : ''}</div>
+                            <div>Type: <strong>${SecurityManager.escapeHtml(result.recordType || recordType)}</strong></div>
+                            <div>Server${(result.servers || []).length === 1 ? '' : 's'}: <strong>${SecurityManager.escapeHtml((result.servers || []).join(', ') || 'system')}</strong>${result.transport ? ` via ${({ udp: 'UDP', tcp: 'TCP', doh: 'DNS over HTTPS', dot: 'DNS over TLS' })[result.transport]}` : ''}${result.recursive === false ? ' (non-recursive)' : ''}</div>
+                            <div>Status: ${result.error
+                                ? `<strong style="color: #ef4444;">${SecurityManager.escapeHtml(result.error)}</strong>`
+                                : '<strong style="color: #22c55e;">Success</strong>'}</div>
                         </div>
                     </div>
                 </div>
             </div>
         `;
 
-        // Display results based on type
-        if (result.records && Array.isArray(result.records)) {
-            result.records.forEach((record, index) => {
-                html += `
-                    <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
-                        <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px;">${record.type || recordType} Record ${index + 1}</div>
-                        <pre style="margin: 0; background-color: var(--result-bg); padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 11px;"><code>${JSON.stringify(record, null, 2)}</code></pre>
-                    </div>
-                `;
-            });
-        } else if (typeof result === 'object') {
-            html += `
-                <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
-                    <pre style="margin: 0; background-color: var(--result-bg); padding: 8px; border-radius: 4px; overflow-x: auto; font-size: 11px;"><code>${JSON.stringify(result, null, 2)}</code></pre>
-                </div>
-            `;
+        if (result.diff) {
+            html += this.renderDiff(result.diff, result.previousTimestamp);
+        }
+        html += this.renderTypeStatus(result.types || []);
+        html += this.renderRecords(result.records || []);
+
+        if (result.trace) {
+            html += this.renderTrace(result.trace);
         }
 
         resultsDiv.innerHTML = html;
     },
 
+    /**
+     * Changes against the previous answer to the same query: records added or removed, TTL and status changes
+     */
+    renderDiff(diff, previousTimestamp) {
+        const escape = SecurityManager.escapeHtml;
+        const since = previousTimestamp ? new Date(previousTimestamp).toLocaleString() : 'the previous lookup';
+        const line = (sign, color, text) => `<div style="font-family: var(--font-mono); font-size: 12px; color: ${color}; word-break: break-all;">${sign} ${text}</div>`;
+
+        const lines = [
+            ...diff.added.map(record => line('+', '#22c55e', `${escape(record.name)} ${record.ttl} ${escape(record.type)} ${escape(record.value)}`)),
+            ...diff.removed.map(record => line('−', '#ef4444', `${escape(record.name)} ${record.ttl} ${escape(record.type)} ${escape(record.value)}`)),
+            ...diff.ttlChanged.map(change => line('~', 'var(--text-secondary)', `${escape(change.name)} ${escape(change.type)} ${escape(change.value)}: TTL ${change.from} → ${change.to}`)),
+            ...diff.statusChanged.map(change => line('!', '#f59e0b', `${escape(change.type)}: ${escape(change.from)} → ${escape(change.to)}`))
+        ];
+
+        return `
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
+                <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px;">Changes since ${escape(since)}</div>
+                ${diff.changed ? lines.join('') : '<div style="color: var(--text-secondary); font-size: 12px;">Same answer as before</div>'}
+            </div>
+        `;
+    },
+
+    /**
+     * Outcome of each queried record type; failures keep their reason (NXDOMAIN, NODATA, SERVFAIL, timeout...)
+     */
+    renderTypeStatus(types) {
+        if (types.length === 0) return '';
+        const escape = SecurityManager.escapeHtml;
+        const cell = 'padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;';
+        const rows = types.map(type => `
+            <tr>
+                <td style="${cell} font-weight: 600;">${escape(type.type)}</td>
+                <td style="${cell} color: ${type.status === 'NOERROR' ? '#22c55e' : type.status === 'NODATA' ? 'var(--text-secondary)' : '#ef4444'}; font-weight: 600;">${escape(type.status)}</td>
+                <td style="${cell}">${type.count}</td>
+                <td style="${cell}">${type.server ? `${escape(type.server)} · ${type.rtt} ms · ${escape(type.transport.toUpperCase())}${type.authoritative ? ' · AA' : ''}` : '—'}</td>
+                <td style="${cell} color: var(--text-secondary);">${escape(type.reason || '')}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
+                <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px;">Record Types</div>
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+                        <thead style="background-color: var(--result-bg);">
+                            <tr>
+                                <th style="padding: 6px 8px; text-align: left;">Type</th>
+                                <th style="padding: 6px 8px; text-align: left;">Status</th>
+                                <th style="padding: 6px 8px; text-align: left;">Records</th>
+                                <th style="padding: 6px 8px; text-align: left;">Server</th>
+                                <th style="padding: 6px 8px; text-align: left;">Reason</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Answer records in zone-file order: name, TTL, type, data
+     */
+    renderRecords(records) {
+        if (records.length === 0) return '';
+        const escape = SecurityManager.escapeHtml;
+        const cell = 'padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;';
+        const rows = records.map(record => `
+            <tr>
+                <td style="${cell}">${escape(record.name)}</td>
+                <td style="${cell} text-align: right;">${record.ttl}</td>
+                <td style="${cell} font-weight: 600;">${escape(record.type)}</td>
+                <td style="${cell} word-break: break-all;">${escape(record.value)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
+                <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px;">Records (${records.length})</div>
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse; font-family: var(--font-mono);">
+                        <thead style="background-color: var(--result-bg);">
+                            <tr>
+                                <th style="padding: 6px 8px; text-align: left;">Name</th>
+                                <th style="padding: 6px 8px; text-align: right;">TTL</th>
+                                <th style="padding: 6px 8px; text-align: left;">Type</th>
+                                <th style="padding: 6px 8px; text-align: left;">Data</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Delegation chain from a +trace lookup: one row per server asked, root first
+     */
+    renderTrace(trace) {
+        const escape = SecurityManager.escapeHtml;
+        const rows = trace.steps.map((step, index) => {
+            let outcome;
+            if (step.error && !step.server) {
+                outcome = `<span style="color: #ef4444;">${escape(step.error)}</span>`;
+            } else if (step.referral) {
+                const nameservers = step.referral.nameservers.map(ns => `${escape(ns.name)}${ns.addresses.length ? ` (${escape(ns.addresses.join(', '))})` : ''}`).join('<br>');
+                outcome = `Referral to <strong>${escape(step.referral.zone)}</strong><div style="color: var(--text-secondary);">${nameservers}</div>`;
+            } else if (step.answers.length > 0) {
+                outcome = step.answers.map(answer => `${escape(answer.name)} ${answer.ttl} ${answer.type} <strong>${escape(answer.value)}</strong>`).join('<br>');
+            } else {
+                outcome = `<span style="color: ${step.rcode === 'NOERROR' ? 'var(--text-secondary)' : '#ef4444'};">${escape(step.rcode)}${step.rcode === 'NOERROR' ? ' (no records)' : ''}</span>`;
+            }
+            if (step.error && step.server) outcome += `<div style="color: #ef4444;">${escape(step.error)}</div>`;
+
+            const server = step.server
+                ? `${escape(step.server)}<div style="color: var(--text-secondary);">${escape(step.address)} · ${step.rtt} ms${step.transport === 'tcp' ? ' · TCP' : ''}${step.authoritative ? ' · AA' : ''}</div>`
+                : '—';
+            return `
+                <tr>
+                    <td style="padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;">${index + 1}</td>
+                    <td style="padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;">${escape(step.zone)}</td>
+                    <td style="padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;">${server}</td>
+                    <td style="padding: 6px 8px; border-bottom: 1px solid var(--card-border); vertical-align: top;">${outcome}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 12px;">
+                <div style="font-weight: 600; font-size: 13px; margin-bottom: 8px;">Delegation Trace ${trace.complete ? '' : '<span style="color: #ef4444; font-weight: 400;">(incomplete)</span>'}</div>
+                <div style="overflow-x: auto;">
+                    <table style="width: 100%; font-size: 12px; border-collapse: collapse; font-family: var(--font-mono);">
+                        <thead style="background-color: var(--result-bg);">
+                            <tr>
+                                <th style="padding: 6px 8px; text-align: left;">#</th>
+                                <th style="padding: 6px 8px; text-align: left;">Zone</th>
+                                <th style="padding: 6px 8px; text-align: left;">Server</th>
+                                <th style="padding: 6px 8px; text-align: left;">Response</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
     /**
      * Display reverse DNS results
      */
@@ -3302,7 +4219,7 @@ const DNSManager = {
         if (successful.length > 0) {
             html += `<div style="margin-bottom: 16px;"><h3 style="margin: 0 0 12px 0; font-size: 14px;">✓ Successful</h3>`;
             successful.forEach(item => {
-                const address = item.result?.records?.[0]?.address || item.result?.address || 'N/A';
+                const address = (item.result?.records || []).filter(record => record.type === 'A').map(record => record.value).join(', ') || 'N/A';
                 html += `
                     <div style="background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 4px; padding: 12px; margin-bottom: 8px;">
                         <div style="display: flex; justify-content: space-between; align-items: center;">
@@ -3341,51 +4258,104 @@ const DNSManager = {
     },
 
     /**
-     * Add query to history
+     * Load (or search) the persistent query history
      */
-    addToHistory(host, recordType) {
-        // Remove if already exists
-        this.queryHistory = this.queryHistory.filter(h => h.host !== host || h.type !== recordType);
-
-        // Add to beginning
-        this.queryHistory.unshift({
-            host,
-            type: recordType,
-            timestamp: new Date()
-        });
-
-        // Limit history size
-        if (this.queryHistory.length > this.maxHistoryItems) {
-            this.queryHistory.pop();
+    async loadHistory() {
+        const search = document.getElementById('dns-history-search')?.value || '';
+        try {
+            const history = await ipcRenderer.invoke('dns-history-list', { search, limit: this.historyPageSize });
+            this.updateHistoryDisplay(history, search);
+        } catch (error) {
+            console.error('Failed to load DNS history:', error);
         }
-
-        this.updateHistoryDisplay();
     },
 
     /**
      * Update history display
      */
-    updateHistoryDisplay() {
+    updateHistoryDisplay(history, search) {
         const historySection = document.getElementById('dns-history-section');
         const historyDiv = document.getElementById('dns-history');
+        const countSpan = document.getElementById('dns-history-count');
 
         if (!historySection || !historyDiv) return;
 
-        if (this.queryHistory.length === 0) {
+        if (history.total === 0) {
             historySection.style.display = 'none';
             return;
         }
 
         historySection.style.display = 'block';
-        historyDiv.innerHTML = this.queryHistory.map(item => `
-            <button onclick="document.getElementById('dns-host').value = '${item.host}'; document.getElementById('dns-type').value = '${item.type}';" 
-                style="padding: 8px 12px; background-color: var(--input-bg); border: 1px solid var(--input-border); border-radius: 4px; text-align: left; cursor: pointer; transition: background-color 0.2s;">
-                <div style="font-size: 12px; font-weight: 500;">${item.host}</div>
-                <div style="font-size: 11px; color: var(--text-secondary);">${item.type} • ${item.timestamp.toLocaleTimeString()}</div>
-            </button>
+        if (countSpan) {
+            countSpan.textContent = search ? `(${history.matches} of ${history.total})` : `(${history.total})`;
+        }
+
+        const escape = SecurityManager.escapeHtml;
+        const transportNames = { udp: '', tcp: ' • TCP', doh: ' • DoH', dot: ' • DoT' };
+        historyDiv.innerHTML = history.entries.length === 0
+            ? '<div style="color: var(--text-secondary); font-size: 12px;">No queries match the search</div>'
+            : history.entries.map(item => `
+            <div style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; background-color: var(--input-bg); border: 1px solid var(--input-border); border-radius: 4px;">
+                <div style="flex: 1; min-width: 0;">
+                    <div style="font-size: 12px; font-weight: 500;">${escape(item.query.host)}
+                        <span style="color: ${item.status === 'NOERROR' ? '#22c55e' : '#ef4444'}; font-weight: 400;">${escape(item.status)}</span>
+                        ${item.changed ? '<span style="color: #f59e0b; font-weight: 400;" title="The answer differed from the previous lookup">changed</span>' : ''}
+                    </div>
+                    <div style="font-size: 11px; color: var(--text-secondary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                        ${escape(item.query.recordType)}${transportNames[item.query.transport] || ''} • ${escape((item.servers || []).join(', '))} • ${item.recordCount} records • ${new Date(item.timestamp).toLocaleString()}
+                    </div>
+                </div>
+                <button class="secondary" data-action="show" data-id="${escape(item.id)}" style="padding: 4px 8px; font-size: 11px;">Show</button>
+                <button class="secondary" data-action="rerun" data-id="${escape(item.id)}" style="padding: 4px 8px; font-size: 11px;" title="Run again and compare with this answer">Re-run</button>
+                <button class="secondary" data-action="delete" data-id="${escape(item.id)}" style="padding: 4px 8px; font-size: 11px;" title="Delete">✕</button>
+            </div>
         `).join('');
     },
 
+    /**
+     * Show, re-run or delete a history entry
+     */
+    async handleHistoryAction(action, id) {
+        try {
+            if (action === 'show') {
+                const entry = await ipcRenderer.invoke('dns-history-get', id);
+                if (!entry) throw new Error('History entry not found');
+                this.fillForm(entry.query);
+                this.displayResults({ ...entry.result, diff: entry.diff, previousTimestamp: entry.previousTimestamp }, entry.query.host, entry.query.recordType);
+                UI.showSnackbar(`Showing the answer from ${new Date(entry.timestamp).toLocaleString()}`, 2500);
+            } else if (action === 'rerun') {
+                const progress = UI.showLoadingSnackbar('Running the query again...', false);
+                const result = await ipcRenderer.invoke('dns-history-rerun', id);
+                progress?.snackbar?.classList.add('fadeout');
+                this.displayResults(result, result.host, result.recordType);
+                this.loadHistory();
+                UI.showSnackbar(result.diff && result.diff.changed ? 'The answer has changed' : 'Same answer as before', 3000);
+            } else if (action === 'delete') {
+                await ipcRenderer.invoke('dns-history-delete', id);
+                this.loadHistory();
+            }
+        } catch (error) {
+            UI.showSnackbar(`History action failed: ${error.message}`, 4000);
+        }
+    },
+
+    /**
+     * Put a stored query back into the form
+     */
+    fillForm(query) {
+        document.getElementById('dns-host').value = query.host;
+        const allRecords = query.recordType === 'ALL';
+        document.getElementById('dns-all-records').checked = allRecords;
+        if (!allRecords) document.getElementById('dns-type').value = query.recordType;
+        const transportSelect = document.getElementById('dns-transport');
+        if (transportSelect) {
+            transportSelect.value = query.transport || 'udp';
+            this.updateTransportOptions();
+        }
+        const serversInput = document.getElementById('dns-servers');
+        if (serversInput) serversInput.value = (query.servers || []).join(', ');
+    },
+
     /**
      * Show error results
      */
@@ -3416,14 +4386,10 @@ const DNSManager = {
     },
 
     /**
-     * Validate IP address
+     * Validate IP address (IPv4, or IPv6 with optional brackets and zone)
      */
     isValidIP(ip) {
-        const parts = ip.split('.');
-        return parts.length === 4 && parts.every(part => {
-            const num = parseInt(part, 10);
-            return !isNaN(num) && num >= 0 && num <= 255;
-        });
+        return normalizeIP(ip) !== null;
     }
 };
 
@@ -3437,6 +4403,8 @@ const ServerManager = {
     outputMap: new Map(),
     currentSelectedServer: null,
     refreshInterval: null,
+    requestLogServer: null,
+    requestLogTimer: null,
 
     /**
      * Initialize server manager UI and listeners
@@ -3452,16 +4420,39 @@ const ServerManager = {
         if (clearOutputBtn) clearOutputBtn.addEventListener('click', () => this.clearOutput());
         if (serverOutputSelect) serverOutputSelect.addEventListener('change', (e) => this.displayServerOutput(e.target.value));
 
+        // Request log: reload on any filter change, open a request's details on click
+        const requestLogSelect = document.getElementById('request-log-server');
+        const requestLogFilter = document.getElementById('request-log-filter');
+        const requestLogStatus = document.getElementById('request-log-status');
+        const clearRequestsBtn = document.getElementById('clear-requests-btn');
+        const requestLogList = document.getElementById('request-log-list');
+
+        if (requestLogSelect) requestLogSelect.addEventListener('change', (e) => this.showRequestLog(e.target.value));
+        if (requestLogFilter) requestLogFilter.addEventListener('input', () => this.scheduleRequestLoad(300));
+        if (requestLogStatus) requestLogStatus.addEventListener('change', () => this.loadRequests());
+        if (clearRequestsBtn) clearRequestsBtn.addEventListener('click', () => this.clearRequests());
+        if (requestLogList) {
+            requestLogList.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-request-id]');
+                if (row) this.showRequestDetails(row.dataset.requestId);
+            });
+        }
+
         // Listen for server output from main process
         if (ipcRenderer.on) {
             ipcRenderer.on('server-output', (event, serverName, type, output) => {
                 this.appendOutput(serverName, type, output);
             });
 
+            ipcRenderer.on('server-request', (event, serverName) => {
+                if (serverName === this.requestLogServer) this.scheduleRequestLoad(250);
+            });
+
             ipcRenderer.on('server-exited', (event, serverName, code, signal) => {
-                UI.showSnackbar(`Server "${serverName}" stopped (code: ${code})`, 3000);
-                this.refreshServerList();
+                UI.showSnackbar(`Server "${serverName}" exited unexpectedly (${signal || `code ${code}`})`, 3000);
             });
+
+            ipcRenderer.on('server-status', () => this.refreshServerList());
         }
 
         // Initial load and auto-refresh every 5 seconds
@@ -3521,11 +4512,29 @@ const ServerManager = {
                             <option value="https">HTTPS</option>
                             <option value="socket">Socket</option>
                             <option value="ws">WebSocket</option>
+                            <option value="dns">DNS</option>
+                            <option value="proxy">Proxy</option>
                         </select>
                     </div>
+                    <div id="server-type-options" style="display: flex; flex-direction: column; gap: 12px;"></div>
+                    <label style="display: flex; align-items: center; gap: 8px; font-size: 14px;">
+                        <input type="checkbox" id="server-autostart-input"> Start automatically when NetNavigator opens
+                    </label>
                 </div>
             `;
 
+            const typeInput = formContent.querySelector('#server-type-input');
+            const typeOptions = formContent.querySelector('#server-type-options');
+            this.bindTypeFields(typeOptions);
+            typeInput.addEventListener('change', () => {
+                const type = typeInput.value;
+                const portInput = formContent.querySelector('#server-port-input');
+                typeOptions.innerHTML = this.typeFieldsHtml(type, this.defaultTypeConfig[type]);
+                // Suggest each type's usual unprivileged port while the default is untouched
+                const defaultPorts = Object.values(this.defaultPorts).map(String);
+                if (defaultPorts.includes(portInput.value)) portInput.value = this.defaultPorts[type];
+            });
+
             const dialog = new Dialog({
                 id: 'server-maker-dialog',
                 type: 'default',
@@ -3567,8 +4576,10 @@ const ServerManager = {
                             const serverConfig = {
                                 name: nameInput.value.trim(),
                                 port: parseInt(portInput.value),
-                                type: typeSelect.value
+                                type: typeSelect.value,
+                                autostart: dialog.dialog.querySelector('#server-autostart-input').checked
                             };
+                            Object.assign(serverConfig, this.readTypeFields(serverConfig.type, dialog.dialog));
 
                             const progress = UI.showLoadingSnackbar('Creating server...', true, 0);
                             try {
@@ -3610,23 +4621,527 @@ const ServerManager = {
                 ]
             });
 
-            dialog.show();
-            setTimeout(() => {
-                dialog.dialog.querySelector('#server-name-input')?.focus();
-            }, 100);
-        } catch (error) {
-            console.error('Server maker error:', error);
-            UI.showError('content', 'Failed to open server maker');
-        }
+            dialog.show();
+            setTimeout(() => {
+                dialog.dialog.querySelector('#server-name-input')?.focus();
+            }, 100);
+        } catch (error) {
+            console.error('Server maker error:', error);
+            UI.showError('content', 'Failed to open server maker');
+        }
+    },
+
+    defaultTypeConfig: {
+        https: { mode: 'self-signed', certFile: '', keyFile: '' },
+        socket: {
+            mode: 'echo',
+            greeting: '',
+            script: [
+                '# pattern => response, with $1... for groups and {close} to hang up',
+                '^HELO (\\S+) => 250 Hello $1\\r\\n',
+                '^QUIT => 221 Bye\\r\\n{close}',
+                '.* => 500 Unknown command\\r\\n'
+            ].join('\n')
+        },
+        ws: { mode: 'echo' },
+        proxy: { mode: 'http', target: 'localhost:3000', bind: 'localhost', preserveHost: false, logTraffic: false },
+        dns: {
+            origin: 'example.test',
+            ttl: 300,
+            zone: [
+                '; name [ttl] TYPE data - "@" is the zone itself, other names are relative to it',
+                '@        A      127.0.0.1',
+                'www      A      127.0.0.1',
+                'api      CNAME  www',
+                '*.dev    A      127.0.0.1',
+                '@        MX     10 mail',
+                '@        TXT    "v=spf1 -all"'
+            ].join('\n'),
+            forwarders: '',
+            insecureForwarders: false
+        }
+    },
+
+    defaultPorts: { http: 8080, https: 8443, socket: 9000, ws: 8081, dns: 5353, proxy: 8888 },
+
+    /**
+     * Form fields of the settings specific to a server type
+     */
+    typeFieldsHtml(type, config) {
+        const escape = this.escapeHtml;
+        const label = 'color: var(--text-secondary); font-size: 14px; margin-bottom: 4px; display: block;';
+        const input = 'width: calc(100% - 32px); padding: 8px 16px !important; margin: 0 !important;';
+        const options = (values, selected) => Object.entries(values)
+            .map(([value, text]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${text}</option>`).join('');
+
+        switch (type) {
+            case 'dns':
+                return this.dnsFieldsHtml(config);
+
+            case 'https':
+                return `
+                    <div>
+                        <label style="${label}">Certificate</label>
+                        <select id="server-tls-mode" style="${input}">
+                            ${options({ 'self-signed': 'Generate a self-signed certificate for localhost', files: 'Use my certificate and key (PEM)' }, config.mode)}
+                        </select>
+                    </div>
+                    <div id="server-tls-files" style="display: ${config.mode === 'files' ? 'flex' : 'none'}; flex-direction: column; gap: 8px;">
+                        <div style="display: flex; gap: 8px;">
+                            <input type="text" id="server-tls-cert" value="${escape(config.certFile)}" placeholder="Certificate file" style="${input}">
+                            <button class="secondary" data-browse="server-tls-cert">Browse</button>
+                        </div>
+                        <div style="display: flex; gap: 8px;">
+                            <input type="text" id="server-tls-key" value="${escape(config.keyFile)}" placeholder="Private key file" style="${input}">
+                            <button class="secondary" data-browse="server-tls-key">Browse</button>
+                        </div>
+                    </div>
+                `;
+
+            case 'socket':
+                return `
+                    <div>
+                        <label style="${label}">Mode</label>
+                        <select id="server-socket-mode" style="${input}">
+                            ${options({ echo: 'Echo - send back what is received', discard: 'Discard - read and drop everything', script: 'Scripted responses' }, config.mode)}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="${label}">Greeting sent on connect (optional, \\r\\n escapes allowed)</label>
+                        <input type="text" id="server-socket-greeting" value="${escape(config.greeting)}" placeholder="e.g., 220 test.local ESMTP\\r\\n" style="${input}">
+                    </div>
+                    <div id="server-socket-script-field" style="display: ${config.mode === 'script' ? 'block' : 'none'};">
+                        <label style="${label}">Script: "pattern => response" per line, first matching pattern answers a line</label>
+                        <textarea id="server-socket-script" rows="6" spellcheck="false"
+                            style="width: calc(100% - 32px); padding: 8px 16px; font-family: var(--font-mono); font-size: 12px; resize: vertical;">${escape(config.script)}</textarea>
+                    </div>
+                `;
+
+            case 'ws':
+                return `
+                    <div>
+                        <label style="${label}">Mode</label>
+                        <select id="server-ws-mode" style="${input}">
+                            ${options({ echo: 'Echo - answer each message to its sender', broadcast: 'Broadcast - relay each message to every client' }, config.mode)}
+                        </select>
+                    </div>
+                `;
+
+            case 'proxy':
+                return `
+                    <div>
+                        <label style="${label}">Mode</label>
+                        <select id="server-proxy-mode" style="${input}">
+                            ${options({ http: 'HTTP reverse proxy - requests show up in the request log', tcp: 'TCP port forwarder - relays raw connections' }, config.mode)}
+                        </select>
+                    </div>
+                    <div>
+                        <label style="${label}">Target (host:port)</label>
+                        <input type="text" id="server-proxy-target" value="${escape(config.target)}" placeholder="e.g., 192.168.1.10:80" style="${input}">
+                    </div>
+                    <div>
+                        <label style="${label}">Listen on</label>
+                        <select id="server-proxy-bind" style="${input}">
+                            ${options({ localhost: 'This computer only (localhost)', all: 'All network interfaces' }, config.bind)}
+                        </select>
+                    </div>
+                    <label id="server-proxy-host-field" style="display: ${config.mode === 'http' ? 'flex' : 'none'}; align-items: center; gap: 8px; font-size: 14px;">
+                        <input type="checkbox" id="server-proxy-preserve-host" ${config.preserveHost ? 'checked' : ''}> Pass the client's Host header to the target
+                    </label>
+                    <label style="display: flex; align-items: center; gap: 8px; font-size: 14px;">
+                        <input type="checkbox" id="server-proxy-log-traffic" ${config.logTraffic ? 'checked' : ''}> Add relayed traffic to Packet Analysis connection statistics
+                    </label>
+                `;
+
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Settings of a server type from its form fields, keyed like the server config
+     */
+    readTypeFields(type, container) {
+        const value = id => container.querySelector(`#${id}`).value;
+        switch (type) {
+            case 'dns':
+                return { dns: this.readDnsFields(container) };
+            case 'https':
+                return { tls: { mode: value('server-tls-mode'), certFile: value('server-tls-cert').trim(), keyFile: value('server-tls-key').trim() } };
+            case 'socket':
+                return { socket: { mode: value('server-socket-mode'), greeting: value('server-socket-greeting'), script: value('server-socket-script') } };
+            case 'ws':
+                return { ws: { mode: value('server-ws-mode') } };
+            case 'proxy':
+                return {
+                    proxy: {
+                        mode: value('server-proxy-mode'),
+                        target: value('server-proxy-target').trim(),
+                        bind: value('server-proxy-bind'),
+                        preserveHost: container.querySelector('#server-proxy-preserve-host').checked,
+                        logTraffic: container.querySelector('#server-proxy-log-traffic').checked
+                    }
+                };
+            default:
+                return {};
+        }
+    },
+
+    /**
+     * Browse buttons and fields that show or hide with a mode, for typeFieldsHtml() content
+     */
+    bindTypeFields(container) {
+        container.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-browse]');
+            if (!button) return;
+            const result = await ipcRenderer.invoke('open-file-dialog', {
+                filters: [{ name: 'PEM files', extensions: ['pem', 'crt', 'cer', 'key'] }, { name: 'All files', extensions: ['*'] }]
+            });
+            if (!result.canceled && result.filePaths.length > 0) {
+                container.querySelector(`#${button.dataset.browse}`).value = result.filePaths[0];
+            }
+        });
+        container.addEventListener('change', (e) => {
+            if (e.target.id === 'server-tls-mode') {
+                container.querySelector('#server-tls-files').style.display = e.target.value === 'files' ? 'flex' : 'none';
+            } else if (e.target.id === 'server-socket-mode') {
+                container.querySelector('#server-socket-script-field').style.display = e.target.value === 'script' ? 'block' : 'none';
+            } else if (e.target.id === 'server-proxy-mode') {
+                container.querySelector('#server-proxy-host-field').style.display = e.target.value === 'http' ? 'flex' : 'none';
+            }
+        });
+    },
+
+    /**
+     * Form fields of a DNS server: zone origin, default TTL, records and forwarders
+     */
+    dnsFieldsHtml(config) {
+        const escape = this.escapeHtml;
+        const label = 'color: var(--text-secondary); font-size: 14px; margin-bottom: 4px; display: block;';
+        return `
+            <div style="display: grid; grid-template-columns: 1fr 120px; gap: 12px;">
+                <div>
+                    <label style="${label}">Zone</label>
+                    <input type="text" id="server-dns-origin" value="${escape(config.origin)}" placeholder="e.g., example.test"
+                        style="width: calc(100% - 32px); padding: 8px 16px !important; margin: 0 !important;">
+                </div>
+                <div>
+                    <label style="${label}">Default TTL</label>
+                    <input type="number" id="server-dns-ttl" value="${escape(String(config.ttl))}" min="0"
+                        style="width: calc(100% - 32px); padding: 8px 16px !important; margin: 0 !important;">
+                </div>
+            </div>
+            <div>
+                <label style="${label}">Records</label>
+                <textarea id="server-dns-zone" rows="9" spellcheck="false"
+                    style="width: calc(100% - 32px); padding: 8px 16px; font-family: var(--font-mono); font-size: 12px; resize: vertical;">${escape(config.zone)}</textarea>
+            </div>
+            <div>
+                <label style="${label}">Forward other names to (optional, one resolver per line)</label>
+                <textarea id="server-dns-forwarders" rows="2" spellcheck="false" placeholder="1.1.1.1&#10;https://dns.google/dns-query"
+                    style="width: calc(100% - 32px); padding: 8px 16px; font-family: var(--font-mono); font-size: 12px; resize: vertical;">${escape(config.forwarders)}</textarea>
+            </div>
+            <label style="display: flex; align-items: center; gap: 8px; font-size: 14px;">
+                <input type="checkbox" id="server-dns-insecure-forwarders" ${config.insecureForwarders ? 'checked' : ''}> Accept invalid certificates from tls:// and https:// forwarders
+            </label>
+        `;
+    },
+
+    readDnsFields(container) {
+        return {
+            origin: container.querySelector('#server-dns-origin').value.trim(),
+            ttl: parseInt(container.querySelector('#server-dns-ttl').value, 10) || 300,
+            zone: container.querySelector('#server-dns-zone').value,
+            forwarders: container.querySelector('#server-dns-forwarders').value,
+            insecureForwarders: container.querySelector('#server-dns-insecure-forwarders').checked
+        };
+    },
+
+    /**
+     * Edit the type-specific settings of a server (the zone of a DNS server, the mode of
+     * a socket or WebSocket server); a running server reloads them on save
+     */
+    async showSettingsDialog(serverName) {
+        try {
+            const config = await ipcRenderer.invoke('get-server-config', serverName);
+            const what = config.type === 'dns' ? 'Zone' : 'Settings';
+            // Routes and certificates have their own editors; the other types' settings are edited here
+            const hasTypeFields = ['dns', 'socket', 'ws', 'proxy'].includes(config.type);
+            const formContent = document.createElement('div');
+            formContent.innerHTML = `
+                <div style="display: flex; flex-direction: column; gap: 12px;">
+                    <div>
+                        <label style="color: var(--text-secondary); font-size: 14px; margin-bottom: 4px; display: block;">Port</label>
+                        <input type="number" id="server-settings-port" value="${config.port}" min="1" max="65535"
+                            style="width: calc(100% - 32px); padding: 8px 16px !important; margin: 0 !important;">
+                    </div>
+                    ${hasTypeFields ? this.typeFieldsHtml(config.type, config[config.type]) : ''}
+                    <label style="display: flex; align-items: center; gap: 8px; font-size: 14px;">
+                        <input type="checkbox" id="server-settings-autostart" ${config.autostart ? 'checked' : ''}> Start automatically when NetNavigator opens
+                    </label>
+                </div>
+            `;
+            this.bindTypeFields(formContent);
+
+            const dialog = new Dialog({
+                id: 'server-settings-dialog',
+                type: 'default',
+                title: `${what} of ${serverName}`,
+                content: formContent,
+                buttons: [
+                    {
+                        label: 'Cancel',
+                        class: 'secondary',
+                        action: () => dialog.close()
+                    },
+                    {
+                        label: 'Save',
+                        class: 'primary',
+                        action: async () => {
+                            try {
+                                await ipcRenderer.invoke('update-server-config', serverName, {
+                                    ...(hasTypeFields ? this.readTypeFields(config.type, dialog.dialog) : {}),
+                                    port: dialog.dialog.querySelector('#server-settings-port').value,
+                                    autostart: dialog.dialog.querySelector('#server-settings-autostart').checked
+                                });
+                                dialog.close();
+                                UI.showSnackbar(`${what} of "${serverName}" saved`, 2000);
+                                this.refreshServerList();
+                            } catch (error) {
+                                dialog.showError({
+                                    id: `ERR_${Date.now()}`,
+                                    html: `<strong>${what} not saved</strong><br><small>${this.escapeHtml(error.message)}</small>`
+                                }, 0);
+                            }
+                        }
+                    }
+                ]
+            });
+            dialog.show();
+        } catch (error) {
+            UI.showSnackbar(`Failed to open settings: ${error.message}`, 3000);
+        }
+    },
+
+    /**
+     * Edit the routes of an HTTP server; the running server reloads them on save.
+     * The first route matching a request answers it
+     */
+    async showRoutesDialog(serverName) {
+        let config;
+        try {
+            config = await ipcRenderer.invoke('get-server-config', serverName);
+        } catch (error) {
+            UI.showSnackbar(`Failed to open routes: ${error.message}`, 3000);
+            return;
+        }
+
+        const http = config.http || {};
+        const routes = (http.routes || DEFAULT_ROUTES).map(route => ({
+            ...route,
+            headers: Object.entries(route.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n'),
+            body: { ...route.body }
+        }));
+
+        const escape = this.escapeHtml;
+        const label = 'color: var(--text-secondary); font-size: 12px; margin-bottom: 2px; display: block;';
+        const input = 'width: calc(100% - 16px); padding: 6px 8px !important; margin: 0 !important;';
+        const optional = value => (value === null || value === undefined ? '' : escape(String(value)));
+
+        const formContent = document.createElement('div');
+        formContent.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 12px;">
+                <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px;">
+                    <div>
+                        <label style="${label}">Latency for all routes (ms)</label>
+                        <input type="number" id="routes-latency" min="0" max="60000" value="${optional(http.latency)}" placeholder="0" style="${input}">
+                    </div>
+                    <div>
+                        <label style="${label}">Error rate for all routes (%)</label>
+                        <input type="number" id="routes-error-rate" min="0" max="100" value="${optional(http.errorRate)}" placeholder="0" style="${input}">
+                    </div>
+                    <div>
+                        <label style="${label}">Injected error status</label>
+                        <input type="number" id="routes-error-status" min="400" max="599" value="${optional(http.errorStatus)}" placeholder="500" style="${input}">
+                    </div>
+                </div>
+                <div style="color: var(--text-secondary); font-size: 12px;">
+                    Paths take <code>:name</code> for one segment and <code>*</code> for the rest; the first matching route answers.
+                </div>
+                <div id="routes-list" style="display: flex; flex-direction: column; gap: 12px; max-height: 50vh; overflow-y: auto;"></div>
+                <button id="routes-add-btn" class="secondary" style="align-self: flex-start;">Add Route</button>
+            </div>
+        `;
+
+        const list = formContent.querySelector('#routes-list');
+        const render = () => {
+            list.innerHTML = routes.map((route, index) => `
+                <div data-index="${index}" style="border: 1px solid var(--card-border); border-radius: 8px; padding: 12px; display: grid; gap: 8px;">
+                    <div style="display: grid; grid-template-columns: 110px 1fr 80px auto; gap: 8px; align-items: end;">
+                        <div>
+                            <label style="${label}">Method</label>
+                            <select data-field="method" style="${input}">
+                                ${HTTP_METHODS.map(method => `<option value="${method}" ${method === route.method ? 'selected' : ''}>${method === '*' ? 'Any' : method}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label style="${label}">Path</label>
+                            <input type="text" data-field="path" value="${escape(route.path || '')}" placeholder="/api/users/:id" style="${input}">
+                        </div>
+                        <div>
+                            <label style="${label}">Status</label>
+                            <input type="number" data-field="status" value="${optional(route.status)}" placeholder="200" style="${input}">
+                        </div>
+                        <button data-action="remove-route" class="secondary" title="Remove route" style="padding: 6px 10px;">✕</button>
+                    </div>
+                    <div style="display: grid; grid-template-columns: 110px 1fr 1fr; gap: 8px;">
+                        <div>
+                            <label style="${label}">Body</label>
+                            <select data-field="bodyType" style="${input}">
+                                ${['text', 'json', 'file'].map(type => `<option value="${type}" ${type === route.body.type ? 'selected' : ''}>${type === 'json' ? 'JSON' : type[0].toUpperCase() + type.slice(1)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div>
+                            <label style="${label}">Latency (ms)</label>
+                            <input type="number" data-field="latency" min="0" value="${optional(route.latency)}" placeholder="server default" style="${input}">
+                        </div>
+                        <div>
+                            <label style="${label}">Error rate (%)</label>
+                            <input type="number" data-field="errorRate" min="0" max="100" value="${optional(route.errorRate)}" placeholder="server default" style="${input}">
+                        </div>
+                    </div>
+                    ${route.body.type === 'file' ? `
+                        <div style="display: flex; gap: 8px;">
+                            <input type="text" data-field="content" value="${escape(route.body.content || '')}" placeholder="File path (relative to the workspace or absolute)" style="${input}">
+                            <button data-action="browse-file" class="secondary">Browse</button>
+                        </div>
+                    ` : `
+                        <textarea data-field="content" rows="3" spellcheck="false" placeholder="${route.body.type === 'json' ? '{ &quot;ok&quot;: true }' : 'Response text'}"
+                            style="${input} font-family: var(--font-mono); font-size: 12px; resize: vertical;">${escape(route.body.content || '')}</textarea>
+                    `}
+                    <textarea data-field="headers" rows="2" spellcheck="false" placeholder="Response headers, one &quot;Name: value&quot; per line"
+                        style="${input} font-family: var(--font-mono); font-size: 12px; resize: vertical;">${escape(route.headers)}</textarea>
+                </div>
+            `).join('') || '<div style="color: var(--text-secondary); font-size: 12px;">No routes: every request gets 404</div>';
+        };
+
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('[data-index]');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+            const route = routes[row.dataset.index];
+            if (field === 'content') route.body.content = e.target.value;
+            else if (field === 'bodyType') {
+                route.body = { type: e.target.value, content: '' };
+                render();
+            } else route[field] = e.target.value;
+        });
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const index = Number(button.closest('[data-index]').dataset.index);
+            if (button.dataset.action === 'remove-route') {
+                routes.splice(index, 1);
+                render();
+            } else if (button.dataset.action === 'browse-file') {
+                const result = await ipcRenderer.invoke('open-file-dialog', { title: 'Response Body File' });
+                if (!result.canceled && result.filePaths.length > 0) {
+                    routes[index].body.content = result.filePaths[0];
+                    render();
+                }
+            }
+        });
+
+        formContent.querySelector('#routes-add-btn').addEventListener('click', () => {
+            routes.push({ method: 'GET', path: '/', status: 200, headers: '', body: { type: 'text', content: '' } });
+            render();
+            list.scrollTop = list.scrollHeight;
+        });
+
+        render();
+
+        const dialog = new Dialog({
+            id: 'server-routes-dialog',
+            type: 'default',
+            title: `Routes of ${serverName}`,
+            content: formContent,
+            buttons: [
+                {
+                    label: 'Cancel',
+                    class: 'secondary',
+                    action: () => dialog.close()
+                },
+                {
+                    label: 'Save',
+                    class: 'primary',
+                    action: async () => {
+                        const value = id => dialog.dialog.querySelector(id).value;
+                        const changes = {
+                            latency: value('#routes-latency'),
+                            errorRate: value('#routes-error-rate'),
+                            errorStatus: value('#routes-error-status'),
+                            routes: routes.map(route => ({
+                                method: route.method,
+                                path: String(route.path || '').trim(),
+                                status: route.status,
+                                headers: Object.fromEntries(String(route.headers || '').split('\n')
+                                    .map(line => line.match(/^\s*([^:\s]+)\s*:\s*(.*?)\s*$/))
+                                    .filter(Boolean)
+                                    .map(match => [match[1], match[2]])),
+                                body: route.body,
+                                latency: route.latency,
+                                errorRate: route.errorRate
+                            }))
+                        };
+
+                        try {
+                            await ipcRenderer.invoke('update-server-config', serverName, { http: changes });
+                            dialog.close();
+                            UI.showSnackbar(`Routes of "${serverName}" saved`, 2000);
+                        } catch (error) {
+                            dialog.showError({
+                                id: `ERR_${Date.now()}`,
+                                html: `<strong>Routes not saved</strong><br><small>${escape(error.message)}</small>`
+                            }, 0);
+                        }
+                    }
+                }
+            ]
+        });
+        dialog.show();
+    },
+
+    /**
+     * Point the DNS Lookup tab at a DNS server made here
+     */
+    queryDnsServer(server) {
+        UI.switchTab('dns');
+        const transportSelect = document.getElementById('dns-transport');
+        if (transportSelect) {
+            transportSelect.value = 'udp';
+            DNSManager.updateTransportOptions();
+        }
+        document.getElementById('dns-servers').value = `127.0.0.1:${server.port}`;
+        document.getElementById('dns-host').value = server.origin || '';
+        document.getElementById('dns-host').focus();
+    },
+
+    statusStyles: {
+        running: { color: '#22c55e', text: 'Running' },
+        starting: { color: '#f59e0b', text: 'Starting' },
+        restarting: { color: '#f59e0b', text: 'Restarting' },
+        crashed: { color: '#ef4444', text: 'Crashed' },
+        stopped: { color: 'var(--text-secondary)', text: 'Stopped' }
     },
 
     /**
-     * Refresh and display active servers
+     * Refresh and display the saved servers, running or not
      */
     async refreshServerList() {
         try {
-            const servers = await ipcRenderer.invoke('get-active-servers');
-            const list = document.getElementById('active-servers-list');
+            const servers = await ipcRenderer.invoke('list-servers');
+            const list = document.getElementById('managed-servers-list');
             const select = document.getElementById('server-output-select');
 
             if (!list) return;
@@ -3635,9 +5150,15 @@ const ServerManager = {
             const currentSelection = select?.value;
             list.innerHTML = '';
             select.innerHTML = '<option value="">Select a server to view output...</option>';
+            this.updateRequestLogServers(servers || []);
+
+            const running = (servers || []).filter(server => server.status === 'running').length;
+            document.getElementById('managed-server-count').textContent = servers && servers.length > 0
+                ? `${running} of ${servers.length} running`
+                : '';
 
             if (!servers || servers.length === 0) {
-                list.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 24px;">No active servers</div>';
+                list.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 24px;">No saved servers. Click "Create Server" to add one.</div>';
                 return;
             }
 
@@ -3648,8 +5169,12 @@ const ServerManager = {
                 const seconds = uptime % 60;
                 const uptimeStr = `${hours}h ${minutes}m ${seconds}s`;
 
-                const statusColor = server.status === 'running' ? '#22c55e' : '#ef4444';
-                const statusText = server.status === 'running' ? 'Running' : 'Stopped';
+                const { color: statusColor, text: statusText } = this.statusStyles[server.status] || this.statusStyles.stopped;
+                const isRunning = server.status === 'running';
+                const canStop = isRunning || server.status === 'restarting' || server.status === 'starting';
+                const lastExit = server.lastExit
+                    ? (server.lastExit.signal ? `signal ${server.lastExit.signal}` : `exit code ${server.lastExit.code}`)
+                    : null;
 
                 const card = document.createElement('div');
                 card.style.cssText = 'background-color: var(--card-bg); border: 1px solid var(--card-border); border-radius: 8px; padding: 16px; display: flex; justify-content: space-between; align-items: center;';
@@ -3657,35 +5182,68 @@ const ServerManager = {
                     <div style="flex: 1;">
                         <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
                             <div>
-                                <div style="font-weight: 600;">${server.name}</div>
-                                <div style="color: ${statusColor}; font-size: 12px; margin-top: 2px;">● ${statusText}</div>
+                                <div style="font-weight: 600;">${this.escapeHtml(server.name)}</div>
+                                <div style="color: ${statusColor}; font-size: 12px; margin-top: 2px;">● ${statusText}${server.restarts > 0 ? ` (${server.restarts} restart${server.restarts === 1 ? '' : 's'})` : ''}</div>
                             </div>
                         </div>
                         <div style="color: var(--text-secondary); font-size: 14px; display: grid; gap: 4px;">
                             <div>Port: <strong>${server.port}</strong></div>
                             <div>Type: <strong>${server.type || 'http'}</strong></div>
-                            <div>Uptime: <strong>${uptimeStr}</strong></div>
-                            <div>PID: <strong>${server.pid}</strong></div>
+                            ${server.origin ? `<div>Zone: <strong>${this.escapeHtml(server.origin)}</strong></div>` : ''}
+                            ${server.proxy ? `<div>${server.proxy.mode === 'http' ? 'HTTP' : 'TCP'} target: <strong>${this.escapeHtml(server.proxy.target)}</strong></div>` : ''}
+                            ${isRunning ? `<div>Uptime: <strong>${uptimeStr}</strong></div>` : ''}
+                            ${server.pid ? `<div>PID: <strong>${server.pid}</strong></div>` : ''}
+                            ${!isRunning && lastExit ? `<div>Last exit: <strong>${lastExit}</strong></div>` : ''}
+                            <label style="display: flex; align-items: center; gap: 6px; font-size: 12px; cursor: pointer;">
+                                <input type="checkbox" data-action="autostart" ${server.autostart ? 'checked' : ''}> Start with NetNavigator
+                            </label>
                         </div>
                     </div>
-                    <div style="display: flex; gap: 8px; flex-shrink: 0;">
-                        <button data-action="stop-server" data-server="${server.name}" style="padding: 8px 16px; background-color: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
-                            Stop
+                    <div style="display: flex; gap: 8px; flex-shrink: 0; flex-wrap: wrap; justify-content: flex-end; max-width: 50%;">
+                        ${canStop ? `
+                        <button data-action="stop-server" style="padding: 8px 16px; background-color: #ef4444; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                            ${server.status === 'restarting' ? 'Cancel Restart' : 'Stop'}
                         </button>
-                        <button data-action="view-output" data-server="${server.name}" style="padding: 8px 16px; background-color: #6366f1; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
-                            View
+                        ` : `
+                        <button data-action="start-server" style="padding: 8px 16px; background-color: #22c55e; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                            Start
                         </button>
+                        `}
+                        <button data-action="view-output" style="padding: 8px 16px; background-color: #6366f1; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                            Log
+                        </button>
+                        ${server.type !== 'socket' && !(server.proxy && server.proxy.mode === 'tcp') ? `
+                        <button data-action="view-requests" class="secondary" style="padding: 8px 16px; font-size: 12px;">Requests</button>
+                        ` : ''}
+                        ${server.type === 'http' || server.type === 'https' ? `
+                        <button data-action="edit-routes" class="secondary" style="padding: 8px 16px; font-size: 12px;">Routes</button>
+                        ` : ''}
+                        ${server.type === 'dns' ? `
+                        <button data-action="edit-settings" class="secondary" style="padding: 8px 16px; font-size: 12px;">Edit Zone</button>
+                        <button data-action="query-dns" class="secondary" style="padding: 8px 16px; font-size: 12px;" title="Open DNS Lookup with this server selected">Query</button>
+                        ` : `
+                        <button data-action="edit-settings" class="secondary" style="padding: 8px 16px; font-size: 12px;">Settings</button>
+                        `}
+                        <button data-action="delete-server" class="secondary" style="padding: 8px 16px; font-size: 12px; color: var(--error-color);">Delete</button>
                     </div>
                 `;
 
                 // Add event listeners
-                const stopBtn = card.querySelector('[data-action="stop-server"]');
-                const viewBtn = card.querySelector('[data-action="view-output"]');
-                if (stopBtn) stopBtn.addEventListener('click', () => this.stopServer(server.name));
-                if (viewBtn) viewBtn.addEventListener('click', () => {
+                card.querySelector('[data-action="stop-server"]')?.addEventListener('click', () => this.stopServer(server.name));
+                card.querySelector('[data-action="start-server"]')?.addEventListener('click', () => this.startServer(server.name));
+                card.querySelector('[data-action="delete-server"]').addEventListener('click', () => this.deleteServer(server.name));
+                card.querySelector('[data-action="autostart"]').addEventListener('change', (e) => this.setAutostart(server.name, e.target.checked));
+                card.querySelector('[data-action="view-output"]').addEventListener('click', () => {
                     select.value = server.name;
                     this.displayServerOutput(server.name);
                 });
+                card.querySelector('[data-action="view-requests"]')?.addEventListener('click', () => {
+                    this.showRequestLog(server.name);
+                    document.getElementById('request-log-list')?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                });
+                card.querySelector('[data-action="edit-routes"]')?.addEventListener('click', () => this.showRoutesDialog(server.name));
+                card.querySelector('[data-action="edit-settings"]')?.addEventListener('click', () => this.showSettingsDialog(server.name));
+                card.querySelector('[data-action="query-dns"]')?.addEventListener('click', () => this.queryDnsServer(server));
 
                 list.appendChild(card);
 
@@ -3710,6 +5268,234 @@ const ServerManager = {
         }
     },
 
+    // ============================================================
+    // Request Log
+    // ============================================================
+
+    /**
+     * Keep the request log's server list in step with the running servers; the selected
+     * server stays listed after it stops, its log is still there
+     */
+    updateRequestLogServers(servers) {
+        const select = document.getElementById('request-log-server');
+        if (!select) return;
+
+        const names = servers.map(server => server.name);
+        if (this.requestLogServer && !names.includes(this.requestLogServer)) names.push(this.requestLogServer);
+        select.innerHTML = '<option value="">Select a server...</option>' +
+            names.map(name => `<option value="${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`).join('');
+        select.value = this.requestLogServer || '';
+    },
+
+    showRequestLog(serverName) {
+        this.requestLogServer = serverName || null;
+        const select = document.getElementById('request-log-server');
+        if (select) {
+            if (serverName && !Array.from(select.options).some(o => o.value === serverName)) {
+                select.add(new Option(serverName, serverName));
+            }
+            select.value = serverName || '';
+        }
+        this.loadRequests();
+    },
+
+    scheduleRequestLoad(delay) {
+        clearTimeout(this.requestLogTimer);
+        this.requestLogTimer = setTimeout(() => this.loadRequests(), delay);
+    },
+
+    async loadRequests() {
+        const list = document.getElementById('request-log-list');
+        const count = document.getElementById('request-log-count');
+        if (!list) return;
+
+        if (!this.requestLogServer) {
+            list.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 24px;">Requests to the selected server will appear here</div>';
+            if (count) count.textContent = '';
+            return;
+        }
+
+        try {
+            const requests = await ipcRenderer.invoke('get-server-requests', this.requestLogServer, {
+                search: document.getElementById('request-log-filter')?.value || '',
+                status: document.getElementById('request-log-status')?.value || ''
+            });
+            this.renderRequests(requests);
+        } catch (error) {
+            list.innerHTML = `<div style="color: var(--error-color); padding: 12px;">${this.escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    statusColor(status) {
+        if (typeof status !== 'number') return status === 'NOERROR' ? 'var(--success-color)' : 'var(--error-color)';
+        if (status >= 500) return 'var(--error-color)';
+        if (status >= 400) return 'var(--warning-color)';
+        if (status >= 300) return 'var(--accent-primary)';
+        return 'var(--success-color)';
+    },
+
+    renderRequests(requests) {
+        const list = document.getElementById('request-log-list');
+        const count = document.getElementById('request-log-count');
+        if (count) count.textContent = `${requests.length} request${requests.length === 1 ? '' : 's'}`;
+
+        if (requests.length === 0) {
+            list.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 24px;">No matching requests</div>';
+            return;
+        }
+
+        const rows = requests.map(request => `
+            <tr data-request-id="${request.id}" style="cursor: pointer; border-top: 1px solid var(--card-border);" title="Show details">
+                <td style="padding: 6px 8px; white-space: nowrap; color: var(--text-secondary);">${new Date(request.timestamp).toLocaleTimeString()}</td>
+                <td style="padding: 6px 8px; font-weight: 600;">${this.escapeHtml(request.method || '')}</td>
+                <td style="padding: 6px 8px; font-family: var(--font-mono); word-break: break-all;">
+                    ${this.escapeHtml(request.url || '')}
+                    ${request.replayOf ? `<span style="color: var(--text-secondary); font-size: 11px;"> (replay of #${this.escapeHtml(request.replayOf)})</span>` : ''}
+                    ${request.injected ? '<span style="color: var(--error-color); font-size: 11px;"> (injected error)</span>' : ''}
+                </td>
+                <td style="padding: 6px 8px; font-weight: 600; color: ${this.statusColor(request.status)};">${this.escapeHtml(String(request.status))}</td>
+                <td style="padding: 6px 8px; white-space: nowrap;">${request.duration} ms</td>
+                <td style="padding: 6px 8px; white-space: nowrap; color: var(--text-secondary);">${formatBytes(request.responseSize)}</td>
+            </tr>
+        `).join('');
+
+        list.innerHTML = `
+            <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <thead>
+                    <tr style="text-align: left; color: var(--text-secondary);">
+                        <th style="padding: 6px 8px;">Time</th>
+                        <th style="padding: 6px 8px;">Method</th>
+                        <th style="padding: 6px 8px;">URL</th>
+                        <th style="padding: 6px 8px;">Status</th>
+                        <th style="padding: 6px 8px;">Duration</th>
+                        <th style="padding: 6px 8px;">Size</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    },
+
+    async clearRequests() {
+        if (!this.requestLogServer) return;
+        await ipcRenderer.invoke('clear-server-requests', this.requestLogServer);
+        this.loadRequests();
+        UI.showSnackbar('Request log cleared', 1500);
+    },
+
+    /**
+     * Logged body as text: pretty-printed when it is JSON, a size note when it is binary
+     */
+    formatBody(base64, size) {
+        if (!size) return '<span style="color: var(--text-secondary);">(empty)</span>';
+        const buffer = Buffer.from(base64, 'base64');
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return `<span style="color: var(--text-secondary);">${formatBytes(size)} of binary data</span>`;
+        }
+        try {
+            if (buffer.length === size) text = JSON.stringify(JSON.parse(text), null, 2);
+        } catch (error) {
+            // Not JSON, shown as is
+        }
+        const note = buffer.length < size ? `\n\n(first ${formatBytes(buffer.length)} of ${formatBytes(size)})` : '';
+        return this.escapeHtml(text + note);
+    },
+
+    headersHtml(headers) {
+        if (headers.length === 0) return '<div style="color: var(--text-secondary);">(none)</div>';
+        return headers.map(([name, value]) => `
+            <div style="font-family: var(--font-mono); font-size: 12px; word-break: break-all;">
+                <strong>${this.escapeHtml(name)}:</strong> ${this.escapeHtml(String(value))}
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Full request and response of a logged request, with a Replay button for HTTP requests
+     */
+    async showRequestDetails(requestId) {
+        const serverName = this.requestLogServer;
+        let request;
+        try {
+            request = await ipcRenderer.invoke('get-server-request', serverName, requestId);
+        } catch (error) {
+            UI.showSnackbar(error.message, 3000);
+            return;
+        }
+
+        const preStyle = 'margin: 0; max-height: 200px; overflow: auto; padding: 8px; background-color: var(--result-bg); border-radius: 4px; font-size: 12px; white-space: pre-wrap; word-break: break-all;';
+        const responseHeaders = Object.entries(request.responseHeaders || {});
+        const replayable = request.protocol === 'http' || request.protocol === 'https';
+        // A body cut short at capture would be replayed truncated
+        const bodyComplete = isBodyComplete(request);
+
+        const content = document.createElement('div');
+        content.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 12px; font-size: 13px;">
+                <div style="display: grid; grid-template-columns: auto 1fr; gap: 4px 12px;">
+                    <span style="color: var(--text-secondary);">Time</span><span>${new Date(request.timestamp).toLocaleString()}</span>
+                    <span style="color: var(--text-secondary);">Client</span><span>${this.escapeHtml(request.remoteAddress || '-')}</span>
+                    <span style="color: var(--text-secondary);">Protocol</span><span>${request.protocol.toUpperCase()}${request.httpVersion ? ` (HTTP/${this.escapeHtml(request.httpVersion)})` : ''}</span>
+                    <span style="color: var(--text-secondary);">Status</span><span style="font-weight: 600; color: ${this.statusColor(request.status)};">${this.escapeHtml(String(request.status))}${request.injected ? ' (injected error)' : ''}</span>
+                    <span style="color: var(--text-secondary);">Duration</span><span>${request.duration} ms</span>
+                    ${request.route ? `<span style="color: var(--text-secondary);">Route</span><span>${this.escapeHtml(request.route)}</span>` : ''}
+                    ${request.replayOf ? `<span style="color: var(--text-secondary);">Replay of</span><span>#${this.escapeHtml(request.replayOf)}</span>` : ''}
+                </div>
+                <div>
+                    <h4 style="margin: 0 0 6px;">Request Headers</h4>
+                    ${this.headersHtml(request.headers)}
+                </div>
+                ${replayable ? `
+                <div>
+                    <h4 style="margin: 0 0 6px;">Request Body</h4>
+                    <pre style="${preStyle}">${this.formatBody(request.body, request.bodySize)}</pre>
+                    ${bodyComplete ? '' : '<div style="color: var(--text-secondary); font-size: 12px; margin-top: 4px;">The body was not captured in full, so this request cannot be replayed</div>'}
+                </div>
+                <div>
+                    <h4 style="margin: 0 0 6px;">Response Headers</h4>
+                    ${this.headersHtml(responseHeaders)}
+                </div>
+                <div>
+                    <h4 style="margin: 0 0 6px;">Response Body</h4>
+                    <pre style="${preStyle}">${this.formatBody(request.responseBody, request.responseSize)}</pre>
+                </div>
+                ` : ''}
+            </div>
+        `;
+
+        const buttons = [{ label: 'Close', class: 'secondary', action: () => dialog.close() }];
+        if (replayable && bodyComplete) {
+            buttons.push({
+                label: 'Replay',
+                class: 'primary',
+                action: async () => {
+                    try {
+                        const result = await ipcRenderer.invoke('replay-server-request', serverName, requestId);
+                        UI.showSnackbar(`Replayed ${request.method} ${request.url}: ${result.status} in ${result.duration} ms`, 3000);
+                        this.loadRequests();
+                    } catch (error) {
+                        dialog.showError({
+                            id: `ERR_${Date.now()}`,
+                            html: `<strong>Replay failed</strong><br><small>${this.escapeHtml(error.message)}</small>`
+                        }, 0);
+                    }
+                }
+            });
+        }
+
+        const dialog = new Dialog({
+            id: 'server-request-dialog',
+            type: 'default',
+            title: `${request.method} ${request.url}`,
+            content,
+            buttons
+        });
+        dialog.show();
+    },
+
     /**
      * Stop a server
      */
@@ -3729,6 +5515,61 @@ const ServerManager = {
         }
     },
 
+    async startServer(serverName) {
+        try {
+            UI.showSnackbar(`Starting ${serverName}...`, 1500);
+            await ipcRenderer.invoke('start-server', serverName);
+            UI.showSnackbar(`Server "${serverName}" started`, 2000);
+        } catch (error) {
+            UI.showSnackbar(`Failed to start server: ${error.message}`, 4000);
+        }
+        this.refreshServerList();
+    },
+
+    /**
+     * Stop a server and delete its workspace (config, certificates and logs)
+     */
+    async deleteServer(serverName) {
+        if (!confirm(`Delete server "${serverName}" and its workspace? This cannot be undone.`)) return;
+
+        try {
+            await ipcRenderer.invoke('delete-server', serverName);
+            this.outputMap.delete(serverName);
+            if (this.requestLogServer === serverName) this.showRequestLog(null);
+            UI.showSnackbar(`Server "${serverName}" deleted`, 2000);
+        } catch (error) {
+            UI.showSnackbar(`Failed to delete server: ${error.message}`, 3000);
+        }
+        this.refreshServerList();
+    },
+
+    async setAutostart(serverName, autostart) {
+        try {
+            await ipcRenderer.invoke('update-server-config', serverName, { autostart });
+            UI.showSnackbar(autostart ? `"${serverName}" will start with NetNavigator` : `"${serverName}" will not start automatically`, 2000);
+        } catch (error) {
+            UI.showSnackbar(`Failed to save: ${error.message}`, 3000);
+            this.refreshServerList();
+        }
+    },
+
+    /**
+     * Fill a server's output from its log files, which also hold output from before this session
+     */
+    async loadServerLog(serverName) {
+        try {
+            const lines = await ipcRenderer.invoke('get-server-log', serverName, 1000);
+            this.outputMap.set(serverName, lines.map(line => ({
+                type: line.stream,
+                output: line.text,
+                timestamp: line.timestamp ? new Date(line.timestamp) : new Date()
+            })));
+        } catch (error) {
+            this.outputMap.set(serverName, []);
+        }
+        if (this.currentSelectedServer === serverName) this.displayServerOutput(serverName);
+    },
+
     /**
      * Append output to server output log
      */
@@ -3760,7 +5601,12 @@ const ServerManager = {
 
         this.currentSelectedServer = serverName;
 
-        if (!serverName || !this.outputMap.has(serverName)) {
+        if (serverName && !this.outputMap.has(serverName)) {
+            outputDiv.innerHTML = '<div style="color: var(--text-secondary);">Loading log...</div>';
+            this.loadServerLog(serverName);
+            return;
+        }
+        if (!serverName) {
             outputDiv.innerHTML = '<div style="color: var(--text-secondary);">No output available</div>';
             return;
         }
@@ -3769,7 +5615,7 @@ const ServerManager = {
         let html = '';
         logs.forEach(log => {
             const timestamp = log.timestamp.toLocaleTimeString();
-            const color = log.type === 'stderr' ? '#ff6b6b' : '#00ff00';
+            const color = { stderr: '#ff6b6b', system: '#facc15' }[log.type] || '#00ff00';
             html += `<div style="color: ${color};">[${timestamp}] ${this.escapeHtml(log.output)}</div>`;
         });
 
@@ -3813,16 +5659,22 @@ function setupServerMaker() {
                 8443, 9000, 27017, 6379, 5900, 22, 21, 25, 53, 110, 143
             ];
 
+            const commonUdpPorts = [53, 67, 123, 161, 1900, 5353];
+            const checks = [
+                ...commonPorts.map(port => ({ port, protocol: 'tcp' })),
+                ...commonUdpPorts.map(port => ({ port, protocol: 'udp' }))
+            ];
+
             // Check common ports for listeners
-            for (const port of commonPorts) {
+            for (const { port, protocol } of checks) {
                 try {
-                    const response = await ipcRenderer.invoke('check-port-listener', port);
+                    const response = await ipcRenderer.invoke('check-port-listener', port, protocol);
                     if (response.listening) {
                         listeningPorts.push({
                             port: port,
-                            protocol: response.protocol || 'TCP',
+                            protocol: response.protocol,
                             status: 'listening',
-                            service: getServiceName(port)
+                            service: protocol === 'udp' ? identifyUdpResponse(port, null).service : serviceForPort(port)
                         });
                     }
                 } catch (e) {
@@ -3923,7 +5775,7 @@ function setupServerMaker() {
                             listeningPorts.push({
                                 port: port,
                                 protocol: response.protocol || 'TCP',
-                                service: getServiceName(port),
+                                service: serviceForPort(port),
                                 timestamp: new Date().toISOString()
                             });
                         }
@@ -3956,32 +5808,7 @@ function setupServerMaker() {
 
     // Initial load
     updateServerStatus();
-}
-
-function getServiceName(port) {
-    const services = {
-        21: 'FTP',
-        22: 'SSH',
-        25: 'SMTP',
-        53: 'DNS',
-        80: 'HTTP',
-        110: 'POP3',
-        143: 'IMAP',
-        443: 'HTTPS',
-        3000: 'Node/Development',
-        3001: 'Development',
-        3306: 'MySQL',
-        5000: 'Flask/Development',
-        5432: 'PostgreSQL',
-        5900: 'VNC',
-        6379: 'Redis',
-        8000: 'Development',
-        8080: 'HTTP Proxy',
-        8443: 'HTTPS Proxy',
-        9000: 'SonarQube',
-        27017: 'MongoDB'
-    };
-    return services[port] || `Service on port ${port}`;
+    ServerManager.init();
 }
 
 function setupServer() {
@@ -4208,8 +6035,19 @@ function setupPacketAnalysis() {
     const stopBtn = document.getElementById('stop-packet-capture-btn');
     const clearBtn = document.getElementById('clear-packet-data-btn');
     const exportBtn = document.getElementById('export-packets-btn');
+    const importBtn = document.getElementById('import-packets-btn');
+    const exportFormat = document.getElementById('packet-export-format');
     const packetInterface = document.getElementById('packet-interface');
     const packetProtocol = document.getElementById('packet-protocol');
+    const displayFilterInput = document.getElementById('packet-display-filter');
+    const displayFilterStatus = document.getElementById('packet-display-filter-status');
+    const applyFilterBtn = document.getElementById('apply-display-filter-btn');
+    const clearFilterBtn = document.getElementById('clear-display-filter-btn');
+    const streamSelect = document.getElementById('tcp-stream-select');
+    const streamDirection = document.getElementById('tcp-stream-direction');
+    const streamFormat = document.getElementById('tcp-stream-format');
+    const streamSummary = document.getElementById('tcp-stream-summary');
+    const streamContent = document.getElementById('tcp-stream-content');
 
     // Populate network interfaces
     try {
@@ -4224,38 +6062,19 @@ function setupPacketAnalysis() {
         console.warn('Could not load network interfaces:', e);
     }
 
-    // Simulated packet capture (for demo purposes)
-    let captureActive = false;
-    let packets = [];
-    let captureStartTime = null;
-    let captureInterval = null;
-
-    const simulatePackets = () => {
-        if (!captureActive) return;
-
-        const protocols = ['TCP', 'UDP', 'ICMP', 'HTTP', 'HTTPS', 'DNS'];
-        const packet = {
-            timestamp: new Date().toLocaleTimeString(),
-            sourceIP: `192.168.1.${Math.floor(Math.random() * 255)}`,
-            destIP: `8.8.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-            protocol: protocols[Math.floor(Math.random() * protocols.length)],
-            sourcePort: Math.floor(Math.random() * 65535) + 1024,
-            destPort: [80, 443, 53, 22, 3306][Math.floor(Math.random() * 5)],
-            length: Math.floor(Math.random() * 1500) + 64
-        };
-
-        const selectedProtocol = packetProtocol.value;
-        if (!selectedProtocol || packet.protocol === selectedProtocol) {
-            packets.push(packet);
-            updatePacketTable(packet);
-            updateStatistics();
-        }
-
-        if (packets.length >= parseInt(document.getElementById('packet-max-count').value)) {
-            stopCapture();
-        }
+    // Protocol filter options map to capture (BPF) filters applied by libpcap
+    const captureFilters = {
+        tcp: 'tcp',
+        udp: 'udp',
+        icmp: 'icmp or icmp6',
+        http: 'tcp port 80 or tcp port 8080',
+        https: 'tcp port 443',
+        dns: 'port 53'
     };
 
+    let captureActive = false;
+    let packetCount = 0;
+
     const updatePacketTable = (packet) => {
         const tbody = document.getElementById('packet-table-body');
         if (tbody.querySelector('td[colspan]')) {
@@ -4265,45 +6084,239 @@ function setupPacketAnalysis() {
         const row = tbody.insertRow(0);
         row.style.borderBottom = '1px solid var(--card-border)';
         row.innerHTML = `
-             <td style="padding: 8px;">${packet.timestamp}</td>
-             <td style="padding: 8px;">${packet.sourceIP}</td>
-             <td style="padding: 8px;">${packet.destIP}</td>
-             <td style="padding: 8px;">${packet.protocol}</td>
-             <td style="padding: 8px;">${packet.sourcePort}</td>
-             <td style="padding: 8px;">${packet.destPort}</td>
+             <td style="padding: 8px;">${new Date(packet.timestamp).toLocaleTimeString()}</td>
+             <td style="padding: 8px;">${packet.sourceIP || packet.sourceMAC || '-'}</td>
+             <td style="padding: 8px;">${packet.destIP || packet.destMAC || '-'}</td>
+             <td style="padding: 8px;">${packet.application || packet.protocol}</td>
+             <td style="padding: 8px;">${packet.sourcePort ?? '-'}</td>
+             <td style="padding: 8px;">${packet.destPort ?? '-'}</td>
              <td style="padding: 8px;">${packet.length} bytes</td>
          `;
 
+        row.style.cursor = 'pointer';
+        row.title = packet.info || '';
+        row.addEventListener('click', () => showPacketDetails(packet.number, row));
+        if (packet.tcpStream !== undefined) {
+            row.title += `${row.title ? '\n' : ''}TCP stream ${packet.tcpStream} - double-click to follow`;
+            row.addEventListener('dblclick', () => followStream(packet.tcpStream));
+        }
+
         // Keep only last 100 rows
         while (tbody.rows.length > 100) {
             tbody.deleteRow(tbody.rows.length - 1);
         }
     };
 
-    const updateStatistics = () => {
-        const totalPackets = packets.length;
-        const totalBytes = packets.reduce((sum, p) => sum + (p.length || 0), 0);
-        const duration = (Date.now() - captureStartTime) / 1000;
-        const packetsPerSec = Math.round(totalPackets / duration) || 0;
-        const bytesPerSec = Math.round(totalBytes / duration) || 0;
+    const renderPackets = (packets, emptyMessage) => {
+        const tbody = document.getElementById('packet-table-body');
+        tbody.innerHTML = '';
+        packets.forEach(packet => updatePacketTable(packet));
+        if (packets.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="7" style="padding: 20px; text-align: center; color: var(--text-secondary);">${emptyMessage}</td></tr>`;
+        }
+    };
+
+    const setFilterStatus = (message, isError = false) => {
+        displayFilterStatus.textContent = message;
+        displayFilterStatus.style.color = isError ? '#ef4444' : 'var(--text-secondary)';
+        displayFilterInput.style.borderColor = isError ? '#ef4444' : '';
+    };
 
-        document.getElementById('stat-total-packets').textContent = totalPackets;
-        document.getElementById('stat-total-bytes').textContent = formatBytes(totalBytes);
-        document.getElementById('stat-packets-per-sec').textContent = packetsPerSec;
-        document.getElementById('stat-bytes-per-sec').textContent = formatBytes(bytesPerSec) + '/s';
+    // Validate as the user types so syntax errors show up before the filter is applied
+    let validateTimer = null;
+    const validateDisplayFilter = () => {
+        clearTimeout(validateTimer);
+        validateTimer = setTimeout(async () => {
+            const result = await ipcRenderer.invoke('packet-validate-filter', displayFilterInput.value);
+            setFilterStatus(result.valid ? '' : result.error, !result.valid);
+        }, 300);
+    };
 
-        // Update protocol distribution
-        const protocolDist = {};
-        packets.forEach(p => {
-            protocolDist[p.protocol] = (protocolDist[p.protocol] || 0) + 1;
+    const applyDisplayFilter = async () => {
+        clearTimeout(validateTimer);
+        const expression = displayFilterInput.value.trim();
+        try {
+            const result = await ipcRenderer.invoke('packet-display-filter', expression);
+            renderPackets(result.packets, expression ? 'No packets match the display filter' : 'No packets captured yet');
+            setFilterStatus(expression ? `Displayed: ${result.matched} of ${result.total} packets` : '');
+        } catch (error) {
+            // ipcRenderer prefixes errors thrown in the main process
+            setFilterStatus(error.message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, ''), true);
+        }
+    };
+
+    // Packet detail tree: one collapsible node per protocol layer
+    const detailTree = document.getElementById('packet-detail-tree');
+    let selectedRow = null;
+
+    const renderTreeNode = (item, open) => {
+        if (!item.children) {
+            const leaf = document.createElement('div');
+            leaf.style.padding = '2px 0 2px 16px';
+            leaf.textContent = item.label;
+            return leaf;
+        }
+
+        const details = document.createElement('details');
+        details.open = open;
+        details.style.padding = '2px 0';
+        const summary = document.createElement('summary');
+        summary.style.cursor = 'pointer';
+        summary.textContent = item.label;
+        details.appendChild(summary);
+
+        const children = document.createElement('div');
+        children.style.paddingLeft = '16px';
+        item.children.forEach(child => children.appendChild(renderTreeNode(child, false)));
+        details.appendChild(children);
+        return details;
+    };
+
+    const showPacketDetails = async (number, row) => {
+        if (selectedRow) selectedRow.style.backgroundColor = '';
+        selectedRow = row;
+        row.style.backgroundColor = 'var(--result-bg)';
+
+        try {
+            const details = await ipcRenderer.invoke('packet-details', number);
+            detailTree.innerHTML = '';
+            // Expand the innermost (application) layer, as that is usually what is being looked for
+            details.tree.forEach((layer, index) => detailTree.appendChild(renderTreeNode(layer, index === details.tree.length - 1)));
+        } catch (error) {
+            detailTree.innerHTML = `<div style="color: var(--text-secondary);">${escapeHtml(error.message)}</div>`;
+        }
+    };
+
+    const resetPacketDetails = () => {
+        selectedRow = null;
+        detailTree.innerHTML = '<div style="color: var(--text-secondary);">Click a packet above to see its decoded fields</div>';
+    };
+
+    // Follow TCP stream: client data in red, server data in blue (as in Wireshark)
+    const streamColors = { client: '#ef4444', server: '#3b82f6' };
+    let followedStream = null;
+
+    const toAscii = (bytes) => Array.from(bytes, byte =>
+        (byte >= 0x20 && byte < 0x7f) || byte === 0x0a || byte === 0x0d || byte === 0x09
+            ? String.fromCharCode(byte)
+            : '.'
+    ).join('');
+
+    const toHexDump = (bytes) => {
+        const lines = [];
+        for (let offset = 0; offset < bytes.length; offset += 16) {
+            const row = bytes.subarray(offset, offset + 16);
+            const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+            const ascii = Array.from(row, byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('');
+            lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+        }
+        return lines.join('\n') + '\n';
+    };
+
+    const renderFollowedStream = () => {
+        streamContent.innerHTML = '';
+        if (!followedStream) return;
+
+        const direction = streamDirection.value;
+        const chunks = followedStream.chunks.filter(chunk => direction === 'both' || chunk.direction === direction);
+        if (chunks.length === 0) {
+            streamContent.textContent = 'No payload in this direction';
+            return;
+        }
+
+        chunks.forEach(chunk => {
+            const bytes = new Uint8Array(chunk.data);
+            const span = document.createElement('span');
+            span.style.color = streamColors[chunk.direction];
+            span.textContent = streamFormat.value === 'hex' ? toHexDump(bytes) : toAscii(bytes);
+            streamContent.appendChild(span);
         });
+    };
+
+    const followStream = async (index) => {
+        try {
+            followedStream = await ipcRenderer.invoke('packet-follow-tcp-stream', index);
+        } catch (error) {
+            UI.showSnackbar(`Could not follow stream: ${error.message}`, 3000);
+            return;
+        }
+
+        if (!streamSelect.querySelector(`option[value="${index}"]`)) {
+            await refreshStreams();
+        }
+        streamSelect.value = String(index);
+
+        const { clientToServer, serverToClient } = followedStream;
+        const issues = [
+            clientToServer.retransmissions + serverToClient.retransmissions > 0 && `${clientToServer.retransmissions + serverToClient.retransmissions} retransmissions`,
+            clientToServer.outOfOrder + serverToClient.outOfOrder > 0 && `${clientToServer.outOfOrder + serverToClient.outOfOrder} out-of-order`,
+            clientToServer.missingBytes + serverToClient.missingBytes > 0 && `${clientToServer.missingBytes + serverToClient.missingBytes} bytes missing`,
+            followedStream.truncated && 'truncated'
+        ].filter(Boolean);
+
+        streamSummary.innerHTML = `
+            <span style="color: ${streamColors.client};">${escapeHtml(followedStream.client)} → ${escapeHtml(followedStream.server)}: ${formatBytes(clientToServer.bytes)}</span> •
+            <span style="color: ${streamColors.server};">${formatBytes(serverToClient.bytes)} back</span> •
+            ${followedStream.packets} packets • ${followedStream.state}${issues.length ? ' • ' + issues.join(', ') : ''}
+        `;
+        renderFollowedStream();
+    };
+
+    const refreshStreams = async () => {
+        const streams = await ipcRenderer.invoke('packet-tcp-streams');
+        const selected = streamSelect.value;
+
+        streamSelect.innerHTML = streams.length === 0
+            ? '<option value="">No TCP streams captured yet</option>'
+            : '<option value="">Select a TCP stream...</option>' + streams.map(stream => `
+                <option value="${stream.index}">
+                    Stream ${stream.index}: ${escapeHtml(stream.client)} → ${escapeHtml(stream.server)}
+                    (${formatBytes(stream.clientToServer.bytes + stream.serverToClient.bytes)}, ${stream.state})
+                </option>
+            `).join('');
+
+        if (streams.some(stream => String(stream.index) === selected)) {
+            streamSelect.value = selected;
+        }
+    };
+
+    const resetFollowedStream = () => {
+        followedStream = null;
+        streamSelect.innerHTML = '<option value="">No TCP streams captured yet</option>';
+        streamSummary.textContent = '';
+        streamContent.textContent = 'Select a stream, or double-click a TCP packet above';
+    };
+
+    const updateStatistics = (stats) => {
+        if (!stats) return;
+
+        document.getElementById('stat-total-packets').textContent = stats.totalPackets;
+        document.getElementById('stat-total-bytes').textContent = formatBytes(stats.totalBytes);
+        document.getElementById('stat-packets-per-sec').textContent = stats.packetsPerSecond;
+        document.getElementById('stat-bytes-per-sec').textContent = formatBytes(stats.bytesPerSecond) + '/s';
+
+        // Statistics cover every packet; only the most recent ones stay in memory
+        const bufferStatus = document.getElementById('packet-buffer-status');
+        if (stats.buffer) {
+            const { storedPackets, storedBytes, evictedPackets } = stats.buffer;
+            let status = `In memory: ${storedPackets} packets (${formatBytes(storedBytes)})`;
+            if (evictedPackets > 0) status += ` • ${evictedPackets} older packets dropped from memory`;
+            if (stats.spill) {
+                status += stats.spill.error
+                    ? ` • Saving to disk failed: ${stats.spill.error}`
+                    : ` • Saved ${formatBytes(stats.spill.totalBytes)} to ${stats.spill.currentFile}`;
+                if (stats.spill.droppedFrames > 0) status += ` • ${stats.spill.droppedFrames} packets not saved (disk too slow)`;
+            }
+            bufferStatus.textContent = status;
+        }
 
+        // Update protocol distribution
         const distDiv = document.getElementById('protocol-distribution');
-        if (Object.keys(protocolDist).length === 0) {
+        if (Object.keys(stats.protocols).length === 0) {
             distDiv.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 20px;">No data captured yet</div>';
         } else {
-            distDiv.innerHTML = Object.entries(protocolDist).map(([protocol, count]) => {
-                const percentage = Math.round((count / totalPackets) * 100);
+            distDiv.innerHTML = Object.entries(stats.protocols).map(([protocol, count]) => {
+                const percentage = Math.round((count / stats.totalPackets) * 100);
                 return `
                      <div style="background-color: var(--result-bg); padding: 12px; border-radius: 4px;">
                          <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
@@ -4319,86 +6332,173 @@ function setupPacketAnalysis() {
         }
 
         // Update top connections
-        const connMap = {};
-        packets.forEach(p => {
-            const conn = `${p.sourceIP}:${p.sourcePort} → ${p.destIP}:${p.destPort}`;
-            connMap[conn] = (connMap[conn] || 0) + 1;
-        });
-
-        const topConn = Object.entries(connMap)
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 5);
+        const topConn = stats.topConnections.slice(0, 5);
 
         const connDiv = document.getElementById('top-connections');
         if (topConn.length === 0) {
             connDiv.innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 20px;">No connections captured yet</div>';
         } else {
-            connDiv.innerHTML = topConn.map(([conn, count]) => `
+            connDiv.innerHTML = topConn.map(conn => `
                  <div style="background-color: var(--result-bg); padding: 12px; border-radius: 4px;">
-                     <div style="font-size: 12px; font-family: monospace; margin-bottom: 4px;">${conn}</div>
-                     <div style="font-size: 12px; color: var(--text-secondary);">Packets: ${count}</div>
+                     <div style="font-size: 12px; font-family: monospace; margin-bottom: 4px;">${conn.connection.replace('->', '→')}</div>
+                     <div style="font-size: 12px; color: var(--text-secondary);">Packets: ${conn.count} • ${formatBytes(conn.bytes)}</div>
                  </div>
              `).join('');
         }
     };
 
-    const startCapture = () => {
-        captureActive = true;
-        captureStartTime = Date.now();
-        packets = [];
+    const resetCaptureUI = () => {
+        captureActive = false;
+        startBtn.disabled = false;
+        stopBtn.disabled = true;
+        clearBtn.disabled = false;
+        exportBtn.disabled = false;
+        importBtn.disabled = false;
+    };
+
+    const startCapture = async () => {
         startBtn.disabled = true;
+
+        try {
+            const numberValue = (id) => parseInt(document.getElementById(id).value) || 0;
+            await ipcRenderer.invoke('packet-capture-start', {
+                interface: packetInterface.value || null,
+                bpfFilter: captureFilters[packetProtocol.value] || null,
+                maxPackets: numberValue('packet-max-count'),
+                buffer: {
+                    maxPackets: numberValue('packet-buffer-packets'),
+                    maxSeconds: numberValue('packet-buffer-minutes') * 60,
+                    maxMemoryMB: numberValue('packet-buffer-memory')
+                },
+                spill: document.getElementById('packet-spill-enabled').checked
+                    ? { fileSizeMB: numberValue('packet-spill-size') || 100, maxFiles: numberValue('packet-spill-files') }
+                    : null
+            });
+        } catch (error) {
+            startBtn.disabled = false;
+            UI.showSnackbar(`Failed to start capture: ${error.message}`, 4000);
+            return;
+        }
+
+        captureActive = true;
+        packetCount = 0;
         stopBtn.disabled = false;
         clearBtn.disabled = true;
         exportBtn.disabled = true;
+        importBtn.disabled = true;
 
         const tbody = document.getElementById('packet-table-body');
         tbody.innerHTML = '';
+        resetPacketDetails();
+        resetFollowedStream();
 
         UI.showSnackbar('Packet capture started...', 3000);
-
-        captureInterval = setInterval(simulatePackets, 100);
     };
 
-    const stopCapture = () => {
-        captureActive = false;
-        if (captureInterval) clearInterval(captureInterval);
-        startBtn.disabled = false;
+    const stopCapture = async () => {
         stopBtn.disabled = true;
-        clearBtn.disabled = false;
-        exportBtn.disabled = false;
-
-        UI.showSnackbar(`Capture stopped. ${packets.length} packets captured.`, 3000);
+        try {
+            await ipcRenderer.invoke('packet-capture-stop');
+        } catch (error) {
+            // Capture already ended in the main process
+            resetCaptureUI();
+        }
     };
 
+    // Packets are streamed in batches from the capture engine in the main process
+    ipcRenderer.on?.('packet-captured', (event, batch, stats) => {
+        if (!captureActive) return;
+        packetCount += batch.length;
+        batch.forEach(packet => updatePacketTable(packet));
+        updateStatistics(stats);
+    });
+
+    ipcRenderer.on?.('packet-capture-stopped', (event, stats) => {
+        updateStatistics(stats);
+        refreshStreams();
+        if (captureActive) {
+            resetCaptureUI();
+            UI.showSnackbar(`Capture stopped. ${packetCount} packets captured.`, 3000);
+        }
+    });
+
+    // Traffic relayed by Server Maker proxies also counts in the connection statistics
+    ipcRenderer.on?.('packet-statistics', (event, stats) => updateStatistics(stats));
+
+    ipcRenderer.on?.('packet-capture-error', (event, message) => {
+        UI.showSnackbar(`Packet capture error: ${message}`, 5000);
+    });
+
+    displayFilterInput.addEventListener('input', validateDisplayFilter);
+    displayFilterInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyDisplayFilter();
+    });
+    applyFilterBtn.addEventListener('click', applyDisplayFilter);
+    clearFilterBtn.addEventListener('click', () => {
+        displayFilterInput.value = '';
+        applyDisplayFilter();
+    });
+
+    streamSelect.addEventListener('change', () => {
+        if (streamSelect.value !== '') followStream(parseInt(streamSelect.value));
+    });
+    streamDirection.addEventListener('change', renderFollowedStream);
+    streamFormat.addEventListener('change', renderFollowedStream);
+    document.getElementById('refresh-tcp-streams-btn').addEventListener('click', refreshStreams);
+
     startBtn.addEventListener('click', startCapture);
     stopBtn.addEventListener('click', stopCapture);
-    clearBtn.addEventListener('click', () => {
-        packets = [];
-        const tbody = document.getElementById('packet-table-body');
-        tbody.innerHTML = '<tr><td colspan="7" style="padding: 20px; text-align: center; color: var(--text-secondary);">No packets captured yet</td></tr>';
+    clearBtn.addEventListener('click', async () => {
+        try {
+            await ipcRenderer.invoke('packet-capture-clear');
+        } catch (error) {
+            UI.showSnackbar(error.message, 3000);
+            return;
+        }
+        packetCount = 0;
+        renderPackets([], 'No packets captured yet');
+        resetPacketDetails();
+        resetFollowedStream();
+        if (displayFilterInput.value.trim()) setFilterStatus('');
         document.getElementById('stat-total-packets').textContent = '0';
         document.getElementById('stat-total-bytes').textContent = '0 B';
         document.getElementById('stat-packets-per-sec').textContent = '0';
         document.getElementById('stat-bytes-per-sec').textContent = '0 KB/s';
+        document.getElementById('packet-buffer-status').textContent = '';
         document.getElementById('protocol-distribution').innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 20px;">No data captured yet</div>';
         document.getElementById('top-connections').innerHTML = '<div style="color: var(--text-secondary); text-align: center; padding: 20px;">No connections captured yet</div>';
         UI.showSnackbar('Packet data cleared', 2000);
     });
 
-    exportBtn.addEventListener('click', () => {
-        if (packets.length === 0) {
-            UI.showSnackbar('No packets to export', 2000);
-            return;
+    exportBtn.addEventListener('click', async () => {
+        const format = exportFormat?.value || 'pcap';
+        try {
+            const result = await ipcRenderer.invoke('packet-capture-export', format);
+            if (result.canceled) return;
+            UI.showSnackbar(`Packets exported to ${result.filePath}`, 3000);
+        } catch (error) {
+            UI.showSnackbar(`Export failed: ${error.message}`, 4000);
+        }
+    });
+
+    importBtn.addEventListener('click', async () => {
+        try {
+            const result = await ipcRenderer.invoke('packet-capture-import');
+            if (result.canceled) return;
+
+            packetCount = result.totalPackets;
+            const filtered = result.matched !== result.totalPackets;
+            renderPackets(result.packets, filtered ? 'No packets match the display filter' : 'No packets in capture file');
+            if (filtered) setFilterStatus(`Displayed: ${result.matched} of ${result.totalPackets} packets`);
+            updateStatistics(result.statistics);
+            resetPacketDetails();
+            resetFollowedStream();
+            refreshStreams();
+
+            UI.showSnackbar(`Loaded ${result.totalPackets} packets from ${result.fileName} (${result.format.toUpperCase()})`, 3000);
+        } catch (error) {
+            UI.showSnackbar(`Import failed: ${error.message}`, 4000);
         }
-        const data = JSON.stringify(packets, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `packets-${Date.now()}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
-        UI.showSnackbar('Packets exported', 2000);
     });
 }
 
@@ -5015,6 +7115,7 @@ const initializeApp = async () => {
         setupNoInternetPageHandlers();
         setupNetworkScanner();
         setupPortChecker();
+        setupPortScanner();
         setupNetworkMonitor();
         setupNetworkOptimizer();
         setupNetworkInfo();
@@ -0,0 +1,193 @@
+/**
+ * Request Log Module
+ * Structured log of the requests reaching Server Maker's servers: capped per server,
+ * filterable, and replayable against the server that received them
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Requests kept per server; the oldest are dropped first
+const MAX_REQUESTS = 500;
+
+// Request and response bodies are kept up to this size
+const MAX_CAPTURED_BODY = 256 * 1024;
+
+// Header marking replayed requests, so the log can link them to the original
+const REPLAY_HEADER = 'x-netnavigator-replay-of';
+
+/**
+ * Request as the log keeps it; bodies are stored base64-encoded
+ * @param {object} info - {
+ *   protocol: http, https, ws or dns, method, url, httpVersion, headers: [[name, value]], remoteAddress,
+ *   body (Buffer), bodySize, status, responseHeaders, responseBody (Buffer or string), responseSize (when the
+ *   body is cut short), duration, route, injected
+ * }
+ */
+function createRecord(info) {
+    const encode = (body) => {
+        if (body === undefined || body === null) return '';
+        const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body), 'utf8');
+        return buffer.subarray(0, MAX_CAPTURED_BODY).toString('base64');
+    };
+    const headers = info.headers || [];
+    const replayOf = headers.find(([name]) => name.toLowerCase() === REPLAY_HEADER);
+
+    return {
+        timestamp: new Date().toISOString(),
+        protocol: info.protocol || 'http',
+        method: info.method,
+        url: info.url,
+        httpVersion: info.httpVersion || null,
+        headers,
+        remoteAddress: info.remoteAddress || null,
+        body: encode(info.body),
+        bodySize: info.bodySize || 0,
+        status: info.status,
+        responseHeaders: info.responseHeaders || {},
+        responseBody: encode(info.responseBody),
+        responseSize: info.responseSize ?? (info.responseBody ? Buffer.byteLength(info.responseBody) : 0),
+        duration: info.duration,
+        route: info.route || null,
+        injected: Boolean(info.injected),
+        replayOf: replayOf ? replayOf[1] : null
+    };
+}
+
+class RequestLog {
+    constructor(limit = MAX_REQUESTS) {
+        this.limit = limit;
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add a record from createRecord()
+     * @returns {object} The stored entry (with its id)
+     */
+    add(record) {
+        const entry = { id: String(this.nextId++), ...record };
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) this.entries.shift();
+        return entry;
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === String(id)) || null;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Newest first. Every search word must appear in the method, URL, status, client, a header
+     * or the request body; status narrows to a class such as "4xx"
+     * @param {object} filter - { search, status }
+     * @returns {Array<object>} Summaries without headers and bodies
+     */
+    list({ search = '', status = '' } = {}) {
+        const words = String(search).toLowerCase().split(/\s+/).filter(Boolean);
+        const statusClass = /^[1-5]xx$/i.test(status) ? status[0] : null;
+
+        return this.entries.filter((entry) => {
+            if (statusClass && String(entry.status)[0] !== statusClass) return false;
+            if (words.length === 0) return true;
+            const haystack = [
+                entry.method,
+                entry.url,
+                entry.status,
+                entry.remoteAddress,
+                ...entry.headers.map(([name, value]) => `${name}: ${value}`),
+                Buffer.from(entry.body, 'base64').toString('utf8')
+            ].join('\n').toLowerCase();
+            return words.every(word => haystack.includes(word));
+        }).reverse().map(summarize);
+    }
+}
+
+function summarize(entry) {
+    return {
+        id: entry.id,
+        timestamp: entry.timestamp,
+        protocol: entry.protocol,
+        method: entry.method,
+        url: entry.url,
+        status: entry.status,
+        duration: entry.duration,
+        bodySize: entry.bodySize,
+        responseSize: entry.responseSize,
+        remoteAddress: entry.remoteAddress,
+        injected: entry.injected,
+        replayOf: entry.replayOf
+    };
+}
+
+/**
+ * Whether the whole request body was captured, so a replay sends the same request
+ */
+function isBodyComplete(entry) {
+    return Buffer.from(entry.body || '', 'base64').length >= (entry.bodySize || 0);
+}
+
+/**
+ * Send a logged HTTP request again to the server on the given port; requests whose body
+ * was cut short when captured are refused rather than replayed truncated
+ * @param {object} entry - Entry from RequestLog
+ * @param {object} target - { port, secure }
+ * @returns {Promise<object>} { status, headers, duration, size }
+ */
+function replayRequest(entry, { port, secure }) {
+    if (entry.protocol !== 'http' && entry.protocol !== 'https') {
+        throw new Error(`${entry.protocol.toUpperCase()} requests cannot be replayed`);
+    }
+
+    const body = Buffer.from(entry.body, 'base64');
+    if (!isBodyComplete(entry)) {
+        throw new Error(`Only the first ${body.length} of ${entry.bodySize} body bytes were captured, so the request cannot be replayed`);
+    }
+    const headers = {};
+    for (const [name, value] of entry.headers) {
+        // Hop-by-hop and length headers are recomputed for the new connection
+        if (/^(content-length|transfer-encoding|connection|keep-alive)$/i.test(name)) continue;
+        if (name.toLowerCase() === REPLAY_HEADER) continue;
+        headers[name] = headers[name] !== undefined ? [].concat(headers[name], value) : value;
+    }
+    headers['Content-Length'] = body.length;
+    headers[REPLAY_HEADER] = entry.id;
+
+    const client = secure ? https : http;
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+        const request = client.request({
+            host: 'localhost',
+            port,
+            method: entry.method,
+            path: entry.url,
+            headers,
+            // Server Maker's own servers usually have self-signed certificates
+            rejectUnauthorized: false,
+            timeout: 30000
+        }, (response) => {
+            let size = 0;
+            response.on('data', (chunk) => { size += chunk.length; });
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                duration: Date.now() - started,
+                size
+            }));
+        });
+        request.on('timeout', () => request.destroy(new Error('Replay timed out after 30 seconds')));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = RequestLog;
+module.exports.MAX_CAPTURED_BODY = MAX_CAPTURED_BODY;
+module.exports.createRecord = createRecord;
+module.exports.summarize = summarize;
+module.exports.isBodyComplete = isBodyComplete;
+module.exports.replayRequest = replayRequest;
@@ -0,0 +1,94 @@
+/**
+ * Rotating Log Module
+ * Line-oriented log file that rolls over at a size limit (server.log becomes
+ * server.log.1, and so on, dropping the oldest), so long-running servers keep
+ * a bounded amount of output on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OPTIONS = {
+    maxBytes: 1024 * 1024,
+    maxFiles: 3
+};
+
+// "<ISO timestamp> [<stream>] <text>"
+const LINE_PATTERN = /^(\S+) \[(\w+)\] (.*)$/;
+
+class RotatingLog {
+    /**
+     * @param {string} filePath - Current log file; rotated files get .1, .2... appended
+     * @param {object} options - { maxBytes: size that triggers a rotation (default 1 MiB), maxFiles: rotated files kept (default 3) }
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.size = null;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append text as timestamped lines tagged with the stream it came from (stdout, stderr, ...)
+     */
+    write(stream, text) {
+        const timestamp = new Date().toISOString();
+        const lines = String(text).split(/\r?\n/);
+        if (lines[lines.length - 1] === '') lines.pop();
+        if (lines.length === 0) return this.queue;
+        const data = lines.map(line => `${timestamp} [${stream}] ${line}\n`).join('');
+
+        // Writes are serialized so rotation never interleaves with an append
+        this.queue = this.queue.then(async () => {
+            if (this.size === null) {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                this.size = await fs.promises.stat(this.filePath).then(stats => stats.size, () => 0);
+            }
+            if (this.size > 0 && this.size + Buffer.byteLength(data) > this.options.maxBytes) {
+                await this.rotate();
+            }
+            await fs.promises.appendFile(this.filePath, data);
+            this.size += Buffer.byteLength(data);
+        }).catch((error) => {
+            console.error(`Log ${this.filePath} not written:`, error.message);
+        });
+        return this.queue;
+    }
+
+    async rotate() {
+        const { maxFiles } = this.options;
+        await fs.promises.rm(`${this.filePath}.${maxFiles}`, { force: true });
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            await fs.promises.rename(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`).catch(() => {});
+        }
+        await fs.promises.rename(this.filePath, `${this.filePath}.1`);
+        this.size = 0;
+    }
+
+    /**
+     * Last lines of the log, reaching into rotated files when the current one is short
+     * @returns {Promise<Array<object>>} { timestamp, stream, text }, oldest first
+     */
+    async tail(count = 500) {
+        await this.queue;
+        let lines = [];
+        for (let index = 0; index <= this.options.maxFiles && lines.length < count; index++) {
+            const file = index === 0 ? this.filePath : `${this.filePath}.${index}`;
+            let content;
+            try {
+                content = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                break;
+            }
+            lines = content.split('\n').filter(Boolean).concat(lines);
+        }
+        return lines.slice(-count).map((line) => {
+            const match = line.match(LINE_PATTERN);
+            return match
+                ? { timestamp: match[1], stream: match[2], text: match[3] }
+                : { timestamp: null, stream: 'stdout', text: line };
+        });
+    }
+}
+
+module.exports = RotatingLog;
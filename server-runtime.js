@@ -0,0 +1,351 @@
+/**
+ * Server Runtime
+ * Entry point of the child process Server Maker starts for a workspace: reads the
+ * workspace's config.json, runs the server it describes and applies later edits
+ * to that file without a restart
+ *
+ * Usage: node server-runtime.js <workspace directory>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const DnsServer = require('./dns-server');
+const WebSocketServer = require('./websocket');
+const { createRouter } = require('./mock-http');
+const { createConnectionHandler } = require('./tcp-server');
+const { createRecord, MAX_CAPTURED_BODY } = require('./request-log');
+const { createTcpForwarder, createReverseProxy, BIND_ADDRESSES } = require('./proxy-server');
+
+// Relayed traffic is batched into one 'traffic' message per interval
+const TRAFFIC_REPORT_INTERVAL = 1000;
+
+/**
+ * Message the Server Maker (when started with an IPC channel)
+ */
+function report(message) {
+    if (process.send) process.send(message);
+}
+
+async function readConfig(workspace) {
+    return JSON.parse(await fs.promises.readFile(path.join(workspace, 'config.json'), 'utf8'));
+}
+
+/**
+ * Call onChange with the new config whenever config.json is saved
+ */
+function watchConfig(workspace, onChange) {
+    let timer = null;
+    fs.watch(workspace, (eventType, filename) => {
+        if (filename !== 'config.json') return;
+        // Editors and atomic saves fire several events per save
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            readConfig(workspace).then(onChange).catch(error => console.error(`Config not reloaded: ${error.message}`));
+        }, 200);
+    });
+}
+
+// ============================================================
+// Server Types
+// Each starts a server from the config (and its workspace directory) and resolves to
+// { close(callback), reload(config) }
+// ============================================================
+
+/**
+ * Certificate and key of an HTTPS server; relative paths start at the workspace
+ */
+async function loadTls(config, workspace) {
+    const { certFile, keyFile } = config.tls || {};
+    if (!certFile || !keyFile) throw new Error('No certificate configured');
+    const [cert, key] = await Promise.all([
+        fs.promises.readFile(path.resolve(workspace, certFile)),
+        fs.promises.readFile(path.resolve(workspace, keyFile))
+    ]);
+    return { cert, key };
+}
+
+/**
+ * HTTP and HTTPS servers answer from the route table
+ */
+async function startHttpServer(config, workspace) {
+    const hostname = 'localhost';
+    const secure = config.type === 'https';
+    const router = createRouter(config.http, {
+        baseDir: workspace,
+        captureLimit: MAX_CAPTURED_BODY,
+        onResponse: (info) => {
+            const note = info.injected ? ' [injected error]' : '';
+            console.log(`${info.method} ${info.url} -> ${info.status} (${info.duration} ms)${note}`);
+            report({ type: 'request', request: createRecord({ ...info, protocol: config.type }) });
+        }
+    });
+    const server = secure
+        ? https.createServer(await loadTls(config, workspace), router)
+        : http.createServer(router);
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, hostname, resolve);
+    });
+    console.log(`Server running at ${secure ? 'https' : 'http'}://${hostname}:${config.port}/`);
+
+    return {
+        close: (callback) => {
+            server.close(callback);
+            server.closeAllConnections();
+        },
+        reload: (next) => {
+            router.reload(next.http);
+            console.log(`Routes reloaded (${(next.http && next.http.routes || []).length} routes)`);
+        }
+    };
+}
+
+async function startSocketServer(config) {
+    const handler = createConnectionHandler(config.socket, {
+        onClose: ({ client, received, sent, duration }) => {
+            console.log(`${client} disconnected after ${duration} ms (${received} bytes received, ${sent} sent)`);
+        }
+    });
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        console.log(`${socket.remoteAddress}:${socket.remotePort} connected`);
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        handler(socket);
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, 'localhost', resolve);
+    });
+    console.log(`TCP ${config.socket.mode} server listening on localhost:${config.port}`);
+
+    return {
+        close: (callback) => {
+            server.close(callback);
+            sockets.forEach(socket => socket.destroy());
+        },
+        reload: (next) => {
+            handler.reload(next.socket);
+            console.log(`Settings reloaded (${next.socket.mode} mode)`);
+        }
+    };
+}
+
+async function startWebSocketServer(config) {
+    let mode = config.ws.mode;
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain; charset=utf-8', Upgrade: 'websocket' });
+        res.end('This is a WebSocket server; connect with a WebSocket client');
+    });
+    const wss = new WebSocketServer(server);
+
+    wss.on('connection', (connection) => {
+        const { request } = connection;
+        const client = `${connection.remoteAddress} ${request.url}`;
+        console.log(`WebSocket ${client} connected (${wss.clients.size} open)`);
+        const headers = [];
+        for (let i = 0; i < request.rawHeaders.length; i += 2) headers.push([request.rawHeaders[i], request.rawHeaders[i + 1]]);
+        report({
+            type: 'request',
+            request: createRecord({
+                protocol: 'ws',
+                method: request.method,
+                url: request.url,
+                httpVersion: request.httpVersion,
+                headers,
+                remoteAddress: connection.remoteAddress,
+                status: 101,
+                duration: 0
+            })
+        });
+        connection.on('message', (data, isBinary) => {
+            const preview = isBinary ? `${data.length} bytes binary` : JSON.stringify(data.length > 200 ? `${data.slice(0, 200)}...` : data);
+            console.log(`WebSocket ${client} message: ${preview}`);
+            if (mode === 'broadcast') wss.broadcast(data, isBinary);
+            else connection.send(data, isBinary);
+        });
+        connection.on('close', (code) => {
+            console.log(`WebSocket ${client} closed (${code})`);
+        });
+        connection.on('error', () => {});
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, 'localhost', resolve);
+    });
+    console.log(`WebSocket ${mode} server running at ws://localhost:${config.port}/`);
+
+    return {
+        close: (callback) => {
+            wss.close();
+            server.close(callback);
+            server.closeAllConnections();
+        },
+        reload: (next) => {
+            mode = next.ws.mode;
+            console.log(`Settings reloaded (${mode} mode)`);
+        }
+    };
+}
+
+async function startDnsServer(config) {
+    const server = new DnsServer({ ...config.dns, port: config.port });
+
+    server.on('query', (query) => {
+        const via = query.forwarded ? ', forwarded' : '';
+        console.log(`${query.protocol.toUpperCase()} ${query.client} ${query.name} ${query.type} -> ${query.rcode} (${query.answers} answers${via}, ${query.duration} ms)`);
+        report({
+            type: 'request',
+            request: createRecord({
+                protocol: 'dns',
+                method: query.type,
+                url: query.name,
+                remoteAddress: query.client,
+                status: query.rcode,
+                duration: query.duration,
+                route: query.forwarded ? 'forwarded' : null
+            })
+        });
+    });
+    server.on('error', error => console.error(error.message));
+
+    const { host, port } = await server.start();
+    console.log(`DNS server for ${server.origin} (${server.records.length} records) running on ${host}:${port} (UDP and TCP)`);
+
+    return {
+        close: (callback) => {
+            server.stop();
+            callback();
+        },
+        reload: (next) => {
+            server.configure({ ...next.dns });
+            console.log(`Zone ${server.origin} reloaded (${server.records.length} records)`);
+        }
+    };
+}
+
+/**
+ * TCP port forwarder or HTTP reverse proxy; with logTraffic set, the bytes relayed per
+ * client connection are reported for Packet Analysis's connection statistics
+ */
+async function startProxyServer(config) {
+    let settings = config.proxy;
+    const traffic = new Map();
+
+    const onTraffic = ({ client, target, bytes, count }) => {
+        if (!settings.logTraffic) return;
+        const key = `${client} -> ${target}`;
+        const entry = traffic.get(key) || { client, target, bytes: 0, count: 0 };
+        entry.bytes += bytes;
+        entry.count += count;
+        traffic.set(key, entry);
+    };
+    const reportTimer = setInterval(() => {
+        if (traffic.size === 0) return;
+        report({ type: 'traffic', connections: Array.from(traffic.values()) });
+        traffic.clear();
+    }, TRAFFIC_REPORT_INTERVAL);
+
+    const onClose = ({ client, target, sent, received, duration, error }) => {
+        const failure = error ? `, ${error}` : '';
+        console.log(`${client} -> ${target} closed after ${duration} ms (${sent} bytes sent, ${received} received${failure})`);
+    };
+
+    let handler;
+    let server;
+    if (settings.mode === 'http') {
+        handler = createReverseProxy(settings, {
+            captureLimit: MAX_CAPTURED_BODY,
+            onTraffic,
+            onClose,
+            onResponse: (info) => {
+                const failure = info.error ? ` [${info.error}]` : '';
+                console.log(`${info.method} ${info.url} -> ${info.status} (${info.duration} ms)${failure}`);
+                report({ type: 'request', request: createRecord({ ...info, protocol: 'http' }) });
+            }
+        });
+        server = http.createServer(handler);
+        server.on('connection', handler.connection);
+        server.on('upgrade', handler.upgrade);
+    } else {
+        handler = createTcpForwarder(settings, {
+            onOpen: ({ client, target }) => console.log(`${client} -> ${target} connected`),
+            onTraffic,
+            onClose
+        });
+        server = net.createServer({ allowHalfOpen: true }, handler);
+    }
+
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    const host = BIND_ADDRESSES[settings.bind];
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(config.port, host, resolve);
+    });
+    const kind = settings.mode === 'http' ? 'HTTP reverse proxy' : 'TCP forwarder';
+    console.log(`${kind} listening on ${host}:${config.port}, forwarding to ${settings.target}`);
+
+    return {
+        close: (callback) => {
+            clearInterval(reportTimer);
+            server.close(callback);
+            sockets.forEach(socket => socket.destroy());
+        },
+        reload: (next) => {
+            if (next.proxy.mode !== settings.mode || next.proxy.bind !== settings.bind) {
+                console.error('Mode and listen address apply after a restart');
+            }
+            handler.reload({ ...next.proxy, mode: settings.mode, bind: settings.bind });
+            settings = { ...next.proxy, mode: settings.mode, bind: settings.bind };
+            console.log(`Settings reloaded (forwarding to ${settings.target})`);
+        }
+    };
+}
+
+const SERVER_TYPES = {
+    http: startHttpServer,
+    https: startHttpServer,
+    socket: startSocketServer,
+    ws: startWebSocketServer,
+    dns: startDnsServer,
+    proxy: startProxyServer
+};
+
+async function main(workspace) {
+    const config = await readConfig(workspace);
+    const start = SERVER_TYPES[config.type] || startHttpServer;
+    const server = await start(config, workspace);
+    report({ type: 'ready', port: config.port });
+
+    watchConfig(workspace, (next) => {
+        try {
+            server.reload(next);
+        } catch (error) {
+            console.error(`Config not reloaded: ${error.message}`);
+        }
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM signal received: closing server');
+        server.close(() => {
+            console.log('Server closed');
+            process.exit(0);
+        });
+    });
+}
+
+main(path.resolve(process.argv[2] || process.cwd())).catch((error) => {
+    console.error(`Failed to start server: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,246 @@
+/**
+ * Service Signatures Module
+ * Identifies services from the banner or probe response an open port returns,
+ * falling back to the port's well-known assignment when nothing matches
+ */
+
+// Well-known TCP port assignments, used when no banner identifies the service
+const WELL_KNOWN_PORTS = {
+    20: 'FTP Data',
+    21: 'FTP',
+    22: 'SSH',
+    23: 'Telnet',
+    25: 'SMTP',
+    53: 'DNS',
+    80: 'HTTP',
+    88: 'Kerberos',
+    110: 'POP3',
+    111: 'RPCbind',
+    119: 'NNTP',
+    135: 'MS RPC',
+    139: 'NetBIOS',
+    143: 'IMAP',
+    389: 'LDAP',
+    443: 'HTTPS',
+    445: 'SMB',
+    465: 'SMTPS',
+    514: 'Syslog',
+    515: 'LPD',
+    548: 'AFP',
+    554: 'RTSP',
+    587: 'SMTP Submission',
+    631: 'IPP',
+    636: 'LDAPS',
+    853: 'DNS over TLS',
+    873: 'rsync',
+    993: 'IMAPS',
+    995: 'POP3S',
+    1080: 'SOCKS',
+    1433: 'MS SQL Server',
+    1521: 'Oracle',
+    1723: 'PPTP',
+    1883: 'MQTT',
+    2049: 'NFS',
+    2375: 'Docker',
+    2376: 'Docker (TLS)',
+    3000: 'Node/Development',
+    3001: 'Development',
+    3128: 'Squid Proxy',
+    3306: 'MySQL',
+    3389: 'RDP',
+    5000: 'Flask/Development',
+    5060: 'SIP',
+    5222: 'XMPP',
+    5432: 'PostgreSQL',
+    5672: 'AMQP',
+    5900: 'VNC',
+    5984: 'CouchDB',
+    6379: 'Redis',
+    6443: 'Kubernetes API',
+    8000: 'Development',
+    8080: 'HTTP Proxy',
+    8443: 'HTTPS Proxy',
+    8883: 'MQTT (TLS)',
+    9000: 'SonarQube',
+    9090: 'Prometheus',
+    9092: 'Kafka',
+    9200: 'Elasticsearch',
+    11211: 'Memcached',
+    27017: 'MongoDB'
+};
+
+/**
+ * Probes sent when an open port stays silent. The first probe whose ports
+ * include the scanned port is used, otherwise the generic HTTP probe
+ */
+const PROBES = [
+    { name: 'redis', ports: [6379], payload: Buffer.from('*1\r\n$4\r\nPING\r\n') },
+    // SSLRequest: PostgreSQL answers a single "S" or "N"
+    { name: 'postgresql', ports: [5432], payload: Buffer.from([0, 0, 0, 8, 0x04, 0xd2, 0x16, 0x2f]) },
+    { name: 'memcached', ports: [11211], payload: Buffer.from('version\r\n') },
+    { name: 'http', ports: null, payload: Buffer.from('HEAD / HTTP/1.0\r\n\r\n') }
+];
+
+/**
+ * Banner signatures, checked in order. `match` receives the banner as a latin1
+ * string and returns { product, version } when the service is recognized
+ */
+const SIGNATURES = [
+    {
+        service: 'SSH',
+        pattern: /^SSH-([\d.]+)-(\S+)/,
+        match: (m) => {
+            const software = m[2].match(/^([A-Za-z]+)[_-]([\w.]+)/);
+            return software
+                ? { product: software[1] === 'dropbear' ? 'Dropbear' : software[1], version: software[2] }
+                : { product: m[2], version: null };
+        }
+    },
+    {
+        service: 'HTTP',
+        pattern: /^HTTP\/\d(?:\.\d)? \d{3}/,
+        match: (m, banner) => {
+            const server = banner.match(/\r?\nServer:[ \t]*([^\r\n]+)/i);
+            if (/You Know, for Search/.test(banner)) return { product: 'Elasticsearch', version: null };
+            if (!server) return { product: null, version: null };
+            const parts = server[1].trim().match(/^([^/\s]+)(?:\/([\w.-]+))?/);
+            return { product: parts[1], version: parts[2] || null };
+        }
+    },
+    {
+        service: 'FTP',
+        pattern: /^220[ -].*?\b(vsFTPd|ProFTPD|Pure-FTPd|FileZilla Server|Microsoft FTP Service)\b[ v]*([\d.]+\w*)?/i,
+        match: (m) => ({ product: m[1], version: m[2] || null })
+    },
+    {
+        service: 'SMTP',
+        pattern: /^220[ -]\S+ .*?\bE?SMTP\b(?:\s+(Postfix|Exim|Sendmail|Microsoft ESMTP MAIL Service))?(?:\s+([\d.]+))?/i,
+        match: (m) => ({ product: m[1] || null, version: m[2] || null })
+    },
+    {
+        service: 'FTP',
+        pattern: /^220[ -].*\bftp\b/i,
+        match: () => ({ product: null, version: null })
+    },
+    {
+        service: 'POP3',
+        pattern: /^\+OK\b(?:.*?\b(Dovecot))?/,
+        match: (m) => ({ product: m[1] || null, version: null })
+    },
+    {
+        service: 'IMAP',
+        pattern: /^\* (?:OK|PREAUTH)\b.*?IMAP/i,
+        match: (m, banner) => ({ product: /Dovecot/i.test(banner) ? 'Dovecot' : null, version: null })
+    },
+    {
+        // Handshake packet: 3-byte length, sequence 0, protocol 10, NUL-terminated server version
+        service: 'MySQL',
+        pattern: /^[\s\S]{3}\x00\x0a(\d[\w.-]*)\x00/,
+        match: (m) => {
+            const mariadb = m[1].match(/([\d.]+)-MariaDB/i);
+            return mariadb ? { product: 'MariaDB', version: mariadb[1] } : { product: 'MySQL', version: m[1] };
+        }
+    },
+    {
+        service: 'Redis',
+        pattern: /^(?:\+PONG|-NOAUTH|-DENIED)/,
+        match: () => ({ product: 'Redis', version: null })
+    },
+    {
+        service: 'Memcached',
+        pattern: /^VERSION ([\d.]+)/,
+        match: (m) => ({ product: 'Memcached', version: m[1] })
+    },
+    {
+        service: 'PostgreSQL',
+        pattern: /^[SN]$/,
+        ports: [5432],
+        match: () => ({ product: 'PostgreSQL', version: null })
+    },
+    {
+        service: 'VNC',
+        pattern: /^RFB (\d{3}\.\d{3})/,
+        match: (m) => ({ product: 'RFB', version: m[1].replace(/^0+/, '').replace(/\.0+/, '.') })
+    },
+    {
+        service: 'AMQP',
+        pattern: /^AMQP[\x00-\x01]/,
+        match: () => ({ product: null, version: null })
+    },
+    {
+        service: 'XMPP',
+        pattern: /<stream:stream\b/,
+        match: () => ({ product: null, version: null })
+    },
+    {
+        // TLS alert or handshake record: the port expects a TLS client hello
+        service: 'SSL/TLS',
+        pattern: /^[\x15\x16]\x03[\x00-\x04]/,
+        match: () => ({ product: null, version: null })
+    },
+    {
+        // Telnet option negotiation starts with IAC (0xff)
+        service: 'Telnet',
+        pattern: /^\xff[\xfb-\xfe]/,
+        match: () => ({ product: null, version: null })
+    }
+];
+
+/**
+ * Well-known service name for a port
+ */
+function serviceForPort(port) {
+    return WELL_KNOWN_PORTS[port] || `Service on port ${port}`;
+}
+
+/**
+ * Probe to send when a port stays silent after connecting
+ */
+function probeForPort(port) {
+    return PROBES.find(probe => !probe.ports || probe.ports.includes(port));
+}
+
+/**
+ * Identify the service behind an open port
+ * @param {number} port - Port number
+ * @param {Buffer|string|null} banner - Data the service sent (greeting or probe response)
+ * @returns {object} { service, product, version, method: 'banner' | 'port' }
+ */
+function identifyService(port, banner) {
+    const text = Buffer.isBuffer(banner) ? banner.toString('latin1') : banner || '';
+
+    if (text) {
+        for (const signature of SIGNATURES) {
+            if (signature.ports && !signature.ports.includes(port)) continue;
+            const match = text.match(signature.pattern);
+            if (match) {
+                return { service: signature.service, ...signature.match(match, text), method: 'banner' };
+            }
+        }
+    }
+
+    return { service: serviceForPort(port), product: null, version: null, method: 'port' };
+}
+
+/**
+ * Printable form of a banner: first line(s) with control bytes escaped
+ */
+function formatBanner(banner, maxLength = 200) {
+    if (!banner || banner.length === 0) return null;
+    const text = (Buffer.isBuffer(banner) ? banner.toString('latin1') : banner)
+        .replace(/\r\n/g, '\n')
+        .trim()
+        .split('\n')
+        .slice(0, 3)
+        .join(' | ')
+        .replace(/[^\x20-\x7e|]/g, (c) => `\\x${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+    return text.length > maxLength ? text.slice(0, maxLength) + '…' : text;
+}
+
+module.exports = {
+    WELL_KNOWN_PORTS,
+    serviceForPort,
+    probeForPort,
+    identifyService,
+    formatBanner
+};
@@ -0,0 +1,360 @@
+/**
+ * TCP Stream Reassembly Module
+ * Groups TCP segments into conversations and rebuilds each direction's
+ * byte stream, tracking handshake/teardown, retransmissions and out-of-order segments
+ */
+
+// Payload kept per direction before a stream is marked truncated
+const DEFAULT_MAX_STREAM_BYTES = 16 * 1024 * 1024;
+
+// Out-of-order segments buffered per direction while waiting for a gap to fill
+const MAX_PENDING_SEGMENTS = 1024;
+
+// Oldest streams are forgotten beyond these limits so long captures stay bounded
+const DEFAULT_MAX_STREAMS = 5000;
+const DEFAULT_MAX_TOTAL_BYTES = 128 * 1024 * 1024;
+
+/**
+ * Distance from a to b in 32-bit sequence space (negative when b is before a)
+ */
+function seqDiff(a, b) {
+    return ((b - a) | 0);
+}
+
+function endpointKey(ip, port) {
+    return ip.includes(':') ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
+
+function createDirection() {
+    return {
+        isn: null,
+        nextSeq: null,
+        bytes: 0,
+        segments: 0,
+        retransmissions: 0,
+        outOfOrder: 0,
+        pending: [],
+        synSeen: false,
+        finSeen: false,
+        rstSeen: false
+    };
+}
+
+class TcpStreamTracker {
+    constructor(options = {}) {
+        this.maxStreamBytes = options.maxStreamBytes || DEFAULT_MAX_STREAM_BYTES;
+        this.maxStreams = options.maxStreams || DEFAULT_MAX_STREAMS;
+        this.maxTotalBytes = options.maxTotalBytes || DEFAULT_MAX_TOTAL_BYTES;
+        this.clear();
+    }
+
+    /**
+     * Drop all tracked streams
+     */
+    clear() {
+        this.streams = new Map();
+        this.streamIndex = new Map();
+        this.nextIndex = 0;
+        this.totalBytes = 0;
+    }
+
+    /**
+     * Forget the oldest stream (streams are kept in creation order)
+     */
+    evictOldest() {
+        const [index, stream] = this.streams.entries().next().value;
+        this.streams.delete(index);
+        if (this.streamIndex.get(stream.key) === stream) {
+            this.streamIndex.delete(stream.key);
+        }
+        this.totalBytes -= stream.storedBytes + stream.pendingBytes;
+    }
+
+    /**
+     * Forget the oldest streams (never the one being added to) until the total is within maxTotalBytes
+     */
+    enforceTotalLimit(stream) {
+        while (this.totalBytes > this.maxTotalBytes && this.streams.size > 1 && this.streams.values().next().value !== stream) {
+            this.evictOldest();
+        }
+    }
+
+    /**
+     * Find or create the stream a segment belongs to
+     */
+    getStream(packet) {
+        const source = endpointKey(packet.sourceIP, packet.sourcePort);
+        const dest = endpointKey(packet.destIP, packet.destPort);
+        const key = source < dest ? `${source} ${dest}` : `${dest} ${source}`;
+
+        let stream = this.streamIndex.get(key);
+
+        // A new SYN on a finished 4-tuple starts a new conversation (port reuse)
+        const flags = packet.tcpFlags || [];
+        if (stream && flags.includes('SYN') && !flags.includes('ACK') &&
+            (stream.state === 'CLOSED' || stream.state === 'RESET')) {
+            stream = null;
+        }
+
+        if (!stream) {
+            // The SYN sender is the client; mid-stream captures fall back to the first sender,
+            // unless only the SYN/ACK was seen
+            const reversed = flags.includes('SYN') && flags.includes('ACK');
+            stream = {
+                index: this.nextIndex++,
+                key,
+                client: reversed ? dest : source,
+                server: reversed ? source : dest,
+                state: flags.includes('SYN') ? 'SYN_SENT' : 'ESTABLISHED',
+                startTime: packet.timestamp,
+                endTime: packet.timestamp,
+                packets: 0,
+                truncated: false,
+                storedBytes: 0,
+                // Out-of-order segments waiting for a gap to fill; they count towards maxTotalBytes too
+                pendingBytes: 0,
+                directions: { client: createDirection(), server: createDirection() },
+                chunks: []
+            };
+            this.streams.set(stream.index, stream);
+            this.streamIndex.set(key, stream);
+
+            if (this.streams.size > this.maxStreams) {
+                this.evictOldest();
+            }
+        }
+
+        return { stream, direction: source === stream.client ? 'client' : 'server' };
+    }
+
+    /**
+     * Track a decoded TCP packet
+     * @param {object} packet - Decoded packet with seq, tcpFlags, payloadOffset/payloadLength and rawData
+     * @returns {{ stream: number, analysis: string[] }|null} Stream index and analysis flags for the segment
+     */
+    track(packet) {
+        if (packet.protocol !== 'TCP' || packet.seq === undefined) return null;
+
+        const { stream, direction } = this.getStream(packet);
+        const side = stream.directions[direction];
+        const flags = packet.tcpFlags || [];
+        const analysis = [];
+
+        stream.packets++;
+        stream.endTime = packet.timestamp;
+        side.segments++;
+
+        const payload = packet.rawData && packet.payloadLength
+            ? packet.rawData.subarray(packet.payloadOffset, packet.payloadOffset + packet.payloadLength)
+            : null;
+
+        if (flags.includes('SYN')) {
+            if (side.synSeen && side.isn !== null && seqDiff(side.isn, (packet.seq + 1) >>> 0) === 0) {
+                side.retransmissions++;
+                analysis.push('retransmission');
+            }
+            side.synSeen = true;
+            // SYN consumes one sequence number; data starts right after it
+            side.isn = (packet.seq + 1) >>> 0;
+            side.nextSeq = side.isn;
+            if (direction === 'server' && stream.state === 'SYN_SENT') {
+                stream.state = 'SYN_RECEIVED';
+            }
+        } else if (side.nextSeq === null) {
+            // Joined mid-stream: start from the first segment seen
+            side.isn = packet.seq;
+            side.nextSeq = packet.seq;
+        }
+
+        if (stream.state === 'SYN_RECEIVED' && direction === 'client' && flags.includes('ACK') && !flags.includes('SYN')) {
+            stream.state = 'ESTABLISHED';
+        }
+
+        if (payload && payload.length > 0) {
+            this.addSegment(stream, direction, packet.seq, payload, packet.timestamp, analysis);
+        }
+
+        if (flags.includes('FIN')) {
+            side.finSeen = true;
+            const other = stream.directions[direction === 'client' ? 'server' : 'client'];
+            stream.state = other.finSeen ? 'CLOSED' : 'FIN_WAIT';
+        }
+
+        if (flags.includes('RST')) {
+            side.rstSeen = true;
+            stream.state = 'RESET';
+        }
+
+        return { stream: stream.index, analysis };
+    }
+
+    /**
+     * Place a payload segment into its direction's byte stream
+     */
+    addSegment(stream, direction, seq, payload, timestamp, analysis) {
+        const side = stream.directions[direction];
+        const offset = seqDiff(side.nextSeq, seq);
+
+        if (offset + payload.length <= 0) {
+            // Entirely before the next expected byte: already delivered
+            side.retransmissions++;
+            analysis.push('retransmission');
+            return;
+        }
+
+        if (offset > 0) {
+            // Gap before this segment: hold it until the missing bytes arrive
+            const duplicate = side.pending.some(segment => segment.seq === seq && segment.data.length >= payload.length);
+            if (duplicate) {
+                side.retransmissions++;
+                analysis.push('retransmission');
+                return;
+            }
+            side.outOfOrder++;
+            analysis.push('out-of-order');
+            side.pending.push({ seq, data: Buffer.from(payload), timestamp });
+            stream.pendingBytes += payload.length;
+            this.totalBytes += payload.length;
+            this.enforceTotalLimit(stream);
+
+            if (side.pending.length > MAX_PENDING_SEGMENTS) {
+                // The gap was never filled (lost or not captured); skip over it
+                this.skipGap(stream, direction);
+            }
+            return;
+        }
+
+        if (offset < 0) {
+            // Overlaps already delivered bytes; keep only the new tail
+            side.retransmissions++;
+            analysis.push('retransmission');
+            payload = payload.subarray(-offset);
+        }
+
+        this.deliver(stream, direction, payload, timestamp);
+        this.drainPending(stream, direction);
+    }
+
+    /**
+     * Deliver buffered segments that are now in order
+     */
+    drainPending(stream, direction) {
+        const side = stream.directions[direction];
+        let progressed = true;
+
+        while (progressed && side.pending.length > 0) {
+            progressed = false;
+            for (let i = 0; i < side.pending.length; i++) {
+                const segment = side.pending[i];
+                const offset = seqDiff(side.nextSeq, segment.seq);
+                if (offset > 0) continue;
+
+                side.pending.splice(i, 1);
+                stream.pendingBytes -= segment.data.length;
+                this.totalBytes -= segment.data.length;
+                if (offset + segment.data.length > 0) {
+                    this.deliver(stream, direction, segment.data.subarray(-offset), segment.timestamp);
+                }
+                progressed = true;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Jump past missing bytes to the earliest buffered segment
+     */
+    skipGap(stream, direction) {
+        const side = stream.directions[direction];
+        const earliest = side.pending.reduce((min, segment) =>
+            seqDiff(min.seq, segment.seq) < 0 ? segment : min);
+
+        side.missingBytes = (side.missingBytes || 0) + seqDiff(side.nextSeq, earliest.seq);
+        side.nextSeq = earliest.seq;
+        this.drainPending(stream, direction);
+    }
+
+    /**
+     * Append in-order bytes to the conversation
+     */
+    deliver(stream, direction, data, timestamp) {
+        const side = stream.directions[direction];
+        side.nextSeq = (side.nextSeq + data.length) >>> 0;
+        side.bytes += data.length;
+
+        if (side.bytes > this.maxStreamBytes) {
+            stream.truncated = true;
+            return;
+        }
+
+        stream.storedBytes += data.length;
+        this.totalBytes += data.length;
+        this.enforceTotalLimit(stream);
+
+        // Consecutive data in the same direction is merged into one chunk
+        const last = stream.chunks[stream.chunks.length - 1];
+        if (last && last.direction === direction) {
+            last.parts.push(Buffer.from(data));
+            last.length += data.length;
+        } else {
+            stream.chunks.push({ direction, timestamp, parts: [Buffer.from(data)], length: data.length });
+        }
+    }
+
+    /**
+     * Summary of a stream without payload
+     */
+    summarize(stream) {
+        const describe = (side) => ({
+            bytes: side.bytes,
+            segments: side.segments,
+            retransmissions: side.retransmissions,
+            outOfOrder: side.outOfOrder,
+            missingBytes: side.missingBytes || 0,
+            synSeen: side.synSeen,
+            finSeen: side.finSeen,
+            rstSeen: side.rstSeen
+        });
+
+        return {
+            index: stream.index,
+            client: stream.client,
+            server: stream.server,
+            state: stream.state,
+            startTime: stream.startTime,
+            endTime: stream.endTime,
+            packets: stream.packets,
+            truncated: stream.truncated,
+            clientToServer: describe(stream.directions.client),
+            serverToClient: describe(stream.directions.server)
+        };
+    }
+
+    /**
+     * List all tracked streams
+     */
+    getStreams() {
+        return Array.from(this.streams.values(), stream => this.summarize(stream));
+    }
+
+    /**
+     * Reassembled payload of one stream, in the order it was exchanged
+     * @param {number} index - Stream index
+     * @returns {object|null} Stream summary with chunks [{ direction, timestamp, data }]
+     */
+    follow(index) {
+        const stream = this.streams.get(index);
+        if (!stream) return null;
+
+        return {
+            ...this.summarize(stream),
+            chunks: stream.chunks.map(chunk => ({
+                direction: chunk.direction,
+                timestamp: chunk.timestamp,
+                data: Buffer.concat(chunk.parts, chunk.length)
+            }))
+        };
+    }
+}
+
+module.exports = TcpStreamTracker;
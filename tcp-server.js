@@ -0,0 +1,145 @@
+/**
+ * TCP Server Module
+ * Raw TCP behaviour for Server Maker's socket servers: echo (RFC 862), discard
+ * (RFC 863), or a script of line-based rules answering what clients send
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const MODES = ['echo', 'discard', 'script'];
+
+// Script mode closes a connection whose unfinished line grows past this
+const MAX_LINE_LENGTH = 64 * 1024;
+
+/**
+ * Expand \r, \n, \t, \0, \\ and \xHH escapes into the bytes to send; text between
+ * escapes is UTF-8, while \xHH is exactly one byte (so \xff sends FF, not C3 BF)
+ * @returns {Buffer}
+ */
+function unescapeText(text) {
+    const parts = String(text).split(/\\(x[0-9a-fA-F]{2}|[rnt0\\])/);
+    // split() with a capture group alternates literal text and escape codes
+    return Buffer.concat(parts.map((part, index) => {
+        if (index % 2 === 0) return Buffer.from(part, 'utf8');
+        if (part[0] === 'x') return Buffer.from([parseInt(part.slice(1), 16)]);
+        return Buffer.from({ r: '\r', n: '\n', t: '\t', 0: '\0', '\\': '\\' }[part], 'latin1');
+    }));
+}
+
+/**
+ * Parse a script: one rule per line as "pattern => response". The pattern is a case-insensitive
+ * regular expression tested against every line a client sends; the response may use $1, $2...
+ * for its groups and escapes like \r\n, and ends with {close} to close the connection after it.
+ * Lines starting with "#" are comments
+ * @returns {Array<object>} { pattern: RegExp, response, close }
+ */
+function parseScript(text) {
+    const rules = [];
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const separator = line.indexOf('=>');
+        if (separator === -1) throw new Error(`Script line ${index + 1}: expected "pattern => response"`);
+
+        let pattern;
+        try {
+            pattern = new RegExp(line.slice(0, separator).trim(), 'i');
+        } catch (error) {
+            throw new Error(`Script line ${index + 1}: ${error.message}`);
+        }
+
+        let response = line.slice(separator + 2).trim();
+        const close = /\{close\}$/i.test(response);
+        if (close) response = response.replace(/\{close\}$/i, '').trimEnd();
+        rules.push({ pattern, response, close });
+    });
+    return rules;
+}
+
+/**
+ * Check and complete a socket server's settings
+ * @param {object} config - { mode: echo, discard or script, greeting: sent on connect, script: rules (see parseScript) }
+ */
+function normalizeSocketConfig(config = {}) {
+    const mode = config.mode || 'echo';
+    if (!MODES.includes(mode)) throw new Error(`Unknown socket mode "${mode}"`);
+    const script = String(config.script || '');
+    const rules = parseScript(script);
+    if (mode === 'script' && rules.length === 0) throw new Error('The script has no rules');
+    return { mode, greeting: String(config.greeting || ''), script };
+}
+
+/**
+ * Build a 'connection' listener for net.createServer()
+ * @param {object} config - Settings from normalizeSocketConfig()
+ * @param {object} options - { onClose({ client, received, sent, duration }) }
+ * @returns {Function} Listener with a reload(config) method; open connections switch over too
+ */
+function createConnectionHandler(config, options = {}) {
+    let settings;
+    let rules;
+    const load = (next) => {
+        const normalized = normalizeSocketConfig(next);
+        rules = parseScript(normalized.script);
+        settings = normalized;
+    };
+    load(config);
+
+    const handler = (socket) => {
+        const started = Date.now();
+        const client = `${socket.remoteAddress}:${socket.remotePort}`;
+        let received = 0;
+        let sent = 0;
+        let pending = '';
+        // Keeps multi-byte characters split across chunks together
+        const decoder = new StringDecoder('utf8');
+
+        const write = (data) => {
+            if (socket.destroyed || !socket.writable) return;
+            sent += Buffer.byteLength(data);
+            socket.write(data);
+        };
+
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            if (options.onClose) options.onClose({ client, received, sent, duration: Date.now() - started });
+        });
+
+        if (settings.greeting) write(unescapeText(settings.greeting));
+
+        socket.on('data', (chunk) => {
+            received += chunk.length;
+            if (settings.mode === 'echo') {
+                write(chunk);
+                return;
+            }
+            if (settings.mode === 'discard') return;
+
+            pending += decoder.write(chunk);
+            let newline;
+            while ((newline = pending.indexOf('\n')) !== -1) {
+                const line = pending.slice(0, newline).replace(/\r$/, '');
+                pending = pending.slice(newline + 1);
+
+                const rule = rules.find(candidate => candidate.pattern.test(line));
+                if (!rule) continue;
+                const match = line.match(rule.pattern);
+                write(unescapeText(rule.response.replace(/\$(\d)/g, (text, group) => match[group] ?? '')));
+                if (rule.close) {
+                    socket.end();
+                    return;
+                }
+            }
+            // A client that never sends a newline would otherwise grow pending without limit
+            if (pending.length > MAX_LINE_LENGTH) socket.destroy();
+        });
+    };
+    handler.reload = load;
+    return handler;
+}
+
+module.exports = {
+    MODES,
+    parseScript,
+    normalizeSocketConfig,
+    createConnectionHandler
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffResults } = require('../dns-history');
+
+const result = (ttl, authoritative = false) => ({
+    records: [{ name: 'www.example.test', type: 'A', value: '192.0.2.1', ttl }],
+    types: [{ type: 'A', status: 'NOERROR', authoritative }]
+});
+
+test('a TTL counted down by a caching resolver is not a change', () => {
+    assert.deepStrictEqual(diffResults(result(300), result(290), 10).ttlChanged, []);
+});
+
+test('a lowered TTL is reported before the old one runs out', () => {
+    const { ttlChanged } = diffResults(result(3600), result(60), 10);
+    assert.deepStrictEqual(ttlChanged.map(change => [change.from, change.to]), [[3600, 60]]);
+});
+
+test('after the old TTL has expired, the new TTL is compared with the old TTL itself', () => {
+    assert.deepStrictEqual(diffResults(result(300), result(300), 3600).ttlChanged, []);
+    const { ttlChanged } = diffResults(result(120), result(300), 3600);
+    assert.deepStrictEqual(ttlChanged.map(change => [change.from, change.to]), [[120, 300]]);
+});
+
+test('authoritative TTLs do not count down', () => {
+    assert.strictEqual(diffResults(result(300, true), result(290, true), 10).ttlChanged.length, 1);
+});
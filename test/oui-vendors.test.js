@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { BUNDLED_VENDORS, REGISTRY, parseOuiDatabase, lookupVendor } = require('../oui-vendors');
+
+// Bundled names for companies the registry lists under another of their names
+const REGISTERED_AS = {
+    'MikroTik': 'Routerboard.com',
+    'Aruba Networks': 'Hewlett Packard Enterprise'
+};
+
+const registry = parseOuiDatabase(fs.readFileSync(REGISTRY, 'utf8'));
+const simplify = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+test('the registry holds the full MA-L table', () => {
+    assert.ok(registry.size > 30000);
+});
+
+test('bundled names only rename prefixes the registry gives to the same vendor', () => {
+    for (const [vendor, prefixes] of Object.entries(BUNDLED_VENDORS)) {
+        const words = (REGISTERED_AS[vendor] || vendor).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2);
+        for (const prefix of prefixes) {
+            const registered = registry.get(prefix);
+            if (!registered) {
+                // Only locally administered prefixes may be missing from the registry
+                assert.ok(parseInt(prefix.slice(0, 2), 16) & 0x02, `${prefix} (${vendor}) is not in the registry`);
+                continue;
+            }
+            assert.ok(words.some(word => simplify(registered).includes(word)), `${prefix} is ${registered} in the registry, not ${vendor}`);
+        }
+    }
+});
+
+test('prefixes outside the bundled names fall back to the registry', () => {
+    assert.strictEqual(lookupVendor('00:14:4f:12:34:56'), 'Oracle Corporation');
+    assert.strictEqual(lookupVendor('b8:27:eb:12:34:56'), 'Raspberry Pi');
+});
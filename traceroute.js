@@ -0,0 +1,787 @@
+/**
+ * Traceroute Module
+ * Built-in traceroute engine sending UDP, ICMP echo or TCP SYN probes with
+ * increasing TTLs over raw sockets and reading the ICMP Time Exceeded replies,
+ * including MPLS label stacks (RFC 4950). Each hop is emitted as soon as it is
+ * complete. Without raw-socket support (module not installed, no privileges)
+ * the platform's traceroute / tracert is run instead and parsed line by line
+ */
+
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const dgram = require('dgram');
+const dns = require('dns');
+const { ipVersion, parseIPv4, parseIPv6, normalizeIP, resolveHost } = require('./ip-range');
+
+// Native addon providing raw sockets; optional, so the system traceroute covers installs without it
+let raw = null;
+try {
+    raw = require('raw-socket');
+} catch (error) {
+    raw = null;
+}
+
+const DEFAULT_OPTIONS = {
+    protocol: 'udp',
+    maxHops: 30,
+    firstHop: 1,
+    probes: 3,
+    timeout: 3000,
+    port: null,
+    parallel: 8,
+    sendInterval: 20,
+    resolveNames: true,
+    family: null,
+    prefer: 'auto',
+    fallback: true
+};
+
+// Classic traceroute destination ports (33434 + probe number) and the TCP port probed by default
+const UDP_BASE_PORT = 33434;
+const TCP_DEFAULT_PORT = 80;
+
+// Unreachable codes that end a trace before the destination answers
+const UNREACHABLE_CODES = {
+    4: { 0: 'network', 1: 'host', 2: 'protocol', 9: 'prohibited', 10: 'prohibited', 13: 'prohibited' },
+    6: { 0: 'network', 1: 'prohibited', 3: 'host', 5: 'prohibited', 6: 'prohibited' }
+};
+
+// ============================================================
+// Packet Helpers
+// ============================================================
+
+/**
+ * Network-order bytes of an IPv4 or IPv6 address
+ */
+function addressBytes(address) {
+    const ipv4 = parseIPv4(address);
+    if (ipv4 !== null) {
+        const bytes = Buffer.alloc(4);
+        bytes.writeUInt32BE(ipv4);
+        return bytes;
+    }
+    return Buffer.from(parseIPv6(address).toString(16).padStart(32, '0'), 'hex');
+}
+
+/**
+ * Internet checksum (RFC 1071) over the concatenated buffers
+ */
+function internetChecksum(...buffers) {
+    const data = Buffer.concat(buffers);
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 2) {
+        sum += (data[i] << 8) + (i + 1 < data.length ? data[i + 1] : 0);
+    }
+    while (sum > 0xffff) {
+        sum = (sum & 0xffff) + (sum >>> 16);
+    }
+    return (~sum) & 0xffff;
+}
+
+/**
+ * ICMP / ICMPv6 echo request. The kernel fills in the ICMPv6 checksum
+ */
+function buildEchoRequest(family, id, seq) {
+    const packet = Buffer.alloc(16);
+    packet[0] = family === 6 ? 128 : 8;
+    packet.writeUInt16BE(id, 4);
+    packet.writeUInt16BE(seq, 6);
+    packet.write('NetNavi!', 8, 'latin1');
+    if (family === 4) packet.writeUInt16BE(internetChecksum(packet), 2);
+    return packet;
+}
+
+/**
+ * TCP SYN segment (with an MSS option) and its checksum over the pseudo-header
+ */
+function buildTcpSyn(source, destination, sourcePort, destinationPort, sequence) {
+    const segment = Buffer.alloc(24);
+    segment.writeUInt16BE(sourcePort, 0);
+    segment.writeUInt16BE(destinationPort, 2);
+    segment.writeUInt32BE(sequence, 4);
+    segment[12] = 6 << 4;
+    segment[13] = 0x02;
+    segment.writeUInt16BE(64240, 14);
+    segment.set([0x02, 0x04, 0x05, 0xb4], 20);
+
+    const sourceBytes = addressBytes(source);
+    const destinationBytes = addressBytes(destination);
+    const pseudo = Buffer.alloc(sourceBytes.length === 4 ? 4 : 8);
+    if (sourceBytes.length === 4) {
+        pseudo[1] = 6;
+        pseudo.writeUInt16BE(segment.length, 2);
+    } else {
+        pseudo.writeUInt32BE(segment.length, 0);
+        pseudo[7] = 6;
+    }
+    segment.writeUInt16BE(internetChecksum(sourceBytes, destinationBytes, pseudo, segment), 16);
+    return segment;
+}
+
+/**
+ * MPLS label stack entries from the ICMP extension structure (RFC 4884 / RFC 4950)
+ * @param {Buffer} icmp - ICMP message starting at the type byte
+ * @param {number} family - 4 or 6
+ * @returns {Array} [{ label, exp, bottom, ttl }]
+ */
+function parseIcmpExtensions(icmp, family) {
+    // RFC 4884 length of the quoted datagram: 32-bit words for ICMP, 64-bit words for ICMPv6
+    const length = family === 6 ? icmp[4] * 8 : icmp[5] * 4;
+    // Routers predating RFC 4884 put the extensions after a fixed 128 bytes of quoted datagram
+    let offset = 8 + (length || 128);
+    if (icmp.length < offset + 8 || icmp[offset] >> 4 !== 2) return [];
+
+    const labels = [];
+    offset += 4;
+    while (offset + 4 <= icmp.length) {
+        const objectLength = icmp.readUInt16BE(offset);
+        if (objectLength < 4 || offset + objectLength > icmp.length) break;
+
+        // Class 1, C-Type 1: MPLS label stack
+        if (icmp[offset + 2] === 1 && icmp[offset + 3] === 1) {
+            for (let entry = offset + 4; entry + 4 <= offset + objectLength; entry += 4) {
+                const value = icmp.readUInt32BE(entry);
+                labels.push({ label: value >>> 12, exp: (value >>> 9) & 0x7, bottom: Boolean(value & 0x100), ttl: value & 0xff });
+            }
+        }
+        offset += objectLength;
+    }
+    return labels;
+}
+
+/**
+ * Decode an ICMP / ICMPv6 message received on a raw socket
+ * @param {Buffer} buffer - Received data (IPv4 raw sockets include the IP header)
+ * @param {number} family - 4 or 6
+ * @returns {object|null} { kind: 'reply' | 'time-exceeded' | 'unreachable', code, id, seq, quoted, mpls }
+ */
+function parseIcmpMessage(buffer, family) {
+    const icmp = family === 4 ? buffer.slice((buffer[0] & 0x0f) * 4) : buffer;
+    if (icmp.length < 8) return null;
+
+    const type = icmp[0];
+    const code = icmp[1];
+    const replyType = family === 6 ? 129 : 0;
+    if (type === replyType) {
+        return { kind: 'reply', code, id: icmp.readUInt16BE(4), seq: icmp.readUInt16BE(6), quoted: null, mpls: [] };
+    }
+
+    const kinds = family === 6 ? { 3: 'time-exceeded', 1: 'unreachable' } : { 11: 'time-exceeded', 3: 'unreachable' };
+    const kind = kinds[type];
+    if (!kind) return null;
+
+    // The error quotes the probe's IP header and at least the first 8 bytes of its payload
+    const inner = icmp.slice(8);
+    const headerLength = family === 6 ? 40 : (inner[0] & 0x0f) * 4;
+    if (inner.length < headerLength + 8) return null;
+
+    const transport = inner.slice(headerLength);
+    const protocol = family === 6 ? inner[6] : inner[9];
+    const quoted = { protocol, destination: null, sourcePort: null, destinationPort: null, id: null, seq: null };
+    quoted.destination = family === 6
+        ? normalizeIP(inner.slice(24, 40).toString('hex').replace(/(.{4})(?!$)/g, '$1:'))
+        : [...inner.slice(16, 20)].join('.');
+
+    if (protocol === 17 || protocol === 6) {
+        quoted.sourcePort = transport.readUInt16BE(0);
+        quoted.destinationPort = transport.readUInt16BE(2);
+    } else if (protocol === 1 || protocol === 58) {
+        quoted.id = transport.readUInt16BE(4);
+        quoted.seq = transport.readUInt16BE(6);
+    }
+
+    return { kind, code, id: null, seq: null, quoted, mpls: kind === 'time-exceeded' ? parseIcmpExtensions(icmp, family) : [] };
+}
+
+/**
+ * Whether the native engine can run a probe protocol on this platform
+ * @returns {object} { available, reason }
+ */
+function getNativeSupport(protocol, platform = process.platform) {
+    if (!raw) {
+        return { available: false, reason: 'the raw-socket module is not installed' };
+    }
+    // Only Linux passes incoming TCP segments to raw sockets, which is how SYN/ACK and RST are seen
+    if (protocol === 'tcp' && platform !== 'linux') {
+        return { available: false, reason: `TCP SYN probes are not supported on ${platform}` };
+    }
+    return { available: true, reason: null };
+}
+
+function reverseLookup(address, timeout) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(null), timeout);
+        dns.promises.reverse(address.split('%')[0])
+            .then(names => resolve(names[0] || null), () => resolve(null))
+            .finally(() => clearTimeout(timer));
+    });
+}
+
+/**
+ * Combine the answers to one TTL's probes into a hop
+ * @param {number} ttl - Hop number
+ * @param {Array} answers - One entry per probe: null (lost) or { from, rtt, kind, code, mpls, reached }
+ */
+function summarizeHop(ttl, answers, family) {
+    const received = answers.filter(Boolean);
+    const round = value => Math.round(value * 1000) / 1000;
+    const rtts = answers.map(answer => (answer ? round(answer.rtt) : null));
+    const responders = [...new Set(received.map(answer => answer.from))];
+    const withLabels = received.find(answer => answer.mpls.length > 0);
+    const unreachable = received.find(answer => answer.kind === 'unreachable' && !answer.reached);
+
+    return {
+        hop: ttl,
+        ip: responders[0] || null,
+        hostname: null,
+        responders,
+        rtts,
+        latency: received.length ? round(received.reduce((sum, answer) => sum + answer.rtt, 0) / received.length) : null,
+        sent: answers.length,
+        received: received.length,
+        loss: answers.length ? round(((answers.length - received.length) / answers.length) * 100) : 100,
+        mpls: withLabels ? withLabels.mpls : [],
+        reached: received.some(answer => answer.reached),
+        unreachable: unreachable ? UNREACHABLE_CODES[family][unreachable.code] || `code ${unreachable.code}` : null,
+        status: received.length ? 'success' : 'timeout'
+    };
+}
+
+// ============================================================
+// System Traceroute (fallback)
+// ============================================================
+
+/**
+ * Build the system traceroute command for a platform
+ * @param {string} host - Host name or IP address
+ * @param {object} options - { maxHops, probes, timeout (ms per probe), protocol, port, resolveNames, family (4|6) }
+ * @returns {object} { command, args, protocol: the probe protocol the command will actually use }
+ */
+function buildTracerouteCommand(host, options = {}, platform = process.platform) {
+    const { maxHops, probes, timeout, protocol, port, resolveNames } = { ...DEFAULT_OPTIONS, ...options };
+    const family = options.family || ipVersion(host) || null;
+    const waitSeconds = String(Math.max(1, Math.ceil(timeout / 1000)));
+    const args = [];
+
+    if (platform === 'win32') {
+        // tracert always sends ICMP echo requests
+        args.push('-h', String(maxHops), '-w', String(timeout));
+        if (!resolveNames) args.push('-d');
+        if (family) args.push(`-${family}`);
+        args.push(host);
+        return { command: 'tracert', args, protocol: 'icmp' };
+    }
+
+    // macOS and the BSDs trace IPv6 with a separate binary; Linux traceroute takes -6
+    const separateIPv6 = platform === 'darwin' || platform.endsWith('bsd');
+    const command = family === 6 && separateIPv6 ? 'traceroute6' : 'traceroute';
+    args.push('-m', String(maxHops), '-q', String(probes), '-w', waitSeconds);
+    if (!resolveNames) args.push('-n');
+    // Linux traceroute prints ICMP extensions (MPLS labels) with -e
+    if (!separateIPv6) args.push('-e');
+    if (family && !separateIPv6) args.push(`-${family}`);
+
+    if (protocol === 'icmp') {
+        args.push(...(command === 'traceroute' && separateIPv6 ? ['-P', 'icmp'] : ['-I']));
+    } else if (protocol === 'tcp') {
+        if (command === 'traceroute6') {
+            throw new Error('traceroute6 cannot send TCP probes');
+        }
+        args.push(...(separateIPv6 ? ['-P', 'tcp'] : ['-T']), '-p', String(port || TCP_DEFAULT_PORT));
+    }
+    args.push(host);
+    return { command, args, protocol };
+}
+
+/**
+ * Split a hop target into address and name: "router.lan (10.0.0.1)",
+ * "router.lan [2001:db8::1]" (Windows) or a bare address
+ */
+function parseHopTarget(text) {
+    const named = text.match(/^(\S+)\s+[([]([^)\]]+)[)\]]/);
+    if (named) {
+        return { ip: named[2], hostname: named[1] === named[2] ? null : named[1] };
+    }
+    const bare = text.match(/^\S+/);
+    if (bare && ipVersion(bare[0])) {
+        return { ip: bare[0], hostname: null };
+    }
+    return null;
+}
+
+/**
+ * Parse one line of traceroute / tracert output into a hop.
+ * Unix: " 2  router.lan (10.0.0.1)  1.234 ms  1.101 ms  1.422 ms",
+ *       " 3  2001:db8::1  0.512 ms *  0.498 ms", " 4  10.1.1.1  3.1 ms !H * *",
+ *       " 5  10.2.2.2 (10.2.2.2) <MPLS:L=24001,E=0,S=1,T=1>  8.1 ms ..." (Linux -e)
+ * Windows: "  2    <1 ms     1 ms    <1 ms  router.lan [2001:db8::1]"
+ * @returns {object|null} Hop in the same shape as the native engine's, or null for other lines
+ */
+function parseTracerouteLine(line, platform = process.platform, options = {}) {
+    const resolveNames = options.resolveNames !== false;
+    let number;
+    let target;
+    let probeText;
+
+    if (platform === 'win32') {
+        const match = line.match(/^\s*(\d+)\s+((?:(?:<?\s*\d+\s*ms|\*)\s+){3})(.*?)\s*$/);
+        if (!match) return null;
+        number = parseInt(match[1], 10);
+        probeText = match[2];
+        target = parseHopTarget(match[3]);
+    } else {
+        const match = line.match(/^\s*(\d+)\s+(.*)$/);
+        if (!match) return null;
+        number = parseInt(match[1], 10);
+        probeText = match[2];
+        // Multi-path hops list several targets on one line; the first one is reported
+        target = parseHopTarget(match[2].replace(/^(?:\*\s*)+/, ''));
+    }
+
+    // One entry per probe: "*" is a lost probe, "<1 ms" is reported as its upper bound
+    const rtts = [...probeText.matchAll(/(?:^|\s)(\*)(?=\s|$)|<?\s*(\d+(?:\.\d+)?)\s*ms\b/g)]
+        .map(probe => (probe[1] ? null : parseFloat(probe[2])));
+    const received = rtts.filter(rtt => rtt !== null);
+    const flag = probeText.match(/!([HNPX])/);
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+        hop: number,
+        ip: target ? target.ip : null,
+        hostname: target && resolveNames ? target.hostname : null,
+        responders: target ? [target.ip] : [],
+        rtts,
+        latency: received.length ? round(received.reduce((sum, rtt) => sum + rtt, 0) / received.length) : null,
+        sent: rtts.length,
+        received: received.length,
+        loss: rtts.length ? round(((rtts.length - received.length) / rtts.length) * 100) : 100,
+        mpls: [...probeText.matchAll(/<MPLS:L=(\d+),E=(\d),S=(\d),T=(\d+)/g)]
+            .map(label => ({ label: parseInt(label[1], 10), exp: parseInt(label[2], 10), bottom: label[3] === '1', ttl: parseInt(label[4], 10) })),
+        reached: false,
+        unreachable: flag ? { H: 'host', N: 'network', P: 'protocol', X: 'prohibited' }[flag[1]] : null,
+        status: target && received.length ? 'success' : 'timeout'
+    };
+}
+
+/**
+ * Parse complete traceroute / tracert output into hops
+ */
+function parseTracerouteOutput(output, platform = process.platform, options = {}) {
+    return output.split(/\r?\n/)
+        .map(line => parseTracerouteLine(line, platform, options))
+        .filter(Boolean);
+}
+
+// ============================================================
+// Traceroute Engine
+// ============================================================
+
+class Traceroute extends EventEmitter {
+    /**
+     * @param {object} options - {
+     *   protocol: 'udp' (default), 'icmp' or 'tcp' (SYN probes),
+     *   maxHops (default 30), firstHop (default 1), probes per hop (default 3),
+     *   timeout: ms to wait for each probe (default 3000),
+     *   port: UDP base port (default 33434) or TCP destination port (default 80),
+     *   parallel: hops probed at the same time (default 8),
+     *   sendInterval: ms between probes (default 20), resolveNames (default true),
+     *   family (4|6), prefer: 'auto', 'ipv6' (AAAA first) or 'ipv4' for host names,
+     *   fallback: run the system traceroute when raw sockets are unavailable (default true)
+     * }
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.options.maxHops = Math.min(Math.max(parseInt(this.options.maxHops, 10) || 30, 1), 255);
+        this.options.probes = Math.min(Math.max(parseInt(this.options.probes, 10) || 3, 1), 10);
+        this.options.timeout = Math.min(Math.max(parseInt(this.options.timeout, 10) || 3000, 100), 30000);
+        this.cancelled = false;
+        this.pending = new Map();
+        this.sockets = new Set();
+        this.child = null;
+        this.sequence = 0;
+        this.icmpId = Math.floor(Math.random() * 0x10000);
+        this.tcpBasePort = 32768 + Math.floor(Math.random() * 16384);
+        this.lastSend = 0;
+    }
+
+    /**
+     * Trace the route to a host. Emits 'hop' for every hop, in order
+     * @param {string} host - Host name or IP address
+     * @returns {Promise<object>} { host, address, family, protocol, engine: 'native' | 'system',
+     *                              fallbackReason, hops, reached, cancelled, duration }
+     */
+    async trace(host) {
+        if (typeof host !== 'string' || !/^[A-Za-z0-9.:%_-]+$/.test(host) || host.startsWith('-')) {
+            throw new Error('Invalid host');
+        }
+
+        const started = Date.now();
+        const { protocol, family: requestedFamily } = this.options;
+        if (!['udp', 'icmp', 'tcp'].includes(protocol)) {
+            throw new Error(`Unsupported probe protocol ${protocol}`);
+        }
+
+        const prefer = requestedFamily ? `ipv${requestedFamily}` : this.options.prefer;
+        const { address, family } = await resolveHost(host, { prefer });
+
+        let reason = null;
+        let sockets = null;
+        const support = getNativeSupport(protocol);
+        if (support.available) {
+            try {
+                sockets = await this.openSockets(address, family);
+            } catch (error) {
+                reason = /EPERM|EACCES|not permitted/i.test(`${error.code} ${error.message}`)
+                    ? 'raw sockets need administrator rights (root or CAP_NET_RAW)'
+                    : error.message;
+            }
+        } else {
+            reason = support.reason;
+        }
+
+        let result;
+        if (sockets) {
+            try {
+                result = { ...(await this.traceNative(address, family, sockets)), engine: 'native', fallbackReason: null };
+            } finally {
+                this.closeSockets();
+            }
+        } else if (this.options.fallback) {
+            result = { ...(await this.traceSystem(address, family)), engine: 'system', fallbackReason: reason };
+        } else {
+            throw new Error(`Native traceroute unavailable: ${reason}`);
+        }
+
+        return {
+            host,
+            address,
+            family,
+            ...result,
+            cancelled: this.cancelled,
+            duration: Date.now() - started
+        };
+    }
+
+    /**
+     * Stop the trace; hops found so far are returned by trace()
+     */
+    cancel() {
+        this.cancelled = true;
+        this.pending.forEach(probe => probe.finish(null));
+        if (this.child) this.child.kill();
+    }
+
+    // ===== Native engine =====
+
+    async openSockets(address, family) {
+        const addressFamily = family === 6 ? raw.AddressFamily.IPv6 : raw.AddressFamily.IPv4;
+        const sockets = {
+            icmp: raw.createSocket({ protocol: family === 6 ? raw.Protocol.ICMPv6 : raw.Protocol.ICMP, addressFamily }),
+            tcp: null,
+            source: null
+        };
+        this.trackRawSocket(sockets.icmp, (buffer, source) => this.handleIcmp(buffer, source, family));
+
+        if (this.options.protocol === 'tcp') {
+            sockets.tcp = raw.createSocket({ protocol: raw.Protocol.TCP, addressFamily });
+            this.trackRawSocket(sockets.tcp, (buffer, source) => this.handleTcp(buffer, source, family, address));
+            // The pseudo-header checksum needs the address the kernel will send from
+            sockets.source = await this.sourceAddressFor(address, family);
+        }
+        return sockets;
+    }
+
+    trackRawSocket(socket, onMessage) {
+        this.sockets.add(socket);
+        socket.on('message', onMessage);
+        socket.on('error', (error) => this.emit('warning', error));
+    }
+
+    /**
+     * Local address used to reach a destination (a connected UDP socket sends nothing)
+     */
+    sourceAddressFor(address, family) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+            socket.once('error', (error) => {
+                socket.close();
+                reject(error);
+            });
+            socket.connect(UDP_BASE_PORT, address, () => {
+                const local = socket.address().address;
+                socket.close();
+                resolve(local);
+            });
+        });
+    }
+
+    closeSockets() {
+        this.sockets.forEach(socket => {
+            try {
+                socket.close();
+            } catch (error) {
+                // Already closed
+            }
+        });
+        this.sockets.clear();
+    }
+
+    /**
+     * Probe TTLs in a sliding window and emit hops in order until the
+     * destination answers, maxHops is reached or the trace is cancelled
+     */
+    traceNative(address, family, sockets) {
+        const { firstHop, maxHops, parallel } = this.options;
+        const completed = new Map();
+        const hops = [];
+        let nextTtl = Math.max(1, firstHop);
+        let emitTtl = nextTtl;
+        let lastTtl = maxHops;
+        let running = 0;
+
+        return new Promise((resolve) => {
+            const flush = () => {
+                while (completed.has(emitTtl) && emitTtl <= lastTtl) {
+                    const hop = completed.get(emitTtl++);
+                    hops.push(hop);
+                    this.emit('hop', hop);
+                }
+            };
+
+            const launch = () => {
+                while (!this.cancelled && running < parallel && nextTtl <= lastTtl) {
+                    const ttl = nextTtl++;
+                    running++;
+                    this.probeHop(ttl, address, family, sockets).catch((error) => {
+                        // No socket for this TTL (e.g. EMFILE): the hop counts as unanswered
+                        this.emit('warning', error);
+                        return summarizeHop(ttl, new Array(this.options.probes).fill(null), family);
+                    }).then((hop) => {
+                        running--;
+                        completed.set(ttl, hop);
+                        // The first hop that is the destination (or a router refusing to forward) ends the trace
+                        if ((hop.reached || hop.unreachable) && ttl < lastTtl) lastTtl = ttl;
+                        if (!this.cancelled) flush();
+                        launch();
+                    });
+                }
+                if (running === 0) {
+                    resolve({ protocol: this.options.protocol, hops, reached: hops.some(hop => hop.reached) });
+                }
+            };
+
+            launch();
+        });
+    }
+
+    async probeHop(ttl, address, family, sockets) {
+        let udpSocket = null;
+        if (this.options.protocol === 'udp') {
+            udpSocket = await this.openUdpSocket(ttl, family);
+        }
+
+        const answers = [];
+        try {
+            for (let i = 0; i < this.options.probes && !this.cancelled; i++) {
+                // Routers rate-limit ICMP errors, so probes are spread out a little
+                const wait = this.lastSend + this.options.sendInterval - Date.now();
+                this.lastSend = Date.now() + Math.max(wait, 0);
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+                answers.push(this.sendProbe(ttl, address, family, sockets, udpSocket));
+            }
+        } finally {
+            await Promise.all(answers);
+            if (udpSocket) udpSocket.close();
+        }
+
+        const hop = summarizeHop(ttl, await Promise.all(answers), family);
+        if (hop.ip && this.options.resolveNames && !this.cancelled) {
+            hop.hostname = await reverseLookup(hop.ip, 1000);
+        }
+        return hop;
+    }
+
+    /**
+     * UDP socket for one TTL; every probe of a hop leaves through it
+     */
+    openUdpSocket(ttl, family) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+            socket.once('error', reject);
+            socket.bind(0, () => {
+                socket.removeListener('error', reject);
+                // ICMP errors arrive on the raw socket; the UDP socket itself only needs to stay quiet
+                socket.on('error', () => {});
+                socket.setTTL(ttl);
+                resolve(socket);
+            });
+        });
+    }
+
+    /**
+     * Send one probe and wait for its answer
+     * @returns {Promise<object|null>} { from, rtt, kind, code, mpls, reached } or null when lost
+     */
+    sendProbe(ttl, address, family, sockets, udpSocket) {
+        const seq = this.sequence = (this.sequence + 1) & 0xffff;
+        const { protocol, port } = this.options;
+        let key;
+
+        return new Promise((resolve) => {
+            let sentAt = process.hrtime.bigint();
+            const probe = {
+                sentAt: () => sentAt,
+                finish: (answer) => {
+                    if (!this.pending.has(key)) return;
+                    this.pending.delete(key);
+                    clearTimeout(timer);
+                    resolve(answer);
+                }
+            };
+            const timer = setTimeout(() => probe.finish(null), this.options.timeout);
+
+            // Hop limit is set on the raw socket right before each send
+            const setTtl = () => {
+                if (family === 6) {
+                    sockets.icmp.setOption(raw.SocketLevel.IPPROTO_IPV6, raw.SocketOption.IPV6_UNICAST_HOPS, ttl);
+                } else {
+                    sockets.icmp.setOption(raw.SocketLevel.IPPROTO_IP, raw.SocketOption.IP_TTL, ttl);
+                }
+            };
+            const sent = (error) => {
+                sentAt = process.hrtime.bigint();
+                if (error) probe.finish(null);
+            };
+
+            if (protocol === 'icmp') {
+                key = `icmp:${seq}`;
+                this.pending.set(key, probe);
+                const packet = buildEchoRequest(family, this.icmpId, seq);
+                sockets.icmp.send(packet, 0, packet.length, address, setTtl, sent);
+            } else if (protocol === 'udp') {
+                const destinationPort = (port || UDP_BASE_PORT) + (seq % 1000);
+                key = `udp:${udpSocket.address().port}:${destinationPort}`;
+                this.pending.set(key, probe);
+                udpSocket.send(Buffer.alloc(32), destinationPort, address, sent);
+            } else {
+                const sourcePort = this.tcpBasePort + (seq % 16384);
+                key = `tcp:${sourcePort}`;
+                this.pending.set(key, probe);
+                const segment = buildTcpSyn(sockets.source, address, sourcePort, port || TCP_DEFAULT_PORT, Math.floor(Math.random() * 0xffffffff));
+                sockets.tcp.send(segment, 0, segment.length, address, () => {
+                    const level = family === 6 ? raw.SocketLevel.IPPROTO_IPV6 : raw.SocketLevel.IPPROTO_IP;
+                    const option = family === 6 ? raw.SocketOption.IPV6_UNICAST_HOPS : raw.SocketOption.IP_TTL;
+                    sockets.tcp.setOption(level, option, ttl);
+                }, sent);
+            }
+        });
+    }
+
+    answer(key, details) {
+        const probe = this.pending.get(key);
+        if (!probe) return;
+        const rtt = Number(process.hrtime.bigint() - probe.sentAt()) / 1e6;
+        probe.finish({ rtt, mpls: [], ...details });
+    }
+
+    handleIcmp(buffer, source, family) {
+        const message = parseIcmpMessage(buffer, family);
+        if (!message) return;
+        const from = normalizeIP(source) || source;
+
+        if (message.kind === 'reply') {
+            if (message.id === this.icmpId) {
+                this.answer(`icmp:${message.seq}`, { from, kind: 'reply', code: 0, reached: true });
+            }
+            return;
+        }
+
+        const { quoted } = message;
+        let key = null;
+        if (quoted.protocol === 17) key = `udp:${quoted.sourcePort}:${quoted.destinationPort}`;
+        else if (quoted.protocol === 6) key = `tcp:${quoted.sourcePort}`;
+        else if (quoted.id === this.icmpId) key = `icmp:${quoted.seq}`;
+        if (!key) return;
+
+        // Port unreachable means the UDP probe got to the destination itself
+        const portUnreachable = message.kind === 'unreachable' && message.code === (family === 6 ? 4 : 3);
+        this.answer(key, { from, kind: message.kind, code: message.code, mpls: message.mpls, reached: portUnreachable });
+    }
+
+    handleTcp(buffer, source, family, destination) {
+        const segment = family === 4 ? buffer.slice((buffer[0] & 0x0f) * 4) : buffer;
+        if (segment.length < 20 || normalizeIP(source) !== normalizeIP(destination)) return;
+
+        // SYN/ACK (port open) or RST (port closed) from the destination ends the trace
+        const flags = segment[13];
+        if ((flags & 0x12) === 0x12 || flags & 0x04) {
+            this.answer(`tcp:${segment.readUInt16BE(2)}`, { from: normalizeIP(source), kind: 'tcp', code: flags, reached: true });
+        }
+    }
+
+    // ===== System traceroute =====
+
+    /**
+     * Run the platform traceroute, emitting each hop as its line is printed
+     */
+    traceSystem(address, family) {
+        const { command, args, protocol } = buildTracerouteCommand(address, { ...this.options, family });
+        const { maxHops, probes, timeout } = this.options;
+
+        return new Promise((resolve, reject) => {
+            const hops = [];
+            let pending = '';
+            let output = '';
+
+            const child = spawn(command, args, { windowsHide: true });
+            this.child = child;
+            // Safety net in case the tool hangs well past its own per-probe waits
+            const limit = setTimeout(() => child.kill(), maxHops * probes * timeout + 5000);
+
+            const readLine = (line) => {
+                const hop = parseTracerouteLine(line, process.platform, this.options);
+                if (!hop) return;
+                hop.reached = hop.ip !== null && normalizeIP(hop.ip) === normalizeIP(address);
+                hops.push(hop);
+                this.emit('hop', hop);
+            };
+
+            child.stdout.on('data', (data) => {
+                pending += data.toString();
+                const lines = pending.split(/\r?\n/);
+                pending = lines.pop();
+                lines.forEach(readLine);
+            });
+            child.stderr.on('data', (data) => {
+                output += data.toString();
+            });
+
+            child.on('error', (error) => {
+                clearTimeout(limit);
+                reject(error.code === 'ENOENT' ? new Error(`${command} command not found`) : error);
+            });
+
+            child.on('close', (code) => {
+                clearTimeout(limit);
+                this.child = null;
+                if (pending) readLine(pending);
+                if (hops.length === 0 && code !== 0 && !this.cancelled) {
+                    reject(new Error(output.trim().split(/\r?\n/).pop() || `${command} exited with code ${code}`));
+                    return;
+                }
+                resolve({ protocol, hops, reached: hops.some(hop => hop.reached) });
+            });
+        });
+    }
+}
+
+module.exports = Traceroute;
+module.exports.buildTracerouteCommand = buildTracerouteCommand;
+module.exports.parseTracerouteLine = parseTracerouteLine;
+module.exports.parseTracerouteOutput = parseTracerouteOutput;
+module.exports.parseIcmpMessage = parseIcmpMessage;
+module.exports.buildEchoRequest = buildEchoRequest;
+module.exports.parseIcmpExtensions = parseIcmpExtensions;
+module.exports.getNativeSupport = getNativeSupport;
+module.exports.reverseLookup = reverseLookup;
@@ -0,0 +1,165 @@
+/**
+ * UDP Probes Module
+ * Protocol-specific payloads for UDP port scanning and identification of the
+ * replies. UDP services usually ignore empty datagrams, so a port only shows
+ * as open when it is sent something it understands
+ */
+
+const { encodeQuery, decodeMessage } = require('./dns-wire');
+
+// sysDescr.0 (1.3.6.1.2.1.1.1.0), BER encoded
+const SYS_DESCR_OID = Buffer.from([0x2b, 0x06, 0x01, 0x02, 0x01, 0x01, 0x01, 0x00]);
+
+/**
+ * SNMPv1 GetRequest for sysDescr.0 with the given community
+ */
+function snmpGetRequest(community = 'public') {
+    const communityBytes = Buffer.from(community);
+    const varbind = Buffer.concat([Buffer.from([0x30, SYS_DESCR_OID.length + 4, 0x06, SYS_DESCR_OID.length]), SYS_DESCR_OID, Buffer.from([0x05, 0x00])]);
+    const varbindList = Buffer.concat([Buffer.from([0x30, varbind.length]), varbind]);
+    const requestId = Buffer.from([0x02, 0x04, ...[0, 1, 2, 3].map(() => Math.floor(Math.random() * 0x80))]);
+    const pduBody = Buffer.concat([requestId, Buffer.from([0x02, 0x01, 0x00, 0x02, 0x01, 0x00]), varbindList]);
+    const pdu = Buffer.concat([Buffer.from([0xa0, pduBody.length]), pduBody]);
+    const body = Buffer.concat([Buffer.from([0x02, 0x01, 0x00, 0x04, communityBytes.length]), communityBytes, pdu]);
+    return Buffer.concat([Buffer.from([0x30, body.length]), body]);
+}
+
+/**
+ * Value of sysDescr.0 from an SNMP response (located by its OID, no full BER parse)
+ */
+function readSysDescr(data) {
+    const index = data.indexOf(SYS_DESCR_OID);
+    if (index === -1) return null;
+
+    let offset = index + SYS_DESCR_OID.length;
+    if (data[offset] !== 0x04) return null;
+    let length = data[offset + 1];
+    offset += 2;
+    // Long-form length (0x81 nn / 0x82 nn nn)
+    if (length & 0x80) {
+        const bytes = length & 0x7f;
+        length = data.readUIntBE(offset, bytes);
+        offset += bytes;
+    }
+    return data.slice(offset, offset + length).toString('utf8').trim() || null;
+}
+
+function ntpRequest() {
+    // LI 0, version 3, mode 3 (client); the rest of the 48-byte header is zero
+    const packet = Buffer.alloc(48);
+    packet[0] = 0x1b;
+    return packet;
+}
+
+const SSDP_SEARCH = Buffer.from(
+    'M-SEARCH * HTTP/1.1\r\n' +
+    'HOST: 239.255.255.250:1900\r\n' +
+    'MAN: "ssdp:discover"\r\n' +
+    'MX: 1\r\n' +
+    'ST: ssdp:all\r\n\r\n'
+);
+
+/**
+ * Probes by port. `payload` builds the datagram, `identify` turns a reply into
+ * { service, product, version }
+ */
+const UDP_PROBES = {
+    53: {
+        service: 'DNS',
+        payload: () => encodeQuery('', 'NS'),
+        identify: (data) => {
+            const message = decodeMessage(data);
+            return { service: 'DNS', product: null, version: null, detail: `${message.rcode}${message.flags.recursionAvailable ? ', recursion available' : ''}` };
+        }
+    },
+    123: {
+        service: 'NTP',
+        payload: ntpRequest,
+        identify: (data) => {
+            const version = (data[0] >> 3) & 0x07;
+            const stratum = data[1];
+            return { service: 'NTP', product: null, version: `v${version}`, detail: stratum ? `stratum ${stratum}` : 'unsynchronized' };
+        }
+    },
+    161: {
+        service: 'SNMP',
+        payload: () => snmpGetRequest('public'),
+        identify: (data) => {
+            const description = readSysDescr(data);
+            return { service: 'SNMP', product: description ? description.split(/\r?\n/)[0] : null, version: 'v1', detail: 'community "public" accepted' };
+        }
+    },
+    1900: {
+        service: 'SSDP',
+        payload: () => SSDP_SEARCH,
+        identify: (data) => {
+            const server = data.toString('latin1').match(/\r\nSERVER:[ \t]*([^\r\n]+)/i);
+            return { service: 'SSDP (UPnP)', product: server ? server[1].trim() : null, version: null, detail: null };
+        }
+    },
+    5353: {
+        service: 'mDNS',
+        // A query from a port other than 5353 gets a unicast reply (RFC 6762 section 6.7)
+        payload: () => encodeQuery('_services._dns-sd._udp.local', 'PTR', { recursionDesired: false }),
+        identify: (data) => {
+            const message = decodeMessage(data);
+            const services = message.answers.filter(record => record.type === 'PTR').map(record => record.data);
+            return { service: 'mDNS', product: null, version: null, detail: services.length ? services.slice(0, 5).join(', ') : null };
+        }
+    }
+};
+
+// Well-known UDP assignments for ports without a dedicated probe
+const UDP_PORT_NAMES = {
+    53: 'DNS',
+    67: 'DHCP Server',
+    68: 'DHCP Client',
+    69: 'TFTP',
+    123: 'NTP',
+    137: 'NetBIOS Name',
+    138: 'NetBIOS Datagram',
+    161: 'SNMP',
+    162: 'SNMP Trap',
+    500: 'IKE',
+    514: 'Syslog',
+    520: 'RIP',
+    1194: 'OpenVPN',
+    1812: 'RADIUS',
+    1900: 'SSDP (UPnP)',
+    4500: 'IPsec NAT-T',
+    5353: 'mDNS',
+    5355: 'LLMNR',
+    51820: 'WireGuard'
+};
+
+/**
+ * Datagram to send to a UDP port (empty for ports without a probe)
+ */
+function udpPayloadForPort(port) {
+    const probe = UDP_PROBES[port];
+    return probe ? probe.payload() : Buffer.alloc(0);
+}
+
+/**
+ * Identify the service that sent a UDP reply
+ * @returns {object} { service, product, version, detail }
+ */
+function identifyUdpResponse(port, data) {
+    const probe = UDP_PROBES[port];
+    if (probe && data && data.length > 0) {
+        try {
+            return probe.identify(data);
+        } catch (error) {
+            // Reply did not parse as the expected protocol
+        }
+    }
+    return { service: UDP_PORT_NAMES[port] || `Service on port ${port}/udp`, product: null, version: null, detail: null };
+}
+
+module.exports = {
+    UDP_PROBES,
+    UDP_PORT_NAMES,
+    udpPayloadForPort,
+    identifyUdpResponse,
+    snmpGetRequest
+};
@@ -0,0 +1,74 @@
+/**
+ * Regenerate oui-registry.txt, the bundled copy of the IEEE MA-L (OUI) registry
+ *
+ *   node update-oui-registry.js [source]
+ *
+ * source is the IEEE oui.txt URL (the default), a downloaded oui.txt, or a JSON file
+ * mapping prefixes to organizations such as the oui-data npm package's index.json
+ */
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const { parseOuiDatabase } = require('./oui-vendors');
+
+const IEEE_OUI_URL = 'https://standards-oui.ieee.org/oui/oui.txt';
+const OUTPUT = path.join(__dirname, 'oui-registry.txt');
+
+function download(url) {
+    return new Promise((resolve, reject) => {
+        https.get(url, { headers: { 'User-Agent': 'NetNavigator' } }, (response) => {
+            if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+                response.resume();
+                resolve(download(new URL(response.headers.location, url).href));
+                return;
+            }
+            if (response.statusCode !== 200) {
+                response.resume();
+                reject(new Error(`${url} answered ${response.statusCode}`));
+                return;
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            response.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Prefix -> organization for full OUIs only; MA-M and MA-S ranges are left out
+ */
+function parseSource(text) {
+    if (!text.trimStart().startsWith('{')) return parseOuiDatabase(text);
+
+    const table = new Map();
+    for (const [prefix, organization] of Object.entries(JSON.parse(text))) {
+        // oui-data keeps the organization's address on the following lines
+        if (/^[0-9A-Fa-f]{6}$/.test(prefix)) table.set(prefix.toUpperCase(), String(organization).split('\n')[0].trim());
+    }
+    return table;
+}
+
+async function main() {
+    const source = process.argv[2] || IEEE_OUI_URL;
+    const text = /^https?:\/\//.test(source) ? await download(source) : fs.readFileSync(source, 'utf8');
+    const table = parseSource(text);
+    if (table.size < 10000) throw new Error(`Only ${table.size} prefixes found in ${source}, expected the full registry`);
+
+    const lines = [...table.entries()]
+        .filter(([, organization]) => organization)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([prefix, organization]) => `${prefix}\t${organization.replace(/\s+/g, ' ')}`);
+    const header = [
+        '# IEEE MA-L (OUI) registry: prefix, tab, organization',
+        `# Generated by update-oui-registry.js from ${path.isAbsolute(source) ? path.basename(source) : source} on ${new Date().toISOString().slice(0, 10)}`
+    ];
+    fs.writeFileSync(OUTPUT, `${header.concat(lines).join('\n')}\n`);
+    console.log(`Wrote ${lines.length} prefixes to ${OUTPUT}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,225 @@
+/**
+ * WebSocket Module
+ * Server side of RFC 6455 on top of Node's http server: the opening handshake,
+ * frame parsing (masking, fragmentation, control frames) and frame encoding
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// Messages larger than this close the connection (1009, message too big)
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Encode one unmasked (server to client) frame
+ */
+function encodeFrame(opcode, payload = Buffer.alloc(0), fin = true) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else if (data.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header.writeUInt16BE(data.length, 2);
+        header[1] = 126;
+    } else {
+        header = Buffer.alloc(10);
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+        header[1] = 127;
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    return Buffer.concat([header, data]);
+}
+
+/**
+ * One accepted WebSocket connection. Emits 'message' (data, isBinary), 'close' (code, reason)
+ * and 'error'
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, request) {
+        super();
+        this.socket = socket;
+        this.request = request;
+        this.remoteAddress = socket.remoteAddress;
+        this.buffered = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closed = false;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', error => this.emit('error', error));
+        socket.on('close', () => {
+            if (!this.closed) {
+                this.closed = true;
+                this.emit('close', 1006, '');
+            }
+        });
+    }
+
+    send(data, isBinary = Buffer.isBuffer(data)) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(isBinary ? OPCODES.BINARY : OPCODES.TEXT, data));
+    }
+
+    ping(data = Buffer.alloc(0)) {
+        if (!this.closed) this.socket.write(encodeFrame(OPCODES.PING, data));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        this.closed = true;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(OPCODES.CLOSE, payload));
+        this.emit('close', code, reason);
+    }
+
+    /**
+     * Parse as many complete frames as have arrived
+     */
+    receive(chunk) {
+        this.buffered = Buffer.concat([this.buffered, chunk]);
+
+        while (this.buffered.length >= 2 && !this.closed) {
+            const first = this.buffered[0];
+            const second = this.buffered[1];
+            const fin = Boolean(first & 0x80);
+            const opcode = first & 0x0f;
+            const masked = Boolean(second & 0x80);
+            let length = second & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffered.length < 4) return;
+                length = this.buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffered.length < 10) return;
+                const big = this.buffered.readBigUInt64BE(2);
+                if (big > BigInt(MAX_MESSAGE_SIZE)) return this.close(1009, 'Message too big');
+                length = Number(big);
+                offset = 10;
+            }
+
+            // Clients must mask every frame (RFC 6455 section 5.1)
+            if (!masked) return this.close(1002, 'Unmasked frame');
+            if (this.buffered.length < offset + 4 + length) return;
+
+            const mask = this.buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.buffered.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.buffered = this.buffered.subarray(offset + 4 + length);
+
+            this.handleFrame(fin, opcode, payload);
+        }
+    }
+
+    handleFrame(fin, opcode, payload) {
+        switch (opcode) {
+            case OPCODES.PING:
+                this.socket.write(encodeFrame(OPCODES.PONG, payload));
+                return;
+            case OPCODES.PONG:
+                return;
+            case OPCODES.CLOSE: {
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+                const reason = payload.subarray(2).toString('utf8');
+                // Echo the close frame, then the server closes the TCP connection
+                this.closed = true;
+                this.socket.end(encodeFrame(OPCODES.CLOSE, payload.subarray(0, 2)));
+                this.emit('close', code, reason);
+                return;
+            }
+            case OPCODES.TEXT:
+            case OPCODES.BINARY:
+                if (this.fragmentOpcode !== null) return this.close(1002, 'Expected a continuation frame');
+                this.fragmentOpcode = opcode;
+                break;
+            case OPCODES.CONTINUATION:
+                if (this.fragmentOpcode === null) return this.close(1002, 'Unexpected continuation frame');
+                break;
+            default:
+                return this.close(1002, `Unknown opcode ${opcode}`);
+        }
+
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((total, part) => total + part.length, 0);
+        if (size > MAX_MESSAGE_SIZE) return this.close(1009, 'Message too big');
+        if (!fin) return;
+
+        const message = Buffer.concat(this.fragments);
+        const isBinary = this.fragmentOpcode === OPCODES.BINARY;
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.emit('message', isBinary ? message : message.toString('utf8'), isBinary);
+    }
+}
+
+/**
+ * Accepts WebSocket upgrades on an http(s) server. Emits 'connection' (WebSocketConnection)
+ */
+class WebSocketServer extends EventEmitter {
+    constructor(server) {
+        super();
+        this.clients = new Set();
+        server.on('upgrade', (request, socket, head) => this.upgrade(request, socket, head));
+    }
+
+    upgrade(request, socket, head) {
+        const key = request.headers['sec-websocket-key'];
+        const isWebSocket = String(request.headers.upgrade || '').toLowerCase() === 'websocket';
+        if (!isWebSocket || !key || request.headers['sec-websocket-version'] !== '13') {
+            socket.end('HTTP/1.1 400 Bad Request\r\nSec-WebSocket-Version: 13\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const connection = new WebSocketConnection(socket, request);
+        this.clients.add(connection);
+        connection.on('close', () => this.clients.delete(connection));
+        this.emit('connection', connection);
+        // Frames sent right behind the handshake arrive with it
+        if (head && head.length > 0) connection.receive(head);
+    }
+
+    /**
+     * Send a message to every open connection
+     */
+    broadcast(data, isBinary) {
+        this.clients.forEach(client => client.send(data, isBinary));
+    }
+
+    close() {
+        this.clients.forEach(client => client.close(1001, 'Server shutting down'));
+    }
+}
+
+module.exports = WebSocketServer;
+module.exports.WebSocketConnection = WebSocketConnection;
+module.exports.encodeFrame = encodeFrame;
+module.exports.acceptKey = acceptKey;
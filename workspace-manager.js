@@ -0,0 +1,381 @@
+/**
+ * Workspace Manager Module
+ * Server Maker's saved servers: every workspace directory holding a config.json
+ * is a server that can be started (as a server-runtime.js child process), stopped,
+ * edited and deleted. Servers flagged with autostart start with the app, crashed
+ * servers restart with exponential backoff, and each server's output goes to a
+ * rotated log file in its workspace (logs/server.log)
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const RotatingLog = require('./rotating-log');
+
+const DEFAULT_OPTIONS = {
+    runtime: path.join(__dirname, 'server-runtime.js'),
+    startTimeout: 10000,
+    stopTimeout: 5000,
+    // Restart delays double from restartDelay up to maxRestartDelay; a server that
+    // stayed up for stableAfter starts counting from the first delay again
+    restartDelay: 1000,
+    maxRestartDelay: 60000,
+    maxRestarts: 10,
+    stableAfter: 60000
+};
+
+/**
+ * Emits 'output' (name, stream, text) for the server's stdout and stderr and the manager's
+ * own notes (stream 'system'), 'request' (name, record) for requests the server
+ * reports, 'traffic' (name, connections) for bytes a proxy relayed, 'status' (name, status) whenever a server starts, stops, crashes or is about to
+ * restart, and 'exited' (name, code, signal) when a running server exits on its own
+ */
+class WorkspaceManager extends EventEmitter {
+    /**
+     * @param {string} root - Directory holding one workspace directory per server
+     * @param {object} options - Overrides of DEFAULT_OPTIONS
+     */
+    constructor(root, options = {}) {
+        super();
+        this.root = root;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.servers = new Map();
+    }
+
+    workspacePath(name) {
+        if (!/^[\w.-]+$/.test(String(name)) || String(name).startsWith('.')) {
+            throw new Error(`Invalid server name "${name}"`);
+        }
+        return path.join(this.root, name);
+    }
+
+    async readConfig(name) {
+        return JSON.parse(await fs.promises.readFile(path.join(this.workspacePath(name), 'config.json'), 'utf8'));
+    }
+
+    /**
+     * Save a server's config; a running server reloads it by itself
+     */
+    async writeConfig(name, config) {
+        const workspace = this.workspacePath(name);
+        await fs.promises.mkdir(workspace, { recursive: true });
+        await fs.promises.writeFile(path.join(workspace, 'config.json'), JSON.stringify(config, null, 2));
+        const state = this.servers.get(name);
+        if (state) state.config = config;
+    }
+
+    /**
+     * Runtime state of a server, created on first use
+     */
+    state(name) {
+        if (!this.servers.has(name)) {
+            this.servers.set(name, {
+                name,
+                status: 'stopped',
+                process: null,
+                config: null,
+                startTime: null,
+                restarts: 0,
+                restartTimer: null,
+                stopping: false,
+                lastExit: null,
+                log: new RotatingLog(path.join(this.workspacePath(name), 'logs', 'server.log'))
+            });
+        }
+        return this.servers.get(name);
+    }
+
+    /**
+     * Log a line of the manager's own (start, exit, restart) next to the server's output
+     */
+    note(state, text) {
+        state.log.write('system', text);
+        this.emit('output', state.name, 'system', text);
+    }
+
+    setStatus(state, status) {
+        state.status = status;
+        this.emit('status', state.name, status);
+    }
+
+    /**
+     * The server's state while it runs, null otherwise
+     */
+    get(name) {
+        const state = this.servers.get(name);
+        return state && state.status === 'running' ? state : null;
+    }
+
+    /**
+     * Every saved server with its runtime state
+     * @returns {Promise<Array<object>>}
+     */
+    async list() {
+        let names;
+        try {
+            names = (await fs.promises.readdir(this.root, { withFileTypes: true }))
+                .filter(entry => entry.isDirectory() && /^[\w.-]+$/.test(entry.name) && !entry.name.startsWith('.'))
+                .map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const servers = [];
+        for (const name of names.sort((a, b) => a.localeCompare(b))) {
+            let config;
+            try {
+                config = await this.readConfig(name);
+            } catch (error) {
+                // Not a server workspace, or its config.json is broken
+                continue;
+            }
+            const state = this.servers.get(name);
+            servers.push({
+                name,
+                port: config.port,
+                type: config.type || 'http',
+                origin: config.dns ? config.dns.origin : undefined,
+                proxy: config.proxy ? { mode: config.proxy.mode, target: config.proxy.target } : undefined,
+                autostart: Boolean(config.autostart),
+                createdAt: config.createdAt,
+                status: state ? state.status : 'stopped',
+                pid: state && state.process ? state.process.pid : null,
+                uptime: state && state.status === 'running' ? Date.now() - state.startTime.getTime() : 0,
+                restarts: state ? state.restarts : 0,
+                lastExit: state ? state.lastExit : null
+            });
+        }
+        return servers;
+    }
+
+    /**
+     * Start a saved server and wait until it listens
+     */
+    async start(name) {
+        const state = this.state(name);
+        clearTimeout(state.restartTimer);
+        state.restartTimer = null;
+        state.restarts = 0;
+        return this.launch(state);
+    }
+
+    async launch(state) {
+        if (state.process) throw new Error(`Server '${state.name}' is already running`);
+        const workspace = this.workspacePath(state.name);
+        state.config = await this.readConfig(state.name);
+        state.stopping = false;
+        this.setStatus(state, 'starting');
+
+        try {
+            await this.spawnRuntime(state, workspace);
+        } catch (error) {
+            this.note(state, `Failed to start: ${error.message}`);
+            this.setStatus(state, 'stopped');
+            throw error;
+        }
+        this.note(state, `Started on port ${state.config.port} (pid ${state.process.pid})`);
+        this.setStatus(state, 'running');
+        return state;
+    }
+
+    spawnRuntime(state, workspace) {
+        const { name } = state;
+
+        // The Electron binary runs the runtime as plain Node
+        const child = spawn(process.execPath, [this.options.runtime, workspace], {
+            cwd: workspace,
+            env: { ...process.env, ELECTRON_RUN_AS_NODE: '1' },
+            stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+        });
+        state.process = child;
+        let lastError = '';
+
+        child.stdout.on('data', (data) => {
+            const chunk = data.toString();
+            state.log.write('stdout', chunk);
+            this.emit('output', name, 'stdout', chunk);
+        });
+
+        child.stderr.on('data', (data) => {
+            const chunk = data.toString();
+            lastError = chunk.trim().split('\n').pop() || lastError;
+            state.log.write('stderr', chunk);
+            this.emit('output', name, 'stderr', chunk);
+        });
+
+        return new Promise((resolve, reject) => {
+            let ready = false;
+            const timeout = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`Server did not start within ${this.options.startTimeout / 1000} seconds`));
+            }, this.options.startTimeout);
+
+            child.on('message', (message) => {
+                if (message.type === 'request') {
+                    this.emit('request', name, message.request);
+                    return;
+                }
+                if (message.type === 'traffic') {
+                    this.emit('traffic', name, message.connections);
+                    return;
+                }
+                if (message.type !== 'ready') return;
+                clearTimeout(timeout);
+                ready = true;
+                state.startTime = new Date();
+                resolve();
+            });
+
+            child.on('error', (error) => {
+                lastError = error.message;
+            });
+
+            child.on('exit', (code, signal) => {
+                clearTimeout(timeout);
+                state.process = null;
+                if (!ready) {
+                    // Exited before listening, e.g. the port is taken
+                    const reason = lastError || `exit code ${code}`;
+                    reject(new Error(reason.replace(/^Failed to start server: /, '')));
+                    return;
+                }
+                this.handleExit(state, code, signal);
+            });
+        });
+    }
+
+    handleExit(state, code, signal) {
+        state.lastExit = { code, signal, at: new Date().toISOString() };
+        if (state.stopping) {
+            this.note(state, 'Stopped');
+            this.setStatus(state, 'stopped');
+            return;
+        }
+
+        this.note(state, `Exited unexpectedly (${signal ? `signal ${signal}` : `exit code ${code}`})`);
+        this.emit('exited', state.name, code, signal);
+        if (Date.now() - state.startTime.getTime() >= this.options.stableAfter) state.restarts = 0;
+        this.scheduleRestart(state);
+    }
+
+    /**
+     * Start a crashed server again after the next backoff delay, or give up after maxRestarts;
+     * a server stopped in the meantime stays stopped
+     */
+    scheduleRestart(state) {
+        if (state.stopping) {
+            this.setStatus(state, 'stopped');
+            return;
+        }
+        if (state.restarts >= this.options.maxRestarts) {
+            this.note(state, `Not restarted again after ${state.restarts} attempts`);
+            this.setStatus(state, 'crashed');
+            return;
+        }
+
+        const delay = Math.min(this.options.restartDelay * 2 ** state.restarts, this.options.maxRestartDelay);
+        state.restarts++;
+        this.note(state, `Restarting in ${delay / 1000} s (attempt ${state.restarts} of ${this.options.maxRestarts})`);
+        this.setStatus(state, 'restarting');
+
+        state.restartTimer = setTimeout(() => {
+            state.restartTimer = null;
+            // Stop clicked while the restart was starting kills it before it is ready
+            this.launch(state).catch(() => {
+                if (!state.stopping) this.scheduleRestart(state);
+            });
+        }, delay);
+    }
+
+    /**
+     * Stop a server (or cancel its pending restart); SIGKILL after stopTimeout
+     */
+    async stop(name) {
+        const state = this.servers.get(name);
+        if (state && state.restartTimer) {
+            clearTimeout(state.restartTimer);
+            state.restartTimer = null;
+            this.note(state, 'Restart cancelled');
+            this.setStatus(state, 'stopped');
+            return { success: true, message: 'Restart cancelled' };
+        }
+        if (!state || !state.process) {
+            throw new Error(`Server '${name}' is not running`);
+        }
+
+        const child = state.process;
+        state.stopping = true;
+        return new Promise((resolve) => {
+            // Give the process time to shut down gracefully
+            const timeout = setTimeout(() => {
+                child.kill('SIGKILL');
+                resolve({ success: true, message: 'Server forcefully stopped' });
+            }, this.options.stopTimeout);
+
+            child.once('exit', () => {
+                clearTimeout(timeout);
+                resolve({ success: true, message: 'Server stopped successfully' });
+            });
+
+            child.kill('SIGTERM');
+        });
+    }
+
+    /**
+     * Stop a server and delete its workspace with its config, certificates and logs
+     */
+    async remove(name) {
+        const workspace = this.workspacePath(name);
+        const state = this.servers.get(name);
+        if (state && (state.process || state.restartTimer)) await this.stop(name);
+        if (state) await state.log.queue;
+        await fs.promises.rm(workspace, { recursive: true, force: true });
+        this.servers.delete(name);
+        this.emit('status', name, 'deleted');
+    }
+
+    /**
+     * Start every saved server flagged with autostart
+     * @returns {Promise<Array<object>>} { name, error } for each server that did not start
+     */
+    async startAutostart() {
+        const failures = [];
+        for (const server of await this.list()) {
+            if (!server.autostart || server.status !== 'stopped') continue;
+            try {
+                await this.start(server.name);
+            } catch (error) {
+                failures.push({ name: server.name, error: error.message });
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Terminate every server without waiting, e.g. when the app quits
+     */
+    stopAll() {
+        for (const state of this.servers.values()) {
+            clearTimeout(state.restartTimer);
+            state.restartTimer = null;
+            if (!state.process) continue;
+            state.stopping = true;
+            try {
+                state.process.kill('SIGTERM');
+            } catch (error) {
+                console.error(`Failed to stop server ${state.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Last lines of a server's log files
+     */
+    async readLog(name, lines = 500) {
+        return this.state(name).log.tail(lines);
+    }
+}
+
+module.exports = WorkspaceManager;